@@ -0,0 +1,195 @@
+// batch.js
+// Batch experiment runner. Sweeps any CONFIG.DEFAULT_SETTINGS keys, runs
+// several seeded replications of every combination in each signal mode using
+// the headless runner, and reports means with 95% confidence intervals.
+// Listing layouts compares intersection designs under the same demand; a
+// roundabout has no signals, so it runs once rather than in every mode.
+//
+// Usage: node batch.js <sweep.json> [--out results.csv|results.json]
+//
+// Sweep definition (see sweep.example.json):
+// {
+//   "duration": 900,                      simulated seconds per run
+//   "timestep": 50,                       milliseconds per step
+//   "replications": 5,                    seeds baseSeed .. baseSeed + replications - 1
+//   "baseSeed": 1,
+//   "modes": ["fixed", "adaptive"],          any signal modes, e.g. "max-pressure"
+//   "layouts": ["standard", "roundabout"],   optional CONFIG.GEOMETRY_PRESETS keys
+//   "base": { "CAR_SPAWN_RATE": 6 },      settings shared by every run
+//   "sweep": { "GREEN_DURATION": [20000, 40000] }
+// }
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { runHeadless, HEADLESS_DEFAULTS } from './headless.js';
+import { CONFIG } from './config.js';
+import { getControllers, hasController } from './controllerRegistry.js';
+import { getGeometryPreset } from './geometry.js';
+
+// Two-sided 95% Student-t critical values for 1..30 degrees of freedom
+const T_CRITICAL_95 = [
+    12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+    2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+    2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+// Metrics taken from each run's Statistics summary
+const METRICS = ['throughputPerHour', 'averageWaitTime', 'averageLeftTurnDelay'];
+
+/**
+ * Mean and 95% confidence interval half-width of a sample
+ * @param {number[]} values - One value per replication
+ * @returns {Object} { n, mean, stdDev, ciHalfWidth }
+ */
+export function summarize(values) {
+    const n = values.length;
+    const mean = n > 0 ? values.reduce((sum, v) => sum + v, 0) / n : 0;
+    if (n < 2) {
+        return { n, mean, stdDev: 0, ciHalfWidth: 0 };
+    }
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1);
+    const stdDev = Math.sqrt(variance);
+    const t = T_CRITICAL_95[n - 2] ?? 1.96;
+    return { n, mean, stdDev, ciHalfWidth: t * stdDev / Math.sqrt(n) };
+}
+
+/**
+ * Expands { KEY: [a, b], OTHER: [c] } into every combination of values
+ * @param {Object} sweep - Setting key to list of values
+ * @returns {Object[]} One settings object per combination
+ */
+export function expandSweep(sweep) {
+    return Object.entries(sweep).reduce((combinations, [key, values]) => {
+        const list = Array.isArray(values) ? values : [values];
+        return combinations.flatMap(combination => list.map(value => ({ ...combination, [key]: value })));
+    }, [{}]);
+}
+
+function validateDefinition(definition) {
+    const settingKeys = { ...(definition.base || {}), ...(definition.sweep || {}) };
+    Object.keys(settingKeys).forEach(key => {
+        if (!(key in CONFIG.DEFAULT_SETTINGS)) {
+            throw new Error(`Unknown setting "${key}" - sweeps may only use CONFIG.DEFAULT_SETTINGS keys`);
+        }
+    });
+    (definition.modes || []).forEach(mode => {
+        if (!hasController(mode)) {
+            const modes = getControllers().map(({ id }) => id);
+            throw new Error(`Unsupported mode "${mode}" - use one of ${modes.map(m => `"${m}"`).join(', ')}`);
+        }
+    });
+    (definition.layouts || []).forEach(layout => getGeometryPreset(layout));
+    if (definition.replications !== undefined && !(definition.replications >= 1)) {
+        throw new Error('replications must be at least 1');
+    }
+}
+
+/**
+ * Runs a full sweep
+ * @param {Object} definition - Sweep definition (see header comment)
+ * @param {Function} onProgress - Optional callback(done, total)
+ * @returns {Object[]} One row per combination, layout and mode with metric summaries
+ */
+export function runBatch(definition, onProgress = null) {
+    validateDefinition(definition);
+
+    const modes = definition.modes || [CONFIG.MODES.FIXED, CONFIG.MODES.ADAPTIVE];
+    const replications = definition.replications || 5;
+    const baseSeed = definition.baseSeed ?? 1;
+    const combinations = expandSweep(definition.sweep || {});
+    const runs = (definition.layouts || [null]).flatMap(layout => {
+        const geometry = layout === null ? null : getGeometryPreset(layout);
+        const layoutColumn = layout === null ? {} : { layout };
+        if (geometry && geometry.ROUNDABOUT) {
+            return [{ geometry, mode: modes[0], row: { ...layoutColumn, mode: 'roundabout' } }];
+        }
+        return modes.map(mode => ({ geometry, mode, row: { ...layoutColumn, mode } }));
+    });
+    const total = combinations.length * runs.length * replications;
+    const rows = [];
+    let done = 0;
+
+    combinations.forEach(combination => {
+        runs.forEach(({ geometry, mode, row }) => {
+            const samples = Object.fromEntries(METRICS.map(metric => [metric, []]));
+            for (let r = 0; r < replications; r++) {
+                const result = runHeadless({
+                    mode,
+                    duration: definition.duration ?? HEADLESS_DEFAULTS.duration,
+                    timestep: definition.timestep ?? HEADLESS_DEFAULTS.timestep,
+                    seed: baseSeed + r,
+                    settings: { ...(definition.base || {}), ...combination },
+                    geometry
+                });
+                METRICS.forEach(metric => samples[metric].push(result.statistics[metric]));
+                done++;
+                if (onProgress) onProgress(done, total);
+            }
+
+            rows.push({
+                settings: combination,
+                ...row,
+                replications,
+                metrics: Object.fromEntries(METRICS.map(metric => [metric, summarize(samples[metric])]))
+            });
+        });
+    });
+
+    return rows;
+}
+
+/**
+ * Formats batch rows as CSV with one column per swept key, and one for the
+ * layout when layouts were compared
+ * @param {Object[]} rows - Output of runBatch
+ * @returns {string} CSV text
+ */
+export function toCsv(rows) {
+    const keys = rows.length > 0 ? Object.keys(rows[0].settings) : [];
+    const layouts = rows.some(row => row.layout !== undefined);
+    const header = [
+        ...keys, ...(layouts ? ['layout'] : []), 'mode', 'replications',
+        ...METRICS.flatMap(metric => [`${metric}_mean`, `${metric}_ci95`, `${metric}_sd`])
+    ];
+    const lines = rows.map(row => [
+        ...keys.map(key => row.settings[key]),
+        ...(layouts ? [row.layout] : []),
+        row.mode,
+        row.replications,
+        ...METRICS.flatMap(metric => {
+            const summary = row.metrics[metric];
+            return [summary.mean.toFixed(3), summary.ciHalfWidth.toFixed(3), summary.stdDev.toFixed(3)];
+        })
+    ].join(','));
+    return [header.join(','), ...lines].join('\n') + '\n';
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    try {
+        const [definitionPath, ...rest] = process.argv.slice(2);
+        if (!definitionPath) {
+            throw new Error('Usage: node batch.js <sweep.json> [--out results.csv|results.json]');
+        }
+        const outIndex = rest.indexOf('--out');
+        const outPath = outIndex >= 0 ? rest[outIndex + 1] : null;
+
+        const definition = JSON.parse(readFileSync(definitionPath, 'utf8'));
+        const rows = runBatch(definition, (done, total) => {
+            process.stderr.write(`\rRun ${done}/${total}`);
+        });
+        process.stderr.write('\n');
+
+        const output = outPath && outPath.endsWith('.json')
+            ? JSON.stringify(rows, null, 2) + '\n'
+            : toCsv(rows);
+        if (outPath) {
+            writeFileSync(outPath, output);
+            console.log(`Wrote ${rows.length} rows to ${outPath}`);
+        } else {
+            process.stdout.write(output);
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
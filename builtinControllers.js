@@ -0,0 +1,173 @@
+// builtinControllers.js
+// The controllers that ship with the simulator, registered as plugins (see
+// controllerRegistry.js). All three run the RingBarrierController with a
+// different signal plan; Adaptive also passes on transit priority requests
+// and Max-Pressure picks the stage to serve. All three serve pedestrian calls.
+
+import { CONFIG } from './config.js';
+import { registerController } from './controllerRegistry.js';
+import { RingBarrierController } from './ringBarrier.js';
+import { createFixedPlan, createAdaptivePlan, createMaxPressurePlan, isLeftPhase } from './signalPlans.js';
+import { selectStage } from './maxPressure.js';
+
+// A PHASE_TIMING table with every phase given the same red clearance
+function withAllRed(phaseTiming, allRed) {
+    return Object.fromEntries(Object.entries(phaseTiming).map(([phase, timing]) => [phase, { ...timing, allRed }]));
+}
+
+// Adaptive and Max-Pressure run shorter yellows and all-reds than Fixed
+const ACTUATED_SETTINGS = {
+    YELLOW_DURATION: 3000,
+    PHASE_TIMING: withAllRed(CONFIG.DEFAULT_SETTINGS.PHASE_TIMING, 2000)
+};
+
+// Ring-and-barrier controller running the plan built by createPlan(settings, intersection)
+export class RingBarrierPlugin {
+    constructor(createPlan) {
+        this.createPlan = createPlan;
+        this.controller = new RingBarrierController();
+        this.settings = { ...CONFIG.DEFAULT_SETTINGS };
+        this.intersection = null; // crosswalk lengths set the pedestrian clearance
+    }
+
+    init({ intersection, settings }) {
+        this.settings = { ...settings };
+        this.intersection = intersection;
+        this.controller.start(this.createPlan(this.settings, this.intersection));
+    }
+
+    step(sensorData, now, deltaTime) {
+        if (sensorData) {
+            this.updateDetectors(sensorData, now);
+        }
+        this.controller.update(deltaTime);
+        return this.controller.getMovementStates();
+    }
+
+    // New timings apply from the next interval without restarting the cycle
+    updateSettings(settings) {
+        this.settings = { ...settings };
+        this.controller.setPlan(this.createPlan(this.settings, this.intersection));
+    }
+
+    /**
+     * Turns detector data into phase calls and green extensions. Every vehicle
+     * in an approach's zone calls its through phase (a left turn can go
+     * permissively); a protected left is called once enough left turns wait.
+     * A pushed pedestrian button calls the walk of its crosswalk's phase.
+     * @param {Object} sensorData - Per-direction data from SensorSystem.update
+     */
+    updateDetectors(sensorData) {
+        const calls = {};
+        const pedestrianCalls = {};
+        const { phases, pedestrianPhases } = this.controller.plan;
+        Object.keys(phases).forEach(key => {
+            const phase = Number(key);
+            const data = sensorData[CONFIG.NEMA_PHASES[phase].approach];
+            if (!data) return;
+
+            if (isLeftPhase(phase)) {
+                calls[phase] = data.leftTurnsWaiting >= this.settings.LEFT_TURN_PHASE_THRESHOLD;
+                if (data.leftActuations > 0) this.controller.extend(phase);
+            } else {
+                calls[phase] = data.vehiclesPresent > 0;
+                if (data.throughActuations > 0) this.controller.extend(phase);
+            }
+
+            if (pedestrianPhases[phase]) {
+                pedestrianCalls[phase] = pedestrianPhases[phase].some(leg => sensorData[leg] && sensorData[leg].pedestriansWaiting > 0);
+            }
+        });
+        this.controller.setCalls(calls);
+        this.controller.setPedestrianCalls(pedestrianCalls);
+    }
+
+    getPedestrianStates() {
+        return this.controller.getPedestrianStates();
+    }
+
+    getDebugInfo() {
+        return this.controller.getDebugInfo();
+    }
+}
+
+// Actuated control; the nearest bus within TSP_DISTANCE of its stop line
+// asks for its approach's through phase
+export class AdaptivePlugin extends RingBarrierPlugin {
+    constructor() {
+        super(createAdaptivePlan);
+    }
+
+    updateDetectors(sensorData) {
+        super.updateDetectors(sensorData);
+        this.controller.setPriority(this.settings.TSP_ENABLED ? this.findPriorityRequest(sensorData) : null);
+    }
+
+    findPriorityRequest(sensorData) {
+        let request = null;
+        Object.keys(this.controller.plan.phases).forEach(key => {
+            const { approach, movement } = CONFIG.NEMA_PHASES[key];
+            const bus = sensorData[approach] && sensorData[approach].nearestBus;
+            if (movement !== CONFIG.MOVEMENTS.THROUGH || !bus || bus.distance > this.settings.TSP_DISTANCE) return;
+            if (!request || bus.distance < request.distance) {
+                request = { phase: Number(key), vehicleId: bus.id, distance: bus.distance };
+            }
+        });
+        return request && { phase: request.phase, vehicleId: request.vehicleId };
+    }
+}
+
+// Re-picks the stage to serve once per decision interval
+export class MaxPressurePlugin extends RingBarrierPlugin {
+    constructor() {
+        super(createMaxPressurePlan);
+        this.lastDecisionTime = null; // sim time of the last stage decision
+        this.lastPressure = 0;
+    }
+
+    init(context) {
+        super.init(context);
+        this.lastDecisionTime = null;
+        this.lastPressure = 0;
+    }
+
+    updateDetectors(sensorData, now) {
+        super.updateDetectors(sensorData);
+        if (this.lastDecisionTime !== null && now - this.lastDecisionTime < this.settings.MAX_PRESSURE_INTERVAL) return;
+
+        this.lastDecisionTime = now;
+        const { stage, pressure } = selectStage(sensorData, this.controller.plan, this.controller.targetStage);
+        this.lastPressure = pressure;
+        this.controller.setTargetStage(stage);
+    }
+
+    getDebugInfo() {
+        return {
+            ...super.getDebugInfo(),
+            targetStage: this.controller.targetStage,
+            pressure: this.lastPressure
+        };
+    }
+}
+
+registerController(CONFIG.MODES.FIXED, {
+    label: 'Fixed Timer Mode',
+    create: () => new RingBarrierPlugin(createFixedPlan),
+    panel: 'fixed-controls'
+});
+
+registerController(CONFIG.MODES.ADAPTIVE, {
+    label: 'Advanced Adaptive Mode',
+    create: () => new AdaptivePlugin(),
+    settings: ACTUATED_SETTINGS,
+    panel: 'adaptive-controls',
+    showDetectors: true
+});
+
+registerController(CONFIG.MODES.MAX_PRESSURE, {
+    label: 'Max-Pressure Mode',
+    create: () => new MaxPressurePlugin(),
+    settings: ACTUATED_SETTINGS,
+    panel: 'max-pressure-controls',
+    showDetectors: true
+});
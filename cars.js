@@ -1,16 +1,34 @@
 import { CONFIG } from "./config.js";
 import { utils } from './utils.js';
 import { traj_precalc, trajFromSpec } from './paths.js';
+import { IntelligentDriverModel, sampleDriverParameters } from './driverModel.js';
+import { ConflictZoneManager } from './conflictZones.js';
+import { movementsConflict } from './signalSafety.js';
+import { getOppositeDirection, getTurnDestination } from './directions.js';
+import { isStopControlled } from './signalOperations.js';
+import { DemandGenerator, getOdMatrix, getTurnType } from './demand.js';
+import { chooseLaneChange, getEntryLanes, isLaneForTurn } from './laneChanging.js';
+import { findLeaderOnPath, getDistanceToRingAngle, getPathPosition, hasMerged, isMergeClear } from './roundabout.js';
+
+// Signal movement controlling each turn type
+const TURN_MOVEMENTS = {
+    [CONFIG.TURN_TYPES.LEFT]: CONFIG.MOVEMENTS.LEFT,
+    [CONFIG.TURN_TYPES.STRAIGHT]: CONFIG.MOVEMENTS.THROUGH,
+    [CONFIG.TURN_TYPES.RIGHT]: CONFIG.MOVEMENTS.RIGHT
+};
 
 export class Car {
-    constructor({ id, direction, intersection, route = null, lane = 0 }) {
+    constructor({ id, direction, intersection, clock, random, conflictZones, route = null, lane = 0, baseSpeed = CONFIG.DEFAULT_SETTINGS.CAR_SPEED, vehicleClass = CONFIG.VEHICLE_CLASSES.CAR, vehicleType = null, arrivalTime = null }) {
         this.id = id;
+        this.vehicleClass = vehicleClass;
+        this.vehicleType = vehicleType || Car.getClassVehicleType(vehicleClass); // key of CONFIG.VEHICLE_TYPES
         this.fromDirection = direction;
         this.intersection = intersection;
-        this.route = route || [direction, 'intersection', this.calculateToDirection()];
-        this.lane = lane; // 0 = rightmost lane, 1 = second rightmost lane
-        this.turnType = this.calculateTurnType();
-        this.toDirection = this.route[2];
+        this.conflictZones = conflictZones; // ConflictZoneManager - box cells must be reserved before entering
+        this.clock = clock; // SimulationClock - all wait timing uses simulated time
+        this.random = random; // SeededRandom - this vehicle's own stream
+        this.lane = lane; // approach lane, 0 = curb lane (see Intersection.getLeg)
+        this.setRoute(route);
 
         // Position and movement
         const spawnPoint = intersection.getSpawnPointForLane(direction, lane);
@@ -19,18 +37,44 @@ export class Car {
         this.angle = this.getInitialAngle();
 
         // Properties
-        this.speed = 0;
-        this.maxSpeed = CONFIG.DEFAULT_SETTINGS.CAR_SPEED;
-        this.width = CONFIG.CAR_WIDTH;
-        this.height = CONFIG.CAR_HEIGHT;
-        this.color = CONFIG.CAR_COLORS[Math.floor(Math.random() * CONFIG.CAR_COLORS.length)];
+        const type = CONFIG.VEHICLE_TYPES[this.vehicleType];
+        this.width = type.LENGTH;  // length along the heading
+        this.height = type.WIDTH;  // width across the heading
+        this.color = utils.randomFromArray(type.COLORS, this.random);
+        if (this.isEmergency()) {
+            this.color = CONFIG.EMERGENCY_VEHICLE.COLOR;
+        }
+
+        // Car-following behaviour - each driver has its own IDM parameters,
+        // drawn for the vehicle type. maxSpeed is this driver's desired
+        // speed; vehicles enter the canvas at it.
+        this.driver = new IntelligentDriverModel(sampleDriverParameters(this.random, type));
+        this.maxSpeed = this.getDesiredSpeed(baseSpeed);
+        this.speed = this.maxSpeed;
 
         // State
         this.state = 'approaching'; // approaching, waiting, crossing, exiting, completed
-        this.waitStartTime = null;
-        this.totalWaitTime = 0;
+        // An arrival held off the legs for want of room has been waiting
+        // since it arrived; that time counts as a stop, and as travel
+        this.enteredAt = arrivalTime ?? clock.now(); // time the vehicle came on to this intersection's legs
+        this.waitStartTime = null;   // start of the current stop, null while moving
+        this.previousWaitTime = clock.now() - this.enteredAt; // time spent in earlier stops
+        this.totalWaitTime = this.previousWaitTime;
+        this.freeFlowTime = 0;       // time the distance covered here would take at the desired speed
         this.isInIntersection = false;
         this.pathProgress = 0;
+        this.crossingDistance = 0;   // distance travelled since entering the box
+        this.leftTurnCommitted = false; // permissive left turn has taken its gap
+        this.roundaboutCommitted = false; // has taken its gap into the roundabout
+        this.boxExitDistance = null;    // path distance to where we leave the box, worked out on first use
+        this.stopLineArrival = null;    // time the car stopped at a flashing red or dark signal
+        this.laneChange = null;         // { from, to, elapsed } lateral move into this.lane under way
+        this.lastLaneChangeTime = null;
+        this.laneChanges = 0;
+        this.laneChangeYaw = 0;         // heading offset drawn while moving across
+        // Where and when the vehicle entered the road network, and what it
+        // went through at the intersections it has left (see continueTo)
+        this.journey = { startTime: this.enteredAt, origin: direction, intersection, intersections: 0, waitTime: 0, laneChanges: 0, freeFlowTime: 0 };
 
         // Path and trajectory properties
         this.trajectorySpec = null;
@@ -40,39 +84,104 @@ export class Car {
         this.calculateTargetPosition();
     }
 
-    calculateTurnType() {
-        // Lane-based turn rules - NO LANE CHANGING
-        // Lane 0 (rightmost): RIGHT TURNS ONLY
-        // Lane 1 (second rightmost): LEFT TURNS OR STRAIGHT
-        
-        if (this.lane === 0) {
-            // Rightmost lane: ALWAYS turn right
-            return CONFIG.TURN_TYPES.RIGHT;
-        } else if (this.lane === 1) {
-            // Second rightmost lane: 70% straight, 30% left turn
-            const rand = Math.random();
-            if (rand < 0.7) return CONFIG.TURN_TYPES.STRAIGHT;
-            else return CONFIG.TURN_TYPES.LEFT;
+    // Vehicle type of the special classes; general traffic is given one from the mix
+    static getClassVehicleType(vehicleClass) {
+        switch (vehicleClass) {
+            case CONFIG.VEHICLE_CLASSES.BUS:
+                return 'bus';
+            case CONFIG.VEHICLE_CLASSES.EMERGENCY:
+                return CONFIG.EMERGENCY_VEHICLE.TYPE;
+            default:
+                return 'car';
         }
-        
-        // Fallback (should not happen)
-        return CONFIG.TURN_TYPES.STRAIGHT;
     }
 
-    calculateToDirection() {
-        const directions = [CONFIG.DIRECTIONS.NORTH, CONFIG.DIRECTIONS.EAST, CONFIG.DIRECTIONS.SOUTH, CONFIG.DIRECTIONS.WEST];
-        const currentIndex = directions.indexOf(this.fromDirection);
-        
-        switch (this.turnType) {
-            case CONFIG.TURN_TYPES.STRAIGHT:
-                return directions[(currentIndex + 2) % 4]; // Opposite direction
-            case CONFIG.TURN_TYPES.RIGHT:
-                return directions[(currentIndex + 3) % 4]; // Turn right (clockwise)
-            case CONFIG.TURN_TYPES.LEFT:
-                return directions[(currentIndex + 1) % 4]; // Turn left (counter-clockwise)
-            default:
-                return directions[(currentIndex + 2) % 4]; // Default to straight
+    isEmergency() {
+        return this.vehicleClass === CONFIG.VEHICLE_CLASSES.EMERGENCY;
+    }
+
+    // A route from the demand fixes the turn and the lane is chosen for
+    // it; otherwise the lane decides the turn
+    setRoute(route) {
+        if (route) {
+            this.turnType = getTurnType(this.fromDirection, route[2]);
+        } else {
+            this.turnType = this.isBus() ? CONFIG.TURN_TYPES.STRAIGHT : this.calculateTurnType();
         }
+        this.route = route || [this.fromDirection, 'intersection', this.calculateToDirection()];
+        this.toDirection = this.route[2];
+    }
+
+    /**
+     * Carries the vehicle on from the end of a linked leg on to the next
+     * intersection's approach (see network.js). It keeps its speed, driver
+     * and journey; everything about the intersection it has left starts
+     * afresh. Where the lanes do not line up it eases across as for a lane
+     * change, without counting one.
+     * @param {Object} handOff - { intersection, conflictZones, direction, lane, route }
+     *   with the route null to let the lane decide the turn
+     */
+    continueTo({ intersection, conflictZones, direction, lane, route }) {
+        this.journey.intersections++;
+        this.journey.waitTime += this.totalWaitTime;
+        this.journey.laneChanges += this.laneChanges;
+        this.journey.freeFlowTime += this.freeFlowTime;
+
+        this.intersection = intersection;
+        this.conflictZones = conflictZones;
+        this.fromDirection = direction;
+        this.lane = lane;
+        this.setRoute(route);
+        this.angle = this.getInitialAngle();
+        this.calculateTargetPosition();
+
+        this.state = 'approaching';
+        this.enteredAt = this.clock.now();
+        this.waitStartTime = null;
+        this.previousWaitTime = 0;
+        this.totalWaitTime = 0;
+        this.freeFlowTime = 0;
+        this.isInIntersection = false;
+        this.pathProgress = 0;
+        this.crossingDistance = 0;
+        this.leftTurnCommitted = false;
+        this.roundaboutCommitted = false;
+        this.boxExitDistance = null;
+        this.stopLineArrival = null;
+        this.laneChanges = 0;
+        this.laneChangeYaw = 0;
+        this.trajectorySpec = null;
+        this.trajectoryDistance = 0;
+
+        const from = this.getLateralPosition(this);
+        const to = this.getLateralPosition(intersection.getSpawnPointForLane(direction, lane));
+        this.laneChange = Math.abs(to - from) > 0.5 ? { from, to, elapsed: 0 } : null;
+        if (!this.laneChange) {
+            this.setLateralPosition(to);
+        }
+    }
+
+    isBus() {
+        return this.vehicleClass === CONFIG.VEHICLE_CLASSES.BUS;
+    }
+
+    // This driver's desired speed for the speed setting; emergency vehicles drive faster
+    getDesiredSpeed(baseSpeed) {
+        const classFactor = this.isEmergency() ? CONFIG.EMERGENCY_VEHICLE.SPEED_FACTOR : 1;
+        return baseSpeed * this.driver.desiredSpeedFactor * classFactor;
+    }
+
+    // Turn for a vehicle without a route: straight on where its lane allows
+    // that, otherwise the first turn the lane is for. Everything but a bus
+    // gets its route from the demand or CarManager.chooseRoute, so this is
+    // only the last resort.
+    calculateTurnType() {
+        const turns = this.intersection.getLeg(this.fromDirection).lanes[this.lane].turns;
+        return turns.includes(CONFIG.TURN_TYPES.STRAIGHT) ? CONFIG.TURN_TYPES.STRAIGHT : turns[0];
+    }
+
+    calculateToDirection() {
+        return getTurnDestination(this.fromDirection, this.turnType || CONFIG.TURN_TYPES.STRAIGHT);
     }
 
     getInitialAngle() {
@@ -120,7 +229,7 @@ export class Car {
                 this.updateWaiting(dt, lightStates);
                 break;
             case 'crossing':
-                this.updateCrossing(dt);
+                this.updateCrossing(dt, lightStates);
                 break;
             case 'exiting':
                 this.updateExiting(dt);
@@ -130,45 +239,39 @@ export class Car {
                 this.state = 'exiting'; // Safety fallback for unknown states
         }
 
+        if (this.speed > 0) {
+            this.freeFlowTime += deltaTime * this.speed / this.maxSpeed;
+        }
+
         // Movement for non-crossing states
         if (this.speed > 0 && this.state !== 'crossing') {
             this.x += Math.cos(this.angle) * this.speed * dt;
             this.y += Math.sin(this.angle) * this.speed * dt;
         }
+        if (this.laneChange) {
+            this.updateLaneChange(deltaTime);
+        }
 
         // Check if car is in intersection
         this.isInIntersection = this.intersection.isInIntersection(this.x, this.y);
     }
 
     updateApproaching(dt, lightStates) {
-        const stopLine = this.intersection.getStopLinePosition(this.fromDirection);
-        const distanceToStop = this.getDistanceToStopLine(stopLine);
-        
-        // Check for cars ahead to maintain spacing
-        const carAhead = this.checkForCarAhead();
-        const shouldStopForCar = carAhead && this.getDistanceToCarAhead(carAhead) < 25;
-        
-        // Stop at red light or for car ahead
-        if (distanceToStop <= 15 || shouldStopForCar) {
-            if (lightStates[this.fromDirection] === CONFIG.LIGHT_STATES.RED || shouldStopForCar) {
-                this.state = 'waiting';
-                this.speed = 0;
-                if (!shouldStopForCar && !this.waitStartTime) {
-                    this.waitStartTime = Date.now();
-                }
-                return;
-            }
-        }
-        
-        // Continue approaching - slow down if approaching red light
-        if (lightStates[this.fromDirection] === CONFIG.LIGHT_STATES.RED && distanceToStop < 40) {
-            this.speed = Math.max(0, this.speed - 30 * dt);
-        } else {
-            this.speed = Math.min(this.maxSpeed, this.speed + 30 * dt);
+        this.updateStopControl(lightStates);
+        const acceleration = this.getApproachAcceleration(lightStates);
+        this.speed = Math.max(0, this.speed + acceleration * dt);
+
+        // Came to rest behind the stop line or the end of a queue
+        if (this.speed < CONFIG.DRIVER_MODEL.STOPPED_SPEED && acceleration <= 0) {
+            this.speed = 0;
+            this.state = 'waiting';
+            this.waitStartTime = this.clock.now();
+            return;
         }
         
         // Check if we've reached the intersection
         if (this.isInIntersection) {
+            this.finishLaneChange();
             this.state = 'crossing';
         }
     }
@@ -176,75 +279,418 @@ export class Car {
     updateWaiting(dt, lightStates) {
         // Don't move while waiting
         this.speed = 0;
+        this.updateStopControl(lightStates);
         
-        if (this.waitStartTime) {
-            this.totalWaitTime = Date.now() - this.waitStartTime;
+        if (this.waitStartTime !== null) {
+            this.totalWaitTime = this.previousWaitTime + (this.clock.now() - this.waitStartTime);
         }
         
-        // Check for car ahead before proceeding
+        // Pull away once the car-following model clearly allows it; the
+        // threshold stops a queued car from twitching on tiny gap changes
+        const acceleration = this.getApproachAcceleration(lightStates);
+        if (acceleration > 0.2 * this.driver.maxAcceleration) {
+            this.stopWaiting();
+        }
+    }
+
+    stopWaiting() {
+        this.previousWaitTime = this.totalWaitTime;
+        this.waitStartTime = null;
+        this.state = 'approaching';
+    }
+
+    // IDM acceleration on the approach: the minimum of free-road driving,
+    // following the car ahead and stopping at the line when either the signal
+    // says stop or the conflict zones on our path are not free
+    getApproachAcceleration(lightStates) {
+        let acceleration = this.getFollowingAcceleration();
+        const stopLine = this.intersection.getStopLinePosition(this.fromDirection);
+        const distance = this.getSignedDistanceToStopLine(stopLine);
+
+        if (this.getSignal(lightStates) === CONFIG.LIGHT_STATES.FLASHING_YELLOW && distance > 0 &&
+            distance < CONFIG.STOP_CONTROL.CAUTION_DISTANCE) {
+            // Flashing yellow - approach with caution
+            const cautionSpeed = this.maxSpeed * CONFIG.STOP_CONTROL.CAUTION_SPEED_FACTOR;
+            acceleration = Math.min(acceleration, this.driver.freeRoadAcceleration(this.speed, cautionSpeed));
+        }
+
+        if (this.mustStopAtLine(lightStates, distance)) {
+            // A car that decides to stop gives back any cells it reserved
+            this.conflictZones.release(this);
+            acceleration = Math.min(acceleration, this.driver.acceleration(this.speed, this.maxSpeed, distance, 0));
+        } else if (!this.isPathClear(distance, lightStates)) {
+            // Hold at the stop line, or at the box edge if already past it
+            const gap = distance > 0 ? distance : this.getDistanceToBoxEdge();
+            acceleration = Math.min(acceleration, this.driver.acceleration(this.speed, this.maxSpeed, gap, 0));
+        }
+
+        // In a lane without our turn: wait short of the no-change zone for a way across
+        const laneChangeGap = distance - CONFIG.LANE_CHANGE.NO_CHANGE_DISTANCE;
+        const leg = this.intersection.getLeg(this.fromDirection);
+        if (laneChangeGap > 0 && !isLaneForTurn(leg, this.lane, this.turnType) && this.intersection.carManager.isLaneChangingEnabled()) {
+            acceleration = Math.min(acceleration, this.driver.acceleration(this.speed, this.maxSpeed, laneChangeGap, 0));
+        }
+
+        return acceleration;
+    }
+
+    // Reserves our conflict cells once we are close enough to need them. A
+    // roundabout has none - drivers merge and follow instead.
+    isPathClear(distanceToStopLine, lightStates) {
+        if (this.intersection.isRoundabout()) return true;
+        if (this.conflictZones.hasReservation(this)) return true;
+
+        // Too far out to need a reservation yet
+        const requestDistance = this.driver.comfortableStoppingDistance(this.speed) + CONFIG.CONFLICT_ZONES.REQUEST_MARGIN;
+        if (distanceToStopLine > requestDistance) return true;
+
+        return this.conflictZones.request(this, this.getReservationLimit(lightStates));
+    }
+
+    // On a permissive green or flashing yellow a left turn only reserves up to
+    // its waiting point; under a protected arrow, yellow, red or a stop it
+    // needs the whole path
+    getReservationLimit(lightStates) {
+        if (this.turnType !== CONFIG.TURN_TYPES.LEFT || this.leftTurnCommitted) return Infinity;
+        if (!this.isPermissive(lightStates)) return Infinity;
+        return this.getLeftTurnHoldDistance();
+    }
+
+    // Left turns that must yield to oncoming traffic
+    isPermissive(lightStates) {
+        const signal = this.getSignal(lightStates);
+        if (signal === CONFIG.LIGHT_STATES.FLASHING_YELLOW) return true;
+        return signal === CONFIG.LIGHT_STATES.GREEN && !this.isLeftProtected(lightStates);
+    }
+
+    // Records the moment the car makes its stop at a flashing red or dark
+    // signal; that sets its turn in first-come-first-served order
+    updateStopControl(lightStates) {
+        if (!isStopControlled(this.getSignal(lightStates))) {
+            this.stopLineArrival = null;
+            return;
+        }
+        if (this.stopLineArrival !== null || this.speed >= CONFIG.DRIVER_MODEL.STOPPED_SPEED) return;
+
+        const distance = this.getSignedDistanceToStopLine(this.intersection.getStopLinePosition(this.fromDirection));
+        if (distance > 0 && distance <= CONFIG.STOP_CONTROL.STOP_LINE_REACH) {
+            this.stopLineArrival = this.clock.now();
+        }
+    }
+
+    /**
+     * Indication shown to this car's movement
+     * @param {Object} lightStates - Per-direction movement states from TrafficLightController.getMovementStates
+     * @returns {string} A CONFIG.LIGHT_STATES value
+     */
+    getSignal(lightStates) {
+        return lightStates[this.fromDirection][TURN_MOVEMENTS[this.turnType]];
+    }
+
+    isLeftProtected(lightStates) {
+        return this.turnType === CONFIG.TURN_TYPES.LEFT && lightStates[this.fromDirection].leftProtected;
+    }
+
+    // Path distance where the left turn first meets the opposing through and right-turn paths
+    getLeftTurnHoldDistance() {
+        return this.conflictZones.getConflictDistance(this, this.intersection.getOpposingMovements(this.fromDirection));
+    }
+
+    getDistanceToBoxEdge() {
+        const entry = this.intersection.getPathEntryPoint(this.fromDirection, this.lane);
+        return this.getSignedDistanceToStopLine({ x1: entry.x, y1: entry.y });
+    }
+
+    getFollowingAcceleration() {
+        const leader = this.findLeader();
+        if (!leader) {
+            return this.driver.freeRoadAcceleration(this.speed, this.maxSpeed);
+        }
+        return this.getAccelerationBehind(leader.car, leader.gap);
+    }
+
+    // IDM acceleration behind another vehicle the given gap ahead
+    getAccelerationBehind(leader, gap) {
+        // Leader speed projected onto our heading (a turning leader pulls away slower)
+        const leaderSpeed = leader.speed * Math.cos(leader.angle - this.angle);
+        return this.driver.acceleration(this.speed, this.maxSpeed, gap, leaderSpeed);
+    }
+
+    // Leaving by a linked leg, the nearer of the leader at this intersection
+    // and the one on the way to the next
+    findLeader() {
+        const leader = this.findIntersectionLeader();
+        if (this.state !== 'exiting' || !this.intersection.getLink(this.toDirection)) return leader;
+
+        const linkLeader = this.findLinkLeader();
+        if (!leader || !linkLeader) return leader || linkLeader;
+        return linkLeader.gap < leader.gap ? linkLeader : leader;
+    }
+
+    // On the approach the leader is the car ahead in our lane; inside and
+    // beyond the box it is the nearest car ahead on the same movement
+    findIntersectionLeader() {
+        if (this.intersection.isRoundabout()) {
+            return this.findRoundaboutLeader();
+        }
+        if (this.state === 'crossing' || this.state === 'exiting') {
+            return this.findPathLeader();
+        }
         const carAhead = this.checkForCarAhead();
-        const carTooClose = carAhead && this.getDistanceToCarAhead(carAhead) < 20;
-        
-        // Check if light allows proceeding
-        const lightColor = lightStates[this.fromDirection];
-        const canProceed = lightColor === CONFIG.LIGHT_STATES.GREEN || 
-                          lightColor === CONFIG.LIGHT_STATES.YELLOW ||
-                          !lightColor;
-        
-        if (canProceed && !carTooClose) {
-            console.log("Car", this.id, "proceeding from waiting - lane:", this.lane, "light:", lightColor);
-            this.state = 'crossing';
-            this.waitStartTime = null;
-            this.speed = 10;
+        return carAhead ? { car: carAhead, gap: this.getDistanceToCarAhead(carAhead) } : null;
+    }
+
+    // Along a linked leg the leader is the nearest vehicle ahead of us in the
+    // lane, whatever movement it came by - or, beyond the link, the next
+    // intersection's vehicle in the approach lane ours leads into
+    findLinkLeader() {
+        const { intersection, approach } = this.intersection.getLink(this.toDirection);
+        const exit = this.intersection.getLeg(this.toDirection);
+        const candidates = [
+            ...this.intersection.getAllCars().filter(other => other.state === 'exiting' && other.toDirection === this.toDirection),
+            ...intersection.getAllCars().filter(other => other.fromDirection === approach &&
+                (other.state === 'approaching' || other.state === 'waiting'))
+        ];
+
+        let leader = null;
+        candidates.forEach(other => {
+            if (other === this) return;
+            const offset = { x: other.x - this.x, y: other.y - this.y };
+            const along = offset.x * exit.outward.x + offset.y * exit.outward.y;
+            const across = offset.x * exit.right.x + offset.y * exit.right.y;
+            if (along <= 0 || Math.abs(across) > (this.height + other.height) / 2) return;
+
+            const gap = along - (this.width + other.width) / 2;
+            if (!leader || gap < leader.gap) {
+                leader = { car: other, gap };
+            }
+        });
+        return leader;
+    }
+
+    findPathLeader() {
+        const pathKey = ConflictZoneManager.getPathKey(this);
+        const allCars = this.intersection.carManager ? this.intersection.carManager.getCars() : [];
+        let leader = null;
+
+        for (const otherCar of allCars) {
+            if (otherCar.id === this.id) continue;
+            if (otherCar.state !== 'crossing' && otherCar.state !== 'exiting') continue;
+            if (ConflictZoneManager.getPathKey(otherCar) !== pathKey) continue;
+
+            const ahead = otherCar.crossingDistance - this.crossingDistance;
+            if (ahead > 0 && (!leader || ahead < leader.ahead)) {
+                leader = { car: otherCar, ahead };
+            }
         }
-        
-        // Safety fallback - if car has been waiting too long, force it to proceed
-        if (this.totalWaitTime > 15000) {
-            console.warn("Car", this.id, "waited too long, forcing to proceed");
-            this.state = 'crossing';
-            this.waitStartTime = null;
-            this.speed = 10;
+
+        return leader ? { car: leader.car, gap: leader.ahead - (this.width + leader.car.width) / 2 } : null;
+    }
+
+    // At a roundabout the leader is whatever is ahead on our path round it,
+    // from any movement; on the approach, the nearer of that and the car
+    // ahead in our lane
+    findRoundaboutLeader() {
+        const allCars = this.intersection.carManager ? this.intersection.carManager.getCars() : [];
+        const onPath = findLeaderOnPath(this, allCars);
+        if (this.state === 'crossing' || this.state === 'exiting') return onPath;
+
+        const carAhead = this.checkForCarAhead();
+        const inLane = carAhead ? { car: carAhead, gap: this.getDistanceToCarAhead(carAhead) } : null;
+        if (!onPath || !inLane) return onPath || inLane;
+        return onPath.gap < inLane.gap ? onPath : inLane;
+    }
+
+    // Our path round the roundabout (see Intersection.getRoundaboutMovement)
+    getRoundaboutMovement() {
+        return this.intersection.getRoundaboutMovement(this.fromDirection, this.lane, this.turnType);
+    }
+
+    // On the roundabout or committed to entering it
+    isOnRoundabout() {
+        return this.roundaboutCommitted || this.state === 'crossing' || this.state === 'exiting';
+    }
+
+    mustStopAtLine(lightStates, distance) {
+        // Once the front is over the line the car is committed to crossing
+        if (distance <= 0) return false;
+
+        // Give way to pedestrians on the crosswalk in front of the line
+        if (this.mustYieldToPedestrians(this.fromDirection)) return true;
+
+        // Keep the box clear of a queue back from the next intersection
+        if (this.isExitBlocked(distance)) return true;
+
+        // At a roundabout, give way to the circulating traffic instead
+        if (this.intersection.isRoundabout()) return !this.mayEnterRoundabout(distance);
+
+        const lightColor = this.getSignal(lightStates);
+        if (lightColor === CONFIG.LIGHT_STATES.RED) return true;
+
+        // Flashing red or dark: stop at the line, then go in turn
+        if (isStopControlled(lightColor)) {
+            return this.stopLineArrival === null || !this.intersection.carManager.hasStopRightOfWay(this, lightStates);
+        }
+
+        // Yellow: stop if it can be done comfortably, otherwise clear the junction
+        if (lightColor === CONFIG.LIGHT_STATES.YELLOW) {
+            return distance >= this.driver.comfortableStoppingDistance(this.speed);
         }
+        return false;
     }
 
-    updateCrossing(dt) {
-        // Accelerate through intersection
-        this.speed = Math.min(this.maxSpeed * 1.2, this.speed + 40 * dt);
-        
-        // Use trajectory-based movement for turns, simple movement for straight
-        if (this.turnType === CONFIG.TURN_TYPES.LEFT || this.turnType === CONFIG.TURN_TYPES.RIGHT) {
-            // Initialize trajectory if needed
-            if (!this.trajectorySpec) {
-                console.log("Initializing trajectory for car", this.id, "turn type:", this.turnType);
-                this.initializeTrajectory();
+    // Where our exit leads on to another intersection, waits at the line
+    // until there is room for us beyond the box - unless it is too late to
+    // stop comfortably
+    isExitBlocked(distance) {
+        if (this.roundaboutCommitted || !this.intersection.getLink(this.toDirection)) return false;
+        if (distance < this.driver.comfortableStoppingDistance(this.speed)) return false;
+        return this.getRoomOnLink() < this.width + CONFIG.DRIVER_MODEL.MIN_GAP;
+    }
+
+    // Room in our exit lane from the box edge back to the nearest queued
+    // vehicle on the link, less what the vehicles already crossing into the
+    // lane will take up
+    getRoomOnLink() {
+        const { intersection, approach } = this.intersection.getLink(this.toDirection);
+        const exitLane = this.getExitLaneIndex();
+        const nextLane = this.intersection.getLinkedLane(this.toDirection, exitLane);
+        const inLane = other => other.toDirection === this.toDirection &&
+            this.intersection.getExitLaneAt(this.toDirection, other.x, other.y).index === exitLane;
+
+        const queued = [
+            ...this.intersection.getAllCars().filter(other => other.state === 'exiting' && inLane(other)),
+            ...intersection.getAllCars().filter(other => other.fromDirection === approach && other.lane === nextLane &&
+                (other.state === 'approaching' || other.state === 'waiting'))
+        ].filter(other => other.speed < CONFIG.NETWORK.QUEUED_SPEED);
+        const room = Math.min(Infinity, ...queued.map(other =>
+            this.intersection.getDistanceAlongLeg(this.toDirection, other.x, other.y) - other.width / 2));
+
+        const crossing = this.intersection.getAllCars().filter(other => other !== this && other.state === 'crossing' &&
+            other.toDirection === this.toDirection && other.getExitLaneIndex() === exitLane);
+        return crossing.reduce((left, other) => left - other.width - CONFIG.DRIVER_MODEL.MIN_GAP, room);
+    }
+
+    // Exit lane our movement ends in, counted from the curb
+    getExitLaneIndex() {
+        if (this.intersection.isRoundabout()) return this.getRoundaboutMovement().ringLane;
+        return this.intersection.getExitLane(this.fromDirection, this.lane, this.turnType).index;
+    }
+
+    // Judges the circulating traffic from YIELD_DISTANCE before the line and
+    // commits to entering once it has taken a gap and could no longer stop
+    // comfortably
+    mayEnterRoundabout(distance) {
+        if (this.roundaboutCommitted || distance > CONFIG.ROUNDABOUT.YIELD_DISTANCE) return true;
+
+        const carManager = this.intersection.carManager;
+        if (!carManager.canEnterRoundabout(this)) return false;
+        if (distance <= this.driver.comfortableStoppingDistance(this.speed) + CONFIG.STOP_CONTROL.STOP_LINE_REACH) {
+            this.roundaboutCommitted = true;
+            carManager.recordRoundaboutEntry(this);
+        }
+        return true;
+    }
+
+    updateCrossing(dt, lightStates) {
+        // Accelerate through intersection while keeping distance to the car ahead
+        let acceleration = this.getFollowingAcceleration();
+        if (this.isWaitingForGap(lightStates)) {
+            // Pull up to the waiting point and hold there
+            const gap = this.getLeftTurnHoldDistance() - this.crossingDistance - this.width / 2;
+            acceleration = Math.min(acceleration, this.driver.acceleration(this.speed, this.maxSpeed, gap, 0));
+        }
+        if (this.mustYieldToPedestrians(this.getExitDirection())) {
+            // Hold at the box edge, short of the crosswalk we leave by
+            const gap = this.getBoxExitDistance() - this.crossingDistance - this.width / 2;
+            if (gap >= 0) {
+                acceleration = Math.min(acceleration, this.driver.acceleration(this.speed, this.maxSpeed, gap, 0));
             }
+        }
+        this.speed = Math.max(0, this.speed + acceleration * dt);
+        this.crossingDistance += this.speed * dt;
+        this.conflictZones.releasePassed(this, this.crossingDistance);
+        this.updateBoxWait();
+        
+        // Every movement follows its trajectory through the box
+        if (!this.trajectorySpec) {
+            console.log("Initializing trajectory for car", this.id, "turn type:", this.turnType);
+            this.initializeTrajectory();
+        }
             
-            // Try trajectory-based movement first
-            if (this.trajectorySpec) {
-                try {
-                    this.followTurnTrajectory(dt);
-                } catch (error) {
-                    console.warn("Trajectory failed for car", this.id, "using fallback:", error);
-                    this.doSimpleTurn(dt);
-                }
-            } else {
+        // Try trajectory-based movement first
+        if (this.trajectorySpec) {
+            try {
+                this.followTurnTrajectory(dt);
+            } catch (error) {
+                console.warn("Trajectory failed for car", this.id, "using fallback:", error);
                 this.doSimpleTurn(dt);
             }
         } else {
-            // Straight movement - no trajectory needed
-            this.x += Math.cos(this.angle) * this.speed * dt;
-            this.y += Math.sin(this.angle) * this.speed * dt;
+            this.doSimpleTurn(dt);
         }
         
         // Simple exit check - if car is outside intersection bounds, it has exited
         if (!this.isInIntersection && this.pathProgress > 0.5) {
             console.log("Car", this.id, "exiting intersection - position:", this.x.toFixed(1), this.y.toFixed(1), "turnType:", this.turnType);
             this.state = 'exiting';
+            this.conflictZones.release(this);
         }
         
         this.pathProgress += dt;
     }
 
+    // A permissive left turn in the box goes once the opposing flow leaves an
+    // acceptable gap, when a lagging arrow protects it, or straight away on
+    // yellow/red to clear the junction
+    isWaitingForGap(lightStates) {
+        if (this.turnType !== CONFIG.TURN_TYPES.LEFT || this.leftTurnCommitted) return false;
+        if (this.intersection.isRoundabout()) return false;
+
+        const carManager = this.intersection.carManager;
+        const signal = this.getSignal(lightStates);
+        const clearing = signal !== CONFIG.LIGHT_STATES.GREEN && signal !== CONFIG.LIGHT_STATES.FLASHING_YELLOW;
+        const mayGo = !this.conflictZones.isPartial(this) || clearing || this.isLeftProtected(lightStates) ||
+            carManager.canAcceptLeftTurnGap(this, lightStates);
+        if (mayGo && this.conflictZones.request(this)) {
+            this.leftTurnCommitted = true;
+            carManager.recordLeftTurnStart(this);
+            return false;
+        }
+        return true;
+    }
+
+    // Whether pedestrians are on, or free to step onto, a leg's crosswalk
+    mustYieldToPedestrians(leg) {
+        return this.intersection.carManager.isCrosswalkInUse(leg);
+    }
+
+    // Leg our movement leaves the intersection by
+    getExitDirection() {
+        return getTurnDestination(this.fromDirection, this.turnType);
+    }
+
+    getBoxExitDistance() {
+        if (this.boxExitDistance === null) {
+            const path = this.intersection.getMovementPath(this.fromDirection, this.lane, this.turnType);
+            this.boxExitDistance = path.length > 0 ? path[path.length - 1].u : 0;
+        }
+        return this.boxExitDistance;
+    }
+
+    // Time spent stopped inside the box counts towards the car's wait
+    updateBoxWait() {
+        if (this.speed < CONFIG.DRIVER_MODEL.STOPPED_SPEED) {
+            if (this.waitStartTime === null) {
+                this.waitStartTime = this.clock.now();
+            }
+            this.totalWaitTime = this.previousWaitTime + (this.clock.now() - this.waitStartTime);
+        } else if (this.waitStartTime !== null) {
+            this.previousWaitTime = this.totalWaitTime;
+            this.waitStartTime = null;
+        }
+    }
+
     followTurnTrajectory(dt) {
         if (!this.trajectorySpec) {
             console.warn("No trajectory spec for car", this.id, "- initializing");
@@ -299,7 +745,8 @@ export class Car {
             this.trajectorySpec = this.intersection.calculateTrajectory(
                 this.fromDirection, 
                 this.toDirection, 
-                this.turnType
+                this.turnType,
+                this.lane
             );
             
             if (!this.trajectorySpec) {
@@ -337,7 +784,7 @@ export class Car {
 
     createFallbackTrajectory() {
         // Create a simple straight-line trajectory as fallback
-        const entry = this.intersection.getPathEntryPoint(this.fromDirection);
+        const entry = this.intersection.getPathEntryPoint(this.fromDirection, this.lane);
         const exit = this.intersection.exitPoints[this.toDirection];
         const distance = Math.sqrt((exit.x - entry.x)**2 + (exit.y - entry.y)**2);
         const heading = Math.atan2(exit.y - entry.y, exit.x - entry.x);
@@ -347,37 +794,128 @@ export class Car {
     }
 
     updateExiting(dt) {
-        // Continue moving at normal speed in the direction we're facing
-        this.speed = this.maxSpeed;
-
-        // Check if we've reached the edge of the canvas
-        let hasExited = false;
+        // Continue in the direction we're facing, back up to desired speed
+        const acceleration = this.getFollowingAcceleration();
+        this.speed = Math.max(0, this.speed + acceleration * dt);
+        this.crossingDistance += this.speed * dt;
 
-        hasExited = this.x < -100 || this.x > CONFIG.CANVAS_WIDTH + 100 || 
-                   this.y < -100 || this.y > CONFIG.CANVAS_HEIGHT + 100;
+        // Time held in a queue back from the next intersection counts too
+        this.updateBoxWait();
 
-        if (hasExited) {
-            console.log("Car", this.id, "exiting canvas at position:", this.x.toFixed(1), this.y.toFixed(1));
+        // Check if we've reached the end of the leg
+        if (this.intersection.hasLeftArea(this.x, this.y)) {
+            console.log("Car", this.id, "leaving at position:", this.x.toFixed(1), this.y.toFixed(1));
             this.state = 'completed';
         }
     }
 
     getDistanceToStopLine(stopLine) {
-        // Calculate distance from car front to stop line, considering direction
+        return Math.max(0, this.getSignedDistanceToStopLine(stopLine));
+    }
+
+    // Distance from car front to stop line - negative once the front is past it
+    getSignedDistanceToStopLine(stopLine) {
+        const halfLength = this.width / 2;
         switch (this.fromDirection) {
             case CONFIG.DIRECTIONS.NORTH:
-                return Math.max(0, stopLine.y1 - this.y - this.height/2);
+                return stopLine.y1 - this.y - halfLength;
             case CONFIG.DIRECTIONS.EAST:
-                return Math.max(0, this.x - this.width/2 - stopLine.x1);
+                return this.x - halfLength - stopLine.x1;
             case CONFIG.DIRECTIONS.SOUTH:
-                return Math.max(0, this.y - this.height/2 - stopLine.y1);
+                return this.y - halfLength - stopLine.y1;
             case CONFIG.DIRECTIONS.WEST:
-                return Math.max(0, stopLine.x1 - this.x - this.width/2);
+                return stopLine.x1 - this.x - halfLength;
             default:
                 return 0;
         }
     }
 
+    // Lane changes happen on the approach, short of the no-change zone, one
+    // at a time, and never once the car holds box cells for its lane's path.
+    // Buses and emergency vehicles keep to the lane they came in by.
+    mayChangeLane() {
+        if (this.vehicleClass !== CONFIG.VEHICLE_CLASSES.CAR) return false;
+        if (this.state !== 'approaching' && this.state !== 'waiting') return false;
+        if (this.laneChange || this.conflictZones.hasReservation(this)) return false;
+        if (this.lastLaneChangeTime !== null && this.clock.now() - this.lastLaneChangeTime < CONFIG.LANE_CHANGE.COOLDOWN) return false;
+        // Drivers still on the link behind, or only now arriving, are out of
+        // sight until they are handed on or spawned
+        if (this.getDistanceToLegEnd() < CONFIG.NETWORK.LANE_CHANGE_CLEARANCE) return false;
+
+        const stopLine = this.intersection.getStopLinePosition(this.fromDirection);
+        return this.getSignedDistanceToStopLine(stopLine) > CONFIG.LANE_CHANGE.NO_CHANGE_DISTANCE;
+    }
+
+    // Distance from our centre back to the end of our approach leg
+    getDistanceToLegEnd() {
+        const leg = this.intersection.getLeg(this.fromDirection);
+        return leg.length - this.intersection.getDistanceAlongLeg(this.fromDirection, this.x, this.y);
+    }
+
+    // Whether a lane runs alongside the whole car - a turn bay only does
+    // within its length of the stop line
+    isLaneAlongside(lane) {
+        const distance = this.getSignedDistanceToStopLine(this.intersection.getStopLinePosition(this.fromDirection));
+        return this.intersection.hasLaneAt(this.fromDirection, lane, distance + this.width);
+    }
+
+    // The car counts as in the new lane at once; it moves across over LANE_CHANGE.DURATION
+    startLaneChange(lane) {
+        this.laneChange = {
+            from: this.getLateralPosition(this),
+            to: this.getLateralPosition(this.intersection.getSpawnPointForLane(this.fromDirection, lane)),
+            elapsed: 0
+        };
+        console.log("Car", this.id, "changing from lane", this.lane, "to lane", lane, "on", this.fromDirection);
+        this.lane = lane;
+        this.lastLaneChangeTime = this.clock.now();
+        this.laneChanges++;
+    }
+
+    updateLaneChange(deltaTime) {
+        const { from, to } = this.laneChange;
+        const duration = CONFIG.LANE_CHANGE.DURATION;
+        this.laneChange.elapsed = Math.min(duration, this.laneChange.elapsed + deltaTime);
+        const share = this.laneChange.elapsed / duration;
+        this.setLateralPosition(from + (to - from) * (1 - Math.cos(Math.PI * share)) / 2);
+
+        // Nose towards the new lane
+        const lateralSpeed = (to - from) * Math.PI * Math.sin(Math.PI * share) / (2 * duration / 1000);
+        const [axisX, axisY] = this.getLateralAxis();
+        const sideways = lateralSpeed * (-axisX * Math.sin(this.angle) + axisY * Math.cos(this.angle));
+        this.laneChangeYaw = Math.atan2(sideways, this.maxSpeed);
+
+        if (this.laneChange.elapsed >= duration) {
+            this.finishLaneChange();
+        }
+    }
+
+    // Completes a lane change straight away, e.g. on entering the box
+    finishLaneChange() {
+        if (!this.laneChange) return;
+        this.setLateralPosition(this.laneChange.to);
+        this.laneChange = null;
+        this.laneChangeYaw = 0;
+    }
+
+    // Canvas axis across our approach: x for north/south, y for east/west
+    getLateralAxis() {
+        const vertical = this.fromDirection === CONFIG.DIRECTIONS.NORTH || this.fromDirection === CONFIG.DIRECTIONS.SOUTH;
+        return vertical ? [1, 0] : [0, 1];
+    }
+
+    getLateralPosition(point) {
+        return this.getLateralAxis()[0] ? point.x : point.y;
+    }
+
+    setLateralPosition(value) {
+        if (this.getLateralAxis()[0]) {
+            this.x = value;
+        } else {
+            this.y = value;
+        }
+    }
+
     render(ctx) {
         // Validate position before rendering
         if (isNaN(this.x) || isNaN(this.y)) {
@@ -388,15 +926,83 @@ export class Car {
         ctx.save();
         // Move to car position and rotate
         ctx.translate(this.x, this.y);
-        ctx.rotate(this.angle);
-        // Draw car body
+        ctx.rotate(this.angle + this.laneChangeYaw);
+        // Draw vehicle body
         ctx.fillStyle = this.color;
         ctx.fillRect(-this.width / 2, -this.height / 2, this.width, this.height);
-        // Draw car details
+        // Draw details for the type's style
+        switch (CONFIG.VEHICLE_TYPES[this.vehicleType].STYLE) {
+            case 'truck':
+                this.renderTruckCab(ctx);
+                break;
+            case 'motorcycle':
+                this.renderRider(ctx);
+                break;
+            case 'bus':
+                this.renderWindows(ctx);
+                this.renderBusWindows(ctx);
+                break;
+            default:
+                this.renderWindows(ctx);
+                break;
+        }
+        if (this.isEmergency()) {
+            this.renderSiren(ctx);
+        }
+        ctx.restore();
+    }
+
+    renderWindows(ctx) {
         ctx.fillStyle = '#333333';
         ctx.fillRect(-this.width / 2 + 2, -this.height / 2 + 2, this.width - 4, 3); // Windshield
         ctx.fillRect(-this.width / 2 + 2, this.height / 2 - 5, this.width - 4, 3); // Rear window
-        ctx.restore();
+    }
+
+    // A cab at the front (+x), split from the cargo box behind it
+    renderTruckCab(ctx) {
+        const cabLength = 8;
+        const front = this.width / 2;
+        ctx.fillStyle = '#37474F';
+        ctx.fillRect(front - cabLength, -this.height / 2, cabLength, this.height);
+        ctx.fillStyle = '#90A4AE';
+        ctx.fillRect(front - 3, -this.height / 2 + 1, 2, this.height - 2); // Windshield
+        ctx.fillStyle = '#222222';
+        ctx.fillRect(front - cabLength - 1, -this.height / 2, 1, this.height);
+    }
+
+    // The rider's helmet over the middle of the bike
+    renderRider(ctx) {
+        ctx.fillStyle = '#222222';
+        ctx.beginPath();
+        ctx.arc(-1, 0, this.height / 2, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    // A row of passenger windows down each side
+    renderBusWindows(ctx) {
+        ctx.fillStyle = '#333333';
+        for (let x = -this.width / 2 + 6; x < this.width / 2 - 4; x += 5) {
+            ctx.fillRect(x, -this.height / 2 + 1, 3, 2);
+            ctx.fillRect(x, this.height / 2 - 3, 3, 2);
+        }
+    }
+
+    // Red stripe and a light bar that alternates red and blue
+    renderSiren(ctx) {
+        ctx.fillStyle = '#CC0000';
+        ctx.fillRect(-this.width / 2, -1, this.width, 2);
+
+        const redOn = this.clock.now() % CONFIG.EMERGENCY_VEHICLE.SIREN_PERIOD < CONFIG.EMERGENCY_VEHICLE.SIREN_PERIOD / 2;
+        ctx.fillStyle = redOn ? '#FF0000' : '#0000FF';
+        ctx.fillRect(-2, -this.height / 2, 4, this.height / 2);
+        ctx.fillStyle = redOn ? '#0000FF' : '#FF0000';
+        ctx.fillRect(-2, 0, 4, this.height / 2);
+
+        // Glow so the vehicle stands out in traffic
+        ctx.fillStyle = redOn ? 'rgba(255, 0, 0, 0.25)' : 'rgba(0, 0, 255, 0.25)';
+        ctx.beginPath();
+        ctx.arc(0, 0, this.width * 0.75, 0, Math.PI * 2);
+        ctx.fill();
     }
 
     // Getters for external systems
@@ -408,16 +1014,51 @@ export class Car {
         return this.state === 'completed';
     }
 
+    // Time stopped at this intersection
     getWaitTime() {
         return this.totalWaitTime;
     }
 
+    /**
+     * What the vehicle has gone through at this intersection
+     * @returns {Object} { waitTime, laneChanges, travelTime, freeFlowTime } with the
+     *   times in ms, freeFlowTime what the travel would have taken at the desired speed
+     */
+    getIntersectionTotals() {
+        return {
+            waitTime: this.totalWaitTime,
+            laneChanges: this.laneChanges,
+            travelTime: this.clock.now() - this.enteredAt,
+            freeFlowTime: this.freeFlowTime
+        };
+    }
+
+    /**
+     * What the vehicle has gone through since it entered the road network
+     * @returns {Object} { waitTime, laneChanges, travelTime, freeFlowTime } as getIntersectionTotals
+     */
+    getJourneyTotals() {
+        return {
+            waitTime: this.journey.waitTime + this.totalWaitTime,
+            laneChanges: this.journey.laneChanges + this.laneChanges,
+            travelTime: this.clock.now() - this.journey.startTime,
+            freeFlowTime: this.journey.freeFlowTime + this.freeFlowTime
+        };
+    }
+
     getDirection() {
         return this.fromDirection;
     }
 
-    checkForCarAhead() {
+    /**
+     * Nearest vehicle ahead of us on our approach in a lane
+     * @param {number} lane - Our lane, or a neighbouring one when weighing a lane change
+     * @returns {Car|null}
+     */
+    checkForCarAhead(lane = this.lane) {
         const allCars = this.intersection.carManager ? this.intersection.carManager.getCars() : [];
+        // Lateral offsets are taken from the lane's centre line
+        const laneOffset = this.getOffsetAlongApproach(this.intersection.getSpawnPointForLane(this.fromDirection, lane)).across;
         
         let closestCar = null;
         let closestDistance = Infinity;
@@ -430,33 +1071,15 @@ export class Car {
             if (otherCar.fromDirection !== this.fromDirection) continue;
             
             // Only check cars in the EXACT SAME LANE
-            if (otherCar.lane !== this.lane) continue;
-            
-            // Check if the other car is ahead of this car
-            let isAhead = false;
-            let distance = 0;
+            if (otherCar.lane !== lane) continue;
             
-            switch (this.fromDirection) {
-                case CONFIG.DIRECTIONS.NORTH:
-                    isAhead = otherCar.y > this.y;
-                    distance = otherCar.y - this.y - this.height;
-                    break;
-                case CONFIG.DIRECTIONS.EAST:
-                    isAhead = otherCar.x < this.x;
-                    distance = this.x - otherCar.x - this.width;
-                    break;
-                case CONFIG.DIRECTIONS.SOUTH:
-                    isAhead = otherCar.y < this.y;
-                    distance = this.y - otherCar.y - this.height;
-                    break;
-                case CONFIG.DIRECTIONS.WEST:
-                    isAhead = otherCar.x > this.x;
-                    distance = otherCar.x - this.x - this.width;
-                    break;
-            }
+            // Check if the other car is ahead of this car and still in the
+            // lane (a car that has turned away no longer blocks us)
+            const { along, across } = this.getOffsetAlongApproach(otherCar);
+            if (along <= 0 || Math.abs(across - laneOffset) > (this.height + otherCar.height) / 2) continue;
             
-            if (isAhead && distance > 0 && distance < closestDistance) {
-                closestDistance = distance;
+            if (along < closestDistance) {
+                closestDistance = along;
                 closestCar = otherCar;
             }
         }
@@ -464,31 +1087,75 @@ export class Car {
         return closestCar;
     }
 
-    getDistanceToCarAhead(carAhead) {
-        if (!carAhead) return Infinity;
-        
+    // Nearest vehicle behind us on our approach in a lane
+    findLaneFollower(lane) {
+        const allCars = this.intersection.carManager ? this.intersection.carManager.getCars() : [];
+        let follower = null;
+        let closestDistance = Infinity;
+
+        for (const otherCar of allCars) {
+            if (otherCar.id === this.id || otherCar.fromDirection !== this.fromDirection || otherCar.lane !== lane) continue;
+            if (otherCar.state !== 'approaching' && otherCar.state !== 'waiting') continue;
+
+            const behind = -this.getOffsetAlongApproach(otherCar).along;
+            if (behind > 0 && behind < closestDistance) {
+                closestDistance = behind;
+                follower = otherCar;
+            }
+        }
+        return follower;
+    }
+
+    // Position of another car (or point) relative to this one along and across our approach axis
+    getOffsetAlongApproach(otherCar) {
         switch (this.fromDirection) {
             case CONFIG.DIRECTIONS.NORTH:
-                return carAhead.y - this.y - this.height;
+                return { along: otherCar.y - this.y, across: otherCar.x - this.x };
             case CONFIG.DIRECTIONS.EAST:
-                return this.x - carAhead.x - this.width;
+                return { along: this.x - otherCar.x, across: otherCar.y - this.y };
             case CONFIG.DIRECTIONS.SOUTH:
-                return this.y - carAhead.y - this.height;
+                return { along: this.y - otherCar.y, across: otherCar.x - this.x };
             case CONFIG.DIRECTIONS.WEST:
-                return carAhead.x - this.x - this.width;
+                return { along: otherCar.x - this.x, across: otherCar.y - this.y };
             default:
-                return Infinity;
+                return { along: -Infinity, across: Infinity };
         }
     }
+
+    // Bumper-to-bumper gap to the car ahead (negative if overlapping)
+    getDistanceToCarAhead(carAhead) {
+        if (!carAhead) return Infinity;
+        
+        const { along } = this.getOffsetAlongApproach(carAhead);
+        return along - (this.width + carAhead.width) / 2;
+    }
 }
 
 export class CarManager {
-    constructor(intersection) {
+    constructor(intersection, clock, random) {
         this.intersection = intersection;
+        this.clock = clock;
         this.cars = [];
-        this.nextCarId = 1;
-        this.spawnTimer = 0;
+        this.ids = { next: 1 };      // shared by the CarManagers of a road network, so ids stay unique in it
+
+        // Arrivals come from the OD demand, which draws from its own streams;
+        // each arrival also gets a per-vehicle stream so the vehicles never
+        // shift the arrivals. Arrivals wait off-canvas until their lane has room.
+        this.random = random;
+        this.demand = new DemandGenerator(random);
+        this.pendingArrivals = [];   // arrivals waiting for room to enter, oldest first
+        this.arrivals = 0;
+        this.emergencyAttempts = 0;
+        this.emergencyTimer = 0;
+        this.pendingEmergencies = 0; // emergency vehicles waiting for room to spawn
+        this.busTimers = {};         // direction -> time since the last scheduled bus
+        this.pendingBuses = {};      // direction -> buses due but waiting for room
+        this.busesSpawned = 0;
         this.settings = { ...CONFIG.DEFAULT_SETTINGS };
+        this.conflictZones = new ConflictZoneManager(intersection);
+        this.lastLeftTurnStart = {}; // direction -> time the last permissive left turn went
+        this.lastRoundaboutEntry = {}; // 'direction-lane' -> time the last driver committed to entering the roundabout
+        this.pedestrianManager = null; // PedestrianManager whose crosswalks vehicles give way to
         
         // Callbacks
         this.onCarCompleted = null;
@@ -499,25 +1166,26 @@ export class CarManager {
 
     initialize(settings) {
         this.settings = { ...settings };
-        this.cars = [];
-        this.nextCarId = 1;
-        this.spawnTimer = 0;
+        this.reset();
     }
 
     update(deltaTime, lightStates) {
-        // Update spawn timer
-        this.spawnTimer += deltaTime;
-        
-        // Spawn new cars
-        const spawnInterval = (10000 / this.settings.CAR_SPAWN_RATE);
-        if (this.spawnTimer >= spawnInterval) {
-            this.spawnCar();
-            this.spawnTimer = 0;
+        // Spawn new cars; linked legs bring theirs from the next intersection
+        const legs = this.intersection.getLegDirections();
+        this.demand.update(deltaTime, this.clock.now(), this.settings, legs, this.intersection.getEntryLegs()).forEach(({ origin, destination }) => {
+            this.pendingArrivals.push(this.createArrival(origin, destination));
+        });
+        this.spawnPendingArrivals();
+        this.updateEmergencySpawns(deltaTime);
+        this.updateBusSpawns(deltaTime);
+
+        if (this.isLaneChangingEnabled()) {
+            this.updateLaneChanges();
         }
 
         // Update existing cars
         this.cars.forEach(car => {
-            car.maxSpeed = this.settings.CAR_SPEED;
+            car.maxSpeed = car.getDesiredSpeed(this.settings.CAR_SPEED);
             
             if (!car || typeof car.update !== 'function') {
                 console.error("Invalid car object found, skipping update");
@@ -531,11 +1199,8 @@ export class CarManager {
         const completedCars = this.cars.filter(car => car && car.isCompleted());
         
         const validCompletedCars = completedCars.filter(car => {
-            const hasExitedCanvas = car.x < -100 || car.x > CONFIG.CANVAS_WIDTH + 100 || 
-                                   car.y < -100 || car.y > CONFIG.CANVAS_HEIGHT + 100;
-            
-            if (!hasExitedCanvas) {
-                console.warn("Car", car.id, "marked as completed but hasn't exited canvas - keeping alive");
+            if (!this.intersection.hasLeftArea(car.x, car.y)) {
+                console.warn("Car", car.id, "marked as completed but hasn't left the area - keeping alive");
                 car.state = 'exiting';
                 return false;
             }
@@ -544,6 +1209,7 @@ export class CarManager {
         
         validCompletedCars.forEach(car => {
             console.log("Removing completed car", car.id);
+            this.conflictZones.release(car);
             if (this.onCarCompleted) {
                 this.onCarCompleted(car);
             }
@@ -552,51 +1218,468 @@ export class CarManager {
         this.cars = this.cars.filter(car => car && !validCompletedCars.includes(car));
     }
 
-    spawnCar() {
-        const directions = [CONFIG.DIRECTIONS.NORTH, CONFIG.DIRECTIONS.EAST, CONFIG.DIRECTIONS.SOUTH, CONFIG.DIRECTIONS.WEST];
-        const direction = directions[Math.floor(Math.random() * directions.length)];
+    // A vehicle of general traffic, as it arrives. It may enter in any lane
+    // its approach allows for its turn (see getEntryLanes).
+    createArrival(origin, destination) {
+        const random = this.random.fork(`vehicle-${this.arrivals++}`);
+        return {
+            origin,
+            destination,
+            arrivalTime: this.clock.now(),
+            lanes: getEntryLanes(this.intersection.getLeg(origin), getTurnType(origin, destination)),
+            random,
+            // The type comes from a sub-stream so the mix never shifts the driver's parameters
+            vehicleType: this.pickVehicleType(origin, random.fork('type'))
+        };
+    }
         
-        // Lane selection: 0 = rightmost (right turns only), 1 = second rightmost (left/straight)
-        const lane = Math.floor(Math.random() * 2);
+    // Oldest first; once an arrival finds its lanes full, the ones behind it
+    // that could only use those lanes wait too
+    spawnPendingArrivals() {
+        const fullLanes = new Set();
+        this.pendingArrivals = this.pendingArrivals.filter(arrival => {
+            const lanes = arrival.lanes.filter(lane => !fullLanes.has(`${arrival.origin}:${lane}`));
+            if (lanes.length === 0) return true;
+            const lane = this.chooseEntryLane(arrival, lanes);
+            if (lane !== null && this.spawnCar({ ...arrival, lane })) return false;
+            lanes.forEach(lane => fullLanes.add(`${arrival.origin}:${lane}`));
+            return true;
+        });
+    }
         
+    // The lane with the most room behind its last vehicle; lanes with the
+    // same room are picked between at random
+    chooseEntryLane({ origin, random, vehicleType }, lanes) {
+        const open = lanes.filter(lane => !this.isSpawnBlocked(origin, lane, vehicleType));
+        if (open.length === 0) return null;
+
+        const room = lane => {
+            const spawnPoint = this.intersection.getSpawnPointForLane(origin, lane);
+            return Math.min(Infinity, ...this.cars
+                .filter(car => car.fromDirection === origin && car.lane === lane)
+                .map(car => utils.getDistance(car.x, car.y, spawnPoint.x, spawnPoint.y)));
+        };
+        const most = Math.max(...open.map(room));
+        return utils.randomFromArray(open.filter(lane => room(lane) === most), random.fork('lane'));
+    }
+
+    spawnCar({ origin, destination, lane, random, vehicleType, arrivalTime }) {
+        if (this.isSpawnBlocked(origin, lane, vehicleType)) return null;
+
+        const car = new Car({
+            id: this.ids.next++,
+            direction: origin,
+            intersection: this.intersection,
+            clock: this.clock,
+            random,
+            conflictZones: this.conflictZones,
+            route: [origin, 'intersection', destination],
+            lane,
+            baseSpeed: this.settings.CAR_SPEED,
+            vehicleType,
+            arrivalTime
+        });
+        this.cars.push(car);
+        console.log("Spawned", vehicleType, car.id, "from", origin, "to", destination, "in lane", lane, "turn type:", car.turnType);
+        return car;
+    }
+
+    /**
+     * Route for a vehicle that does not come from the demand, in proportion
+     * to its approach's row of the OD matrix over the turns it may enter its
+     * lane for (see getEntryLanes). Where the matrix has nothing for the
+     * lane, the shares come from TURN_RATE as they would without an OD_MATRIX.
+     * @param {string} origin - Approach
+     * @param {number|null} lane - Approach lane, null for any turn
+     * @param {SeededRandom} random
+     * @returns {string[]|null} Route, or null when neither has a turn for the lane
+     */
+    chooseRoute(origin, lane, random) {
+        const leg = this.intersection.getLeg(origin);
+        for (const settings of [this.settings, { ...this.settings, OD_MATRIX: null }]) {
+            const row = getOdMatrix(settings, this.intersection.getLegDirections())[origin] || {};
+            const shares = Object.fromEntries(Object.entries(row).filter(([destination]) =>
+                lane === null || getEntryLanes(leg, getTurnType(origin, destination)).includes(lane)));
+            const destination = utils.randomWeightedKey(shares, random);
+            if (destination) return [origin, 'intersection', destination];
+        }
+        return null;
+    }
+
+    // Vehicle type for general traffic on an approach, drawn from VEHICLE_MIX
+    pickVehicleType(direction, random) {
+        const mix = this.settings.VEHICLE_MIX && this.settings.VEHICLE_MIX[direction];
+        const shares = {};
+        Object.keys(CONFIG.VEHICLE_TYPES).forEach(type => {
+            shares[type] = mix ? mix[type] || 0 : 0;
+        });
+        return utils.randomWeightedKey(shares, random) || 'car';
+    }
+
+    // Whether the newest vehicle in the lane is still too close to the spawn
+    // point for one of this type to enter behind it
+    isSpawnBlocked(direction, lane, vehicleType) {
         const spawnPoint = this.intersection.getSpawnPointForLane(direction, lane);
-        const minSpacing = 60;
+        const length = CONFIG.VEHICLE_TYPES[vehicleType].LENGTH;
         
-        // Check for blocking cars in SAME DIRECTION and SAME LANE only
-        const tooClose = this.cars.some(car => {
+        // Check for blocking cars in SAME DIRECTION and SAME LANE only,
+        // counting a car still moving across out of the lane
+        return this.cars.some(car => {
             if (car.fromDirection !== direction) return false;
-            if (car.lane !== lane) return false;
+            const leaving = car.laneChange && Math.abs(car.laneChange.from - car.getLateralPosition(spawnPoint)) < 0.5;
+            if (car.lane !== lane && !leaving) return false;
             
             const distance = utils.getDistance(car.x, car.y, spawnPoint.x, spawnPoint.y);
-            return distance < minSpacing;
+            return distance < (length + car.width) / 2 + CONFIG.SPAWN_GAP;
         });
+    }
 
-        if (!tooClose) {
-            const car = new Car({
-                id: this.nextCarId++,
-                direction: direction,
-                intersection: this.intersection,
-                lane: lane
-            });
-            this.cars.push(car);
-            console.log("Spawned car", car.id, "from", direction, "in lane", lane, "turn type:", car.turnType);
+    // Emergency vehicles arrive every 1/EMERGENCY_VEHICLE_RATE hours and on
+    // dispatch. They draw from their own random streams, so they never change
+    // the arrivals of ordinary traffic, and wait for room rather than being dropped.
+    updateEmergencySpawns(deltaTime) {
+        const rate = this.settings.EMERGENCY_VEHICLE_RATE;
+        if (rate > 0) {
+            this.emergencyTimer += deltaTime;
+            if (this.emergencyTimer >= 3600000 / rate) {
+                this.pendingEmergencies++;
+                this.emergencyTimer = 0;
+            }
         }
+        if (this.pendingEmergencies > 0 && this.spawnEmergencyVehicle()) {
+            this.pendingEmergencies--;
+        }
+    }
+
+    // Buses leave each approach's terminus every BUS_HEADWAYS[direction] ms,
+    // the first one a full headway after the start. Buses run straight
+    // through, so an approach with no straight movement has none; nor has a
+    // linked leg, which buses reach from the intersection before.
+    updateBusSpawns(deltaTime) {
+        this.intersection.getEntryLegs().forEach(direction => {
+            const headway = this.settings.BUS_HEADWAYS[direction];
+            if (headway > 0 && this.intersection.hasMovement(direction, CONFIG.TURN_TYPES.STRAIGHT)) {
+                this.busTimers[direction] = (this.busTimers[direction] || 0) + deltaTime;
+                if (this.busTimers[direction] >= headway) {
+                    this.busTimers[direction] -= headway;
+                    this.pendingBuses[direction] = (this.pendingBuses[direction] || 0) + 1;
+                }
+            }
+            if (this.pendingBuses[direction] > 0 && this.spawnBus(direction)) {
+                this.pendingBuses[direction]--;
+            }
+        });
+    }
+
+    spawnBus(direction) {
+        const lane = this.getBusLane(direction);
+        if (this.isSpawnBlocked(direction, lane, Car.getClassVehicleType(CONFIG.VEHICLE_CLASSES.BUS))) return null;
+
+        const car = new Car({
+            id: this.ids.next++,
+            direction,
+            intersection: this.intersection,
+            clock: this.clock,
+            random: this.random.fork(`bus-${this.busesSpawned++}`),
+            conflictZones: this.conflictZones,
+            lane,
+            baseSpeed: this.settings.CAR_SPEED,
+            vehicleClass: CONFIG.VEHICLE_CLASSES.BUS
+        });
+        this.cars.push(car);
+        console.log("Spawned bus", car.id, "from", direction);
+        return car;
+    }
+
+    // The full-length through lane nearest to BUS.LANE
+    getBusLane(direction) {
+        const leg = this.intersection.getLeg(direction);
+        const lanes = getEntryLanes(leg, CONFIG.TURN_TYPES.STRAIGHT);
+        return lanes.reduce((best, lane) =>
+            Math.abs(lane - CONFIG.BUS.LANE) < Math.abs(best - CONFIG.BUS.LANE) ? lane : best);
+    }
+
+    // Sends an emergency vehicle from a random approach (one not linked to
+    // another intersection) as soon as there is room
+    dispatchEmergencyVehicle() {
+        this.pendingEmergencies++;
+    }
+
+    spawnEmergencyVehicle() {
+        const directions = this.intersection.getEntryLegs();
+        if (directions.length === 0) return null;
+        // A new stream per attempt, so a blocked spawn tries elsewhere next time
+        const vehicleRandom = this.random.fork(`emergency-${this.emergencyAttempts++}`);
+        const direction = utils.randomFromArray(directions, vehicleRandom);
+        const lanes = this.intersection.getLeg(direction).lanes.filter(lane => lane.bay === null);
+        const lane = utils.randomFromArray(lanes, vehicleRandom).index;
+        if (this.isSpawnBlocked(direction, lane, Car.getClassVehicleType(CONFIG.VEHICLE_CLASSES.EMERGENCY))) return null;
+
+        const car = new Car({
+            id: this.ids.next++,
+            direction,
+            intersection: this.intersection,
+            clock: this.clock,
+            random: vehicleRandom,
+            conflictZones: this.conflictZones,
+            route: this.chooseRoute(direction, lane, vehicleRandom.fork('route')),
+            lane,
+            baseSpeed: this.settings.CAR_SPEED,
+            vehicleClass: CONFIG.VEHICLE_CLASSES.EMERGENCY
+        });
+        this.cars.push(car);
+        console.log("Spawned emergency vehicle", car.id, "from", direction, "in lane", lane, "turn type:", car.turnType);
+        return car;
+    }
+
+    /**
+     * Takes over a vehicle arriving along a linked leg from the intersection
+     * before (see network.js)
+     * @param {Car} car
+     * @param {string} approach - Leg it arrives on
+     * @param {number} lane - Approach lane it arrives in
+     */
+    acceptVehicle(car, approach, lane) {
+        car.continueTo({
+            intersection: this.intersection,
+            conflictZones: this.conflictZones,
+            direction: approach,
+            lane,
+            route: this.chooseOnwardRoute(car, approach, lane)
+        });
+        this.cars.push(car);
+        console.log("Took over vehicle", car.id, "on", approach, "in lane", lane, "turn type:", car.turnType);
+    }
+
+    // Everything but a bus goes on as chooseRoute picks - with lane changing
+    // on, over every turn, as it can still move into the lane it needs.
+    // Buses carry straight on where they can. A null route lets the lane decide.
+    chooseOnwardRoute(car, approach, lane) {
+        if (car.isBus() && this.intersection.hasMovement(approach, CONFIG.TURN_TYPES.STRAIGHT)) return null;
+        return this.chooseRoute(approach, this.isLaneChangingEnabled() ? null : lane,
+            car.random.fork(`route-${car.journey.intersections}`));
+    }
+
+    isLaneChangingEnabled() {
+        return Boolean(this.settings.LANE_CHANGING);
+    }
+
+    // Drivers decide one after another, each seeing the changes made before it
+    updateLaneChanges() {
+        this.cars.forEach(car => {
+            if (!car.mayChangeLane()) return;
+            const lane = chooseLaneChange(car, this.settings.LANE_CHANGE_POLITENESS);
+            if (lane !== null) {
+                car.startLaneChange(lane);
+            }
+        });
+    }
+
+    /**
+     * Gap acceptance for a permissive left turn waiting in the box. The first
+     * car needs a lag of at least the critical gap; a car moving up behind one
+     * that has just gone may follow it after the follow-up time while the
+     * rest of that gap still covers critical gap - follow-up time.
+     * @param {Car} car - Left-turning vehicle
+     * @param {Object} lightStates - Current signal indications
+     * @returns {boolean} Whether the car may start its turn
+     */
+    canAcceptLeftTurnGap(car, lightStates) {
+        const criticalGap = this.settings.LEFT_TURN_CRITICAL_GAP;
+        const followUpTime = this.settings.LEFT_TURN_FOLLOW_UP_TIME;
+        const lastStart = this.lastLeftTurnStart[car.fromDirection];
+        const sinceLast = lastStart === undefined ? Infinity : this.clock.now() - lastStart;
+        if (sinceLast < followUpTime) return false;
+
+        const required = sinceLast < criticalGap ? criticalGap - followUpTime : criticalGap;
+        return this.getOpposingLag(car, lightStates) >= required;
+    }
+
+    /**
+     * Right of way at a flashing red or dark signal for a car that has made
+     * its stop. It goes once no car with a conflicting movement stopped
+     * earlier on another stop-controlled approach, and no car on a
+     * flashing-yellow (major road) approach would reach the junction within
+     * STOP_CONTROL.MAJOR_ROAD_CRITICAL_GAP.
+     * @param {Car} car - Vehicle stopped at its line
+     * @param {Object} lightStates - Current signal indications
+     * @returns {boolean} Whether the car may proceed
+     */
+    hasStopRightOfWay(car, lightStates) {
+        const movement = vehicle => ({ approach: vehicle.fromDirection, movement: TURN_MOVEMENTS[vehicle.turnType], protected: true });
+        const ours = movement(car);
+
+        return !this.cars.some(other => {
+            if (other.fromDirection === car.fromDirection) return false;
+            if (other.state !== 'approaching' && other.state !== 'waiting') return false;
+            if (!movementsConflict(ours, movement(other))) return false;
+
+            const signal = other.getSignal(lightStates);
+            if (signal === CONFIG.LIGHT_STATES.FLASHING_YELLOW) {
+                const distance = other.getDistanceToBoxEdge();
+                return distance > 0 && this.estimateArrivalTime(other, distance) < CONFIG.STOP_CONTROL.MAJOR_ROAD_CRITICAL_GAP;
+            }
+            // Ties go to the car that entered the road first
+            return isStopControlled(signal) && other.stopLineArrival !== null &&
+                (other.stopLineArrival < car.stopLineArrival ||
+                    (other.stopLineArrival === car.stopLineArrival && other.id < car.id));
+        });
+    }
+
+    /**
+     * Gap acceptance at a roundabout's yield line, by the same rule as a
+     * permissive left turn (see canAcceptLeftTurnGap) with the roundabout's
+     * critical gap and follow-up time, counted per entry lane. There also
+     * has to be room beyond the merge point (see isMergeClear), and the car
+     * must not catch up with a driver already committed to entering further
+     * round.
+     * @param {Car} car - Vehicle approaching the yield line
+     * @returns {boolean} Whether the car may enter
+     */
+    canEnterRoundabout(car) {
+        const criticalGap = this.settings.ROUNDABOUT_CRITICAL_GAP;
+        const followUpTime = this.settings.ROUNDABOUT_FOLLOW_UP_TIME;
+        const lastEntry = this.lastRoundaboutEntry[`${car.fromDirection}-${car.lane}`];
+        const sinceLast = lastEntry === undefined ? Infinity : this.clock.now() - lastEntry;
+        if (sinceLast < followUpTime) return false;
+        if (!isMergeClear(car, this.cars)) return false;
+
+        const required = sinceLast < criticalGap ? criticalGap - followUpTime : criticalGap;
+        return this.getCirculatingLag(car) >= required && this.getEntrantHeadway(car) >= followUpTime;
+    }
+
+    recordRoundaboutEntry(car) {
+        this.lastRoundaboutEntry[`${car.fromDirection}-${car.lane}`] = this.clock.now();
+    }
+
+    // Time (ms) until the next vehicle on the roundabout reaches the point where the car would merge
+    getCirculatingLag(car) {
+        const { entryAngle } = car.getRoundaboutMovement();
+        let lag = Infinity;
+
+        this.cars.forEach(other => {
+            if (other === car || !other.isOnRoundabout()) return;
+            // Drivers from our approach entering alongside us are no threat
+            if (other.fromDirection === car.fromDirection && !hasMerged(other)) return;
+
+            const distance = getDistanceToRingAngle(other, entryAngle);
+            if (distance !== null) {
+                lag = Math.min(lag, this.estimateEarliestArrivalTime(other, distance));
+            }
+        });
+
+        return lag;
+    }
+
+    // Time (ms) after the next driver committed to entering further round
+    // that the car would reach that driver's merge point
+    getEntrantHeadway(car) {
+        let headway = Infinity;
+
+        this.cars.forEach(other => {
+            if (other === car || other.fromDirection === car.fromDirection) return;
+            if (!other.roundaboutCommitted || hasMerged(other)) return;
+
+            const theirs = other.getRoundaboutMovement();
+            const distance = getDistanceToRingAngle(car, theirs.entryAngle);
+            if (distance === null) return;
+            const theirDistance = Math.max(0, theirs.mergeDistance - getPathPosition(other) - other.width / 2);
+            headway = Math.min(headway,
+                this.estimateEarliestArrivalTime(car, distance) - this.estimateArrivalTime(other, theirDistance));
+        });
+
+        return headway;
+    }
+
+    recordLeftTurnStart(car) {
+        this.lastLeftTurnStart[car.fromDirection] = this.clock.now();
+    }
+
+    // Time (ms) until the next opposing through or right-turning vehicle reaches the left turn's path
+    getOpposingLag(car, lightStates) {
+        const opposite = getOppositeDirection(car.fromDirection);
+        let lag = Infinity;
+
+        this.cars.forEach(other => {
+            if (other.fromDirection !== opposite || other.turnType === CONFIG.TURN_TYPES.LEFT) return;
+            const conflict = this.conflictZones.getConflictDistance(other, [car]);
+            if (!Number.isFinite(conflict)) return;
+            // A stopped car queued behind another only matters once its leader moves
+            if (other.speed < CONFIG.DRIVER_MODEL.STOPPED_SPEED && other.findLeader()) return;
+
+            let distance;
+            if (other.state === 'approaching' || other.state === 'waiting') {
+                const stopLine = this.intersection.getStopLinePosition(other.fromDirection);
+                if (other.mustStopAtLine(lightStates, other.getSignedDistanceToStopLine(stopLine))) return;
+                distance = other.getDistanceToBoxEdge() + conflict;
+            } else if (other.state === 'crossing') {
+                distance = conflict - other.crossingDistance - other.width / 2;
+            } else {
+                return;
+            }
+            // Already in the conflict area - its reservation keeps us out
+            if (distance < 0) return;
+
+            lag = Math.min(lag, this.estimateArrivalTime(other, distance));
+        });
+
+        return lag;
+    }
+
+    // Moving vehicles are assumed to hold their speed; stopped ones pull away at full acceleration
+    estimateArrivalTime(car, distance) {
+        const seconds = car.speed > CONFIG.DRIVER_MODEL.STOPPED_SPEED
+            ? distance / car.speed
+            : Math.sqrt(2 * distance / car.driver.maxAcceleration);
+        return seconds * 1000;
+    }
+
+    // As soon as a vehicle could get there, at full acceleration up to its
+    // desired speed - a slow car in a moving queue soon picks up again
+    estimateEarliestArrivalTime(car, distance) {
+        const acceleration = car.driver.maxAcceleration;
+        const topSpeed = Math.max(car.maxSpeed, car.speed);
+        const accelerating = (topSpeed ** 2 - car.speed ** 2) / (2 * acceleration);
+        const seconds = distance <= accelerating
+            ? (Math.sqrt(car.speed ** 2 + 2 * acceleration * distance) - car.speed) / acceleration
+            : (topSpeed - car.speed) / acceleration + (distance - accelerating) / topSpeed;
+        return seconds * 1000;
     }
 
     render(ctx) {
+        this.conflictZones.render(ctx);
         this.cars.forEach(car => car.render(ctx));
     }
 
     reset() {
         this.cars = [];
-        this.nextCarId = 1;
-        this.spawnTimer = 0;
+        this.conflictZones.reset();
+        this.lastLeftTurnStart = {};
+        this.lastRoundaboutEntry = {};
+        this.ids.next = 1;
+        this.demand.reset();
+        this.pendingArrivals = [];
+        this.arrivals = 0;
+        this.emergencyAttempts = 0;
+        this.emergencyTimer = 0;
+        this.pendingEmergencies = 0;
+        this.busTimers = {};
+        this.pendingBuses = {};
+        this.busesSpawned = 0;
     }
 
     updateSettings(settings) {
         this.settings = { ...settings };
     }
 
+    setPedestrianManager(pedestrianManager) {
+        this.pedestrianManager = pedestrianManager;
+    }
+
+    isCrosswalkInUse(leg) {
+        return this.pedestrianManager !== null && this.pedestrianManager.isCrosswalkInUse(leg);
+    }
+
     // Getters for external systems
     getCars() {
         return [...this.cars];
@@ -609,4 +1692,9 @@ export class CarManager {
     getCurrentCarCount() {
         return this.cars.length;
     }
+
+    // Arrivals still waiting for room to enter
+    getPendingArrivalCount() {
+        return this.pendingArrivals.length;
+    }
 }
\ No newline at end of file
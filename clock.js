@@ -0,0 +1,31 @@
+// clock.js
+// Simulation clock - the single source of "now" for the simulation.
+// Unlike Date.now() it only moves when the engine steps, so pausing freezes
+// every timer and any speed-up is applied to all systems consistently.
+
+export class SimulationClock {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Advances simulated time
+     * @param {number} deltaTime - Simulated milliseconds elapsed this step
+     */
+    advance(deltaTime) {
+        if (deltaTime > 0) {
+            this.time += deltaTime;
+        }
+    }
+
+    /**
+     * @returns {number} Simulated milliseconds since the last reset
+     */
+    now() {
+        return this.time;
+    }
+
+    reset() {
+        this.time = 0;
+    }
+}
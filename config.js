@@ -3,24 +3,165 @@ export const CONFIG = {
     CANVAS_WIDTH: 1200,
     CANVAS_HEIGHT: 1200,
 
-    // Intersection settings
-    INTERSECTION_SIZE: 120,
-    ROAD_WIDTH: 60,   // Width for 4 total lanes
-    LANE_WIDTH: 15,   // Lane width for 4 lanes total
-
-    // Car settings
-    CAR_WIDTH: 16,
-    CAR_HEIGHT: 8,
-    CAR_COLORS: [
-        "#FF0000", // red
-        "#00FF00", // green
-        "#0000FF", // blue
-        "#FFFF00", // yellow
-        "#FFA500", // orange
-        "#FFFFFF", // white
-        "#000000", // black
-        "#888888"  // gray
-    ],
+    // Intersection layouts (see geometry.js). Lanes are listed from the
+    // curb out to the centre line; BAY is how far a turn bay reaches back
+    // from the stop line. Every turn a leg's approach lanes are not marked
+    // for may use any of its lanes. Leaving out one leg makes a T-junction.
+    // ROUNDABOUT puts a central island of ISLAND_RADIUS in the box with
+    // CIRCULATING_LANES lanes round it, and takes the signals away.
+    DEFAULT_GEOMETRY: 'standard',
+    GEOMETRY_PRESETS: {
+        // Two lanes each way: shared through-right and through-left
+        'standard': {
+            LANE_WIDTH: 15,
+            STOP_LINE_SETBACK: 20,   // px from the box edge back to the stop line - the crosswalk goes here
+            LEGS: {
+                north: { LANES: [{ TURNS: ['right', 'straight'] }, { TURNS: ['straight', 'left'] }], EXIT_LANES: 2, CORNER_RADIUS: 30 },
+                east: { LANES: [{ TURNS: ['right', 'straight'] }, { TURNS: ['straight', 'left'] }], EXIT_LANES: 2, CORNER_RADIUS: 30 },
+                south: { LANES: [{ TURNS: ['right', 'straight'] }, { TURNS: ['straight', 'left'] }], EXIT_LANES: 2, CORNER_RADIUS: 30 },
+                west: { LANES: [{ TURNS: ['right', 'straight'] }, { TURNS: ['straight', 'left'] }], EXIT_LANES: 2, CORNER_RADIUS: 30 }
+            }
+        },
+        // Exclusive left-turn bays in a median, two through lanes and three
+        // receiving lanes each way
+        'left-turn-bays': {
+            LANE_WIDTH: 15,
+            STOP_LINE_SETBACK: 20,
+            LEGS: {
+                north: { LANES: [{ TURNS: ['right', 'straight'] }, { TURNS: ['straight'] }, { TURNS: ['left'], BAY: 150 }], EXIT_LANES: 3, CORNER_RADIUS: 25 },
+                east: { LANES: [{ TURNS: ['right', 'straight'] }, { TURNS: ['straight'] }, { TURNS: ['left'], BAY: 150 }], EXIT_LANES: 3, CORNER_RADIUS: 25 },
+                south: { LANES: [{ TURNS: ['right', 'straight'] }, { TURNS: ['straight'] }, { TURNS: ['left'], BAY: 150 }], EXIT_LANES: 3, CORNER_RADIUS: 25 },
+                west: { LANES: [{ TURNS: ['right', 'straight'] }, { TURNS: ['straight'] }, { TURNS: ['left'], BAY: 150 }], EXIT_LANES: 3, CORNER_RADIUS: 25 }
+            }
+        },
+        // North-south arterial with two through lanes and left and
+        // right-turn bays each way, crossed by a narrow two-lane street
+        'arterial': {
+            LANE_WIDTH: 15,
+            STOP_LINE_SETBACK: 20,
+            LEGS: {
+                north: { LANES: [{ TURNS: ['right'], BAY: 100 }, { TURNS: ['straight'] }, { TURNS: ['straight'] }, { TURNS: ['left'], BAY: 180 }], EXIT_LANES: 3, CORNER_RADIUS: 20 },
+                east: { LANES: [{ TURNS: ['right', 'straight', 'left'] }], EXIT_LANES: 1, LANE_WIDTH: 12, CORNER_RADIUS: 15 },
+                south: { LANES: [{ TURNS: ['right'], BAY: 100 }, { TURNS: ['straight'] }, { TURNS: ['straight'] }, { TURNS: ['left'], BAY: 180 }], EXIT_LANES: 3, CORNER_RADIUS: 20 },
+                west: { LANES: [{ TURNS: ['right', 'straight', 'left'] }], EXIT_LANES: 1, LANE_WIDTH: 12, CORNER_RADIUS: 15 }
+            }
+        },
+        // T-junction: a west-east road with a left-turn bay into the north
+        // leg, which has its own right and left-turn lanes. There is no
+        // south leg.
+        't-junction': {
+            LANE_WIDTH: 15,
+            STOP_LINE_SETBACK: 20,
+            LEGS: {
+                north: { LANES: [{ TURNS: ['right'] }, { TURNS: ['left'] }], EXIT_LANES: 1, CORNER_RADIUS: 25 },
+                east: { LANES: [{ TURNS: ['right', 'straight'] }, { TURNS: ['straight'] }], EXIT_LANES: 2, CORNER_RADIUS: 25 },
+                west: { LANES: [{ TURNS: ['straight'] }, { TURNS: ['left'], BAY: 120 }], EXIT_LANES: 2, CORNER_RADIUS: 25 }
+            }
+        },
+        // Single-lane roundabout: one lane in, round and out on every leg
+        'roundabout': {
+            LANE_WIDTH: 15,
+            STOP_LINE_SETBACK: 20,   // the yield line
+            ROUNDABOUT: { ISLAND_RADIUS: 50, CIRCULATING_LANES: 1 },
+            LEGS: {
+                north: { LANES: [{ TURNS: ['right', 'straight', 'left'] }], EXIT_LANES: 1, CORNER_RADIUS: 25 },
+                east: { LANES: [{ TURNS: ['right', 'straight', 'left'] }], EXIT_LANES: 1, CORNER_RADIUS: 25 },
+                south: { LANES: [{ TURNS: ['right', 'straight', 'left'] }], EXIT_LANES: 1, CORNER_RADIUS: 25 },
+                west: { LANES: [{ TURNS: ['right', 'straight', 'left'] }], EXIT_LANES: 1, CORNER_RADIUS: 25 }
+            }
+        },
+        // Two-lane roundabout: the curb lane turns right or goes straight on
+        // round the outer circulating lane, the inner lane goes straight on
+        // or left round the inner one
+        'two-lane-roundabout': {
+            LANE_WIDTH: 15,
+            STOP_LINE_SETBACK: 20,
+            ROUNDABOUT: { ISLAND_RADIUS: 50, CIRCULATING_LANES: 2 },
+            LEGS: {
+                north: { LANES: [{ TURNS: ['right', 'straight'] }, { TURNS: ['straight', 'left'] }], EXIT_LANES: 2, CORNER_RADIUS: 25 },
+                east: { LANES: [{ TURNS: ['right', 'straight'] }, { TURNS: ['straight', 'left'] }], EXIT_LANES: 2, CORNER_RADIUS: 25 },
+                south: { LANES: [{ TURNS: ['right', 'straight'] }, { TURNS: ['straight', 'left'] }], EXIT_LANES: 2, CORNER_RADIUS: 25 },
+                west: { LANES: [{ TURNS: ['right', 'straight'] }, { TURNS: ['straight', 'left'] }], EXIT_LANES: 2, CORNER_RADIUS: 25 }
+            }
+        }
+    },
+
+    // Road networks (see network.js): intersections at X, Y joined by links
+    // between neighbours in line east-west or north-south. GEOMETRY is a key
+    // of GEOMETRY_PRESETS or a layout of its own. OFFSET holds a node's
+    // signals at the start-up all red that long after the network starts,
+    // which lines up fixed-time plans of the same cycle for a green wave.
+    // SETTINGS override the mode settings at the one node.
+    NETWORK_PRESETS: {
+        // Three junctions along an east-west arterial, 500px apart and
+        // offset for eastbound traffic at CAR_SPEED
+        'corridor': {
+            NODES: [
+                { ID: 'west', X: 0, Y: 0, GEOMETRY: 'standard', OFFSET: 0 },
+                { ID: 'centre', X: 500, Y: 0, GEOMETRY: 'standard', OFFSET: 20000 },
+                { ID: 'east', X: 1000, Y: 0, GEOMETRY: 'standard', OFFSET: 40000 }
+            ],
+            LINKS: [['west', 'centre'], ['centre', 'east']]
+        },
+        // Two junctions on a north-south street, the southern one a roundabout
+        'signal-and-roundabout': {
+            NODES: [
+                { ID: 'north', X: 0, Y: 0, GEOMETRY: 'standard', OFFSET: 0 },
+                { ID: 'south', X: 0, Y: 550, GEOMETRY: 'two-lane-roundabout', OFFSET: 0 }
+            ],
+            LINKS: [['north', 'south']]
+        }
+    },
+
+    SIGNAL_HEAD_POSITION: {
+        BEHIND_STOP_LINE: 60,        // px upstream of the stop line
+        OFF_CURB: 20                 // px beyond the approach's curb
+    },
+    TURN_BAY_TAPER: 30,              // px over which a turn bay widens out of the road
+
+    // Vehicle types. General traffic draws its type from VEHICLE_MIX; buses
+    // in scheduled service are always 'bus'. Length runs along the heading,
+    // width across it. Each driver's acceleration, deceleration and desired
+    // speed are drawn around the DRIVER_MODEL means scaled by the type's
+    // factors. PCE is the passenger-car equivalent used in the statistics.
+    VEHICLE_TYPES: {
+        car: {
+            LENGTH: 16, WIDTH: 8, PCE: 1,
+            ACCELERATION_FACTOR: 1, DECELERATION_FACTOR: 1,
+            SPEED_FACTOR: 1, SPEED_SPREAD: 0.15,     // desired speed = CAR_SPEED * (1 ± 15%)
+            STYLE: 'car',
+            COLORS: ["#FF0000", "#00FF00", "#0000FF", "#FFFF00", "#FFA500", "#FFFFFF", "#000000", "#888888"]
+        },
+        suv: {
+            LENGTH: 20, WIDTH: 9, PCE: 1.2,
+            ACCELERATION_FACTOR: 0.9, DECELERATION_FACTOR: 0.95,
+            SPEED_FACTOR: 1, SPEED_SPREAD: 0.15,
+            STYLE: 'car',
+            COLORS: ["#2E4053", "#7B241C", "#D0D3D4", "#1C2833", "#145A32"]
+        },
+        truck: {
+            LENGTH: 34, WIDTH: 10, PCE: 2.5,
+            ACCELERATION_FACTOR: 0.4, DECELERATION_FACTOR: 0.7,
+            SPEED_FACTOR: 0.85, SPEED_SPREAD: 0.1,
+            STYLE: 'truck',
+            COLORS: ["#ECEFF1", "#8D6E63", "#546E7A", "#B71C1C"]
+        },
+        motorcycle: {
+            LENGTH: 9, WIDTH: 4, PCE: 0.5,
+            ACCELERATION_FACTOR: 1.5, DECELERATION_FACTOR: 1.2,
+            SPEED_FACTOR: 1.05, SPEED_SPREAD: 0.2,
+            STYLE: 'motorcycle',
+            COLORS: ["#000000", "#C62828", "#1565C0", "#F9A825"]
+        },
+        bus: {
+            LENGTH: 30, WIDTH: 10, PCE: 2,
+            ACCELERATION_FACTOR: 0.5, DECELERATION_FACTOR: 1,
+            SPEED_FACTOR: 1, SPEED_SPREAD: 0.15,
+            STYLE: 'bus',
+            COLORS: ['#F4B400']
+        }
+    },
+    SPAWN_GAP: 44,    // px bumper to bumper a new vehicle needs behind the last one in its lane
 
     // Directions
     DIRECTIONS: {
@@ -37,10 +178,52 @@ export const CONFIG = {
         RIGHT: 'right'
     },
 
-    // Modes
+    // Signal movements - each approach shows one indication per movement.
+    // A left turn on a plain green is permissive (yields to oncoming
+    // traffic); a green arrow is protected.
+    MOVEMENTS: {
+        LEFT: 'left',
+        THROUGH: 'through',
+        RIGHT: 'right'
+    },
+
+    // NEMA movement phases. Odd phases are protected lefts, even phases serve
+    // through and right movements (plus the permissive left). Phase 1 is the
+    // left turn that crosses phase 2, and so on.
+    NEMA_PHASES: {
+        1: { approach: 'south', movement: 'left' },
+        2: { approach: 'north', movement: 'through' },
+        3: { approach: 'east', movement: 'left' },
+        4: { approach: 'west', movement: 'through' },
+        5: { approach: 'north', movement: 'left' },
+        6: { approach: 'south', movement: 'through' },
+        7: { approach: 'west', movement: 'left' },
+        8: { approach: 'east', movement: 'through' }
+    },
+
+    // Two rings time concurrently; both must cross a barrier together, so
+    // phases on opposite sides of a barrier never show green at once
+    RING_BARRIER: {
+        RINGS: [[1, 2, 3, 4], [5, 6, 7, 8]],
+        BARRIERS: [
+            { pair: 'NS', phases: [1, 2, 5, 6] },
+            { pair: 'WE', phases: [3, 4, 7, 8] }
+        ]
+    },
+
+    // Limits the signal safety layer enforces on every controller's output
+    SIGNAL_SAFETY: {
+        MIN_YELLOW: 2000,            // ms a movement shows yellow before red
+        MIN_RED_CLEARANCE: 1000      // ms a movement shows red before a conflicting one may go green
+    },
+
+    // Modes - ids of the built-in controllers (see builtinControllers.js);
+    // plugins registered elsewhere add their own
     MODES: {
         FIXED: 'fixed',
-        ADAPTIVE: 'adaptive'
+        ADAPTIVE: 'adaptive',
+        MAX_PRESSURE: 'max-pressure',
+        COMPARISON: 'comparison'   // Fixed and Adaptive side by side
     },
 
     // Light settings
@@ -51,19 +234,144 @@ export const CONFIG = {
     LIGHT_STATES: {
         RED: 'red',
         YELLOW: 'yellow',
-        GREEN: 'green'
+        GREEN: 'green',
+        FLASHING_RED: 'flashing-red',       // all-way stop - night flash minor road or a monitor fault
+        FLASHING_YELLOW: 'flashing-yellow', // proceed with caution - night flash major road
+        OFF: 'off'                          // dark during a power failure, treated as an all-way stop
+    },
+
+    // Flashing operation (see signalOperations.js)
+    FLASH_OPERATION: {
+        MAJOR_APPROACHES: ['north', 'south'], // flash yellow at night; the others flash red (a T-junction flashes yellow to its through road)
+        STARTUP_ALL_RED: 3000                 // ms of all red before normal control resumes
+    },
+
+    // Driver behaviour at flashing and dark signals
+    STOP_CONTROL: {
+        STOP_LINE_REACH: 10,         // px - a car stopped this close to the line has made its stop
+        CAUTION_DISTANCE: 120,       // px before the line where flashing yellow slows drivers
+        CAUTION_SPEED_FACTOR: 0.6,   // share of the desired speed used on flashing yellow
+        MAJOR_ROAD_CRITICAL_GAP: 6500 // ms - smallest gap in flashing-yellow traffic a driver who has stopped accepts
+    },
+
+    // Vehicle classes - every vehicle is a car unless spawned as something else
+    VEHICLE_CLASSES: {
+        CAR: 'car',
+        BUS: 'bus',
+        EMERGENCY: 'emergency'
     },
 
+    // Scheduled buses run straight through on a fixed headway, in the second
+    // lane from the curb - or the through lane nearest to it
+    BUS: {
+        LANE: 1
+    },
+
+    // Emergency vehicles
+    EMERGENCY_VEHICLE: {
+        TYPE: 'suv',                 // body and driver from VEHICLE_TYPES
+        COLOR: '#FFFFFF',
+        SPEED_FACTOR: 1.2,           // desired speed relative to a car's
+        SIREN_PERIOD: 500            // ms for the light bar to alternate red and blue
+    },
+
+    // Emergency vehicle preemption (see preemption.js)
+    PREEMPTION: {
+        ALL_RED: 2000,               // ms of red clearance entering and leaving the preemption
+        MIN_DWELL: 5000,             // ms the emergency approach stays green at least
+        MAX_DWELL: 60000             // ms after which the preemption ends even if the vehicle has not cleared
+    },
+
+    // Pedestrians (see pedestrians.js). Walking speeds are spread around the
+    // mean; the clearance time is computed for the slowest walkers.
+    PEDESTRIAN: {
+        CROSSWALK_WIDTH: 14,         // px along the leg, between the box and the stop line
+        WALKING_SPEED: 5.5,          // px/s mean walking speed
+        WALKING_SPEED_SPREAD: 0.2,   // speeds vary ±20% between pedestrians
+        DESIGN_WALKING_SPEED: 4.4,   // px/s used for the clearance time
+        RADIUS: 2.5,
+        COLORS: ['#1E88E5', '#D81B60', '#43A047', '#8E24AA', '#6D4C41', '#FB8C00']
+    },
+
+    // Pedestrian signal heads, one per crosswalk
+    PEDESTRIAN_SIGNALS: {
+        WALK: 'walk',
+        FLASHING_DONT_WALK: 'flashing-dont-walk', // pedestrian clearance - finish crossing, do not start
+        DONT_WALK: 'dont-walk',
+        OFF: 'off'                                // dark under flash, a power failure or a fault
+    },
+
+    // Crosswalk each through phase serves: the one across the leg its right
+    // turn leaves by, parallel to its traffic. Walks run with their phase's green.
+    PEDESTRIAN_PHASES: { 2: 'west', 4: 'south', 6: 'east', 8: 'north' },
+
     // Default settings
     DEFAULT_SETTINGS: {
         GREEN_DURATION: 100000,      // 100 seconds
         YELLOW_DURATION: 5000,       // 5 seconds
         RED_DURATION: 100000,        // 100 seconds
-        CAR_SPAWN_RATE: 4,           // cars per 10 seconds
+        CAR_SPAWN_RATE: 4,           // cars per 10 seconds over all approaches (without an OD_MATRIX)
         CAR_SPEED: 25,               // pixels per second
-        TURN_RATE: 0.4,              // 40% chance to turn (20% left, 20% right)
+        TURN_RATE: 0.4,              // 40% chance to turn (20% left, 20% right) (without an OD_MATRIX)
+        OD_MATRIX: null,             // { origin: { destination: veh/h } }, null to derive it from the two above (see demand.js)
+        DEMAND_PROFILE: 'flat',      // key of DEMAND_PROFILES, or [[seconds, factor], ...]
+        ARRIVAL_PROCESS: 'poisson',  // 'uniform' | 'poisson' | 'platooned'
+        PLATOON_SIZE: 6,             // vehicles per platoon
+        PLATOON_HEADWAY: 2000,       // 2 seconds between vehicles in a platoon
+        LANE_CHANGING: false,        // drivers change lanes on the approaches (see laneChanging.js)
+        LANE_CHANGE_POLITENESS: 0.3, // weight drivers give to the followers they affect (MOBIL p)
     DETECTOR_DISTANCE: 500,      // Increased range for adaptive mode
-        MIN_GREEN_TIME: 5000         // 5 seconds minimum green
+        MIN_GREEN_TIME: 5000,        // 5 seconds minimum green
+        MAX_GREEN_TIME: 60000,       // 60 seconds before an actuated green maxes out
+        PASSAGE_TIME: 4000,          // 4 seconds of green added by each detector actuation
+        PHASE_RECALL: { 1: 'none', 2: 'none', 3: 'none', 4: 'none', 5: 'none', 6: 'none', 7: 'none', 8: 'none' }, // per NEMA phase: 'none' | 'min' | 'max'
+        MAX_PRESSURE_INTERVAL: 5000, // 5 seconds between max-pressure stage decisions
+        LEFT_TURN_CRITICAL_GAP: 4500,   // 4.5 s smallest opposing gap a permissive left accepts
+        LEFT_TURN_FOLLOW_UP_TIME: 2500, // 2.5 s between left turns using the same gap
+        ROUNDABOUT_CRITICAL_GAP: 5000,  // 5 s smallest gap in the circulating traffic a driver enters
+        ROUNDABOUT_FOLLOW_UP_TIME: 2600, // 2.6 s between drivers entering from the same lane
+        PROTECTED_LEFT_DURATION: 10000, // 10 seconds of green arrow
+        LEFT_TURN_PHASE_THRESHOLD: 3,   // waiting left turns that call a protected phase
+        LEFT_SEQUENCE: { NS: 'lead', WE: 'lag' }, // per barrier: protected lefts before or after their through phase
+        PHASE_TIMING: {                 // per NEMA phase (ms): minGreen, maxGreen, yellow, allRed, passage - greens, yellow and passage left out follow the settings above
+            1: { allRed: 3000 },
+            2: { allRed: 3000 },
+            3: { allRed: 3000 },
+            4: { allRed: 3000 },
+            5: { allRed: 3000 },
+            6: { allRed: 3000 },
+            7: { allRed: 3000 },
+            8: { allRed: 3000 }
+        },
+        POWER_FAILURE_START: null,      // sim time (ms) the signals go dark, null for none
+        POWER_FAILURE_DURATION: 60000,  // 60 seconds without power
+        NIGHT_FLASH_START: null,        // sim time (ms) night flash begins, null for none
+        NIGHT_FLASH_DURATION: 600000,   // 10 minutes of night flash
+        EMERGENCY_VEHICLE_RATE: 0,      // emergency vehicles per hour, 0 to dispatch them by hand only
+        PREEMPTION_RECOVERY: 'resume',  // after a preemption: 'resume' the interrupted plan or 'restart' its cycle
+        BUS_HEADWAYS: { north: 0, east: 0, south: 0, west: 0 }, // ms between scheduled buses per approach, 0 for no service
+        TSP_ENABLED: false,             // adaptive mode grants transit signal priority to buses
+        TSP_DISTANCE: 300,              // px before the stop line where a bus asks for priority
+        TSP_MAX_EXTENSION: 10000,       // 10 seconds a bus may hold its green past the maximum
+        TSP_MAX_PER_CYCLE: 1,           // priority grants (early greens or extensions) per cycle
+        VEHICLE_MIX: {                  // share of general traffic per vehicle type on each approach
+            north: { car: 1, suv: 0, truck: 0, motorcycle: 0, bus: 0 },
+            east: { car: 1, suv: 0, truck: 0, motorcycle: 0, bus: 0 },
+            south: { car: 1, suv: 0, truck: 0, motorcycle: 0, bus: 0 },
+            west: { car: 1, suv: 0, truck: 0, motorcycle: 0, bus: 0 }
+        },
+        PEDESTRIAN_RATE: 0,             // pedestrians per hour over all corners, 0 for none
+        PEDESTRIAN_WALK_TIME: 7000,     // 7 seconds of WALK before the pedestrian clearance
+        SEED: 12345                  // Random seed - same seed + settings = same run
+    },
+
+    // Time-of-day demand profiles: [simulated seconds, factor on the OD
+    // matrix] points, interpolated linearly and held after the last one
+    DEMAND_PROFILES: {
+        'flat': [[0, 1]],
+        'am-peak': [[0, 0.6], [900, 1.5], [1800, 1.5], [2700, 0.9]],   // ramp up to the peak hour and ease off
+        'off-peak': [[0, 0.6]],
+        'pm-peak': [[0, 0.9], [600, 1.3], [1200, 1.6], [2400, 1.6], [3300, 0.8]]
     },
 
     // Turn delays (based on arc length / speed)
@@ -73,6 +381,52 @@ export const CONFIG = {
         STRAIGHT: 0    // No delay for straight
     },
 
+    // Car-following (Intelligent Driver Model) - means for each driver's parameters
+    DRIVER_MODEL: {
+        TIME_HEADWAY: 1.5,           // seconds
+        MIN_GAP: 4,                  // pixels bumper to bumper when stopped
+        MAX_ACCELERATION: 10,        // px/s²
+        COMFORT_DECELERATION: 15,    // px/s²
+        ACCELERATION_EXPONENT: 4,
+        PARAMETER_SPREAD: 0.1,       // other parameters vary ±10% between drivers
+        STOPPED_SPEED: 0.5           // px/s - slower than this counts as waiting
+    },
+
+    // MOBIL lane changing on the approaches
+    LANE_CHANGE: {
+        THRESHOLD: 1,                // px/s² a discretionary change must gain
+        SAFE_DECELERATION: 30,       // px/s² hardest braking a change may force on anyone
+        MANDATORY_BIAS: 100,         // px/s² pull towards a lane for the turn from a lane without it
+        DURATION: 1500,              // ms to move across into the new lane
+        COOLDOWN: 4000,              // ms before the same driver changes lanes again
+        NO_CHANGE_DISTANCE: 40       // px before the stop line where lanes may no longer be changed
+    },
+
+    // Roundabouts (see roundabout.js)
+    ROUNDABOUT: {
+        MAX_CIRCULATING_LANES: 2,
+        ENTRY_DEPTH: 20,             // px from the ring's outer edge out to the box edge, where entries curve in
+        YIELD_DISTANCE: 100,         // px before the yield line where drivers start judging the circulating traffic
+        LEADER_LOOKAHEAD: 120,       // px along its path a driver in the box looks for vehicles ahead
+        PATH_STEP: 2                 // px between the samples of a path
+    },
+
+    // Road networks (see network.js)
+    NETWORK: {
+        LEG_LENGTH: 400,             // px from a node's centre out to the end of a leg without a link
+        MIN_LINK_LEG: 120,           // px a linked leg needs from the box edge to where the link hands over
+        EXIT_MARGIN: 100,            // px beyond the edge of the area a vehicle leaving the network drives on
+        QUEUED_SPEED: 5,             // px/s - slower than this counts as queued when judging room beyond the box
+        LANE_CHANGE_CLEARANCE: 60    // px in from the end of a leg before a vehicle may change lanes
+    },
+
+    // Conflict-zone reservation inside the intersection box
+    CONFLICT_ZONES: {
+        CELL_SIZE: 3,                // pixels per grid cell
+        CLEARANCE: 3.5,              // cells whose centre is this close to a path belong to it
+        REQUEST_MARGIN: 10           // request this far (px) beyond the stopping distance
+    },
+
     // Heading angles in degrees
     HEADINGS: {
         NORTH: 270,
@@ -0,0 +1,220 @@
+// conflictMonitor.js
+// Conflict monitor, modelled on a malfunction management unit (MMU). It sits
+// after the signal safety layer and watches the indications actually sent to
+// the signal heads, independently of whatever produced them. Every change is
+// checked against a conflict matrix and the clearance rules:
+//   - green may only end in yellow
+//   - yellow must last at least MIN_YELLOW and never returns to green
+//   - a channel may only turn green once every conflicting channel has shown
+//     red for at least MIN_RED_CLEARANCE, and no two conflicting channels may
+//     ever show green or yellow together
+// On the first violation the monitor latches a fault: the intersection goes
+// to flashing red and stays there until it is reset.
+// The safety layer holds back any unsafe change it is asked for, so a faulty
+// controller never shows up in its output. The monitor also reads the
+// controller's raw request and logs a fault when it asks for conflicting
+// movements together. Nothing unsafe has reached the heads at that point, so
+// a request fault is recorded but never latched.
+
+import { CONFIG } from './config.js';
+import { movementsConflict } from './signalSafety.js';
+
+const { RED, YELLOW, GREEN } = CONFIG.LIGHT_STATES;
+
+// Monitored channels - one per movement, with the left turn split into its
+// protected arrow and its permissive indication
+const CHANNELS = Object.values(CONFIG.DIRECTIONS).flatMap(approach => [
+    { key: `${approach}-through`, approach, movement: CONFIG.MOVEMENTS.THROUGH, protected: false },
+    { key: `${approach}-right`, approach, movement: CONFIG.MOVEMENTS.RIGHT, protected: false },
+    { key: `${approach}-left-protected`, approach, movement: CONFIG.MOVEMENTS.LEFT, protected: true },
+    { key: `${approach}-left-permissive`, approach, movement: CONFIG.MOVEMENTS.LEFT, protected: false }
+]);
+
+// channel key -> Set of channel keys it may never run with
+const CONFLICT_MATRIX = new Map(CHANNELS.map(channel => [
+    channel.key,
+    new Set(CHANNELS.filter(other => movementsConflict(channel, other)).map(other => other.key))
+]));
+
+export class ConflictMonitor {
+    constructor() {
+        this.reset();
+    }
+
+    // Clears the latched fault, like a technician resetting the cabinet
+    reset() {
+        this.resetChannels();
+        this.fault = null;   // latched fault, null while running normally
+        this.faults = [];    // every fault since the last reset, oldest first
+        this.requestFault = null; // reason and transition of the request fault being logged
+    }
+
+    // Every channel red and cleared, as after a controller start-up
+    resetChannels() {
+        this.channels = new Map(CHANNELS.map(channel => [channel.key, { state: RED, timer: Infinity }]));
+    }
+
+    isFaulted() {
+        return this.fault !== null;
+    }
+
+    /**
+     * Checks the indications about to be shown
+     * @param {Object} indications - { direction: { left, through, right, leftProtected } }
+     * @param {number} deltaTime - Time since the last check (ms)
+     * @param {number} now - Simulation time (ms), recorded with a fault
+     * @returns {boolean} true while the indications may be shown
+     */
+    check(indications, deltaTime, now) {
+        if (this.fault) return false;
+
+        this.channels.forEach(channel => { channel.timer += deltaTime; });
+        const next = this.readChannels(indications);
+        if (!next) {
+            return this.latch(now, 'invalid indication', null, indications);
+        }
+
+        for (const [key, state] of next) {
+            const channel = this.channels.get(key);
+            if (state === channel.state) continue;
+
+            const transition = `${key}: ${channel.state} -> ${state}`;
+            const reason = this.checkTransition(key, channel, state, next);
+            if (reason) {
+                return this.latch(now, reason, transition, indications);
+            }
+        }
+
+        // Conflicting channels showing at once, however they got there
+        const conflict = this.findConflict(next);
+        if (conflict) {
+            return this.latch(now, 'conflicting indications', conflict, indications);
+        }
+
+        next.forEach((state, key) => {
+            const channel = this.channels.get(key);
+            if (state !== channel.state) {
+                channel.state = state;
+                channel.timer = 0;
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Checks what the controller asked for, before the safety layer has
+     * corrected it. Only what the request shows at once is judged; the
+     * clearance timing is the safety layer's to serve. A bad request is logged
+     * once, when it starts, and does not latch.
+     * @param {Object} indications - The plugin's request, { direction: { left, through, right, leftProtected } }
+     * @param {number} now - Simulation time (ms), recorded with a fault
+     * @returns {boolean} true when the request is free of conflicts
+     */
+    checkRequest(indications, now) {
+        const requested = this.readChannels(indications);
+        const conflict = requested && this.findConflict(requested);
+        if (requested && !conflict) {
+            this.requestFault = null;
+            return true;
+        }
+
+        const reason = requested ? 'conflicting indications requested' : 'invalid indication requested';
+        const key = `${reason}: ${conflict}`;
+        if (this.requestFault !== key) {
+            this.requestFault = key;
+            this.record(now, reason, conflict, indications, false);
+        }
+        return false;
+    }
+
+    // First pair of conflicting channels both showing other than red, or null
+    findConflict(channels) {
+        for (const [key, state] of channels) {
+            if (state === RED) continue;
+            const conflict = [...CONFLICT_MATRIX.get(key)].find(other => channels.get(other) !== RED);
+            if (conflict) return `${key} with ${conflict}`;
+        }
+        return null;
+    }
+
+    // One state per channel, or null when an indication is missing or unknown
+    readChannels(indications) {
+        const next = new Map();
+        for (const { key, approach, movement, protected: isProtected } of CHANNELS) {
+            const approachStates = indications && indications[approach];
+            const state = approachStates && approachStates[movement];
+            if (![RED, YELLOW, GREEN].includes(state)) return null;
+
+            // A left turn drives its arrow or its permissive channel, never both
+            const leftProtected = Boolean(approachStates.leftProtected);
+            const shown = movement !== CONFIG.MOVEMENTS.LEFT || leftProtected === isProtected;
+            next.set(key, shown ? state : RED);
+        }
+        return next;
+    }
+
+    // Why a channel may not change to the new state, or null if it may
+    checkTransition(key, channel, state, next) {
+        // A permissive green may hand straight over to the green arrow
+        const handover = key.endsWith('-left-permissive') && next.get(key.replace('-permissive', '-protected')) === GREEN;
+        if (channel.state === GREEN && state === RED && !handover) return 'green ended without yellow';
+        if (channel.state === YELLOW && state === RED && channel.timer < CONFIG.SIGNAL_SAFETY.MIN_YELLOW) {
+            return 'yellow shorter than minimum';
+        }
+        if (state !== GREEN) return null;
+
+        // The permissive left is its own channel, so a yellow arrow dropping
+        // to a permissive green is a red -> green change there
+        if (channel.state === YELLOW) return 'yellow returned to green';
+
+        for (const other of CONFLICT_MATRIX.get(key)) {
+            const otherChannel = this.channels.get(other);
+            if (otherChannel.state !== RED || next.get(other) !== RED) return 'green to conflicting channel';
+            if (otherChannel.timer < CONFIG.SIGNAL_SAFETY.MIN_RED_CLEARANCE) return 'all-red clearance too short';
+        }
+        return null;
+    }
+
+    latch(now, reason, transition, indications) {
+        this.fault = this.record(now, reason, transition, indications, true);
+        return false;
+    }
+
+    // Adds a fault to the log; latched faults put the intersection into flashing red
+    record(now, reason, transition, indications, latched) {
+        const fault = {
+            time: now,
+            reason,
+            transition,
+            latched,
+            indications: JSON.parse(JSON.stringify(indications || null))
+        };
+        this.faults.push(fault);
+        console.error(`Conflict monitor fault at ${(now / 1000).toFixed(1)}s: ${reason}` +
+            (transition ? ` (${transition})` : '') + (latched ? ' - flashing red' : ' - logged'));
+        return fault;
+    }
+
+    // Indications shown while in fault: flashing red to every movement
+    getFlashIndications() {
+        const indications = {};
+        Object.values(CONFIG.DIRECTIONS).forEach(approach => {
+            indications[approach] = { leftProtected: false };
+            Object.values(CONFIG.MOVEMENTS).forEach(movement => {
+                indications[approach][movement] = CONFIG.LIGHT_STATES.FLASHING_RED;
+            });
+        });
+        return indications;
+    }
+
+    getFaults() {
+        return [...this.faults];
+    }
+
+    getDebugInfo() {
+        return {
+            faulted: this.isFaulted(),
+            fault: this.fault
+        };
+    }
+}
@@ -0,0 +1,198 @@
+// conflictZones.js
+// Conflict-zone reservation for the intersection box. The box is divided into
+// a grid of cells; every movement (approach + lane + turn) owns the cells its
+// path sweeps. A vehicle must reserve all of its cells before entering and
+// releases each cell once its rear has passed it, so crossing paths never
+// overlap. Vehicles on the same movement may share cells - spacing between
+// them is left to car-following.
+//
+// A reservation can also stop part-way along the path (a permissive left turn
+// pulls into the box and waits there for a gap). Such a partial holder may
+// only enter if no other partial holder sits on the cells it still needs, so
+// waiting vehicles can never block each other in a cycle.
+
+import { CONFIG } from './config.js';
+
+export class ConflictZoneManager {
+    constructor(intersection) {
+        this.intersection = intersection;
+        this.cellSize = CONFIG.CONFLICT_ZONES.CELL_SIZE;
+        this.clearance = CONFIG.CONFLICT_ZONES.CLEARANCE;
+        this.reset();
+    }
+
+    // Paths are rebuilt after a reset, so they follow a change of layout
+    reset() {
+        this.paths = {};          // pathKey -> { cells: [{ key, enter, exit }], length }
+        this.conflictDistances = {}; // pathKey|movement keys -> first shared path distance
+        this.occupancy = new Map(); // cellKey -> Map(carId -> car)
+        this.reservations = new Map(); // carId -> { cells: Set(cellKey), limit }
+    }
+
+    static getPathKey(car) {
+        return `${car.fromDirection}-${car.lane}-${car.turnType}`;
+    }
+
+    /**
+     * Cells swept by a movement, each with the path distance at which the
+     * vehicle centre first and last touches it. Cached per movement.
+     * @param {Car} car - Any vehicle on the movement
+     * @returns {Object} { cells, length }
+     */
+    getPath(car) {
+        const pathKey = ConflictZoneManager.getPathKey(car);
+        if (!this.paths[pathKey]) {
+            this.paths[pathKey] = this.buildPath(car);
+        }
+        return this.paths[pathKey];
+    }
+
+    buildPath(car) {
+        const points = this.intersection.getMovementPath(car.fromDirection, car.lane, car.turnType);
+        const { left: originX, top: originY } = this.intersection.getBox();
+        const reach = Math.ceil(this.clearance / this.cellSize);
+        const cells = new Map();
+
+        points.forEach(point => {
+            const column = Math.floor((point.x - originX) / this.cellSize);
+            const row = Math.floor((point.y - originY) / this.cellSize);
+            for (let i = column - reach; i <= column + reach; i++) {
+                for (let j = row - reach; j <= row + reach; j++) {
+                    const cellX = originX + (i + 0.5) * this.cellSize;
+                    const cellY = originY + (j + 0.5) * this.cellSize;
+                    if (Math.hypot(cellX - point.x, cellY - point.y) > this.clearance) continue;
+
+                    const key = `${i},${j}`;
+                    const cell = cells.get(key);
+                    if (cell) {
+                        cell.exit = Math.max(cell.exit, point.u);
+                    } else {
+                        cells.set(key, { key, enter: point.u, exit: point.u });
+                    }
+                }
+            }
+        });
+
+        const length = points.length > 0 ? points[points.length - 1].u : 0;
+        return { cells: [...cells.values()], length };
+    }
+
+    /**
+     * Path distance at which the car's movement first shares a cell with any
+     * of the given movements
+     * @param {Car} car - Any vehicle on the movement
+     * @param {Object[]} movements - { fromDirection, lane, turnType } to test against
+     * @returns {number} Distance from the box edge, Infinity if the paths never meet
+     */
+    getConflictDistance(car, movements) {
+        const pathKey = ConflictZoneManager.getPathKey(car);
+        const cacheKey = `${pathKey}|${movements.map(ConflictZoneManager.getPathKey).join(',')}`;
+        if (this.conflictDistances[cacheKey] === undefined) {
+            const otherCells = new Set();
+            movements.forEach(movement => {
+                if (ConflictZoneManager.getPathKey(movement) === pathKey) return;
+                this.getPath(movement).cells.forEach(cell => otherCells.add(cell.key));
+            });
+            this.conflictDistances[cacheKey] = this.getPath(car).cells
+                .filter(cell => otherCells.has(cell.key))
+                .reduce((first, cell) => Math.min(first, cell.enter), Infinity);
+        }
+        return this.conflictDistances[cacheKey];
+    }
+
+    /**
+     * Reserves every cell of the car's path that starts before the limit, or
+     * nothing if any of them is held by a vehicle on a different movement.
+     * Calling again with a larger limit extends an existing reservation.
+     * @param {Car} car - Vehicle about to enter the box
+     * @param {number} limit - Reserve cells first reached before this path distance
+     * @returns {boolean} Whether the reservation was granted
+     */
+    request(car, limit = Infinity) {
+        const existing = this.reservations.get(car.id);
+        const from = existing ? existing.limit : -Infinity;
+        if (from >= limit) return true;
+
+        const pathKey = ConflictZoneManager.getPathKey(car);
+        const { cells } = this.getPath(car);
+        const heldByOther = (cell, partialOnly) => {
+            const holders = this.occupancy.get(cell.key);
+            if (!holders) return false;
+            for (const holder of holders.values()) {
+                if (ConflictZoneManager.getPathKey(holder) === pathKey) continue;
+                if (!partialOnly || this.isPartial(holder)) return true;
+            }
+            return false;
+        };
+
+        const wanted = cells.filter(cell => cell.enter >= from && cell.enter < limit);
+        if (wanted.some(cell => heldByOther(cell, false))) return false;
+        if (limit < Infinity && cells.some(cell => cell.enter >= limit && heldByOther(cell, true))) return false;
+
+        const reservation = existing || { cells: new Set(), limit };
+        reservation.limit = limit;
+        wanted.forEach(cell => {
+            if (!this.occupancy.has(cell.key)) {
+                this.occupancy.set(cell.key, new Map());
+            }
+            this.occupancy.get(cell.key).set(car.id, car);
+            reservation.cells.add(cell.key);
+        });
+        this.reservations.set(car.id, reservation);
+        return true;
+    }
+
+    hasReservation(car) {
+        return this.reservations.has(car.id);
+    }
+
+    // Holds cells only up to a waiting point, not its whole path
+    isPartial(car) {
+        const reservation = this.reservations.get(car.id);
+        return reservation !== undefined && reservation.limit < Infinity;
+    }
+
+    /**
+     * Frees the cells the car's rear has already passed
+     * @param {Car} car - Vehicle inside the box
+     * @param {number} distance - Distance the car's centre has travelled since entering the box
+     */
+    releasePassed(car, distance) {
+        const reservation = this.reservations.get(car.id);
+        if (!reservation) return;
+
+        const rear = distance - car.width / 2 - this.clearance;
+        this.getPath(car).cells.forEach(cell => {
+            if (cell.exit < rear && reservation.cells.has(cell.key)) {
+                this.releaseCell(car, cell.key);
+                reservation.cells.delete(cell.key);
+            }
+        });
+    }
+
+    release(car) {
+        const reservation = this.reservations.get(car.id);
+        if (!reservation) return;
+        reservation.cells.forEach(key => this.releaseCell(car, key));
+        this.reservations.delete(car.id);
+    }
+
+    releaseCell(car, key) {
+        const holders = this.occupancy.get(key);
+        if (!holders) return;
+        holders.delete(car.id);
+        if (holders.size === 0) {
+            this.occupancy.delete(key);
+        }
+    }
+
+    render(ctx) {
+        const { left: originX, top: originY } = this.intersection.getBox();
+
+        ctx.fillStyle = 'rgba(255, 80, 80, 0.25)';
+        for (const key of this.occupancy.keys()) {
+            const [i, j] = key.split(',').map(Number);
+            ctx.fillRect(originX + i * this.cellSize, originY + j * this.cellSize, this.cellSize, this.cellSize);
+        }
+    }
+}
@@ -0,0 +1,55 @@
+// controllerRegistry.js
+// Registry of signal controller plugins. Each registered controller becomes a
+// mode: the engine gives it its own simulation bundle and the mode-select
+// dropdown lists it.
+//
+// A controller definition is
+//   {
+//     label,          // name shown in the mode dropdown
+//     create(),       // returns a new plugin instance
+//     settings,       // optional overrides of CONFIG.DEFAULT_SETTINGS for this mode
+//     panel,          // optional id of the settings panel shown for this mode
+//     showDetectors   // draw the detection zones while this mode is shown
+//   }
+//
+// and a plugin implements
+//   init({ intersection, settings, clock })  - start from all red
+//   step(sensorData, now, deltaTime)        - returns the desired indications,
+//                                             { direction: { left, through, right, leftProtected } }
+//   updateSettings(settings)                - new settings without a restart
+//   getPedestrianStates()                   - optional; { leg: CONFIG.PEDESTRIAN_SIGNALS value }
+//                                             for the crosswalk heads, DON'T WALK throughout without it
+//   getDebugInfo()                          - optional
+//
+// sensorData is the last SensorSystem.update result (null before the first
+// one) and now is the mode's simulation time in ms. Whatever a plugin returns
+// passes through the SignalSafetyLayer before it reaches the signal heads; the
+// ConflictMonitor logs a fault whenever it asks for conflicting movements
+// together.
+
+const controllers = new Map();
+
+/**
+ * Adds a controller, or replaces the one registered under the same id
+ * @param {string} id - Mode id used by the engine, the UI and the CLI
+ * @param {Object} definition - See the module comment
+ */
+export function registerController(id, definition) {
+    if (typeof definition.create !== 'function') {
+        throw new Error(`Controller "${id}" has no create() function`);
+    }
+    controllers.set(id, { id, showDetectors: false, settings: {}, ...definition });
+}
+
+export function getController(id) {
+    return controllers.get(id) || null;
+}
+
+export function hasController(id) {
+    return controllers.has(id);
+}
+
+// Definitions in registration order
+export function getControllers() {
+    return [...controllers.values()];
+}
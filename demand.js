@@ -0,0 +1,270 @@
+// demand.js
+// Traffic demand: how many vehicles arrive on each approach, where they are
+// headed and when. Demand is an origin-destination (OD) matrix of hourly
+// volumes - its row for an approach gives both the arrival rate and the
+// turning proportions - scaled over the run by a time-of-day profile. Each
+// approach's arrivals follow one of the ARRIVAL_PROCESSES:
+//   - uniform: evenly spaced
+//   - poisson: random, exponentially distributed headways
+//   - platooned: bunches of PLATOON_SIZE vehicles PLATOON_HEADWAY apart, as
+//     released by an upstream signal; the bunches themselves arrive at random
+// Rates that change over time are handled through the cumulative demand: an
+// arrival is due once the rate integrated since the previous one reaches a
+// threshold (1 for uniform, an exponential draw for poisson), so a profile
+// change takes effect straight away.
+// Demand can also be loaded from a JSON file (see demand.example.json).
+
+import { CONFIG } from './config.js';
+import { utils } from './utils.js';
+import { DIRECTION_ORDER, getTurnDestination } from './directions.js';
+
+export const ARRIVAL_PROCESSES = {
+    UNIFORM: 'uniform',
+    POISSON: 'poisson',
+    PLATOONED: 'platooned'
+};
+
+/**
+ * Turn a vehicle makes to go from one leg to another
+ * @param {string} origin - Approach it arrives on
+ * @param {string} destination - Leg it leaves by
+ * @returns {string|null} One of CONFIG.TURN_TYPES, null for a U-turn
+ */
+export function getTurnType(origin, destination) {
+    return Object.values(CONFIG.TURN_TYPES).find(turnType => getTurnDestination(origin, turnType) === destination) || null;
+}
+
+/**
+ * The OD matrix in force, between the legs the layout has. Without an
+ * explicit OD_MATRIX, CAR_SPAWN_RATE is spread evenly over the approaches
+ * and TURN_RATE split evenly between left and right turns; at a T-junction
+ * an approach's missing turn is shared out over the turns it has. An
+ * explicit matrix's volumes to or from a missing leg are left out.
+ * @param {Object} settings - Mode settings
+ * @param {string[]} legs - Legs of the layout (see Intersection.getLegDirections)
+ * @returns {Object} { origin: { destination: vehicles per hour } }
+ */
+export function getOdMatrix(settings, legs = DIRECTION_ORDER) {
+    if (settings.OD_MATRIX) {
+        const matrix = {};
+        legs.forEach(origin => {
+            const row = settings.OD_MATRIX[origin] || {};
+            matrix[origin] = Object.fromEntries(Object.entries(row).filter(([destination]) => legs.includes(destination)));
+        });
+        return matrix;
+    }
+
+    const perApproach = settings.CAR_SPAWN_RATE * 360 / legs.length; // cars per 10 s -> veh/h
+    const turnShare = settings.TURN_RATE / 2;
+    const matrix = {};
+    legs.forEach(origin => {
+        const shares = {};
+        legs.forEach(destination => {
+            const turnType = getTurnType(origin, destination);
+            if (!turnType) return;
+            shares[destination] = turnType === CONFIG.TURN_TYPES.STRAIGHT ? 1 - settings.TURN_RATE : turnShare;
+        });
+        const total = Object.values(shares).reduce((sum, share) => sum + share, 0);
+        matrix[origin] = {};
+        Object.entries(shares).forEach(([destination, share]) => {
+            matrix[origin][destination] = total > 0 ? perApproach * share / total : 0;
+        });
+    });
+    return matrix;
+}
+
+/**
+ * Demand factor of a time-of-day profile, interpolated linearly between its
+ * points and held flat before the first and after the last
+ * @param {string|Array} profile - Key of CONFIG.DEMAND_PROFILES, or [[seconds, factor], ...]
+ * @param {number} time - Simulation time (ms)
+ * @returns {number}
+ */
+export function getProfileFactor(profile, time) {
+    const points = typeof profile === 'string' ? CONFIG.DEMAND_PROFILES[profile] : profile;
+    if (!points || points.length === 0) return 1;
+
+    const seconds = time / 1000;
+    if (seconds <= points[0][0]) return points[0][1];
+    for (let i = 1; i < points.length; i++) {
+        const [t1, f1] = points[i];
+        if (seconds <= t1) {
+            const [t0, f0] = points[i - 1];
+            return t1 > t0 ? f0 + (f1 - f0) * (seconds - t0) / (t1 - t0) : f1;
+        }
+    }
+    return points[points.length - 1][1];
+}
+
+/**
+ * Validates demand loaded from a file and turns it into settings
+ * @param {Object} data - { odMatrix, profile?, arrivals?, platoonSize?, platoonHeadway? }
+ *   with the platoon headway in seconds
+ * @returns {Object} Settings to merge into the mode settings
+ */
+export function parseDemand(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Demand must be a JSON object');
+    }
+
+    const settings = {};
+    if (data.odMatrix !== undefined) {
+        settings.OD_MATRIX = parseOdMatrix(data.odMatrix);
+    }
+    if (data.profile !== undefined) {
+        settings.DEMAND_PROFILE = parseProfile(data.profile);
+    }
+    if (data.arrivals !== undefined) {
+        if (!Object.values(ARRIVAL_PROCESSES).includes(data.arrivals)) {
+            throw new Error(`Unknown arrival process "${data.arrivals}" - expected ${Object.values(ARRIVAL_PROCESSES).join(', ')}`);
+        }
+        settings.ARRIVAL_PROCESS = data.arrivals;
+    }
+    if (data.platoonSize !== undefined) {
+        if (!Number.isInteger(data.platoonSize) || data.platoonSize < 1) {
+            throw new Error('platoonSize must be a positive whole number');
+        }
+        settings.PLATOON_SIZE = data.platoonSize;
+    }
+    if (data.platoonHeadway !== undefined) {
+        if (!(data.platoonHeadway > 0)) {
+            throw new Error('platoonHeadway must be a positive number of seconds');
+        }
+        settings.PLATOON_HEADWAY = data.platoonHeadway * 1000;
+    }
+    if (Object.keys(settings).length === 0) {
+        throw new Error('Demand has none of odMatrix, profile, arrivals, platoonSize or platoonHeadway');
+    }
+    return settings;
+}
+
+function parseOdMatrix(matrix) {
+    if (!matrix || typeof matrix !== 'object') {
+        throw new Error('odMatrix must map each origin to { destination: vehicles per hour }');
+    }
+    const parsed = {};
+    Object.entries(matrix).forEach(([origin, row]) => {
+        if (!DIRECTION_ORDER.includes(origin)) {
+            throw new Error(`Unknown origin "${origin}" in odMatrix`);
+        }
+        parsed[origin] = {};
+        Object.entries(row || {}).forEach(([destination, volume]) => {
+            if (!getTurnType(origin, destination)) {
+                throw new Error(`No movement from ${origin} to ${destination}`);
+            }
+            if (typeof volume !== 'number' || !(volume >= 0)) {
+                throw new Error(`Volume from ${origin} to ${destination} must be a non-negative number`);
+            }
+            parsed[origin][destination] = volume;
+        });
+    });
+    return parsed;
+}
+
+function parseProfile(profile) {
+    if (typeof profile === 'string') {
+        if (!(profile in CONFIG.DEMAND_PROFILES)) {
+            throw new Error(`Unknown demand profile "${profile}" - expected ${Object.keys(CONFIG.DEMAND_PROFILES).join(', ')}`);
+        }
+        return profile;
+    }
+    const valid = Array.isArray(profile) && profile.length > 0 && profile.every((point, i) =>
+        Array.isArray(point) && point.length === 2 && point[0] >= 0 && point[1] >= 0 &&
+        (i === 0 || point[0] >= profile[i - 1][0]));
+    if (!valid) {
+        throw new Error('profile must be a preset name or [[seconds, factor], ...] in time order');
+    }
+    return profile.map(([seconds, factor]) => [seconds, factor]);
+}
+
+export class DemandGenerator {
+    /**
+     * @param {SeededRandom} random - Each approach forks its own stream from it
+     */
+    constructor(random) {
+        this.random = random;
+        this.reset();
+    }
+
+    reset() {
+        this.origins = {};
+        DIRECTION_ORDER.forEach(origin => {
+            this.origins[origin] = {
+                random: this.random.fork(`demand-${origin}`),
+                demand: 0,          // vehicles of demand accumulated since the last arrival
+                threshold: null,    // demand at which the next arrival is due
+                platoonLeft: 0,     // platoon members still to arrive
+                platoonTimer: 0
+            };
+        });
+    }
+
+    /**
+     * Advances the arrival processes
+     * @param {number} deltaTime - Time step (ms)
+     * @param {number} now - Simulation time (ms), for the profile
+     * @param {Object} settings - Mode settings
+     * @param {string[]} legs - Legs of the layout
+     * @param {string[]} origins - Legs traffic arrives on from outside - at a node of a
+     *   road network, those not linked to another intersection
+     * @returns {Object[]} Arrivals due this step: { origin, destination }
+     */
+    update(deltaTime, now, settings, legs = DIRECTION_ORDER, origins = legs) {
+        const matrix = getOdMatrix(settings, legs);
+        const factor = getProfileFactor(settings.DEMAND_PROFILE, now);
+        const platooned = settings.ARRIVAL_PROCESS === ARRIVAL_PROCESSES.PLATOONED;
+        const arrivals = [];
+
+        origins.forEach(origin => {
+            const row = matrix[origin] || {};
+            const state = this.origins[origin];
+
+            // The rest of a platoon follows its leader at the platoon headway
+            if (state.platoonLeft > 0) {
+                state.platoonTimer += deltaTime;
+                if (state.platoonTimer >= settings.PLATOON_HEADWAY) {
+                    state.platoonTimer = 0;
+                    state.platoonLeft--;
+                    this.addArrival(arrivals, origin, row, state.random);
+                }
+            }
+
+            const rate = Object.values(row).reduce((sum, volume) => sum + volume, 0) * factor;
+            state.demand += rate * deltaTime / 3600000;
+            if (state.threshold === null) {
+                state.threshold = this.drawThreshold(state.random, settings);
+            }
+            if (rate > 0 && state.demand >= state.threshold) {
+                state.demand -= state.threshold;
+                state.threshold = null;
+                this.addArrival(arrivals, origin, row, state.random);
+                if (platooned) {
+                    state.platoonLeft = settings.PLATOON_SIZE - 1;
+                    state.platoonTimer = 0;
+                }
+            }
+        });
+        return arrivals;
+    }
+
+    // Demand (in vehicles) until the next arrival - or, when platooned, the next platoon
+    drawThreshold(random, settings) {
+        const exponential = () => -Math.log(1 - random.next());
+        switch (settings.ARRIVAL_PROCESS) {
+            case ARRIVAL_PROCESSES.POISSON:
+                return exponential();
+            case ARRIVAL_PROCESSES.PLATOONED:
+                return exponential() * settings.PLATOON_SIZE;
+            default:
+                return 1;
+        }
+    }
+
+    // Destination in proportion to the origin's row of the OD matrix
+    addArrival(arrivals, origin, row, random) {
+        const destination = utils.randomWeightedKey(row, random);
+        if (destination) {
+            arrivals.push({ origin, destination });
+        }
+    }
+}
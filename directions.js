@@ -0,0 +1,34 @@
+// directions.js
+// The four legs of a junction in clockwise order, and the quarter turns that
+// take a vehicle from the leg it arrives on to the leg it leaves by: a left
+// turn is one, straight on two and a right turn three.
+
+import { CONFIG } from './config.js';
+
+export const DIRECTION_ORDER = [CONFIG.DIRECTIONS.NORTH, CONFIG.DIRECTIONS.EAST, CONFIG.DIRECTIONS.SOUTH, CONFIG.DIRECTIONS.WEST];
+
+// Quarter turns from the approach to the leg a turn leaves by
+const QUARTER_TURNS = {
+    [CONFIG.TURN_TYPES.LEFT]: 1,
+    [CONFIG.TURN_TYPES.STRAIGHT]: 2,
+    [CONFIG.TURN_TYPES.RIGHT]: 3
+};
+
+/**
+ * Leg a turn from an approach leaves by
+ * @param {string} origin - Approach, one of CONFIG.DIRECTIONS
+ * @param {string} turnType - One of CONFIG.TURN_TYPES
+ * @returns {string} One of CONFIG.DIRECTIONS
+ */
+export function getTurnDestination(origin, turnType) {
+    return DIRECTION_ORDER[(DIRECTION_ORDER.indexOf(origin) + QUARTER_TURNS[turnType]) % 4];
+}
+
+/**
+ * Leg facing another across the junction
+ * @param {string} direction - One of CONFIG.DIRECTIONS
+ * @returns {string} One of CONFIG.DIRECTIONS
+ */
+export function getOppositeDirection(direction) {
+    return getTurnDestination(direction, CONFIG.TURN_TYPES.STRAIGHT);
+}
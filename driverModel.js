@@ -0,0 +1,82 @@
+// driverModel.js
+// Intelligent Driver Model (Treiber, Hennecke & Helbing, 2000) for car-following.
+// One instance per vehicle, so every driver has its own desired speed factor,
+// time headway, minimum gap, maximum acceleration and comfortable deceleration.
+
+import { CONFIG } from './config.js';
+import { utils } from './utils.js';
+
+export class IntelligentDriverModel {
+    /**
+     * @param {Object} params - Driver parameters (see sampleDriverParameters)
+     */
+    constructor({ desiredSpeedFactor, timeHeadway, minGap, maxAcceleration, comfortDeceleration, exponent }) {
+        this.desiredSpeedFactor = desiredSpeedFactor; // Multiplier on the CAR_SPEED setting
+        this.timeHeadway = timeHeadway;               // Seconds
+        this.minGap = minGap;                         // Pixels, bumper to bumper at standstill
+        this.maxAcceleration = maxAcceleration;       // px/s²
+        this.comfortDeceleration = comfortDeceleration; // px/s²
+        this.exponent = exponent;
+    }
+
+    /**
+     * Acceleration on an empty road
+     * @param {number} speed - Current speed (px/s)
+     * @param {number} desiredSpeed - Speed the driver wants to reach (px/s)
+     * @returns {number} Acceleration (px/s²)
+     */
+    freeRoadAcceleration(speed, desiredSpeed) {
+        if (desiredSpeed <= 0) return -this.comfortDeceleration;
+        return this.maxAcceleration * (1 - Math.pow(speed / desiredSpeed, this.exponent));
+    }
+
+    /**
+     * IDM acceleration behind a leader. A stop line is a leader with speed 0.
+     * @param {number} speed - Current speed (px/s)
+     * @param {number} desiredSpeed - Speed the driver wants to reach (px/s)
+     * @param {number} gap - Bumper-to-bumper distance to the leader (px), Infinity for none
+     * @param {number} leaderSpeed - Leader speed along our heading (px/s)
+     * @returns {number} Acceleration (px/s²)
+     */
+    acceleration(speed, desiredSpeed, gap, leaderSpeed = 0) {
+        const free = this.freeRoadAcceleration(speed, desiredSpeed);
+        if (!Number.isFinite(gap)) return free;
+
+        const approachRate = speed - leaderSpeed;
+        const desiredGap = this.minGap + Math.max(0,
+            speed * this.timeHeadway +
+            (speed * approachRate) / (2 * Math.sqrt(this.maxAcceleration * this.comfortDeceleration)));
+        const effectiveGap = Math.max(gap, 0.1);
+        return free - this.maxAcceleration * Math.pow(desiredGap / effectiveGap, 2);
+    }
+
+    /**
+     * Distance needed to stop from the given speed at comfortable deceleration
+     * @param {number} speed - Current speed (px/s)
+     * @returns {number} Distance (px)
+     */
+    comfortableStoppingDistance(speed) {
+        return (speed * speed) / (2 * this.comfortDeceleration);
+    }
+}
+
+/**
+ * Draws one driver's parameters around the CONFIG.DRIVER_MODEL means,
+ * scaled for the vehicle type
+ * @param {SeededRandom} random - The vehicle's random stream
+ * @param {Object} vehicleType - Entry of CONFIG.VEHICLE_TYPES
+ * @returns {Object} Parameters for IntelligentDriverModel
+ */
+export function sampleDriverParameters(random, vehicleType = CONFIG.VEHICLE_TYPES.car) {
+    const model = CONFIG.DRIVER_MODEL;
+    const vary = (mean, spread) => mean * utils.randomBetween(1 - spread, 1 + spread, random);
+
+    return {
+        desiredSpeedFactor: vary(vehicleType.SPEED_FACTOR, vehicleType.SPEED_SPREAD),
+        timeHeadway: vary(model.TIME_HEADWAY, model.PARAMETER_SPREAD),
+        minGap: vary(model.MIN_GAP, model.PARAMETER_SPREAD),
+        maxAcceleration: vary(model.MAX_ACCELERATION * vehicleType.ACCELERATION_FACTOR, model.PARAMETER_SPREAD),
+        comfortDeceleration: vary(model.COMFORT_DECELERATION * vehicleType.DECELERATION_FACTOR, model.PARAMETER_SPREAD),
+        exponent: model.ACCELERATION_EXPONENT
+    };
+}
@@ -1,148 +1,267 @@
 import { Intersection } from './intersection.js';
 import { TrafficLightController } from './trafficLights.js';
 import { CarManager } from './cars.js';
+import { PedestrianManager } from './pedestrians.js';
 import { SensorSystem } from './sensors.js';
 import { Statistics } from './statistics.js';
+import { SimulationClock } from './clock.js';
+import { SeededRandom } from './random.js';
 import { CONFIG } from './config.js';
+import { getController, getControllers } from './controllerRegistry.js';
+import './builtinControllers.js';
+import { SIGNAL_OPERATIONS } from './signalOperations.js';
+import { RoadNetwork } from './network.js';
+
+// Settings that schedule each signal scenario
+const OPERATION_SETTINGS = {
+    [SIGNAL_OPERATIONS.POWER_FAILURE]: ['POWER_FAILURE_START', 'POWER_FAILURE_DURATION'],
+    [SIGNAL_OPERATIONS.NIGHT_FLASH]: ['NIGHT_FLASH_START', 'NIGHT_FLASH_DURATION']
+};
 
 export class GameEngine {
-    constructor(canvas, ctx) {
+    // canvas/ctx are optional - without them the engine runs headless and
+    // render() is a no-op (see headless.js)
+    constructor(canvas = null, ctx = null) {
         this.canvas = canvas;
         this.ctx = ctx;
         
         // Shared intersection
         this.intersection = new Intersection(CONFIG.CANVAS_WIDTH / 2, CONFIG.CANVAS_HEIGHT / 2);
         
+        // Road network run instead of the intersection, null for none (see setNetwork)
+        this.network = null;
+        
         // Current active mode
         this.mode = CONFIG.MODES.FIXED;
         
-        // Fixed Mode Components (independent)
-        this.fixedMode = {
-            trafficLights: new TrafficLightController(),
-            carManager: new CarManager(this.intersection),
-            sensorSystem: new SensorSystem(this.intersection),
-            statistics: new Statistics(),
-            settings: { ...CONFIG.DEFAULT_SETTINGS }
-        };
-        
-        // Adaptive Mode Components (independent)
-        this.adaptiveMode = {
-            trafficLights: new TrafficLightController(),
-            carManager: new CarManager(this.intersection),
-            sensorSystem: new SensorSystem(this.intersection),
-            statistics: new Statistics(),
-            settings: { 
-                ...CONFIG.DEFAULT_SETTINGS,
-                YELLOW_DURATION: 3000 // Independent yellow duration for adaptive mode
-            }
+        // Each mode runs on its own simulation clock, which only advances when
+        // that mode is stepped - an inactive or paused mode accrues no time.
+        // Each mode also owns its own random stream, seeded identically, so
+        // every mode sees the same arrivals for a given seed and settings.
+        // There is one mode per registered signal controller, so plugins must
+        // be registered before the engine is created.
+        this.modes = new Map();
+        getControllers().forEach(({ id, settings }) => {
+            this.modes.set(id, this.createModeComponents(id, { ...CONFIG.DEFAULT_SETTINGS, ...settings }));
+        });
+
+        // Comparison mode runs these two side by side
+        this.fixedMode = this.modes.get(CONFIG.MODES.FIXED);
+        this.adaptiveMode = this.modes.get(CONFIG.MODES.ADAPTIVE);
+    }
+
+    // Independent components for one signal mode
+    createModeComponents(mode, settings) {
+        const clock = new SimulationClock();
+        const random = new SeededRandom(CONFIG.DEFAULT_SETTINGS.SEED);
+        const carManager = new CarManager(this.intersection, clock, random);
+        const pedestrianManager = new PedestrianManager(this.intersection, clock, random);
+        carManager.setPedestrianManager(pedestrianManager);
+        return {
+            mode,
+            clock,
+            random,
+            trafficLights: new TrafficLightController(clock),
+            carManager,
+            pedestrianManager,
+            sensorSystem: new SensorSystem(this.intersection, clock),
+            statistics: new Statistics(clock),
+            settings
         };
     }
 
+    getAllModeComponents() {
+        return [...this.modes.values()];
+    }
+
     initialize() {
-        // Initialize Fixed Mode
-        this.intersection.setCarManager(this.fixedMode.carManager);
-        this.fixedMode.trafficLights.initialize(CONFIG.MODES.FIXED, this.fixedMode.settings);
-        this.fixedMode.carManager.initialize(this.fixedMode.settings);
-        this.fixedMode.sensorSystem.initialize(this.fixedMode.settings.DETECTOR_DISTANCE);
-        this.fixedMode.statistics.initialize();
-        this.fixedMode.carManager.onCarCompleted = (car) => {
-            this.fixedMode.statistics.recordCarCompletion(car);
-        };
-        
-        // Initialize Adaptive Mode
-        this.adaptiveMode.trafficLights.initialize(CONFIG.MODES.ADAPTIVE, this.adaptiveMode.settings);
-        this.adaptiveMode.carManager.initialize(this.adaptiveMode.settings);
-        this.adaptiveMode.sensorSystem.initialize(this.adaptiveMode.settings.DETECTOR_DISTANCE);
-        this.adaptiveMode.statistics.initialize();
-        this.adaptiveMode.carManager.onCarCompleted = (car) => {
-            this.adaptiveMode.statistics.recordCarCompletion(car);
-        };
+        this.getAllModeComponents().forEach(modeComponents => {
+            this.intersection.setCarManager(modeComponents.carManager);
+            modeComponents.trafficLights.initialize(modeComponents.mode, modeComponents.settings, this.intersection);
+            modeComponents.carManager.initialize(modeComponents.settings);
+            modeComponents.pedestrianManager.initialize(modeComponents.settings);
+            modeComponents.sensorSystem.initialize(modeComponents.settings.DETECTOR_DISTANCE);
+            modeComponents.statistics.initialize();
+            modeComponents.carManager.onCarCompleted = (car) => {
+                modeComponents.statistics.recordCarCompletion(car);
+            };
+            modeComponents.pedestrianManager.onPedestrianCompleted = (pedestrian) => {
+                modeComponents.statistics.recordPedestrianCrossing(pedestrian);
+            };
+            modeComponents.trafficLights.onPreemption = (event) => {
+                modeComponents.statistics.recordPreemption(event);
+            };
+        });
         
         console.log('Game engine initialized');
     }
 
     update(deltaTime) {
-        const currentMode = this.getCurrentModeComponents();
+        // Comparison mode steps both bundles so neither freezes
+        if (this.mode === CONFIG.MODES.COMPARISON) {
+            this.updateModeComponents(this.fixedMode, deltaTime);
+            this.updateModeComponents(this.adaptiveMode, deltaTime);
+        } else {
+            this.updateModeComponents(this.getCurrentModeComponents(), deltaTime);
+        }
+    }
+
+    updateModeComponents(modeComponents, deltaTime) {
+        // Advance simulated time first so every system sees the same "now"
+        modeComponents.clock.advance(deltaTime);
 
-        // Track previous light states for adaptive mode
-        if (!this.prevLightStates) {
-            this.prevLightStates = currentMode.trafficLights.getLightStates();
+        if (modeComponents.network) {
+            modeComponents.network.update(deltaTime);
+            return;
         }
 
-        // Update current mode's traffic lights
-        currentMode.trafficLights.update(deltaTime, this.mode, currentMode.settings);
-
-        // Update current mode's cars
-        this.intersection.setCarManager(currentMode.carManager);
-        currentMode.carManager.update(deltaTime, currentMode.trafficLights.getLightStates());
-
-        // Update sensors and adaptive logic (only for adaptive mode)
-        let sensorData;
-        if (this.mode === CONFIG.MODES.ADAPTIVE) {
-            sensorData = currentMode.sensorSystem.update(
-                currentMode.carManager.getCars(),
-                currentMode.trafficLights.getLightStates(),
-                this.prevLightStates
-            );
-            currentMode.trafficLights.updateAdaptiveLogic(sensorData, deltaTime);
-        } else {
-            sensorData = currentMode.sensorSystem.update(currentMode.carManager.getCars());
+        // Track previous light states so the detectors can restart their counts
+        if (!modeComponents.prevLightStates) {
+            modeComponents.prevLightStates = modeComponents.trafficLights.getLightStates();
         }
 
+        // Step this mode's signal controller on the latest detector data
+        modeComponents.trafficLights.update(deltaTime, modeComponents.sensorData);
+
+        // Update this mode's cars
+        this.intersection.setCarManager(modeComponents.carManager);
+        modeComponents.carManager.update(deltaTime, modeComponents.trafficLights.getMovementStates());
+
+        // Pedestrians cross on their own signals, between the vehicles
+        modeComponents.pedestrianManager.update(
+            deltaTime,
+            modeComponents.trafficLights.getPedestrianStates(),
+            modeComponents.carManager.getCars()
+        );
+
+        // Update sensors; the controller sees their data on its next step
+        modeComponents.sensorData = modeComponents.sensorSystem.update(
+            modeComponents.carManager.getCars(),
+            modeComponents.trafficLights.getLightStates(),
+            modeComponents.prevLightStates,
+            modeComponents.pedestrianManager.getPedestrians()
+        );
+
         // Update previous light states for next frame
-        this.prevLightStates = currentMode.trafficLights.getLightStates();
+        modeComponents.prevLightStates = modeComponents.trafficLights.getLightStates();
 
-        // Update current mode's statistics
-        currentMode.statistics.update(currentMode.carManager.getCars(), deltaTime);
+        // Update this mode's statistics
+        modeComponents.statistics.update(modeComponents.carManager.getCars(), deltaTime, modeComponents.carManager.getPendingArrivalCount());
     }
 
     render() {
+        // Headless engines have nothing to draw on
+        if (!this.ctx) return;
+
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        
-        const currentMode = this.getCurrentModeComponents();
-        
+
+        if (this.mode === CONFIG.MODES.COMPARISON) {
+            this.renderComparison();
+        } else {
+            this.renderModeComponents(this.getCurrentModeComponents());
+        }
+    }
+
+    renderModeComponents(modeComponents) {
+        if (modeComponents.network) {
+            modeComponents.network.render(this.ctx, getController(modeComponents.mode).showDetectors);
+            return;
+        }
+
         // Render intersection
         this.intersection.render(this.ctx);
         
-        // Render sensor detection zones (only in adaptive mode)
-        if (this.mode === CONFIG.MODES.ADAPTIVE) {
-            currentMode.sensorSystem.render(this.ctx);
+        // Render sensor detection zones (only for controllers that use them)
+        if (getController(modeComponents.mode).showDetectors) {
+            modeComponents.sensorSystem.render(this.ctx);
         }
         
-        // Render current mode's cars
-        currentMode.carManager.render(this.ctx);
+        // Render this mode's cars
+        modeComponents.carManager.render(this.ctx);
+
+        // Render this mode's pedestrians
+        modeComponents.pedestrianManager.render(this.ctx);
         
-        // Render current mode's traffic lights
-        currentMode.trafficLights.render(this.ctx, this.intersection);
+        // Render this mode's traffic lights
+        modeComponents.trafficLights.render(this.ctx, this.intersection);
+    }
+
+    // Split view - fixed on the left half, adaptive on the right, each scaled to fit
+    renderComparison() {
+        const ctx = this.ctx;
+        const halfWidth = this.canvas.width / 2;
+        const scale = halfWidth / CONFIG.CANVAS_WIDTH;
+        const offsetY = (this.canvas.height - CONFIG.CANVAS_HEIGHT * scale) / 2;
+        const views = [
+            { modeComponents: this.fixedMode, label: 'Fixed Timer', x: 0 },
+            { modeComponents: this.adaptiveMode, label: 'Adaptive', x: halfWidth }
+        ];
+
+        views.forEach(({ modeComponents, label, x }) => {
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(x, 0, halfWidth, this.canvas.height);
+            ctx.clip();
+            ctx.translate(x, offsetY);
+            ctx.scale(scale, scale);
+            this.renderModeComponents(modeComponents);
+            ctx.restore();
+
+            ctx.fillStyle = '#333';
+            ctx.font = 'bold 20px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(label, x + halfWidth / 2, offsetY - 12);
+        });
+
+        // Divider between the two views
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(halfWidth, 0);
+        ctx.lineTo(halfWidth, this.canvas.height);
+        ctx.stroke();
     }
 
     reset() {
-        // Reset both modes
-        this.fixedMode.carManager.reset();
-        this.fixedMode.trafficLights.reset();
-        this.fixedMode.sensorSystem.reset();
-        this.fixedMode.statistics.reset();
-        
-        this.adaptiveMode.carManager.reset();
-        this.adaptiveMode.trafficLights.reset();
-        this.adaptiveMode.sensorSystem.reset();
-        this.adaptiveMode.statistics.reset();
+        this.getAllModeComponents().forEach(modeComponents => {
+            modeComponents.prevLightStates = null;
+            modeComponents.sensorData = null;
+            modeComponents.clock.reset();
+            modeComponents.carManager.reset();
+            modeComponents.pedestrianManager.reset();
+            modeComponents.trafficLights.reset();
+            modeComponents.sensorSystem.reset();
+            modeComponents.statistics.reset();
+            if (modeComponents.network) {
+                modeComponents.network.reset();
+            }
+        });
         
         console.log('Game reset');
     }
 
+    // In comparison mode the fixed bundle is the baseline the single-mode UI shows
     getCurrentModeComponents() {
-        return this.mode === CONFIG.MODES.FIXED ? this.fixedMode : this.adaptiveMode;
+        return this.getModeComponents(this.mode);
+    }
+
+    getModeComponents(mode) {
+        return this.modes.get(mode) || this.fixedMode;
     }
 
     updateMode(mode) {
         const previousMode = this.mode;
         this.mode = mode;
         
-        // Reset adaptive mode car counting when switching to adaptive mode
-        if (mode === CONFIG.MODES.ADAPTIVE && previousMode !== CONFIG.MODES.ADAPTIVE) {
-            this.adaptiveMode.sensorSystem.resetAllCarCounts();
+        // Restart the detector car counts of the mode being switched to
+        if (mode !== previousMode && this.modes.has(mode)) {
+            this.modes.get(mode).sensorSystem.resetAllCarCounts();
+        }
+
+        // Comparisons start both modes together from t = 0 on the same seed
+        if (mode === CONFIG.MODES.COMPARISON && previousMode !== CONFIG.MODES.COMPARISON) {
+            this.reset();
         }
         
         console.log(`Mode changed from ${previousMode} to: ${mode}`);
@@ -151,7 +270,7 @@ export class GameEngine {
     updateSetting(key, value, targetMode = null) {
         // If no target mode specified, update current mode
         const mode = targetMode || this.mode;
-        const modeComponents = mode === CONFIG.MODES.FIXED ? this.fixedMode : this.adaptiveMode;
+        const modeComponents = this.getModeComponents(mode);
         
         modeComponents.settings[key] = value;
         
@@ -160,18 +279,105 @@ export class GameEngine {
             case 'CAR_SPAWN_RATE':
             case 'CAR_SPEED':
             case 'TURN_RATE':
+            case 'LEFT_TURN_CRITICAL_GAP':
+            case 'LEFT_TURN_FOLLOW_UP_TIME':
+            case 'ROUNDABOUT_CRITICAL_GAP':
+            case 'ROUNDABOUT_FOLLOW_UP_TIME':
+            case 'EMERGENCY_VEHICLE_RATE':
+            case 'BUS_HEADWAYS':
+            case 'VEHICLE_MIX':
+            case 'OD_MATRIX':
+            case 'DEMAND_PROFILE':
+            case 'ARRIVAL_PROCESS':
+            case 'PLATOON_SIZE':
+            case 'PLATOON_HEADWAY':
+            case 'LANE_CHANGING':
+            case 'LANE_CHANGE_POLITENESS':
                 modeComponents.carManager.updateSettings(modeComponents.settings);
                 break;
+            case 'PEDESTRIAN_RATE':
+                modeComponents.pedestrianManager.updateSettings(modeComponents.settings);
+                break;
             case 'DETECTOR_DISTANCE':
                 modeComponents.sensorSystem.updateDetectorDistance(value);
                 break;
-            case 'GREEN_DURATION':
-            case 'YELLOW_DURATION':
-            case 'RED_DURATION':
-            case 'MIN_GREEN_TIME':
+            case 'SEED':
+                this.setSeed(value);
+                break;
+            default:
+                // Anything else is for the signal controller
                 modeComponents.trafficLights.updateSettings(modeComponents.settings);
                 break;
         }
+        if (modeComponents.network && key !== 'SEED') {
+            modeComponents.network.updateSettings(modeComponents.settings);
+        }
+    }
+
+    // Re-seeds every mode and restarts them so the new seed takes effect from
+    // t = 0. A network's nodes fork their streams when built, so it is rebuilt.
+    setSeed(seed) {
+        this.getAllModeComponents().forEach(modeComponents => {
+            modeComponents.settings.SEED = seed;
+            modeComponents.random.setSeed(seed);
+            if (this.network) {
+                modeComponents.network = this.createNetwork(modeComponents);
+            }
+        });
+        this.reset();
+    }
+
+    /**
+     * Runs a road network of linked intersections in every mode instead of
+     * the single intersection, and restarts them on it
+     * @param {Object|null} network - In the form of CONFIG.NETWORK_PRESETS, null to go
+     *   back to the single intersection
+     * @throws {Error} If the network cannot be built - the old one stays in place
+     */
+    setNetwork(network) {
+        const previous = this.network;
+        this.network = network;
+        try {
+            const networks = this.getAllModeComponents().map(modeComponents => (network ? this.createNetwork(modeComponents) : null));
+            this.getAllModeComponents().forEach((modeComponents, index) => {
+                modeComponents.network = networks[index];
+            });
+        } catch (error) {
+            this.network = previous;
+            throw error;
+        }
+        this.reset();
+    }
+
+    createNetwork(modeComponents) {
+        return new RoadNetwork(this.network, modeComponents.mode, modeComponents.settings, modeComponents.clock, modeComponents.random);
+    }
+
+    getNetwork() {
+        return this.network;
+    }
+
+    /**
+     * Rebuilds the intersection to a new layout and restarts every mode on
+     * it, leaving any road network
+     * @param {Object} geometry - In the form of CONFIG.GEOMETRY_PRESETS
+     * @throws {Error} If the layout cannot be built - the old one stays in place
+     */
+    setGeometry(geometry) {
+        this.intersection.setGeometry(geometry);
+        this.network = null;
+        this.getAllModeComponents().forEach(modeComponents => {
+            modeComponents.network = null;
+        });
+        // Crosswalk lengths, and so the pedestrian clearances, follow the layout
+        this.getAllModeComponents().forEach(modeComponents => {
+            modeComponents.trafficLights.initialize(modeComponents.mode, modeComponents.settings, this.intersection);
+        });
+        this.reset();
+    }
+
+    getSeed() {
+        return this.getCurrentModeComponents().settings.SEED;
     }
 
     updateSettings(settings) {
@@ -179,15 +385,104 @@ export class GameEngine {
         currentMode.settings = { ...currentMode.settings, ...settings };
         currentMode.trafficLights.updateSettings(currentMode.settings);
         currentMode.carManager.updateSettings(currentMode.settings);
+        currentMode.pedestrianManager.updateSettings(currentMode.settings);
+        if (currentMode.network) {
+            currentMode.network.updateSettings(currentMode.settings);
+        }
+    }
+
+    // A network's journeys, with a breakdown per node (see RoadNetwork.getStats)
+    getModeStatistics(modeComponents) {
+        return modeComponents.network ? modeComponents.network.getStats() : modeComponents.statistics.getStats();
+    }
+
+    // The signals the single-intersection readouts show - in a network, the first node's
+    getSignalComponents() {
+        const modeComponents = this.getCurrentModeComponents();
+        return modeComponents.network ? modeComponents.network.getNodes()[0] : modeComponents;
     }
 
     // Getters for UI
     getStatistics() {
-        return this.getCurrentModeComponents().statistics.getStats();
+        return this.getModeStatistics(this.getCurrentModeComponents());
+    }
+
+    // Side-by-side summary for comparison mode; deltas are adaptive minus fixed
+    getComparison() {
+        const fixed = this.getModeStatistics(this.fixedMode);
+        const adaptive = this.getModeStatistics(this.adaptiveMode);
+        return {
+            fixed,
+            adaptive,
+            delta: {
+                throughputPerHour: adaptive.throughputPerHour - fixed.throughputPerHour,
+                averageWaitTime: adaptive.averageWaitTime - fixed.averageWaitTime,
+                averageLeftTurnDelay: adaptive.averageLeftTurnDelay - fixed.averageLeftTurnDelay,
+                maxQueueLength: adaptive.maxQueueLength - fixed.maxQueueLength,
+                maxEntryQueue: adaptive.maxEntryQueue - fixed.maxEntryQueue
+            }
+        };
     }
 
     getLightStates() {
-        return this.getCurrentModeComponents().trafficLights.getLightStates();
+        return this.getSignalComponents().trafficLights.getLightStates();
+    }
+
+    /**
+     * Schedules a power failure or night flash in every mode, relative to
+     * each mode's own clock so compared modes degrade at the same moment
+     * @param {string} operation - SIGNAL_OPERATIONS.POWER_FAILURE or NIGHT_FLASH
+     * @param {number} duration - How long it lasts (ms)
+     * @param {number} delay - Time from now until it starts (ms)
+     */
+    scheduleSignalOperation(operation, duration, delay = 0) {
+        const [startKey, durationKey] = OPERATION_SETTINGS[operation];
+        this.getAllModeComponents().forEach(modeComponents => {
+            this.updateSetting(durationKey, duration, modeComponents.mode);
+            this.updateSetting(startKey, modeComponents.clock.now() + delay, modeComponents.mode);
+        });
+    }
+
+    // Cancels every scheduled scenario; running ones end through the start-up all red
+    clearSignalOperations() {
+        this.getAllModeComponents().forEach(modeComponents => {
+            Object.values(OPERATION_SETTINGS).forEach(([startKey]) => {
+                this.updateSetting(startKey, null, modeComponents.mode);
+            });
+        });
+    }
+
+    // Sends an emergency vehicle in every mode; each mode's own random
+    // streams pick the same approach, so compared modes see the same vehicle
+    dispatchEmergencyVehicle() {
+        this.getAllModeComponents().forEach(modeComponents => {
+            (modeComponents.network || modeComponents.carManager).dispatchEmergencyVehicle();
+        });
+    }
+
+    isPreempted() {
+        return this.getSignalComponents().trafficLights.isPreempted();
+    }
+
+    // In a network, those of every node, each with the node's id
+    getPreemptionEvents() {
+        const modeComponents = this.getCurrentModeComponents();
+        return (modeComponents.network || modeComponents).statistics.getPreemptionEvents();
+    }
+
+    getSignalOperation() {
+        return this.getSignalComponents().trafficLights.getOperation();
+    }
+
+    // Conflict monitor faults of the mode shown - in a network, of every
+    // node, each with the node's id
+    getSignalFaults() {
+        const modeComponents = this.getCurrentModeComponents();
+        if (!modeComponents.network) {
+            return modeComponents.trafficLights.getFaults();
+        }
+        return modeComponents.network.getNodes().flatMap(node =>
+            node.trafficLights.getFaults().map(fault => ({ ...fault, node: node.id })));
     }
 
     getCurrentMode() {
@@ -205,8 +500,20 @@ export class GameEngine {
     getAdaptiveModeSettings() {
         return { ...this.adaptiveMode.settings };
     }
+
+    getModeSettings(mode) {
+        return { ...this.getModeComponents(mode).settings };
+    }
     
     getSensorSystem() {
-        return this.getCurrentModeComponents().sensorSystem;
+        return this.getSignalComponents().sensorSystem;
+    }
+
+    isHeadless() {
+        return !this.ctx;
+    }
+
+    getSimulationTime() {
+        return this.getCurrentModeComponents().clock.now();
     }
 }
\ No newline at end of file
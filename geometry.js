@@ -0,0 +1,182 @@
+// geometry.js
+// The intersection layout as data. Each leg describes its approach lanes,
+// listed from the curb out to the centre line, with the turns each lane may
+// be used for - a shared through-right lane is ['right', 'straight'], an
+// exclusive left ['left'] - and, for a turn bay, how far back from the stop
+// line the lane reaches. EXIT_LANES lanes leave the junction on the leg.
+// CORNER_RADIUS is the curb radius of the corner on the leg's right, the one
+// its right turns go round. Lanes are the layout's LANE_WIDTH wide unless the
+// leg or the lane gives its own. One of the four legs may be left out for a
+// T-junction; no lane may then be marked for a turn into it. A ROUNDABOUT
+// block makes the box a roundabout with CIRCULATING_LANES lanes round an
+// island of ISLAND_RADIUS; each approach lane then feeds the circulating
+// lane in the same place counted from the outside, so a leg can have no more
+// approach lanes than there are circulating lanes, nor fewer exit lanes.
+// Intersection derives everything else - the box, stop lines, crosswalks,
+// signal head positions, spawn points and the paths through the box - from
+// this description. Layouts can be picked from CONFIG.GEOMETRY_PRESETS or
+// loaded from a JSON file (see geometry.example.json).
+
+import { CONFIG } from './config.js';
+import { DIRECTION_ORDER, getTurnDestination } from './directions.js';
+
+// A vehicle held short of the no-change zone has to be alongside a bay to move
+// into it, so a bay needs room for the longest vehicle beyond that zone
+const MIN_BAY_LENGTH = CONFIG.LANE_CHANGE.NO_CHANGE_DISTANCE + 2 * CONFIG.DRIVER_MODEL.MIN_GAP +
+    Math.max(...Object.values(CONFIG.VEHICLE_TYPES).map(type => type.LENGTH));
+
+/**
+ * @param {string} name - Key of CONFIG.GEOMETRY_PRESETS
+ * @returns {Object} The layout
+ */
+export function getGeometryPreset(name) {
+    const geometry = CONFIG.GEOMETRY_PRESETS[name];
+    if (!geometry) {
+        throw new Error(`Unknown layout "${name}" - expected ${Object.keys(CONFIG.GEOMETRY_PRESETS).join(', ')}`);
+    }
+    return geometry;
+}
+
+/**
+ * Checks a layout can be built
+ * @param {Object} geometry - In the form of CONFIG.GEOMETRY_PRESETS
+ * @throws {Error} Naming the first problem found
+ */
+export function validateGeometry(geometry) {
+    if (!(geometry.LANE_WIDTH > 0)) {
+        throw new Error('Lane width must be a positive number');
+    }
+    if (!(geometry.STOP_LINE_SETBACK >= CONFIG.PEDESTRIAN.CROSSWALK_WIDTH)) {
+        throw new Error(`Stop line setback must leave room for the crosswalk (${CONFIG.PEDESTRIAN.CROSSWALK_WIDTH}px)`);
+    }
+    const legs = DIRECTION_ORDER.filter(direction => geometry.LEGS[direction]);
+    if (legs.length < 3) {
+        throw new Error('Layout needs at least three legs');
+    }
+    legs.forEach(direction => {
+        const leg = geometry.LEGS[direction];
+        if (!Array.isArray(leg.LANES) || leg.LANES.length === 0) {
+            throw new Error(`The ${direction} leg needs at least one approach lane`);
+        }
+        leg.LANES.forEach((lane, index) => {
+            const turns = Object.values(CONFIG.TURN_TYPES);
+            if (!Array.isArray(lane.TURNS) || lane.TURNS.length === 0 || !lane.TURNS.every(turn => turns.includes(turn))) {
+                throw new Error(`Lane ${index} of the ${direction} leg must allow one or more of ${turns.join(', ')}`);
+            }
+            const nowhere = lane.TURNS.find(turn => !legs.includes(getTurnDestination(direction, turn)));
+            if (nowhere) {
+                throw new Error(`Lane ${index} of the ${direction} leg allows ${nowhere}, but there is no ${getTurnDestination(direction, nowhere)} leg`);
+            }
+            if (lane.BAY !== undefined && !(lane.BAY >= MIN_BAY_LENGTH)) {
+                throw new Error(`The turn bay in lane ${index} of the ${direction} leg must be at least ${MIN_BAY_LENGTH}px long, for vehicles to move into it short of the no-change zone`);
+            }
+            if (lane.WIDTH !== undefined && !(lane.WIDTH > 0)) {
+                throw new Error(`Lane ${index} of the ${direction} leg must have a positive width`);
+            }
+        });
+
+        // Bays open off the curb or the centre line side of the through lanes
+        const full = leg.LANES.map(lane => lane.BAY === undefined);
+        const first = full.indexOf(true);
+        const last = full.lastIndexOf(true);
+        if (first === -1) {
+            throw new Error(`The ${direction} leg needs an approach lane that is not a turn bay`);
+        }
+        if (full.slice(first, last + 1).includes(false)) {
+            throw new Error(`Turn bays on the ${direction} leg must be at the curb or the centre line, not between through lanes`);
+        }
+        if (!Number.isInteger(leg.EXIT_LANES) || leg.EXIT_LANES < 1) {
+            throw new Error(`The ${direction} leg needs a whole number of exit lanes, at least one`);
+        }
+        if (leg.LANE_WIDTH !== undefined && !(leg.LANE_WIDTH > 0)) {
+            throw new Error(`Lane width of the ${direction} leg must be a positive number`);
+        }
+        if (!(leg.CORNER_RADIUS >= 0)) {
+            throw new Error(`Corner radius of the ${direction} leg must be zero or more`);
+        }
+    });
+    if (geometry.ROUNDABOUT) {
+        validateRoundabout(geometry, legs);
+    }
+}
+
+function validateRoundabout(geometry, legs) {
+    const { ISLAND_RADIUS: islandRadius, CIRCULATING_LANES: circulatingLanes } = geometry.ROUNDABOUT;
+    const maxLanes = CONFIG.ROUNDABOUT.MAX_CIRCULATING_LANES;
+    if (!Number.isInteger(circulatingLanes) || circulatingLanes < 1 || circulatingLanes > maxLanes) {
+        throw new Error(`A roundabout needs a whole number of circulating lanes, from 1 to ${maxLanes}`);
+    }
+    legs.forEach(direction => {
+        const leg = geometry.LEGS[direction];
+        if (leg.LANES.some(lane => lane.BAY !== undefined)) {
+            throw new Error(`The ${direction} leg of a roundabout cannot have turn bays`);
+        }
+        if (leg.LANES.length > circulatingLanes) {
+            throw new Error(`The ${direction} leg has more approach lanes than the roundabout has circulating lanes`);
+        }
+        if (leg.EXIT_LANES < circulatingLanes) {
+            throw new Error(`The ${direction} leg needs an exit lane for each of the roundabout's ${circulatingLanes} circulating lanes`);
+        }
+
+        // Entries and exits curve in and out round the island, so it has to
+        // be wider than the legs
+        const laneWidth = leg.LANE_WIDTH ?? geometry.LANE_WIDTH;
+        const approachWidth = leg.LANES.reduce((sum, lane) => sum + (lane.WIDTH ?? laneWidth), 0);
+        if (!(islandRadius > Math.max(approachWidth, leg.EXIT_LANES * laneWidth))) {
+            throw new Error(`The roundabout's island radius must be more than the width of either side of the ${direction} leg`);
+        }
+    });
+}
+
+/**
+ * Validates a layout loaded from a file and puts it in the form of
+ * CONFIG.GEOMETRY_PRESETS
+ * @param {Object} data - { laneWidth?, stopLineSetback?, roundabout?: { islandRadius,
+ *   circulatingLanes }, legs: { leg: { lanes: [{ turns, bay?, width? }], exitLanes,
+ *   laneWidth?, cornerRadius? } } }
+ * @returns {Object} The layout
+ */
+export function parseGeometry(data) {
+    if (!data || typeof data !== 'object' || !data.legs || typeof data.legs !== 'object') {
+        throw new Error('Layout must be a JSON object with legs');
+    }
+    const defaults = getGeometryPreset(CONFIG.DEFAULT_GEOMETRY);
+    Object.keys(data.legs).forEach(direction => {
+        if (!DIRECTION_ORDER.includes(direction)) {
+            throw new Error(`Unknown leg "${direction}"`);
+        }
+    });
+
+    const geometry = {
+        LANE_WIDTH: data.laneWidth ?? defaults.LANE_WIDTH,
+        STOP_LINE_SETBACK: data.stopLineSetback ?? defaults.STOP_LINE_SETBACK,
+        LEGS: {}
+    };
+    if (data.roundabout !== undefined) {
+        if (!data.roundabout || typeof data.roundabout !== 'object') {
+            throw new Error('roundabout must be { islandRadius, circulatingLanes }');
+        }
+        geometry.ROUNDABOUT = {
+            ISLAND_RADIUS: data.roundabout.islandRadius,
+            CIRCULATING_LANES: data.roundabout.circulatingLanes ?? 1
+        };
+    }
+    Object.entries(data.legs).forEach(([direction, leg]) => {
+        geometry.LEGS[direction] = {
+            LANES: Array.isArray(leg.lanes) ? leg.lanes.map(lane => withoutUndefined({
+                TURNS: lane.turns,
+                BAY: lane.bay,
+                WIDTH: lane.width
+            })) : leg.lanes,
+            EXIT_LANES: leg.exitLanes,
+            ...withoutUndefined({ LANE_WIDTH: leg.laneWidth }),
+            CORNER_RADIUS: leg.cornerRadius ?? defaults.LEGS[direction].CORNER_RADIUS
+        };
+    });
+    validateGeometry(geometry);
+    return geometry;
+}
+
+function withoutUndefined(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
@@ -0,0 +1,262 @@
+// headless.js
+// Runs the simulation in Node without a canvas. The same GameEngine that
+// powers the browser is stepped with a fixed timestep for a simulated
+// duration and the Statistics summary is returned (or printed from the CLI).
+//
+// Usage: node headless.js [--mode fixed|adaptive|max-pressure|comparison] [--duration 600] [--timestep 50]
+//                         [--seed 12345] [--set KEY=VALUE ...] [--demand demand.json]
+//                         [--geometry standard|left-turn-bays|arterial|t-junction|roundabout|two-lane-roundabout|layout.json]
+//                         [--network corridor|signal-and-roundabout|network.json]
+//                         [--json] [--verbose]
+// At a roundabout the mode makes no difference - there are no signals to run.
+// With --network every node runs the mode, and the summary covers journeys
+// through the whole network, then each node.
+
+import { readFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { GameEngine } from './gameEngine.js';
+import { CONFIG } from './config.js';
+import { hasController } from './controllerRegistry.js';
+import { parseDemand } from './demand.js';
+import { getGeometryPreset, parseGeometry } from './geometry.js';
+import { getNetworkPreset, parseNetwork } from './network.js';
+
+export const HEADLESS_DEFAULTS = {
+    mode: CONFIG.MODES.FIXED,
+    duration: 600,      // simulated seconds
+    timestep: 50,       // milliseconds per step
+    seed: CONFIG.DEFAULT_SETTINGS.SEED,
+    settings: {},       // overrides for CONFIG.DEFAULT_SETTINGS
+    geometry: null,     // intersection layout, null for CONFIG.DEFAULT_GEOMETRY
+    network: null,      // road network run instead of the one intersection, null for none
+    quiet: true         // suppress the per-car console logging
+};
+
+/**
+ * Runs one simulation without rendering
+ * @param {Object} options - See HEADLESS_DEFAULTS
+ * @returns {Object} Run description plus the Statistics summary
+ */
+export function runHeadless(options = {}) {
+    const run = { ...HEADLESS_DEFAULTS, ...options };
+    if (run.mode !== CONFIG.MODES.COMPARISON && !hasController(run.mode)) {
+        throw new Error(`Unknown mode "${run.mode}"`);
+    }
+    if (!(run.timestep > 0) || !(run.duration > 0)) {
+        throw new Error('duration and timestep must be positive numbers');
+    }
+
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    if (run.quiet) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    try {
+        const engine = new GameEngine();
+        engine.initialize();
+        if (run.geometry) {
+            engine.setGeometry(run.geometry);
+        }
+        if (run.network) {
+            engine.setNetwork(run.network);
+        }
+        engine.updateMode(run.mode);
+        // A comparison applies the overrides to both of its modes
+        const targetModes = run.mode === CONFIG.MODES.COMPARISON
+            ? [CONFIG.MODES.FIXED, CONFIG.MODES.ADAPTIVE]
+            : [run.mode];
+        Object.entries(run.settings).forEach(([key, value]) => {
+            if (key === 'SEED') return;
+            targetModes.forEach(mode => engine.updateSetting(key, value, mode));
+        });
+        engine.setSeed(run.seed);
+
+        const steps = Math.ceil((run.duration * 1000) / run.timestep);
+        for (let i = 0; i < steps; i++) {
+            engine.update(run.timestep);
+        }
+
+        const result = {
+            mode: run.mode,
+            ...(run.network ? { network: run.network.NODES.map(node => node.ID) } : {}),
+            roundabout: engine.intersection.isRoundabout(),
+            seed: run.seed,
+            duration: run.duration,
+            timestep: run.timestep,
+            settings: engine.getSettings(),
+            statistics: engine.getStatistics(),
+            faults: engine.getSignalFaults(),
+            preemptions: engine.getPreemptionEvents()
+        };
+        if (run.mode === CONFIG.MODES.COMPARISON) {
+            result.comparison = engine.getComparison();
+        }
+        return result;
+    } finally {
+        console.log = originalLog;
+        console.warn = originalWarn;
+    }
+}
+
+/**
+ * Parses CLI arguments into runHeadless options
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Options (plus a json flag for output formatting)
+ */
+export function parseArgs(argv) {
+    const options = { settings: {}, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--mode':
+                options.mode = argv[++i];
+                break;
+            case '--duration':
+                options.duration = Number(argv[++i]);
+                break;
+            case '--timestep':
+                options.timestep = Number(argv[++i]);
+                break;
+            case '--seed':
+                options.seed = Number(argv[++i]);
+                break;
+            case '--set': {
+                const [key, value] = (argv[++i] || '').split('=');
+                if (!(key in CONFIG.DEFAULT_SETTINGS) || value === undefined) {
+                    throw new Error(`Invalid setting "${argv[i]}" - expected KEY=VALUE with a CONFIG.DEFAULT_SETTINGS key`);
+                }
+                options.settings[key] = parseSettingValue(value);
+                break;
+            }
+            case '--demand': {
+                // OD matrix, profile and arrival process from a file (see demand.example.json)
+                const path = argv[++i];
+                if (!path) throw new Error('--demand needs a JSON file');
+                Object.assign(options.settings, parseDemand(JSON.parse(readFileSync(path, 'utf8'))));
+                break;
+            }
+            case '--geometry': {
+                // A preset name, or a layout file (see geometry.example.json)
+                const layout = argv[++i];
+                if (!layout) throw new Error('--geometry needs a preset name or a JSON file');
+                options.geometry = layout in CONFIG.GEOMETRY_PRESETS
+                    ? getGeometryPreset(layout)
+                    : parseGeometry(JSON.parse(readFileSync(layout, 'utf8')));
+                break;
+            }
+            case '--network': {
+                // A preset name, or a network file (see network.example.json)
+                const network = argv[++i];
+                if (!network) throw new Error('--network needs a preset name or a JSON file');
+                options.network = network in CONFIG.NETWORK_PRESETS
+                    ? getNetworkPreset(network)
+                    : parseNetwork(JSON.parse(readFileSync(network, 'utf8')));
+                break;
+            }
+            case '--json':
+                options.json = true;
+                break;
+            case '--verbose':
+                options.quiet = false;
+                break;
+            default:
+                throw new Error(`Unknown argument "${arg}"`);
+        }
+    }
+    return options;
+}
+
+// Numbers as-is, JSON (e.g. PHASE_RECALL) parsed, anything else as a plain
+// string (e.g. PREEMPTION_RECOVERY=restart)
+function parseSettingValue(value) {
+    if (!Number.isNaN(Number(value))) return Number(value);
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+}
+
+function formatSummary(result) {
+    if (result.comparison) {
+        const { fixed, adaptive, delta } = result.comparison;
+        const row = (label, key, digits) =>
+            `${label.padEnd(18)}${fixed[key].toFixed(digits).padStart(10)}${adaptive[key].toFixed(digits).padStart(10)}${delta[key].toFixed(digits).padStart(10)}`;
+        return [
+            `Mode: comparison  Seed: ${result.seed}  Duration: ${result.duration}s  Timestep: ${result.timestep}ms`,
+            `${''.padEnd(18)}${'Fixed'.padStart(10)}${'Adaptive'.padStart(10)}${'Delta'.padStart(10)}`,
+            row('Throughput (veh/h)', 'throughputPerHour', 0),
+            row('Avg wait (s)', 'averageWaitTime', 2),
+            row('Left delay (s)', 'averageLeftTurnDelay', 2),
+            row('Max queue', 'maxQueueLength', 0),
+            row('Max entry queue', 'maxEntryQueue', 0)
+        ].join('\n');
+    }
+
+    const stats = result.statistics;
+    // Per-class delay only says something once other classes share the road
+    const mixedTraffic = Object.entries(stats.byClass)
+        .some(([vehicleClass, { passed }]) => vehicleClass !== CONFIG.VEHICLE_CLASSES.CAR && passed > 0);
+    const mixedTypes = Object.values(stats.byType).filter(({ passed }) => passed > 0).length > 1;
+    return [
+        result.network
+            ? `Mode: ${result.mode}  Network: ${result.network.join(', ')}  Seed: ${result.seed}  Duration: ${result.duration}s  Timestep: ${result.timestep}ms`
+            : `Mode: ${result.roundabout ? 'roundabout (no signals)' : result.mode}  Seed: ${result.seed}  Duration: ${result.duration}s  Timestep: ${result.timestep}ms`,
+        `Cars passed:      ${stats.totalCarsPassed}`,
+        ...(result.network ? [`Avg travel time:  ${stats.averageTravelTime.toFixed(2)}s`] : []),
+        `Throughput:       ${stats.throughputPerHour.toFixed(0)} veh/h (${stats.throughputPcePerHour.toFixed(0)} pce/h)`,
+        `Avg wait time:    ${stats.averageWaitTime.toFixed(2)}s`,
+        `Left-turn delay:  ${stats.averageLeftTurnDelay.toFixed(2)}s (${stats.leftTurnsPassed} left turns)`,
+        `Max queue:        ${stats.maxQueueLength}`,
+        `Cars remaining:   ${stats.currentCars}`,
+        // Arrivals held off the legs once a queue backs up to where they enter
+        ...(stats.maxEntryQueue > 0 ? [`Entry queue:      ${stats.currentEntryQueue} waiting to enter (max ${stats.maxEntryQueue})`] : []),
+        ...(mixedTraffic ? Object.entries(stats.byClass)
+            .filter(([, { passed }]) => passed > 0)
+            .map(([vehicleClass, { passed, averageDelay }]) =>
+                `${`Delay (${vehicleClass}):`.padEnd(18)}${averageDelay.toFixed(2)}s (${passed} vehicles)`) : []),
+        ...(mixedTypes ? [
+            `Delay per PCE:    ${stats.averageDelayPerPce.toFixed(2)}s`,
+            ...Object.entries(stats.byType)
+                .filter(([, { passed }]) => passed > 0)
+                .map(([vehicleType, { passed, pce, averageDelay }]) =>
+                    `${`  ${vehicleType}:`.padEnd(18)}${averageDelay.toFixed(2)}s (${passed} vehicles, ${pce.toFixed(1)} pce)`)
+        ] : []),
+        ...(stats.totalCarsPassed > 0 ? [
+            `Lane use:         ${Object.entries(stats.byLane)
+                .filter(([, lanes]) => lanes.length > 0)
+                .map(([direction, lanes]) => `${direction} ${lanes.map(({ share }) => (share * 100).toFixed(0)).join('/')}%`)
+                .join('  ')} (${stats.laneChanges} lane changes)`
+        ] : []),
+        ...(stats.preemptions > 0 || stats.emergencyVehiclesPassed > 0 ? [
+            `Preemptions:      ${stats.preemptions} (avg ${stats.averagePreemptionDuration.toFixed(1)}s)`,
+            `Emergency delay:  ${stats.averageEmergencyDelay.toFixed(2)}s avg, ${stats.maxEmergencyDelay.toFixed(2)}s max (${stats.emergencyVehiclesPassed} vehicles)`
+        ] : []),
+        ...(stats.pedestriansCrossed > 0 ? [
+            `Pedestrian delay: ${stats.averagePedestrianDelay.toFixed(2)}s avg, ${stats.maxPedestrianDelay.toFixed(2)}s max (${stats.pedestriansCrossed} pedestrians)`
+        ] : []),
+        ...result.faults.map(fault =>
+            `Signal fault:     ${fault.node ? `${fault.node}: ` : ''}${fault.reason} at ${(fault.time / 1000).toFixed(1)}s${fault.transition ? ` (${fault.transition})` : ''}`),
+        ...(result.network ? [
+            'Routes:',
+            ...Object.entries(stats.byRoute).sort(([, a], [, b]) => b.passed - a.passed).map(([route, { passed, averageTravelTime, averageDelay }]) =>
+                `  ${route.padEnd(28)}${passed.toString().padStart(5)} vehicles  ${averageTravelTime.toFixed(1)}s travel  ${averageDelay.toFixed(1)}s delay`),
+            'Nodes:',
+            ...Object.entries(stats.nodes).map(([id, node]) =>
+                `  ${id.padEnd(12)}${node.totalCarsPassed.toString().padStart(5)} passed  ${node.averageWaitTime.toFixed(2)}s avg wait  max queue ${node.maxQueueLength}`)
+        ] : [])
+    ].join('\n');
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    try {
+        const { json, ...options } = parseArgs(process.argv.slice(2));
+        const result = runHeadless(options);
+        console.log(json ? JSON.stringify(result, null, 2) : formatSummary(result));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
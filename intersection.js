@@ -1,175 +1,261 @@
 import { CONFIG } from './config.js';
-import { traj_precalc } from './paths.js';
+import { traj_precalc, trajFromSpec } from './paths.js';
+import { DIRECTION_ORDER, getOppositeDirection, getTurnDestination } from './directions.js';
+import { getGeometryPreset, validateGeometry } from './geometry.js';
+
+// Direction of travel on each approach, towards the box
+const APPROACH_HEADINGS = {
+    [CONFIG.DIRECTIONS.NORTH]: { x: 0, y: 1 },
+    [CONFIG.DIRECTIONS.EAST]: { x: -1, y: 0 },
+    [CONFIG.DIRECTIONS.SOUTH]: { x: 0, y: -1 },
+    [CONFIG.DIRECTIONS.WEST]: { x: 1, y: 0 }
+};
+
+// Straight run a path keeps beyond the box edge, so a vehicle leaves the box
+// heading along its exit lane
+const PATH_RUN_OUT = 20;
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y;
+}
 
 export class Intersection {
-    getPathEntryPoint(direction) {
-        // Entry point for trajectory calculation - should be at intersection edge, centered in lane
-        const halfRoad = this.roadWidth / 2; // 30px
-        const laneCenter = this.laneWidth * 0.5; // 7.5px (inner lane center)
-        
-        switch (direction) {
-            case CONFIG.DIRECTIONS.NORTH:
-                return { x: this.centerX - laneCenter, y: this.centerY - halfRoad };
-            case CONFIG.DIRECTIONS.EAST:
-                return { x: this.centerX + halfRoad, y: this.centerY - laneCenter };
-            case CONFIG.DIRECTIONS.SOUTH:
-                return { x: this.centerX + laneCenter, y: this.centerY + halfRoad };
-            case CONFIG.DIRECTIONS.WEST:
-                return { x: this.centerX - halfRoad, y: this.centerY + laneCenter };
-            default:
-                return { x: this.centerX, y: this.centerY };
-        }
+    getPathEntryPoint(direction, lane = null) {
+        // Entry point for trajectory calculation - at the box edge, centred in the lane
+        const leg = this.legs[direction];
+        if (!leg) return { x: this.centerX, y: this.centerY };
+        const approachLane = leg.lanes[lane === null ? leg.lanes.length - 1 : lane] || leg.lanes[0];
+        return this.getLegPoint(direction, 0, approachLane.across);
     }
 
-    constructor(centerX, centerY) {
+    /**
+     * @param {number} centerX
+     * @param {number} centerY
+     * @param {Object} geometry - Layout in the form of CONFIG.GEOMETRY_PRESETS (see geometry.js)
+     * @param {Object|null} bounds - { left, right, top, bottom } the legs run out to, the
+     *   canvas unless the intersection is one node of a road network
+     */
+    constructor(centerX, centerY, geometry = getGeometryPreset(CONFIG.DEFAULT_GEOMETRY), bounds = null) {
         this.centerX = centerX;
         this.centerY = centerY;
-        this.size = CONFIG.INTERSECTION_SIZE;
-        this.roadWidth = CONFIG.ROAD_WIDTH;
-        this.laneWidth = CONFIG.LANE_WIDTH;
-        
-        this.calculatePositions();
+        this.bounds = bounds || { left: 0, right: CONFIG.CANVAS_WIDTH, top: 0, bottom: CONFIG.CANVAS_HEIGHT };
+        this.links = {}; // leg -> { intersection, approach } its traffic is handed on to (see network.js)
+        this.setGeometry(geometry);
     }
 
     initialize() {
         this.calculatePositions();
     }
 
+    // Rebuilds everything derived from the layout
+    setGeometry(geometry) {
+        validateGeometry(geometry);
+        this.geometry = geometry;
+        this.calculatePositions();
+    }
+
     calculatePositions() {
-        const halfSize = this.size / 2;
-        const halfRoad = this.roadWidth / 2;
-        const laneOffset = this.laneWidth / 2;
-        
-        // Stop line positions (closer to intersection for better traffic flow)
-        const stopLineOffset = halfSize - 10;
-        this.stopLines = {
-            [CONFIG.DIRECTIONS.NORTH]: {
-                x1: this.centerX - halfRoad,
-                y1: this.centerY - stopLineOffset,
-                x2: this.centerX + halfRoad,
-                y2: this.centerY - stopLineOffset
-            },
-            [CONFIG.DIRECTIONS.EAST]: {
-                x1: this.centerX + stopLineOffset,
-                y1: this.centerY - halfRoad,
-                x2: this.centerX + stopLineOffset,
-                y2: this.centerY + halfRoad
-            },
-            [CONFIG.DIRECTIONS.SOUTH]: {
-                x1: this.centerX - halfRoad,
-                y1: this.centerY + stopLineOffset,
-                x2: this.centerX + halfRoad,
-                y2: this.centerY + stopLineOffset
-            },
-            [CONFIG.DIRECTIONS.WEST]: {
-                x1: this.centerX - stopLineOffset,
-                y1: this.centerY - halfRoad,
-                x2: this.centerX - stopLineOffset,
-                y2: this.centerY + halfRoad
-            }
-        };
+        this.calculateLegs();
+        this.calculateRoundabout();
+        this.calculateBox();
+        this.calculateCorners();
+
+        const setback = this.geometry.STOP_LINE_SETBACK;
+        this.stopLines = {};
+        this.lightPositions = {};
+        this.spawnPointsByLane = {};
+        this.spawnPoints = {};
+        this.exitPoints = {};
+        Object.values(this.legs).forEach(leg => {
+            const { direction } = leg;
+
+            // Stop lines run across the approach lanes only
+            const [start, end] = [0, leg.approachWidth]
+                .map(across => this.getLegPoint(direction, setback, across))
+                .sort((a, b) => a.x - b.x || a.y - b.y);
+            this.stopLines[direction] = { x1: start.x, y1: start.y, x2: end.x, y2: end.y };
+
+            // Signal heads stand beside the approach, upstream of the stop line
+            this.lightPositions[direction] = this.getLegPoint(
+                direction,
+                setback + CONFIG.SIGNAL_HEAD_POSITION.BEHIND_STOP_LINE,
+                leg.approachWidth + CONFIG.SIGNAL_HEAD_POSITION.OFF_CURB
+            );
+
+            // Vehicles enter at the end of the leg in their lane and leave
+            // along the exit lanes; turn bays only start near the stop line,
+            // but keep a point for their lateral position
+            this.spawnPointsByLane[direction] = leg.lanes.map(lane =>
+                this.getLegPoint(direction, leg.length, lane.across));
+            this.spawnPoints[direction] = this.spawnPointsByLane[direction][leg.lanes.findIndex(lane => lane.bay === null)];
+            this.exitPoints[direction] = this.getLegPoint(direction, leg.length, leg.exitLanes[leg.exitLanes.length - 1].across);
+        });
 
-        // Traffic light positions - moved much further off the road
-        this.lightPositions = {
-            [CONFIG.DIRECTIONS.NORTH]: {
-                x: this.centerX - 50,  // Much further left
-                y: this.centerY - halfSize - 80  // Much further up
-            },
-            [CONFIG.DIRECTIONS.EAST]: {
-                x: this.centerX + halfSize + 50,  // Much further right
-                y: this.centerY - 50  // Much further up
-            },
-            [CONFIG.DIRECTIONS.SOUTH]: {
-                x: this.centerX + 50,  // Much further right
-                y: this.centerY + halfSize + 50  // Much further down
-            },
-            [CONFIG.DIRECTIONS.WEST]: {
-                x: this.centerX - halfSize - 80,  // Much further left
-                y: this.centerY + 50  // Much further down
+        this.calculateCrosswalks(setback);
+    }
+
+    // Each leg's lanes with their lateral offsets ("across") from the centre
+    // line - positive on the approach side, to the right of arriving traffic
+    calculateLegs() {
+        this.legs = {};
+        DIRECTION_ORDER.filter(direction => this.geometry.LEGS[direction]).forEach(direction => {
+            const description = this.geometry.LEGS[direction];
+            const laneWidth = description.LANE_WIDTH ?? this.geometry.LANE_WIDTH;
+            const forward = APPROACH_HEADINGS[direction];
+
+            // Approach lanes from the curb inwards
+            const approachWidth = description.LANES.reduce((sum, lane) => sum + (lane.WIDTH ?? laneWidth), 0);
+            let curbSide = approachWidth;
+            const lanes = description.LANES.map((lane, index) => {
+                const width = lane.WIDTH ?? laneWidth;
+                curbSide -= width;
+                return { index, turns: [...lane.TURNS], bay: lane.BAY ?? null, width, across: curbSide + width / 2 };
+            });
+
+            // Exit lanes from the curb inwards too
+            const exitWidth = description.EXIT_LANES * laneWidth;
+            const exitLanes = [];
+            for (let index = 0; index < description.EXIT_LANES; index++) {
+                exitLanes.push({ index, width: laneWidth, across: -(exitWidth - (index + 0.5) * laneWidth) });
             }
+
+            this.legs[direction] = {
+                direction,
+                forward,
+                outward: { x: -forward.x, y: -forward.y },
+                right: { x: -forward.y, y: forward.x },
+                lanes,
+                exitLanes,
+                laneWidth,
+                approachWidth,
+                exitWidth,
+                cornerRadius: description.CORNER_RADIUS
+            };
+        });
+    }
+
+    // The circulating lanes of a roundabout, outermost first, and the square
+    // round them - out to ENTRY_DEPTH beyond the ring - that becomes the box.
+    // Approach lane i feeds circulating lane i and circulating lane i leaves
+    // by exit lane i, both counted from the outside.
+    calculateRoundabout() {
+        this.roundaboutMovements = {};
+        this.roundabout = null;
+        if (!this.geometry.ROUNDABOUT) return;
+
+        const { ISLAND_RADIUS: islandRadius, CIRCULATING_LANES: count } = this.geometry.ROUNDABOUT;
+        const laneWidth = this.geometry.LANE_WIDTH;
+        const lanes = [];
+        for (let index = 0; index < count; index++) {
+            lanes.push({ index, radius: islandRadius + (count - index - 0.5) * laneWidth });
+        }
+        const outerRadius = islandRadius + count * laneWidth;
+        this.roundabout = {
+            islandRadius,
+            laneWidth,
+            lanes,
+            outerRadius,
+            halfSize: outerRadius + CONFIG.ROUNDABOUT.ENTRY_DEPTH
         };
+    }
 
-        // Car spawn points - simplified to 2 lanes per direction
-        this.spawnPoints = {
-            [CONFIG.DIRECTIONS.NORTH]: {
-                x: this.centerX - laneOffset,
-                y: 0
-            },
-            [CONFIG.DIRECTIONS.EAST]: {
-                x: CONFIG.CANVAS_WIDTH,
-                y: this.centerY - laneOffset
-            },
-            [CONFIG.DIRECTIONS.SOUTH]: {
-                x: this.centerX + laneOffset,
-                y: CONFIG.CANVAS_HEIGHT
-            },
-            [CONFIG.DIRECTIONS.WEST]: {
-                x: 0,
-                y: this.centerY + laneOffset
-            }
+    // The box is the rectangle the legs' lanes span where they cross - at a
+    // roundabout, the square round the ring. Each leg starts at the box edge
+    // ("origin", on its centre line) and runs "length" out to the bounds.
+    calculateBox() {
+        const around = this.roundabout ? this.roundabout.halfSize : 0;
+        const extent = (x, y) => Math.max(around, ...Object.values(this.legs).map(leg => {
+            const side = dot(leg.right, { x, y });
+            if (side > 0) return leg.approachWidth;
+            return side < 0 ? leg.exitWidth : 0;
+        }));
+        this.box = {
+            left: this.centerX - extent(-1, 0),
+            right: this.centerX + extent(1, 0),
+            top: this.centerY - extent(0, -1),
+            bottom: this.centerY + extent(0, 1)
         };
-        
-        // Update spawn points to support both lanes
-        this.updateSpawnPointsForLanes();
-
-        // Exit points - positioned in lane centers for straight-through traffic
-        const laneCenter = this.laneWidth * 0.5;
-        this.exitPoints = {
-            [CONFIG.DIRECTIONS.NORTH]: {
-                x: this.centerX + laneCenter,
-                y: 0
-            },
-            [CONFIG.DIRECTIONS.EAST]: {
-                x: CONFIG.CANVAS_WIDTH,
-                y: this.centerY + laneCenter
-            },
-            [CONFIG.DIRECTIONS.SOUTH]: {
-                x: this.centerX - laneCenter,
-                y: CONFIG.CANVAS_HEIGHT
-            },
-            [CONFIG.DIRECTIONS.WEST]: {
-                x: 0,
-                y: this.centerY - laneCenter
+
+        Object.values(this.legs).forEach(leg => {
+            const depth = extent(leg.outward.x, leg.outward.y);
+            leg.origin = { x: this.centerX + leg.outward.x * depth, y: this.centerY + leg.outward.y * depth };
+            if (leg.outward.x !== 0) {
+                leg.length = leg.outward.x > 0 ? this.bounds.right - leg.origin.x : leg.origin.x - this.bounds.left;
+            } else {
+                leg.length = leg.outward.y > 0 ? this.bounds.bottom - leg.origin.y : leg.origin.y - this.bounds.top;
             }
-        };
+        });
     }
 
-    updateSpawnPointsForLanes() {
-        // Simplified to 2 lanes per direction
-        // Lane 0: rightmost lane (right turns only)
-        // Lane 1: second rightmost lane (left turns and straight)
-        
-        const lane0Offset = this.laneWidth * 0.25; // 3.75px from center
-        const lane1Offset = this.laneWidth * 0.75; // 11.25px from center
-        
-        this.spawnPointsByLane = {
-            [CONFIG.DIRECTIONS.NORTH]: [
-                // Lane 0: rightmost lane (for right turns to west)
-                { x: this.centerX - lane0Offset, y: 0 },
-                // Lane 1: second rightmost lane (for left turns to east and straight to south)
-                { x: this.centerX - lane1Offset, y: 0 }
-            ],
-            [CONFIG.DIRECTIONS.EAST]: [
-                // Lane 0: rightmost lane (for right turns to north)
-                { x: CONFIG.CANVAS_WIDTH, y: this.centerY - lane0Offset },
-                // Lane 1: second rightmost lane (for left turns to south and straight to west)
-                { x: CONFIG.CANVAS_WIDTH, y: this.centerY - lane1Offset }
-            ],
-            [CONFIG.DIRECTIONS.SOUTH]: [
-                // Lane 0: rightmost lane (for right turns to east)
-                { x: this.centerX + lane0Offset, y: CONFIG.CANVAS_HEIGHT },
-                // Lane 1: second rightmost lane (for left turns to west and straight to north)
-                { x: this.centerX + lane1Offset, y: CONFIG.CANVAS_HEIGHT }
-            ],
-            [CONFIG.DIRECTIONS.WEST]: [
-                // Lane 0: rightmost lane (for right turns to south)
-                { x: 0, y: this.centerY + lane0Offset },
-                // Lane 1: second rightmost lane (for left turns to north and straight to east)
-                { x: 0, y: this.centerY + lane1Offset }
-            ]
+    // A rounded curb where each approach's curb meets the exit side of the
+    // leg its right turns go to. The two curb lines meet at "point"; the
+    // curb arc of the approach's CORNER_RADIUS is tangent to both. A
+    // roundabout's entries and exits curve round the ring instead.
+    calculateCorners() {
+        this.corners = [];
+        if (this.roundabout) return;
+        Object.values(this.legs).forEach(approach => {
+            const exit = this.legs[getTurnDestination(approach.direction, CONFIG.TURN_TYPES.RIGHT)];
+            if (!exit) return;
+            const approachCurb = this.getLegPoint(approach.direction, 0, approach.approachWidth);
+            const exitCurb = this.getLegPoint(exit.direction, 0, -exit.exitWidth);
+            const point = approach.forward.x === 0
+                ? { x: approachCurb.x, y: exitCurb.y }
+                : { x: exitCurb.x, y: approachCurb.y };
+            this.corners.push({ approach: approach.direction, exit: exit.direction, point, radius: approach.cornerRadius });
+        });
+    }
+
+    /**
+     * Canvas position in a leg's own coordinates
+     * @param {string} direction - Leg
+     * @param {number} along - Distance out from the box edge
+     * @param {number} across - Offset from the centre line, positive on the approach side
+     * @returns {Object} { x, y }
+     */
+    getLegPoint(direction, along, across) {
+        const leg = this.legs[direction];
+        return {
+            x: leg.origin.x + leg.outward.x * along + leg.right.x * across,
+            y: leg.origin.y + leg.outward.y * along + leg.right.y * across
         };
     }
 
+    // How far the rounded corner widens the road beyond a leg's curb, a
+    // given distance out from the box edge
+    getCornerWidening(corner, direction, along) {
+        const leg = this.legs[direction];
+        const pointAlong = dot({ x: corner.point.x - leg.origin.x, y: corner.point.y - leg.origin.y }, leg.outward);
+        const toEnd = pointAlong + corner.radius - along;
+        if (along < pointAlong) return corner.radius;
+        if (toEnd <= 0) return 0;
+        return corner.radius - Math.sqrt(corner.radius ** 2 - toEnd ** 2);
+    }
+
+    // One crosswalk across each leg, centred between the box edge and the
+    // stop line, from curb to curb (the rounded corners widen it). ends[0]
+    // and ends[1] are its curb ends at the two corners.
+    calculateCrosswalks(setback) {
+        const along = setback / 2;
+        this.crosswalks = {};
+        Object.values(this.legs).forEach(leg => {
+            const { direction } = leg;
+            const approachCorner = this.corners.find(corner => corner.approach === direction);
+            const exitCorner = this.corners.find(corner => corner.exit === direction);
+            const ends = [
+                this.getLegPoint(direction, along, leg.approachWidth + (approachCorner ? this.getCornerWidening(approachCorner, direction, along) : 0)),
+                this.getLegPoint(direction, along, -leg.exitWidth - (exitCorner ? this.getCornerWidening(exitCorner, direction, along) : 0))
+            ].sort((a, b) => a.x - b.x || a.y - b.y);
+            this.crosswalks[direction] = {
+                leg: direction,
+                ends,
+                length: Math.hypot(ends[1].x - ends[0].x, ends[1].y - ends[0].y),
+                width: CONFIG.PEDESTRIAN.CROSSWALK_WIDTH,
+                vertical: leg.forward.x !== 0 // pedestrians walk along y
+            };
+        });
+    }
+
     getSpawnPointForLane(direction, lane) {
         if (this.spawnPointsByLane[direction] && this.spawnPointsByLane[direction][lane]) {
             return this.spawnPointsByLane[direction][lane];
@@ -177,145 +263,368 @@ export class Intersection {
         return this.spawnPoints[direction];
     }
 
+    /**
+     * A leg as built from the layout
+     * @param {string} direction
+     * @returns {Object} { direction, lanes: [{ index, turns, bay, width, across }],
+     *   exitLanes: [{ index, width, across }], approachWidth, exitWidth, cornerRadius, ... }
+     */
+    getLeg(direction) {
+        return this.legs[direction];
+    }
+
+    // Legs the layout has, clockwise from north - three at a T-junction
+    getLegDirections() {
+        return Object.keys(this.legs);
+    }
+
+    /**
+     * Whether vehicles can make a turn from an approach - both legs are there
+     * @param {string} direction - Approach
+     * @param {string} turnType - One of CONFIG.TURN_TYPES
+     * @returns {boolean}
+     */
+    hasMovement(direction, turnType) {
+        return Boolean(this.legs[direction] && this.legs[getTurnDestination(direction, turnType)]);
+    }
+
+    isRoundabout() {
+        return this.roundabout !== null;
+    }
+
+    /**
+     * The roundabout as built from the layout
+     * @returns {Object|null} { islandRadius, laneWidth, lanes: [{ index, radius }]
+     *   outermost first, outerRadius, halfSize }, null for a signalised junction
+     */
+    getRoundabout() {
+        return this.roundabout;
+    }
+
+    /**
+     * Joins a leg to an approach of the next intersection along the road
+     * @param {string} direction - Leg
+     * @param {Object} link - { intersection, approach }
+     */
+    setLink(direction, link) {
+        this.links[direction] = link;
+    }
+
+    // { intersection, approach } a leg's traffic is handed on to, null where it leaves the network
+    getLink(direction) {
+        return this.links[direction] || null;
+    }
+
+    // Legs new traffic arrives on - every leg not linked to another intersection
+    getEntryLegs() {
+        return this.getLegDirections().filter(direction => !this.links[direction]);
+    }
+
+    /**
+     * Approach lane of the next intersection that an exit lane of a linked
+     * leg leads into: the full-length approach lane in the same place,
+     * counted from the curb (see network.js)
+     * @param {string} direction - Linked leg
+     * @param {number} exitLane - Exit lane index
+     * @returns {number}
+     */
+    getLinkedLane(direction, exitLane) {
+        const { intersection, approach } = this.links[direction];
+        const full = intersection.getLeg(approach).lanes.filter(lane => lane.bay === null);
+        return full[Math.min(exitLane, full.length - 1)].index;
+    }
+
+    /**
+     * Exit lane of a leg nearest a point beside it
+     * @param {string} direction - Leg
+     * @returns {Object} { index, width, across }
+     */
+    getExitLaneAt(direction, x, y) {
+        const leg = this.legs[direction];
+        const across = dot({ x: x - leg.origin.x, y: y - leg.origin.y }, leg.right);
+        return leg.exitLanes.reduce((best, lane) =>
+            (Math.abs(lane.across - across) < Math.abs(best.across - across) ? lane : best));
+    }
+
+    /**
+     * Distance of a point out along a leg from the box edge
+     * @param {string} direction - Leg
+     * @returns {number}
+     */
+    getDistanceAlongLeg(direction, x, y) {
+        const leg = this.legs[direction];
+        return dot({ x: x - leg.origin.x, y: y - leg.origin.y }, leg.outward);
+    }
+
+    /**
+     * Whether a point is beyond the end of the legs - on a linked leg as soon
+     * as it crosses into the next intersection's area, otherwise once it is
+     * NETWORK.EXIT_MARGIN clear of its own
+     * @returns {boolean}
+     */
+    hasLeftArea(x, y) {
+        const margin = direction => (this.links[direction] ? 0 : CONFIG.NETWORK.EXIT_MARGIN);
+        return y < this.bounds.top - margin(CONFIG.DIRECTIONS.NORTH) ||
+            x > this.bounds.right + margin(CONFIG.DIRECTIONS.EAST) ||
+            y > this.bounds.bottom + margin(CONFIG.DIRECTIONS.SOUTH) ||
+            x < this.bounds.left - margin(CONFIG.DIRECTIONS.WEST);
+    }
+
+    // Approaches that flash yellow at night. At a T-junction that is the
+    // road running straight through.
+    getMajorApproaches() {
+        const through = this.getLegDirections().filter(direction => this.hasMovement(direction, CONFIG.TURN_TYPES.STRAIGHT));
+        return through.length < DIRECTION_ORDER.length ? through : CONFIG.FLASH_OPERATION.MAJOR_APPROACHES;
+    }
+
+    // Box edges: { left, right, top, bottom }
+    getBox() {
+        return { ...this.box };
+    }
+
+    /**
+     * Whether a lane is there at a point on the approach - a turn bay only
+     * opens its BAY length before the stop line
+     * @param {string} direction - Approach
+     * @param {number} lane
+     * @param {number} distance - Distance before the stop line
+     * @returns {boolean}
+     */
+    hasLaneAt(direction, lane, distance) {
+        const approachLane = this.legs[direction].lanes[lane];
+        return Boolean(approachLane) && (approachLane.bay === null || distance <= approachLane.bay);
+    }
+
     render(ctx) {
         this.drawRoads(ctx);
         this.drawIntersection(ctx);
         this.drawLaneMarkings(ctx);
+        this.drawLaneArrows(ctx);
+        this.drawCrosswalks(ctx);
         this.drawStopLines(ctx);
     }
 
+    // Fills the part of a leg between two offsets across it, out to "along"
+    fillLegStrip(ctx, direction, acrossFrom, acrossTo, along) {
+        const corners = [
+            this.getLegPoint(direction, 0, acrossFrom),
+            this.getLegPoint(direction, along, acrossFrom),
+            this.getLegPoint(direction, along, acrossTo),
+            this.getLegPoint(direction, 0, acrossTo)
+        ];
+        ctx.beginPath();
+        corners.forEach(({ x, y }, index) => (index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    // Each leg's exit lanes and full-length approach lanes run to the canvas
+    // edge; a turn bay stops BAY before the stop line and tapers into the
+    // lane next to it
     drawRoads(ctx) {
-        const halfRoad = this.roadWidth / 2;
-        
+        const setback = this.geometry.STOP_LINE_SETBACK;
         ctx.fillStyle = '#444444';
-        
-        // Vertical road (North-South)
-        ctx.fillRect(
-            this.centerX - halfRoad,
-            0,
-            this.roadWidth,
-            CONFIG.CANVAS_HEIGHT
-        );
-        
-        // Horizontal road (East-West)
-        ctx.fillRect(
-            0,
-            this.centerY - halfRoad,
-            CONFIG.CANVAS_WIDTH,
-            this.roadWidth
-        );
+
+        Object.values(this.legs).forEach(leg => {
+            const { direction } = leg;
+            const full = leg.lanes.filter(lane => lane.bay === null);
+            this.fillLegStrip(ctx, direction, -leg.exitWidth, 0, leg.length);
+            this.fillLegStrip(ctx, direction,
+                full[full.length - 1].across - full[full.length - 1].width / 2,
+                full[0].across + full[0].width / 2,
+                leg.length);
+
+            leg.lanes.filter(lane => lane.bay !== null).forEach(lane => {
+                const end = setback + lane.bay;
+                const inner = lane.across - lane.width / 2;
+                const outer = lane.across + lane.width / 2;
+                this.fillLegStrip(ctx, direction, inner, outer, end);
+
+                // Taper towards the through lanes
+                const towardsCurb = lane.index > full[full.length - 1].index;
+                const points = [
+                    this.getLegPoint(direction, end, inner),
+                    this.getLegPoint(direction, end, outer),
+                    this.getLegPoint(direction, end + CONFIG.TURN_BAY_TAPER, towardsCurb ? outer : inner)
+                ];
+                ctx.beginPath();
+                points.forEach(({ x, y }, index) => (index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+                ctx.closePath();
+                ctx.fill();
+            });
+        });
     }
 
+    // The box and its rounded corners
     drawIntersection(ctx) {
-        const halfRoad = this.roadWidth / 2;
-        const curveRadius = halfRoad;
-
+        if (this.roundabout) {
+            this.drawRoundabout(ctx);
+            return;
+        }
+        const { left, right, top, bottom } = this.box;
         ctx.fillStyle = '#666666';
-        ctx.beginPath();
-
-        // Start top middle going clockwise
-        ctx.moveTo(this.centerX - halfRoad, this.centerY - halfRoad - curveRadius);
-
-        // Top left inward curve
-        ctx.quadraticCurveTo(
-            this.centerX - halfRoad, this.centerY - halfRoad,
-            this.centerX - halfRoad - curveRadius, this.centerY - halfRoad
-        );
-
-        // Left top to left bottom
-        ctx.lineTo(this.centerX - halfRoad - curveRadius, this.centerY + halfRoad);
+        ctx.fillRect(left, top, right - left, bottom - top);
 
-        // Bottom left inward curve
-        ctx.quadraticCurveTo(
-            this.centerX - halfRoad, this.centerY + halfRoad,
-            this.centerX - halfRoad, this.centerY + halfRoad + curveRadius
-        );
-
-        // Bottom middle to bottom right
-        ctx.lineTo(this.centerX + halfRoad, this.centerY + halfRoad + curveRadius);
+        this.corners.forEach(({ approach, exit, point, radius }) => {
+            if (radius <= 0) return;
+            const alongApproach = this.legs[approach].outward;
+            const alongExit = this.legs[exit].outward;
+            ctx.beginPath();
+            ctx.moveTo(point.x, point.y);
+            ctx.lineTo(point.x + alongApproach.x * radius, point.y + alongApproach.y * radius);
+            ctx.arcTo(point.x, point.y, point.x + alongExit.x * radius, point.y + alongExit.y * radius, radius);
+            ctx.closePath();
+            ctx.fill();
+        });
 
-        // Bottom right inward curve
-        ctx.quadraticCurveTo(
-            this.centerX + halfRoad, this.centerY + halfRoad,
-            this.centerX + halfRoad + curveRadius, this.centerY + halfRoad
-        );
+        // Restore normal drawing mode for anything after
+        ctx.globalCompositeOperation = 'source-over';
+    }
 
-        // Right bottom to right top
-        ctx.lineTo(this.centerX + halfRoad + curveRadius, this.centerY - halfRoad);
+    // The ring round a grassed island, with the entries and exits paved
+    // along the paths vehicles take through them
+    drawRoundabout(ctx) {
+        const { islandRadius, laneWidth, lanes, outerRadius } = this.roundabout;
+        const circle = radius => {
+            ctx.beginPath();
+            ctx.arc(this.centerX, this.centerY, radius, 0, Math.PI * 2);
+        };
 
-        // Top right inward curve
-        ctx.quadraticCurveTo(
-            this.centerX + halfRoad, this.centerY - halfRoad,
-            this.centerX + halfRoad, this.centerY - halfRoad - curveRadius
-        );
+        ctx.fillStyle = '#666666';
+        circle(outerRadius);
+        ctx.fill();
+        ctx.strokeStyle = '#666666';
+        ctx.lineWidth = laneWidth;
+        ctx.lineCap = 'round';
+        Object.values(this.legs).forEach(leg => {
+            leg.lanes.forEach(lane => {
+                lane.turns.filter(turnType => this.hasMovement(leg.direction, turnType)).forEach(turnType => {
+                    const path = this.getMovementPath(leg.direction, lane.index, turnType, 4);
+                    ctx.beginPath();
+                    path.forEach(({ x, y }, index) => (index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+                    ctx.stroke();
+                });
+            });
+        });
+        ctx.lineCap = 'butt';
 
-        // Back to start
-        ctx.closePath();
+        ctx.fillStyle = '#4a7c3a';
+        circle(islandRadius);
         ctx.fill();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
 
-        // Restore normal drawing mode for anything after
-        ctx.globalCompositeOperation = 'source-over';
+        // Between circulating lanes
+        ctx.setLineDash([10, 10]);
+        lanes.slice(1).forEach(lane => {
+            circle(lane.radius + laneWidth / 2);
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
     }
 
+    // Dashed lines between lanes and along the centre line, from the box
+    // edge out to where the lanes on either side end
     drawLaneMarkings(ctx) {
+        const setback = this.geometry.STOP_LINE_SETBACK;
+        const laneLength = (leg, lane) => (lane.bay === null ? leg.length : setback + lane.bay);
+
         ctx.strokeStyle = '#ffffff';
         ctx.lineWidth = 2;
         ctx.setLineDash([10, 10]);
-
-        const halfRoad = this.roadWidth / 2;
-        
-        // Vertical lane markings (North-South road)
         ctx.beginPath();
-        // Center divider
-        ctx.moveTo(this.centerX, 0);
-        ctx.lineTo(this.centerX, this.centerY - halfRoad);
-        ctx.moveTo(this.centerX, this.centerY + halfRoad);
-        ctx.lineTo(this.centerX, CONFIG.CANVAS_HEIGHT);
-        
-        // Lane divider for left side
-        const leftDivider = this.centerX - this.laneWidth / 2;
-        ctx.moveTo(leftDivider, 0);
-        ctx.lineTo(leftDivider, this.centerY - halfRoad);
-        ctx.moveTo(leftDivider, this.centerY + halfRoad);
-        ctx.lineTo(leftDivider, CONFIG.CANVAS_HEIGHT);
-        
-        // Lane divider for right side
-        const rightDivider = this.centerX + this.laneWidth / 2;
-        ctx.moveTo(rightDivider, 0);
-        ctx.lineTo(rightDivider, this.centerY - halfRoad);
-        ctx.moveTo(rightDivider, this.centerY + halfRoad);
-        ctx.lineTo(rightDivider, CONFIG.CANVAS_HEIGHT);
-        ctx.stroke();
-        
-        // Horizontal lane markings (East-West road)
-        ctx.beginPath();
-        // Center divider
-        ctx.moveTo(0, this.centerY);
-        ctx.lineTo(this.centerX - halfRoad, this.centerY);
-        ctx.moveTo(this.centerX + halfRoad, this.centerY);
-        ctx.lineTo(CONFIG.CANVAS_WIDTH, this.centerY);
-        
-        // Lane divider for top side
-        const topDivider = this.centerY - this.laneWidth / 2;
-        ctx.moveTo(0, topDivider);
-        ctx.lineTo(this.centerX - halfRoad, topDivider);
-        ctx.moveTo(this.centerX + halfRoad, topDivider);
-        ctx.lineTo(CONFIG.CANVAS_WIDTH, topDivider);
-        
-        // Lane divider for bottom side
-        const bottomDivider = this.centerY + this.laneWidth / 2;
-        ctx.moveTo(0, bottomDivider);
-        ctx.lineTo(this.centerX - halfRoad, bottomDivider);
-        ctx.moveTo(this.centerX + halfRoad, bottomDivider);
-        ctx.lineTo(CONFIG.CANVAS_WIDTH, bottomDivider);
+        Object.values(this.legs).forEach(leg => {
+            const line = (across, along) => {
+                const start = this.getLegPoint(leg.direction, 0, across);
+                const end = this.getLegPoint(leg.direction, along, across);
+                ctx.moveTo(start.x, start.y);
+                ctx.lineTo(end.x, end.y);
+            };
+
+            // Between approach lanes, as far as the shorter of the two goes
+            leg.lanes.slice(1).forEach((lane, index) => {
+                const outer = leg.lanes[index];
+                line(lane.across + lane.width / 2, Math.min(laneLength(leg, outer), laneLength(leg, lane)));
+            });
+            // Centre line, beside the innermost approach lane
+            line(0, laneLength(leg, leg.lanes[leg.lanes.length - 1]));
+            // Between exit lanes
+            leg.exitLanes.slice(1).forEach(lane => line(lane.across + lane.width / 2, leg.length));
+        });
         ctx.stroke();
 
         ctx.setLineDash([]);
     }
 
+    // Arrows for the turns each approach lane may be used for, painted
+    // just behind the stop line
+    drawLaneArrows(ctx) {
+        const along = this.geometry.STOP_LINE_SETBACK + 22;
+        const stem = 10;
+        const head = 3;
+
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1.5;
+        Object.values(this.legs).forEach(leg => {
+            const { forward, right } = leg;
+            leg.lanes.forEach(lane => {
+                const base = this.getLegPoint(leg.direction, along, lane.across);
+                const tip = { x: base.x + forward.x * stem, y: base.y + forward.y * stem };
+                ctx.beginPath();
+                ctx.moveTo(base.x, base.y);
+                ctx.lineTo(tip.x, tip.y);
+                lane.turns.forEach(turn => {
+                    // A branch off the top of the stem, sideways for the turns
+                    const side = turn === CONFIG.TURN_TYPES.RIGHT ? 1 : turn === CONFIG.TURN_TYPES.LEFT ? -1 : 0;
+                    const from = side === 0 ? tip : { x: tip.x - forward.x * head, y: tip.y - forward.y * head };
+                    const end = side === 0 ? tip : { x: from.x + right.x * side * head * 1.5, y: from.y + right.y * side * head * 1.5 };
+                    const direction = side === 0 ? forward : { x: right.x * side, y: right.y * side };
+                    const normal = { x: -direction.y, y: direction.x };
+                    ctx.moveTo(from.x, from.y);
+                    ctx.lineTo(end.x, end.y);
+                    ctx.moveTo(end.x - direction.x * head + normal.x * head, end.y - direction.y * head + normal.y * head);
+                    ctx.lineTo(end.x, end.y);
+                    ctx.lineTo(end.x - direction.x * head - normal.x * head, end.y - direction.y * head - normal.y * head);
+                });
+                ctx.stroke();
+            });
+        });
+    }
+
+    // Zebra bars across the lanes, over the lane markings
+    drawCrosswalks(ctx) {
+        const barWidth = 3;
+        Object.values(this.crosswalks).forEach(crosswalk => {
+            const leg = this.legs[crosswalk.leg];
+            const along = this.geometry.STOP_LINE_SETBACK / 2;
+            const band = crosswalk.width;
+
+            // Blank out the lane markings under the bars
+            ctx.fillStyle = '#444444';
+            this.fillBand(ctx, leg, along, band, -leg.exitWidth, leg.approachWidth);
+
+            ctx.fillStyle = '#ffffff';
+            for (let across = -leg.exitWidth + 1; across + barWidth <= leg.approachWidth; across += barWidth * 2) {
+                this.fillBand(ctx, leg, along, band, across, across + barWidth);
+            }
+        });
+    }
+
+    // A rectangle across a leg, band wide, centred "along" out from the box edge
+    fillBand(ctx, leg, along, band, acrossFrom, acrossTo) {
+        const a = this.getLegPoint(leg.direction, along - band / 2, acrossFrom);
+        const b = this.getLegPoint(leg.direction, along + band / 2, acrossTo);
+        ctx.fillRect(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+    }
+
+    // Solid stop lines at signals, dashed yield lines at a roundabout
     drawStopLines(ctx) {
         ctx.strokeStyle = '#ffffff';
         ctx.lineWidth = 4;
+        if (this.roundabout) {
+            ctx.setLineDash([6, 4]);
+        }
         
         Object.values(this.stopLines).forEach(line => {
             ctx.beginPath();
@@ -323,6 +632,7 @@ export class Intersection {
             ctx.lineTo(line.x2, line.y2);
             ctx.stroke();
         });
+        ctx.setLineDash([]);
     }
 
     // Helper methods for car navigation
@@ -352,6 +662,21 @@ export class Intersection {
         }
     }
 
+    getCrosswalk(leg) {
+        return this.crosswalks[leg];
+    }
+
+    // Whether a point is on a leg's crosswalk
+    isInCrosswalk(leg, x, y) {
+        const crosswalk = this.crosswalks[leg];
+        const [start, end] = crosswalk.ends;
+        const halfWidth = crosswalk.width / 2;
+        if (crosswalk.vertical) {
+            return Math.abs(x - start.x) <= halfWidth && y >= start.y && y <= end.y;
+        }
+        return Math.abs(y - start.y) <= halfWidth && x >= start.x && x <= end.x;
+    }
+
     getLightPosition(direction) {
         if (!direction || typeof direction !== 'string') {
             console.warn("Invalid direction for getLightPosition:", direction);
@@ -362,13 +687,22 @@ export class Intersection {
 
     // Check if a point is within the intersection
     isInIntersection(x, y) {
-        const halfRoad = this.roadWidth / 2;
-        return (
-            x >= this.centerX - halfRoad &&
-            x <= this.centerX + halfRoad &&
-            y >= this.centerY - halfRoad &&
-            y <= this.centerY + halfRoad
-        );
+        return x >= this.box.left && x <= this.box.right && y >= this.box.top && y <= this.box.bottom;
+    }
+
+    /**
+     * Leg a point outside the box lies along
+     * @returns {Object|null} { leg, distance } - distance out from the box edge; null inside the box
+     */
+    getLegAt(x, y) {
+        const outside = {
+            [CONFIG.DIRECTIONS.NORTH]: this.box.top - y,
+            [CONFIG.DIRECTIONS.EAST]: x - this.box.right,
+            [CONFIG.DIRECTIONS.SOUTH]: y - this.box.bottom,
+            [CONFIG.DIRECTIONS.WEST]: this.box.left - x
+        };
+        const [leg, distance] = Object.entries(outside).reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+        return distance >= 0 && this.legs[leg] ? { leg, distance } : null;
     }
 
     // Get proper exit point based on turn type to ensure correct lane usage
@@ -390,47 +724,98 @@ export class Intersection {
         return this.carManager ? this.carManager.getCars() : [];
     }
 
-    // Calculate trajectory for a vehicle based on turn type
-    calculateTrajectory(fromDirection, toDirection, turnType) {
+    /**
+     * Exit lane a movement ends in. Left turns keep their place counted from
+     * the centre line among the lanes turning left, right turns theirs
+     * counted from the curb; through traffic takes the exit lane most nearly
+     * in line with its own.
+     * @param {string} fromDirection - Approach
+     * @param {number} lane - Approach lane
+     * @param {string} turnType - One of CONFIG.TURN_TYPES
+     * @returns {Object} Exit lane { index, width, across } of the destination leg
+     */
+    getExitLane(fromDirection, lane, turnType) {
+        const approach = this.legs[fromDirection];
+        const exitLanes = this.legs[getTurnDestination(fromDirection, turnType)].exitLanes;
+        const approachLane = approach.lanes[lane] || approach.lanes[0];
+
+        if (turnType === CONFIG.TURN_TYPES.STRAIGHT) {
+            // The far leg's right-hand side is our left, so its offsets are mirrored
+            return exitLanes.reduce((best, exitLane) =>
+                Math.abs(-exitLane.across - approachLane.across) < Math.abs(-best.across - approachLane.across) ? exitLane : best);
+        }
+
+        const turning = approach.lanes.filter(other => other.turns.includes(turnType)).map(other => other.index);
+        const fromCurb = Math.max(0, turning.indexOf(approachLane.index));
+        if (turnType === CONFIG.TURN_TYPES.RIGHT) {
+            return exitLanes[Math.min(fromCurb, exitLanes.length - 1)];
+        }
+        const fromCentre = turning.length > 0 && turning.includes(approachLane.index) ? turning.length - 1 - fromCurb : 0;
+        return exitLanes[Math.max(0, exitLanes.length - 1 - fromCentre)];
+    }
+
+    /**
+     * Path through the box from the entry lane to the exit lane. Turns are a
+     * single arc tangent to both lanes' centre lines - for a left turn the
+     * widest that fits in the box, for a right turn no wider than the
+     * corner's radius. Through traffic that has to shift across to line up
+     * with its exit lane eases over on two opposite arcs.
+     * @param {string} fromDirection - Approach
+     * @param {string} toDirection - Leg left by (worked out from the turn)
+     * @param {string} turnType - One of CONFIG.TURN_TYPES
+     * @param {number} lane - Approach lane
+     * @returns {Object|null} Trajectory spec (see paths.js)
+     */
+    calculateTrajectory(fromDirection, toDirection, turnType, lane = null) {
         try {
-            const entry = this.getPathEntryPoint(fromDirection);
-            const exit = this.getExitPointForTurn(fromDirection, turnType);
-            
-            if (!entry || !exit) {
-                console.error("Invalid entry/exit points for trajectory", {fromDirection, turnType, entry, exit});
-                return null;
+            const approach = this.legs[fromDirection];
+            const laneIndex = lane === null ? approach.lanes.length - 1 : lane;
+            if (this.roundabout) {
+                return this.getRoundaboutMovement(fromDirection, laneIndex, turnType).trajectory;
             }
-            
-            let du = []; // Segment lengths
-            let curv = []; // Curvatures
-            let phi0 = this.getInitialHeading(fromDirection);
-            
-            if (turnType === CONFIG.TURN_TYPES.LEFT) {
-                // Left turn: straight -> curve -> straight
-                const straightDist = 12;
-                const turnRadius = 14;
-                const turnArcLength = (Math.PI / 2) * turnRadius;
-                
-                du = [straightDist, turnArcLength, straightDist];
-                curv = [0, 1/turnRadius, 0]; // Positive curvature = left turn
-                
-            } else if (turnType === CONFIG.TURN_TYPES.RIGHT) {
-                // Right turn: straight -> curve -> straight  
-                const straightDist = 16;
-                const turnRadius = 18;
-                const turnArcLength = (Math.PI / 2) * turnRadius;
-                
-                du = [straightDist, turnArcLength, straightDist];
-                curv = [0, -1/turnRadius, 0]; // Negative curvature = right turn
-                
+            const destination = getTurnDestination(fromDirection, turnType);
+            const entry = this.getPathEntryPoint(fromDirection, laneIndex);
+            const exit = this.getLegPoint(destination, 0, this.getExitLane(fromDirection, laneIndex, turnType).across);
+            const offset = { x: exit.x - entry.x, y: exit.y - entry.y };
+            const phi0 = this.getInitialHeading(fromDirection);
+
+            let du;
+            let curv;
+            // Canvas y points down, so positive curvature turns clockwise on screen
+            if (turnType === CONFIG.TURN_TYPES.STRAIGHT) {
+                const length = dot(offset, approach.forward);
+                const shift = dot(offset, approach.right);
+                if (Math.abs(shift) < 0.5) {
+                    du = [length];
+                    curv = [0];
+                } else {
+                    const angle = 2 * Math.atan(Math.abs(shift) / length);
+                    const radius = length / (2 * Math.sin(angle));
+                    du = [radius * angle, radius * angle];
+                    curv = [Math.sign(shift) / radius, -Math.sign(shift) / radius];
+                }
             } else {
-                // Straight through
-                const totalDist = Math.sqrt((exit.x - entry.x)**2 + (exit.y - entry.y)**2);
-                du = [totalDist];
-                curv = [0];
+                // Straight to the corner of the two centre lines, round it, straight on
+                const toCorner = dot(offset, approach.forward);
+                const fromCorner = dot(offset, this.legs[destination].outward);
+                if (toCorner <= 0 || fromCorner <= 0) {
+                    console.error("Exit lane is not ahead of the entry for", fromDirection, turnType, "from lane", laneIndex);
+                    return null;
+                }
+                const right = turnType === CONFIG.TURN_TYPES.RIGHT;
+                let radius = Math.min(toCorner, fromCorner);
+                if (right) {
+                    radius = Math.max(1, Math.min(radius, approach.cornerRadius));
+                }
+                du = [toCorner - radius, (Math.PI / 2) * radius, fromCorner - radius];
+                curv = [0, (right ? 1 : -1) / radius, 0]; // Negative curvature = left turn
             }
-            
-            const trajectory = traj_precalc(entry.x, entry.y, phi0, du, curv);
+            du.push(PATH_RUN_OUT);
+            curv.push(0);
+
+            // Segments squeezed to nothing would divide by zero in trajFromSpec
+            const kept = du.map((length, index) => index).filter(index => du[index] > 1e-6);
+            const trajectory = traj_precalc(entry.x, entry.y, phi0, kept.map(index => du[index]), kept.map(index => curv[index]));
             console.log("Created trajectory for", fromDirection, "->", turnType, {entry, exit, du, curv});
             return trajectory;
             
@@ -440,6 +825,128 @@ export class Intersection {
         }
     }
 
+    /**
+     * A movement round the roundabout: in on an arc from the approach lane
+     * that meets its circulating lane, counter-clockwise round the ring and
+     * out on an arc from it onto the exit lane, each arc tangent to both the
+     * lines it joins. Angles round the ring are measured counter-clockwise
+     * on screen from the east.
+     * @param {string} fromDirection - Approach
+     * @param {number} lane - Approach lane
+     * @param {string} turnType - One of CONFIG.TURN_TYPES
+     * @returns {Object} { trajectory, ringLane, radius, mergeDistance, divergeDistance,
+     *   entryAngle, exitAngle, points } - the distances are along the path from
+     *   the box edge; points { x, y, u } sample it every PATH_STEP on out to
+     *   the end of the exit leg
+     */
+    getRoundaboutMovement(fromDirection, lane, turnType) {
+        const key = `${fromDirection}-${lane}-${turnType}`;
+        if (!this.roundaboutMovements[key]) {
+            this.roundaboutMovements[key] = this.calculateRoundaboutMovement(fromDirection, lane, turnType);
+        }
+        return this.roundaboutMovements[key];
+    }
+
+    calculateRoundaboutMovement(fromDirection, lane, turnType) {
+        const approach = this.legs[fromDirection];
+        const destination = this.legs[getTurnDestination(fromDirection, turnType)];
+        const approachLane = approach.lanes[lane] || approach.lanes[0];
+        const ringLane = this.roundabout.lanes[Math.min(approachLane.index, this.roundabout.lanes.length - 1)];
+        const exitLane = destination.exitLanes[ringLane.index];
+        const { halfSize } = this.roundabout;
+        const radius = ringLane.radius;
+
+        // Right-hand arc from a lane "offset" from a leg's centre line, at the
+        // box edge, to where it touches the ring lane from outside
+        const tangentArc = offset => {
+            const arcRadius = (halfSize ** 2 + offset ** 2 - radius ** 2) / (2 * (radius - offset));
+            return { arcRadius, angle: Math.acos((offset + arcRadius) / (radius + arcRadius)), reach: offset + arcRadius };
+        };
+        const ringAngle = (along, side, reach) => -Math.atan2(
+            along.y * halfSize + side.y * reach,
+            along.x * halfSize + side.x * reach
+        );
+        const entry = tangentArc(approachLane.across);
+        const exit = tangentArc(-exitLane.across);
+        const entryAngle = ringAngle(approach.outward, approach.right, entry.reach);
+        const exitOffset = ringAngle(destination.outward, { x: -destination.right.x, y: -destination.right.y }, exit.reach);
+        const ringTurn = ((exitOffset - entryAngle) % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2);
+
+        // Canvas y points down, so the right-hand arcs have positive curvature
+        // and the ring negative
+        const du = [entry.arcRadius * entry.angle, radius * ringTurn, exit.arcRadius * exit.angle, PATH_RUN_OUT];
+        const curv = [1 / entry.arcRadius, -1 / radius, 1 / exit.arcRadius, 0];
+        const kept = du.map((length, index) => index).filter(index => du[index] > 1e-6);
+        const start = this.getPathEntryPoint(fromDirection, approachLane.index);
+        const trajectory = traj_precalc(start.x, start.y, this.getInitialHeading(fromDirection),
+            kept.map(index => du[index]), kept.map(index => curv[index]));
+
+        const mergeDistance = du[0];
+        const divergeDistance = du[0] + du[1];
+        const end = trajectory.u[trajectory.u.length - 1] + destination.length;
+        const points = [];
+        for (let u = 0; u <= end; u += CONFIG.ROUNDABOUT.PATH_STEP) {
+            const [x, y] = trajFromSpec(u, trajectory);
+            points.push({ x, y, u });
+        }
+        console.log("Created roundabout path for", fromDirection, "->", turnType, { ringLane: ringLane.index, du, curv });
+        return {
+            trajectory,
+            ringLane: ringLane.index,
+            radius,
+            mergeDistance,
+            divergeDistance,
+            entryAngle,
+            exitAngle: entryAngle + ringTurn,
+            points
+        };
+    }
+
+    /**
+     * Samples the centreline a vehicle follows through the intersection box
+     * @param {string} fromDirection - Approach the vehicle comes from
+     * @param {number} lane - Approach lane
+     * @param {string} turnType - One of CONFIG.TURN_TYPES
+     * @param {number} step - Sample spacing along the path (px)
+     * @returns {Object[]} Points { x, y, u } inside the box, u measured from the box edge
+     */
+    getMovementPath(fromDirection, lane, turnType, step = 1) {
+        const points = [];
+
+        // Vehicles follow calculateTrajectory exactly
+        const trajectory = this.calculateTrajectory(fromDirection, null, turnType, lane);
+        if (!trajectory) return points;
+        const length = trajectory.u[trajectory.u.length - 1];
+        for (let u = 0; u <= length; u += step) {
+            const [x, y] = trajFromSpec(u, trajectory);
+            if (!this.isInIntersection(x, y)) {
+                if (points.length > 0) break;
+                continue;
+            }
+            points.push({ x, y, u });
+        }
+        return points;
+    }
+
+    /**
+     * Through and right-turn movements of the opposite approach - the flow a
+     * permissive left turn from this approach has to yield to, in the lanes
+     * that allow them. Opposite the stem of a T-junction there is none.
+     * @param {string} direction - Approach of the left-turning vehicle
+     * @returns {Object[]} Movements { fromDirection, lane, turnType }
+     */
+    getOpposingMovements(direction) {
+        const opposite = getOppositeDirection(direction);
+        const movements = [];
+        if (!this.legs[opposite]) return movements;
+        this.legs[opposite].lanes.forEach(({ index, turns }) => {
+            [CONFIG.TURN_TYPES.STRAIGHT, CONFIG.TURN_TYPES.RIGHT]
+                .filter(turnType => turns.includes(turnType) && this.hasMovement(opposite, turnType))
+                .forEach(turnType => movements.push({ fromDirection: opposite, lane: index, turnType }));
+        });
+        return movements;
+    }
+
     // Helper method to get initial heading based on direction
     getInitialHeading(direction) {
         switch (direction) {
@@ -450,58 +957,4 @@ export class Intersection {
             default: return 0;
         }
     }
-
-    // Helper method to get exit point based on turn type
-    getExitPointForTurn(fromDirection, turnType) {
-        const laneCenter = this.laneWidth * 0.5;
-        
-        switch (fromDirection) {
-            case CONFIG.DIRECTIONS.NORTH:
-                switch (turnType) {
-                    case CONFIG.TURN_TYPES.STRAIGHT:
-                        return { x: this.centerX + laneCenter, y: CONFIG.CANVAS_HEIGHT };
-                    case CONFIG.TURN_TYPES.LEFT:
-                        return { x: CONFIG.CANVAS_WIDTH, y: this.centerY + laneCenter };
-                    case CONFIG.TURN_TYPES.RIGHT:
-                        return { x: 0, y: this.centerY - laneCenter };
-                }
-                break;
-                
-            case CONFIG.DIRECTIONS.SOUTH:
-                switch (turnType) {
-                    case CONFIG.TURN_TYPES.STRAIGHT:
-                        return { x: this.centerX - laneCenter, y: 0 };
-                    case CONFIG.TURN_TYPES.LEFT:
-                        return { x: 0, y: this.centerY - laneCenter };
-                    case CONFIG.TURN_TYPES.RIGHT:
-                        return { x: CONFIG.CANVAS_WIDTH, y: this.centerY + laneCenter };
-                }
-                break;
-                
-            case CONFIG.DIRECTIONS.EAST:
-                switch (turnType) {
-                    case CONFIG.TURN_TYPES.STRAIGHT:
-                        return { x: 0, y: this.centerY + laneCenter };
-                    case CONFIG.TURN_TYPES.LEFT:
-                        return { x: this.centerX - laneCenter, y: 0 };
-                    case CONFIG.TURN_TYPES.RIGHT:
-                        return { x: this.centerX + laneCenter, y: CONFIG.CANVAS_HEIGHT };
-                }
-                break;
-                
-            case CONFIG.DIRECTIONS.WEST:
-                switch (turnType) {
-                    case CONFIG.TURN_TYPES.STRAIGHT:
-                        return { x: CONFIG.CANVAS_WIDTH, y: this.centerY - laneCenter };
-                    case CONFIG.TURN_TYPES.LEFT:
-                        return { x: this.centerX + laneCenter, y: CONFIG.CANVAS_HEIGHT };
-                    case CONFIG.TURN_TYPES.RIGHT:
-                        return { x: this.centerX - laneCenter, y: 0 };
-                }
-                break;
-        }
-        
-        // Fallback
-        return this.exitPoints[fromDirection];
-    }
-}
\ No newline at end of file
+}
@@ -0,0 +1,120 @@
+// laneChanging.js
+// Lane choice and lane changing on the approaches. A driver knows its turn
+// from the moment it arrives, so it enters in one of the lanes its approach
+// allows for that turn (see geometry.js) - whichever has the most room. A
+// turn served only by a turn bay enters in the through lane next to the bay,
+// since the bay only opens near the stop line. On the way to the stop line
+// the driver weighs moving to a neighbouring lane with MOBIL (Kesting,
+// Treiber & Helbing, 2007), using the IDM accelerations of driverModel.js:
+//   - safety: after the change neither the driver nor its new follower has
+//     to brake harder than SAFE_DECELERATION
+//   - incentive: the driver's own gain in acceleration, plus the politeness
+//     factor times the gain of the followers it leaves and joins, has to
+//     beat THRESHOLD
+// Drivers only move into lanes that allow their turn, and into a bay once
+// alongside it. One in a lane that does not allow its turn is pulled towards
+// one that does by MANDATORY_BIAS and, until it gets there, waits short of
+// the no-change zone before the stop line.
+
+import { CONFIG } from './config.js';
+
+/**
+ * Approach lanes that may be used for a turn. A turn no lane is marked for
+ * may use any of them.
+ * @param {Object} leg - From Intersection.getLeg
+ * @param {string} turnType - One of CONFIG.TURN_TYPES
+ * @returns {number[]} Lanes, curb first
+ */
+export function getLanesForTurn(leg, turnType) {
+    const lanes = leg.lanes.map(lane => lane.index);
+    const marked = lanes.filter(lane => leg.lanes[lane].turns.includes(turnType));
+    return marked.length > 0 ? marked : lanes;
+}
+
+export function isLaneForTurn(leg, lane, turnType) {
+    return getLanesForTurn(leg, turnType).includes(lane);
+}
+
+/**
+ * Lanes a vehicle may enter the approach in for its turn: those for the turn
+ * that run the full length of the leg or, for a turn only a bay serves, the
+ * full-length lanes nearest the bay
+ * @param {Object} leg - From Intersection.getLeg
+ * @param {string} turnType - One of CONFIG.TURN_TYPES
+ * @returns {number[]} Lanes, curb first
+ */
+export function getEntryLanes(leg, turnType) {
+    const lanes = getLanesForTurn(leg, turnType);
+    const full = leg.lanes.filter(lane => lane.bay === null).map(lane => lane.index);
+    const entry = lanes.filter(lane => full.includes(lane));
+    if (entry.length > 0) return entry;
+
+    const distance = lane => Math.min(...lanes.map(target => Math.abs(target - lane)));
+    const nearest = Math.min(...full.map(distance));
+    return full.filter(lane => distance(lane) === nearest);
+}
+
+// IDM acceleration of a follower behind a leader (null for an open road)
+function accelerationBehind(follower, leader) {
+    if (!leader) {
+        return follower.driver.freeRoadAcceleration(follower.speed, follower.maxSpeed);
+    }
+    return follower.getAccelerationBehind(leader, follower.getDistanceToCarAhead(leader));
+}
+
+/**
+ * MOBIL incentive for a car to move into a neighbouring lane
+ * @param {Car} car
+ * @param {number} lane - Neighbouring lane
+ * @param {number} politeness - Weight of the followers' gains
+ * @param {number} bias - px/s² added for a change the car has to make
+ * @returns {number|null} Incentive (px/s²), null if the change is not safe
+ */
+export function getLaneChangeIncentive(car, lane, politeness, bias = 0) {
+    const leader = car.checkForCarAhead(lane);
+    const follower = car.findLaneFollower(lane);
+
+    // Safety: room to slot in, and nobody made to brake hard
+    if (leader && car.getDistanceToCarAhead(leader) <= 0) return null;
+    if (follower && follower.getDistanceToCarAhead(car) <= 0) return null;
+    const ownAfter = accelerationBehind(car, leader);
+    const followerAfter = follower ? accelerationBehind(follower, car) : 0;
+    const safe = -CONFIG.LANE_CHANGE.SAFE_DECELERATION;
+    if (ownAfter < safe || followerAfter < safe) return null;
+
+    const currentLeader = car.checkForCarAhead();
+    const currentFollower = car.findLaneFollower(car.lane);
+    const ownGain = ownAfter - accelerationBehind(car, currentLeader);
+    const newFollowerGain = follower ? followerAfter - accelerationBehind(follower, leader) : 0;
+    const oldFollowerGain = currentFollower
+        ? accelerationBehind(currentFollower, currentLeader) - accelerationBehind(currentFollower, car)
+        : 0;
+    return ownGain + politeness * (newFollowerGain + oldFollowerGain) + bias;
+}
+
+/**
+ * Neighbouring lane a car should move into now, if any
+ * @param {Car} car - A car free to change lanes (see Car.mayChangeLane)
+ * @param {number} politeness - MOBIL politeness factor
+ * @returns {number|null} Lane to move into, null to stay
+ */
+export function chooseLaneChange(car, politeness) {
+    const leg = car.intersection.getLeg(car.fromDirection);
+    const lanes = getLanesForTurn(leg, car.turnType);
+    const mandatory = !lanes.includes(car.lane);
+    const nearest = lanes.reduce((best, lane) =>
+        Math.abs(lane - car.lane) < Math.abs(best - car.lane) ? lane : best);
+
+    let choice = null;
+    [car.lane - 1, car.lane + 1].forEach(lane => {
+        if (!car.isLaneAlongside(lane)) return;
+        // A change the car has to make only heads for the nearest lane for its turn
+        if (mandatory ? Math.abs(nearest - lane) >= Math.abs(nearest - car.lane) : !lanes.includes(lane)) return;
+
+        const incentive = getLaneChangeIncentive(car, lane, politeness, mandatory ? CONFIG.LANE_CHANGE.MANDATORY_BIAS : 0);
+        if (incentive !== null && incentive > CONFIG.LANE_CHANGE.THRESHOLD && (!choice || incentive > choice.incentive)) {
+            choice = { lane, incentive };
+        }
+    });
+    return choice ? choice.lane : null;
+}
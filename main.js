@@ -38,19 +38,8 @@ class TrafficSimulator {
             const deltaTime = currentTime - this.lastTime;
             this.lastTime = currentTime;
 
+            // Settings reach the engine through UIController's slider events
             if (this.isRunning) {
-                // Get durations from sliders (convert to milliseconds)
-                const settings = {
-                    GREEN_DURATION: Number(document.getElementById('greenDuration').value) * 1000,
-                    YELLOW_DURATION: Number(document.getElementById('yellowDuration').value) * 1000,
-                    RED_DURATION: Number(document.getElementById('redDuration').value) * 1000,
-                    CAR_SPAWN_RATE: Number(document.getElementById('carSpawnRate').value),
-                    CAR_SPEED: Number(document.getElementById('carSpeed').value),
-                    MIN_GREEN_TIME: 5000,
-                    DETECTOR_DISTANCE: 200
-                };
-
-                this.gameEngine.updateSettings(settings);
                 this.gameEngine.update(deltaTime);
             }
 
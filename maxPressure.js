@@ -0,0 +1,84 @@
+// maxPressure.js
+// Max-pressure signal control (Varaiya, 2013). The pressure of a movement is
+// the queue waiting to make it minus the vehicles already occupying the leg it
+// discharges into; pedestrians waiting to walk with a through phase add to
+// its pressure. Every decision interval the controller picks the stage -
+// one phase from each ring on the same side of the barrier - whose phases
+// carry the highest total pressure. At a T-junction a ring may have no phase
+// on one side of the barrier; its place in the stage is then null.
+
+import { CONFIG } from './config.js';
+import { getTurnDestination } from './directions.js';
+
+// Turn types each kind of NEMA phase serves
+const PHASE_TURNS = {
+    [CONFIG.MOVEMENTS.LEFT]: [CONFIG.TURN_TYPES.LEFT],
+    [CONFIG.MOVEMENTS.THROUGH]: [CONFIG.TURN_TYPES.STRAIGHT, CONFIG.TURN_TYPES.RIGHT]
+};
+
+/**
+ * Every pair of compatible phases in a plan - one per ring, same side of the barrier
+ * @param {Object} plan - Signal plan (see signalPlans.js)
+ * @returns {Array[]} Stages as [ring 1 phase, ring 2 phase], null for a ring with none
+ */
+export function getStages(plan) {
+    const [ringOne, ringTwo] = CONFIG.RING_BARRIER.RINGS.map(ring => ring.filter(phase => phase in plan.phases));
+    const side = (ring, phases) => {
+        const served = ring.filter(phase => phases.includes(phase));
+        return served.length > 0 ? served : [null];
+    };
+    return plan.barriers.flatMap(({ phases }) =>
+        side(ringOne, phases).flatMap(first =>
+            side(ringTwo, phases).map(second => [first, second])));
+}
+
+/**
+ * Total pressure of the movements a phase serves. A through phase also
+ * serves its approach's left turn when the plan has no left phase for it.
+ * @param {Object} sensorData - Per-direction data from SensorSystem.update
+ * @param {number|null} phase - NEMA phase number
+ * @param {Object} plan - Signal plan (see signalPlans.js)
+ * @returns {number} Upstream queue minus downstream occupancy, summed, plus waiting pedestrians
+ */
+export function getPhasePressure(sensorData, phase, plan) {
+    if (phase === null) return 0;
+    const { approach, movement } = CONFIG.NEMA_PHASES[phase];
+    const upstream = sensorData[approach];
+    if (!upstream) return 0;
+
+    const pedestrians = (plan.pedestrianPhases[phase] || [])
+        .reduce((sum, leg) => sum + (sensorData[leg] ? sensorData[leg].pedestriansWaiting : 0), 0);
+    const leftPhase = Object.keys(plan.phases).some(other =>
+        CONFIG.NEMA_PHASES[other].approach === approach && CONFIG.NEMA_PHASES[other].movement === CONFIG.MOVEMENTS.LEFT);
+    const turns = movement === CONFIG.MOVEMENTS.THROUGH && !leftPhase
+        ? [...PHASE_TURNS[movement], CONFIG.TURN_TYPES.LEFT]
+        : PHASE_TURNS[movement];
+    return turns.reduce((pressure, turnType) => {
+        const downstream = sensorData[getTurnDestination(approach, turnType)];
+        const queue = upstream.queueByTurn[turnType] || 0;
+        return pressure + queue - (downstream ? downstream.exitOccupancy : 0);
+    }, pedestrians);
+}
+
+/**
+ * Stage with the highest pressure. The current stage is kept on a tie and
+ * nothing is selected while no stage has a positive pressure.
+ * @param {Object} sensorData - Per-direction data from SensorSystem.update
+ * @param {Object} plan - Signal plan (see signalPlans.js)
+ * @param {Array|null} currentStage - Stage being served
+ * @returns {Object} { stage, pressure } - stage is null when there is no demand
+ */
+export function selectStage(sensorData, plan, currentStage = null) {
+    const stagePressure = stage => stage.reduce((sum, phase) => sum + getPhasePressure(sensorData, phase, plan), 0);
+
+    let best = currentStage;
+    let bestPressure = currentStage ? stagePressure(currentStage) : 0;
+    getStages(plan).forEach(stage => {
+        const pressure = stagePressure(stage);
+        if (pressure > bestPressure) {
+            best = stage;
+            bestPressure = pressure;
+        }
+    });
+    return { stage: bestPressure > 0 ? best : currentStage, pressure: bestPressure };
+}
@@ -0,0 +1,450 @@
+// network.js
+// Road networks: several intersections ("nodes") joined by road links, for
+// looking at a corridor of junctions rather than one on its own. Each node
+// is a full Intersection with its own TrafficLightController, CarManager,
+// PedestrianManager, SensorSystem and Statistics, all on the one simulation
+// clock. Linked nodes stand in line east-west or north-south; the link
+// joins the legs that face each other, and the road between them is split
+// halfway, each node's leg running out to the split. A vehicle leaving by
+// a linked leg is handed to the next node as it crosses the split: it
+// carries on in the full-length approach lane in the same place, counted
+// from the curb, as the exit lane it was in, and picks its next turn there
+// (see CarManager.acceptVehicle). Vehicles only arrive from outside on the
+// legs without a link. Near a link, drivers follow the queue back from the
+// next node and wait at the line rather than stop in the box when there is
+// no room beyond it. A node's OFFSET holds its signals at the start-up all
+// red that long, so fixed-time plans of the same cycle line up into a green
+// wave. Networks come from CONFIG.NETWORK_PRESETS or a JSON file (see
+// network.example.json).
+
+import { CONFIG } from './config.js';
+import { Intersection } from './intersection.js';
+import { TrafficLightController } from './trafficLights.js';
+import { CarManager } from './cars.js';
+import { PedestrianManager } from './pedestrians.js';
+import { SensorSystem } from './sensors.js';
+import { Statistics } from './statistics.js';
+import { DIRECTION_ORDER, getOppositeDirection } from './directions.js';
+import { getGeometryPreset, parseGeometry, validateGeometry } from './geometry.js';
+
+/**
+ * @param {string} name - Key of CONFIG.NETWORK_PRESETS
+ * @returns {Object} The network
+ */
+export function getNetworkPreset(name) {
+    const network = CONFIG.NETWORK_PRESETS[name];
+    if (!network) {
+        throw new Error(`Unknown network "${name}" - expected ${Object.keys(CONFIG.NETWORK_PRESETS).join(', ')}`);
+    }
+    return network;
+}
+
+/**
+ * Works out where everything in a network goes: the nodes' centres and the
+ * bounds their legs run out to, moved so the network starts at 0, 0
+ * @param {Object} network - In the form of CONFIG.NETWORK_PRESETS
+ * @returns {Object} { nodes: [{ id, x, y, geometry, bounds, links: { leg: node id },
+ *   offset, settings }], width, height }
+ * @throws {Error} Naming the first problem found
+ */
+export function layoutNetwork(network) {
+    if (!network || !Array.isArray(network.NODES) || network.NODES.length === 0) {
+        throw new Error('Network needs at least one node');
+    }
+    const nodes = new Map();
+    network.NODES.forEach(node => {
+        if (typeof node.ID !== 'string' || node.ID === '') {
+            throw new Error('Every node needs an id');
+        }
+        if (nodes.has(node.ID)) {
+            throw new Error(`Node id "${node.ID}" is used twice`);
+        }
+        if (!Number.isFinite(node.X) || !Number.isFinite(node.Y)) {
+            throw new Error(`Node ${node.ID} needs a position`);
+        }
+        if (!(node.OFFSET >= 0)) {
+            throw new Error(`Offset of node ${node.ID} must be zero or more`);
+        }
+        const geometry = typeof node.GEOMETRY === 'string' ? getGeometryPreset(node.GEOMETRY) : node.GEOMETRY;
+        if (!geometry || typeof geometry !== 'object') {
+            throw new Error(`Node ${node.ID} needs a layout`);
+        }
+        validateGeometry(geometry);
+        nodes.set(node.ID, { ...node, geometry, links: {} });
+    });
+
+    (network.LINKS || []).forEach(link => {
+        const [from, to] = (Array.isArray(link) ? link : []).map(id => nodes.get(id));
+        if (!from || !to || from === to || link.length !== 2) {
+            throw new Error(`Link ${JSON.stringify(link)} must join two different nodes by id`);
+        }
+        let direction;
+        if (from.Y === to.Y) {
+            direction = to.X > from.X ? CONFIG.DIRECTIONS.EAST : CONFIG.DIRECTIONS.WEST;
+        } else if (from.X === to.X) {
+            direction = to.Y > from.Y ? CONFIG.DIRECTIONS.SOUTH : CONFIG.DIRECTIONS.NORTH;
+        } else {
+            throw new Error(`Nodes ${from.ID} and ${to.ID} must be in line east-west or north-south to be linked`);
+        }
+        [[from, direction, to], [to, getOppositeDirection(direction), from]].forEach(([node, leg, other]) => {
+            if (!node.geometry.LEGS[leg]) {
+                throw new Error(`Node ${node.ID} has no ${leg} leg to link to ${other.ID}`);
+            }
+            if (node.links[leg]) {
+                throw new Error(`The ${leg} leg of node ${node.ID} is linked twice`);
+            }
+            node.links[leg] = other.ID;
+        });
+        [[from, direction, to], [to, getOppositeDirection(direction), from]].forEach(([node, leg, other]) => {
+            const exitLanes = node.geometry.LEGS[leg].EXIT_LANES;
+            const approachLanes = other.geometry.LEGS[getOppositeDirection(leg)].LANES.filter(lane => lane.BAY === undefined).length;
+            if (exitLanes !== approachLanes) {
+                throw new Error(`The ${leg} leg of node ${node.ID} has ${exitLanes} exit lanes, but ${other.ID} has ` +
+                    `${approachLanes} full-length approach lanes to take them on`);
+            }
+        });
+    });
+
+    // Each leg runs out to halfway to the node it is linked to, or
+    // LEG_LENGTH from its centre; either way it has to leave room for the
+    // leg's turn bays and for vehicles to line up behind the box
+    nodes.forEach(node => {
+        node.box = new Intersection(node.X, node.Y, node.geometry).getBox();
+    });
+    const edges = { north: 'top', east: 'right', south: 'bottom', west: 'left' };
+    nodes.forEach(node => {
+        node.bounds = {};
+        DIRECTION_ORDER.forEach(direction => {
+            const edge = edges[direction];
+            const sign = direction === CONFIG.DIRECTIONS.EAST || direction === CONFIG.DIRECTIONS.SOUTH ? 1 : -1;
+            const centre = direction === CONFIG.DIRECTIONS.EAST || direction === CONFIG.DIRECTIONS.WEST ? node.X : node.Y;
+            const other = node.links[direction] && nodes.get(node.links[direction]);
+            node.bounds[edge] = other
+                ? (node.box[edge] + other.box[edges[getOppositeDirection(direction)]]) / 2
+                : centre + sign * CONFIG.NETWORK.LEG_LENGTH;
+
+            const leg = node.geometry.LEGS[direction];
+            if (!leg) return;
+            const bays = leg.LANES.filter(lane => lane.BAY !== undefined).map(lane => lane.BAY + CONFIG.TURN_BAY_TAPER);
+            const needed = Math.max(CONFIG.NETWORK.MIN_LINK_LEG, node.geometry.STOP_LINE_SETBACK + Math.max(0, ...bays));
+            if (sign * (node.bounds[edge] - node.box[edge]) < needed) {
+                throw new Error(`The ${direction} leg of node ${node.ID} is too short - it needs ${needed}px beyond the box`);
+            }
+        });
+    });
+
+    const list = [...nodes.values()];
+    list.forEach((a, i) => list.slice(i + 1).forEach(b => {
+        const apart = a.bounds.right <= b.bounds.left || b.bounds.right <= a.bounds.left ||
+            a.bounds.bottom <= b.bounds.top || b.bounds.bottom <= a.bounds.top;
+        if (!apart) {
+            throw new Error(`Nodes ${a.ID} and ${b.ID} overlap`);
+        }
+    }));
+
+    const left = Math.min(...list.map(node => node.bounds.left));
+    const top = Math.min(...list.map(node => node.bounds.top));
+    return {
+        nodes: list.map(node => ({
+            id: node.ID,
+            x: node.X - left,
+            y: node.Y - top,
+            geometry: node.geometry,
+            bounds: {
+                left: node.bounds.left - left,
+                right: node.bounds.right - left,
+                top: node.bounds.top - top,
+                bottom: node.bounds.bottom - top
+            },
+            links: node.links,
+            offset: node.OFFSET,
+            settings: node.SETTINGS || {}
+        })),
+        width: Math.max(...list.map(node => node.bounds.right)) - left,
+        height: Math.max(...list.map(node => node.bounds.bottom)) - top
+    };
+}
+
+/**
+ * Validates a network loaded from a file and puts it in the form of
+ * CONFIG.NETWORK_PRESETS
+ * @param {Object} data - { nodes: [{ id, x, y, geometry, offset?, settings? }], links?: [[id, id]] }
+ *   with each geometry a preset name or a layout as in geometry.example.json, and the
+ *   offsets in seconds
+ * @returns {Object} The network
+ */
+export function parseNetwork(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.nodes)) {
+        throw new Error('Network must be a JSON object with nodes');
+    }
+    if (data.links !== undefined && !Array.isArray(data.links)) {
+        throw new Error('links must be a list of [node id, node id] pairs');
+    }
+    const network = {
+        NODES: data.nodes.map(node => {
+            if (!node || typeof node !== 'object') {
+                throw new Error('Every node must be an object');
+            }
+            if (node.settings !== undefined) {
+                const unknown = Object.keys(node.settings || {}).find(key => !(key in CONFIG.DEFAULT_SETTINGS));
+                if (!node.settings || typeof node.settings !== 'object' || unknown) {
+                    throw new Error(`Settings of node ${node.id} must be CONFIG.DEFAULT_SETTINGS keys${unknown ? ` - not "${unknown}"` : ''}`);
+                }
+            }
+            return {
+                ID: node.id,
+                X: node.x,
+                Y: node.y,
+                GEOMETRY: typeof node.geometry === 'string' ? node.geometry : parseGeometry(node.geometry),
+                OFFSET: (node.offset ?? 0) * 1000,
+                ...(node.settings ? { SETTINGS: { ...node.settings } } : {})
+            };
+        }),
+        LINKS: (data.links || []).map(link => (Array.isArray(link) ? [...link] : link))
+    };
+    layoutNetwork(network);
+    return network;
+}
+
+export class RoadNetwork {
+    /**
+     * @param {Object} network - In the form of CONFIG.NETWORK_PRESETS
+     * @param {string} mode - Signal controller every node runs
+     * @param {Object} settings - Mode settings; a node's SETTINGS override them there
+     * @param {SimulationClock} clock - Shared by every node
+     * @param {SeededRandom} random - Each node forks its own streams from it
+     * @throws {Error} If the network cannot be built (see layoutNetwork)
+     */
+    constructor(network, mode, settings, clock, random) {
+        const layout = layoutNetwork(network);
+        this.mode = mode;
+        this.clock = clock;
+        this.random = random;
+        this.width = layout.width;
+        this.height = layout.height;
+        this.ids = { next: 1 };       // vehicle ids, unique across the nodes
+        this.handOffs = [];           // { node, car } that left a node this step
+        this.emergencyDispatches = 0;
+
+        // Journeys through the whole network, from the leg a vehicle came on
+        // by to the one it left by
+        this.statistics = new Statistics(clock);
+        this.routeTotals = {};        // 'node:leg>node:leg' -> { passed, totalTravelTime, totalWaitTime }
+
+        this.nodes = layout.nodes.map(node => this.createNode(node, settings));
+        layout.nodes.forEach(({ links }, index) => {
+            Object.entries(links).forEach(([leg, id]) => {
+                const next = this.getNode(id);
+                this.nodes[index].intersection.setLink(leg, { intersection: next.intersection, approach: getOppositeDirection(leg) });
+            });
+        });
+    }
+
+    // One intersection with its own signals, traffic, detectors and statistics
+    createNode({ id, x, y, geometry, bounds, offset, settings: overrides }, settings) {
+        const intersection = new Intersection(x, y, geometry, bounds);
+        const random = this.random.fork(`node-${id}`);
+        const carManager = new CarManager(intersection, this.clock, random);
+        carManager.ids = this.ids;
+        const pedestrianManager = new PedestrianManager(intersection, this.clock, random);
+        carManager.setPedestrianManager(pedestrianManager);
+        const node = {
+            id,
+            offset,
+            overrides,
+            settings: { ...settings, ...overrides },
+            intersection,
+            trafficLights: new TrafficLightController(this.clock),
+            carManager,
+            pedestrianManager,
+            sensorSystem: new SensorSystem(intersection, this.clock),
+            statistics: new Statistics(this.clock),
+            running: false,           // signals started after the offset
+            sensorData: null,
+            prevLightStates: null
+        };
+
+        node.trafficLights.initialize(this.mode, node.settings, intersection);
+        carManager.initialize(node.settings);
+        pedestrianManager.initialize(node.settings);
+        node.sensorSystem.initialize(node.settings.DETECTOR_DISTANCE);
+        node.statistics.initialize();
+        carManager.onCarCompleted = (car) => {
+            node.statistics.recordCarCompletion(car);
+            this.handOffs.push({ node, car });
+        };
+        pedestrianManager.onPedestrianCompleted = (pedestrian) => {
+            node.statistics.recordPedestrianCrossing(pedestrian);
+            this.statistics.recordPedestrianCrossing(pedestrian);
+        };
+        node.trafficLights.onPreemption = (event) => {
+            node.statistics.recordPreemption(event);
+            this.statistics.recordPreemption({ ...event, node: id });
+        };
+        return node;
+    }
+
+    getNode(id) {
+        return this.nodes.find(node => node.id === id) || null;
+    }
+
+    getNodes() {
+        return [...this.nodes];
+    }
+
+    /**
+     * Steps every node, then hands on the vehicles that left one by a
+     * linked leg - so none moves twice in a step. The caller advances the clock.
+     * @param {number} deltaTime - Time step (ms)
+     */
+    update(deltaTime) {
+        this.nodes.forEach(node => this.updateNode(node, deltaTime));
+        this.handOffs.forEach(({ node, car }) => this.handOff(node, car));
+        this.handOffs = [];
+        this.statistics.update(this.getCars(), deltaTime, this.nodes.reduce((sum, node) => sum + node.carManager.getPendingArrivalCount(), 0));
+    }
+
+    updateNode(node, deltaTime) {
+        if (!node.prevLightStates) {
+            node.prevLightStates = node.trafficLights.getLightStates();
+        }
+
+        // The signals start their plan once the node's offset has passed
+        if (this.clock.now() >= node.offset) {
+            if (!node.running) {
+                node.running = true;
+                if (node.offset > 0) {
+                    node.trafficLights.reset();
+                }
+            }
+            node.trafficLights.update(deltaTime, node.sensorData);
+        }
+
+        node.carManager.update(deltaTime, node.trafficLights.getMovementStates());
+        node.pedestrianManager.update(deltaTime, node.trafficLights.getPedestrianStates(), node.carManager.getCars());
+        node.sensorData = node.sensorSystem.update(
+            node.carManager.getCars(),
+            node.trafficLights.getLightStates(),
+            node.prevLightStates,
+            node.pedestrianManager.getPedestrians()
+        );
+        node.prevLightStates = node.trafficLights.getLightStates();
+        node.statistics.update(node.carManager.getCars(), deltaTime, node.carManager.getPendingArrivalCount());
+    }
+
+    // On to the next node along a linked leg, or out of the network
+    handOff(node, car) {
+        const link = node.intersection.getLink(car.toDirection);
+        if (!link) {
+            this.recordJourney(node, car);
+            return;
+        }
+        const exitLane = node.intersection.getExitLaneAt(car.toDirection, car.x, car.y).index;
+        const next = this.nodes.find(other => other.intersection === link.intersection);
+        next.carManager.acceptVehicle(car, link.approach, node.intersection.getLinkedLane(car.toDirection, exitLane));
+    }
+
+    recordJourney(node, car) {
+        const totals = car.getJourneyTotals();
+        this.statistics.recordCarCompletion(car, totals);
+
+        const origin = this.nodes.find(other => other.intersection === car.journey.intersection);
+        const route = `${origin.id}:${car.journey.origin}>${node.id}:${car.toDirection}`;
+        const routeTotals = this.routeTotals[route] || (this.routeTotals[route] = { passed: 0, totalTravelTime: 0, totalWaitTime: 0 });
+        routeTotals.passed++;
+        routeTotals.totalTravelTime += totals.travelTime;
+        routeTotals.totalWaitTime += totals.waitTime;
+    }
+
+    /**
+     * Journey statistics in the form of Statistics.getStats, with the
+     * queues those of the worst node and the entry queue that of the whole
+     * network, plus per-route and per-node breakdowns
+     * @returns {Object} { ..., byRoute: { 'node:leg>node:leg': { passed, averageTravelTime,
+     *   averageDelay } }, nodes: { id: Statistics.getStats() } }
+     */
+    getStats() {
+        const nodes = {};
+        this.nodes.forEach(node => {
+            nodes[node.id] = node.statistics.getStats();
+        });
+        const byRoute = {};
+        Object.entries(this.routeTotals).forEach(([route, { passed, totalTravelTime, totalWaitTime }]) => {
+            byRoute[route] = { passed, averageTravelTime: totalTravelTime / passed / 1000, averageDelay: totalWaitTime / passed / 1000 };
+        });
+        return {
+            ...this.statistics.getStats(),
+            currentMaxQueue: Math.max(0, ...Object.values(nodes).map(stats => stats.currentMaxQueue)),
+            maxQueueLength: Math.max(0, ...Object.values(nodes).map(stats => stats.maxQueueLength)),
+            byRoute,
+            nodes
+        };
+    }
+
+    getCars() {
+        return this.nodes.flatMap(node => node.carManager.getCars());
+    }
+
+    // Sends an emergency vehicle from a node picked at random among those
+    // with a leg to arrive on
+    dispatchEmergencyVehicle() {
+        const nodes = this.nodes.filter(node => node.intersection.getEntryLegs().length > 0);
+        const random = this.random.fork(`network-emergency-${this.emergencyDispatches++}`);
+        nodes[Math.floor(random.next() * nodes.length)].carManager.dispatchEmergencyVehicle();
+    }
+
+    /**
+     * Applies new mode settings at every node, under its own overrides
+     * @param {Object} settings - Mode settings
+     */
+    updateSettings(settings) {
+        this.nodes.forEach(node => {
+            node.settings = { ...settings, ...node.overrides };
+            node.trafficLights.updateSettings(node.settings);
+            node.carManager.updateSettings(node.settings);
+            node.pedestrianManager.updateSettings(node.settings);
+            node.sensorSystem.updateDetectorDistance(node.settings.DETECTOR_DISTANCE);
+        });
+    }
+
+    // Back to the start; the caller resets the clock first
+    reset() {
+        this.nodes.forEach(node => {
+            node.running = false;
+            node.sensorData = null;
+            node.prevLightStates = null;
+            node.carManager.reset();
+            node.pedestrianManager.reset();
+            node.trafficLights.reset();
+            node.sensorSystem.reset();
+            node.statistics.reset();
+        });
+        this.handOffs = [];
+        this.emergencyDispatches = 0;
+        this.statistics.reset();
+        this.routeTotals = {};
+    }
+
+    /**
+     * Draws the network scaled to fit the canvas - every road first, so no
+     * node's vehicles go under the next one's roads
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {boolean} showDetectors - Whether the mode's controller uses the detectors
+     */
+    render(ctx, showDetectors) {
+        const scale = Math.min(CONFIG.CANVAS_WIDTH / this.width, CONFIG.CANVAS_HEIGHT / this.height);
+        ctx.save();
+        ctx.translate((CONFIG.CANVAS_WIDTH - this.width * scale) / 2, (CONFIG.CANVAS_HEIGHT - this.height * scale) / 2);
+        ctx.scale(scale, scale);
+        this.nodes.forEach(node => node.intersection.render(ctx));
+        this.nodes.forEach(node => {
+            if (showDetectors) {
+                node.sensorSystem.render(ctx);
+            }
+            node.carManager.render(ctx);
+            node.pedestrianManager.render(ctx);
+            node.trafficLights.render(ctx, node.intersection);
+        });
+        ctx.restore();
+    }
+}
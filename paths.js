@@ -68,7 +68,7 @@ function trajFromSpec(u, trajP) {
 }
 
 // Constants for intersection geometry
-const INTERSECTION_LANE_WIDTH = 15; // meters (matches CONFIG.LANE_WIDTH)
+const INTERSECTION_LANE_WIDTH = 15; // meters (matches the lane width of the standard layout)
 const INTERSECTION_RADIUS = 30; // meters (for curved turns)
 const STRAIGHT_SEGMENT = 40; // meters
 
@@ -0,0 +1,237 @@
+// pedestrians.js
+// Pedestrians using the crosswalks, one across each leg (see
+// Intersection.calculateCrosswalks).
+// A pedestrian arrives at a corner, pushes the button for the crosswalk it
+// wants and waits at the curb. It steps off on WALK - or, while the heads are
+// dark, whenever no vehicle is on the crosswalk - and walks to the other
+// corner at its own speed; one that reaches the curb after WALK has ended
+// waits for the next one. Vehicles give way to a crosswalk in use (see
+// Car.mustYieldToPedestrians). A pedestrian's delay runs from pushing the
+// button to stepping off.
+
+import { CONFIG } from './config.js';
+import { utils } from './utils.js';
+
+const { WALK, OFF } = CONFIG.PEDESTRIAN_SIGNALS;
+
+// Whether a pedestrian at the curb may start crossing under this indication
+function maySetOff(signal) {
+    return signal === WALK || signal === OFF;
+}
+
+/**
+ * Pedestrian clearance time of a crosswalk - long enough for someone who
+ * stepped off at the last moment of WALK to cross at the design walking speed
+ * @param {Object} crosswalk - From Intersection.getCrosswalk
+ * @returns {number} ms, rounded up to a whole second
+ */
+export function getPedestrianClearanceTime(crosswalk) {
+    return Math.ceil(crosswalk.length / CONFIG.PEDESTRIAN.DESIGN_WALKING_SPEED) * 1000;
+}
+
+/**
+ * @param {Intersection} intersection
+ * @returns {Object} leg -> pedestrian clearance time (ms) of its crosswalk
+ */
+export function getPedestrianClearanceTimes(intersection) {
+    const times = {};
+    intersection.getLegDirections().forEach(leg => {
+        times[leg] = getPedestrianClearanceTime(intersection.getCrosswalk(leg));
+    });
+    return times;
+}
+
+export class Pedestrian {
+    /**
+     * @param {Object} options
+     * @param {number} options.id
+     * @param {Object} options.crosswalk - From Intersection.getCrosswalk
+     * @param {number} options.fromEnd - Index of the curb end (corner) the pedestrian starts at
+     * @param {SimulationClock} options.clock
+     * @param {SeededRandom} options.random - This pedestrian's own stream
+     */
+    constructor({ id, crosswalk, fromEnd, clock, random }) {
+        this.id = id;
+        this.leg = crosswalk.leg;
+        this.clock = clock;
+        this.length = crosswalk.length;
+
+        // Walks straight across, somewhere within the width of the crosswalk
+        const start = crosswalk.ends[fromEnd];
+        const end = crosswalk.ends[1 - fromEnd];
+        const lateral = (random.next() - 0.5) * (crosswalk.width - CONFIG.PEDESTRIAN.RADIUS * 2);
+        this.startX = start.x + (crosswalk.vertical ? lateral : 0);
+        this.startY = start.y + (crosswalk.vertical ? 0 : lateral);
+        this.directionX = (end.x - start.x) / this.length;
+        this.directionY = (end.y - start.y) / this.length;
+        this.x = this.startX;
+        this.y = this.startY;
+
+        const spread = CONFIG.PEDESTRIAN.WALKING_SPEED_SPREAD;
+        this.speed = CONFIG.PEDESTRIAN.WALKING_SPEED * (1 + utils.randomBetween(-spread, spread, random));
+        this.color = utils.randomFromArray(CONFIG.PEDESTRIAN.COLORS, random);
+
+        this.state = 'waiting'; // waiting, crossing, completed
+        this.arrivalTime = clock.now(); // the button is pushed on arrival
+        this.startTime = null;          // time the pedestrian stepped off
+        this.distance = 0;              // walked along the crosswalk
+    }
+
+    /**
+     * @param {number} deltaTime - Time step (ms)
+     * @param {string} signal - CONFIG.PEDESTRIAN_SIGNALS value shown to this crosswalk
+     * @param {boolean} blocked - A vehicle is on the crosswalk
+     */
+    update(deltaTime, signal, blocked) {
+        if (this.state === 'waiting') {
+            if (!maySetOff(signal) || blocked) return;
+            this.state = 'crossing';
+            this.startTime = this.clock.now();
+        }
+        if (this.state !== 'crossing') return;
+
+        this.distance = Math.min(this.length, this.distance + this.speed * deltaTime / 1000);
+        this.x = this.startX + this.directionX * this.distance;
+        this.y = this.startY + this.directionY * this.distance;
+        if (this.distance >= this.length) {
+            this.state = 'completed';
+        }
+    }
+
+    render(ctx) {
+        ctx.fillStyle = this.color;
+        ctx.strokeStyle = '#222';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, CONFIG.PEDESTRIAN.RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    isWaiting() {
+        return this.state === 'waiting';
+    }
+
+    isCompleted() {
+        return this.state === 'completed';
+    }
+
+    // Time from pushing the button to stepping off, so far if still waiting
+    getDelay() {
+        return (this.startTime === null ? this.clock.now() : this.startTime) - this.arrivalTime;
+    }
+}
+
+export class PedestrianManager {
+    constructor(intersection, clock, random) {
+        this.intersection = intersection;
+        this.clock = clock;
+        this.random = random;
+        this.settings = { ...CONFIG.DEFAULT_SETTINGS };
+        this.signals = {}; // leg -> pedestrian indication seen on the last update
+
+        // Callbacks
+        this.onPedestrianCompleted = null;
+
+        this.reset();
+    }
+
+    initialize(settings) {
+        this.settings = { ...settings };
+        this.reset();
+    }
+
+    /**
+     * Spawns arrivals and moves every pedestrian
+     * @param {number} deltaTime - Time step (ms)
+     * @param {Object} signals - leg -> CONFIG.PEDESTRIAN_SIGNALS value
+     * @param {Car[]} cars - Vehicles that can block a crosswalk
+     */
+    update(deltaTime, signals, cars) {
+        this.signals = { ...signals };
+
+        // Pedestrians arrive every 1/PEDESTRIAN_RATE hours
+        const rate = this.settings.PEDESTRIAN_RATE;
+        if (rate > 0) {
+            this.spawnTimer += deltaTime;
+            if (this.spawnTimer >= 3600000 / rate) {
+                this.spawnPedestrian();
+                this.spawnTimer = 0;
+            }
+        }
+
+        const blocked = {};
+        this.pedestrians.forEach(pedestrian => {
+            if (pedestrian.isWaiting() && !(pedestrian.leg in blocked)) {
+                blocked[pedestrian.leg] = this.isBlockedByVehicle(pedestrian.leg, cars);
+            }
+            pedestrian.update(deltaTime, this.signals[pedestrian.leg], Boolean(blocked[pedestrian.leg]));
+        });
+
+        const completed = this.pedestrians.filter(pedestrian => pedestrian.isCompleted());
+        completed.forEach(pedestrian => {
+            if (this.onPedestrianCompleted) {
+                this.onPedestrianCompleted(pedestrian);
+            }
+        });
+        this.pedestrians = this.pedestrians.filter(pedestrian => !pedestrian.isCompleted());
+    }
+
+    // Arrivals pick a corner and one of its two crosswalks from their own
+    // stream, so they never change the vehicle arrivals
+    spawnPedestrian() {
+        const leg = utils.randomFromArray(this.intersection.getLegDirections(), this.arrivalRandom);
+        const fromEnd = utils.randomInt(0, 1, this.arrivalRandom);
+        const id = this.nextPedestrianId++;
+        const pedestrian = new Pedestrian({
+            id,
+            crosswalk: this.intersection.getCrosswalk(leg),
+            fromEnd,
+            clock: this.clock,
+            random: this.random.fork(`pedestrian-${id}`)
+        });
+        this.pedestrians.push(pedestrian);
+        console.log("Pedestrian", pedestrian.id, "waiting to cross the", leg, "leg");
+        return pedestrian;
+    }
+
+    // Any part of a vehicle - front, middle or back - on the crosswalk
+    isBlockedByVehicle(leg, cars) {
+        return cars.some(car => [-0.5, 0, 0.5].some(share => this.intersection.isInCrosswalk(
+            leg,
+            car.x + Math.cos(car.angle) * car.width * share,
+            car.y + Math.sin(car.angle) * car.width * share
+        )));
+    }
+
+    /**
+     * Whether vehicles must keep off a crosswalk: someone is crossing, or is
+     * at the curb and free to step off
+     * @param {string} leg - Leg of the crosswalk
+     * @returns {boolean}
+     */
+    isCrosswalkInUse(leg) {
+        return this.pedestrians.some(pedestrian => pedestrian.leg === leg &&
+            (pedestrian.state === 'crossing' || (pedestrian.isWaiting() && maySetOff(this.signals[leg]))));
+    }
+
+    render(ctx) {
+        this.pedestrians.forEach(pedestrian => pedestrian.render(ctx));
+    }
+
+    reset() {
+        this.pedestrians = [];
+        this.nextPedestrianId = 1;
+        this.spawnTimer = 0;
+        this.arrivalRandom = this.random.fork('pedestrians');
+        this.signals = {};
+    }
+
+    updateSettings(settings) {
+        this.settings = { ...settings };
+    }
+
+    getPedestrians() {
+        return [...this.pedestrians];
+    }
+}
@@ -0,0 +1,254 @@
+// preemption.js
+// Emergency vehicle preemption. An emergency vehicle in an approach's
+// detection zone places a preemption request (see SensorSystem). The
+// TrafficLightController then stops stepping its plugin and follows this
+// sequence instead:
+//   - clear: every movement showing green or yellow that does not belong to
+//     the emergency approach gets a full yellow
+//   - all-red: red clearance before the rest of the emergency approach goes
+//     green (movements of it that were already green stay green throughout);
+//     a walk in progress is not cut short, so this also waits for every
+//     crosswalk to clear
+//   - dwell: every movement of the emergency approach green, left protected,
+//     until its emergency vehicles have left the zone
+//   - exit: the emergency approach ends through yellow and all red
+// The safety layer and conflict monitor still check everything shown.
+// Afterwards the controller recovers as PREEMPTION_RECOVERY says: 'resume'
+// continues the interrupted plan where it stopped, 'restart' starts it again
+// from the beginning of its cycle.
+
+import { CONFIG } from './config.js';
+
+export const PREEMPTION_RECOVERY = {
+    RESUME: 'resume',
+    RESTART: 'restart'
+};
+
+const { RED, YELLOW, GREEN } = CONFIG.LIGHT_STATES;
+
+export class PreemptionController {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.requests = new Map(); // approach -> { time, vehicleIds }, oldest request first
+        this.served = new Set();   // vehicles already given a preemption
+        this.active = null;        // the preemption being run, null while idle
+    }
+
+    isActive() {
+        return this.active !== null;
+    }
+
+    /**
+     * Collects requests from the detectors. A vehicle requests once: after
+     * its preemption has run it is not served again, even if still in the zone.
+     * @param {Object|null} sensorData - Latest SensorSystem.update result
+     * @param {number} now - Simulation time (ms)
+     */
+    updateRequests(sensorData, now) {
+        const present = new Set();
+        Object.values(CONFIG.DIRECTIONS).forEach(approach => {
+            const ids = sensorData && sensorData[approach] ? sensorData[approach].preemptionRequests : [];
+            ids.forEach(id => present.add(id));
+
+            const waiting = ids.filter(id => !this.served.has(id));
+            if (waiting.length === 0) {
+                this.requests.delete(approach);
+                return;
+            }
+            if (!this.requests.has(approach)) {
+                this.requests.set(approach, { time: now, vehicleIds: new Set() });
+                console.log(`Preemption requested on ${approach} by vehicle ${waiting[0]}`);
+            }
+            waiting.forEach(id => this.requests.get(approach).vehicleIds.add(id));
+        });
+
+        // Served vehicles that have left every zone can be forgotten
+        this.served.forEach(id => {
+            if (!present.has(id)) this.served.delete(id);
+        });
+    }
+
+    hasRequest() {
+        return this.requests.size > 0;
+    }
+
+    /**
+     * Starts serving the oldest request
+     * @param {Object} shown - Indications currently on the signal heads
+     * @param {number} now - Simulation time (ms)
+     */
+    start(shown, now) {
+        const [approach, request] = this.requests.entries().next().value;
+        this.active = {
+            approach,
+            interval: 'clear',
+            timer: 0,
+            requestTime: request.time,
+            startTime: now,
+            greenTime: null,
+            vehicleIds: new Set(request.vehicleIds),
+            // Movements of the emergency approach already green keep it
+            kept: this.getKeptMovements(approach, shown),
+            ending: this.getEndingMovements(approach, shown),
+            shownProtected: this.getShownProtection(shown)
+        };
+        if (this.active.ending.length === 0) {
+            this.enterInterval('all-red');
+        }
+        console.log(`Preemption: serving ${approach}`);
+    }
+
+    getKeptMovements(approach, shown) {
+        return Object.values(CONFIG.MOVEMENTS).filter(movement => shown[approach] && shown[approach][movement] === GREEN);
+    }
+
+    // direction -> whether its left showed an arrow when the preemption began
+    getShownProtection(shown) {
+        const protection = {};
+        Object.entries(shown).forEach(([direction, states]) => {
+            protection[direction] = Boolean(states.leftProtected);
+        });
+        return protection;
+    }
+
+    // Every other movement showing green or yellow, as 'approach:movement'
+    getEndingMovements(approach, shown) {
+        const ending = [];
+        Object.entries(shown).forEach(([direction, states]) => {
+            Object.values(CONFIG.MOVEMENTS).forEach(movement => {
+                const kept = direction === approach && states[movement] === GREEN;
+                if (!kept && states[movement] !== RED) ending.push(`${direction}:${movement}`);
+            });
+        });
+        return ending;
+    }
+
+    /**
+     * Advances the preemption sequence
+     * @param {number} deltaTime - Time step (ms)
+     * @param {number} now - Simulation time (ms)
+     * @param {Object} settings - Mode settings (for YELLOW_DURATION)
+     * @param {boolean} crosswalksClear - Every crosswalk shows DON'T WALK and has cleared
+     * @returns {Object|null} Indications to request, null once the sequence has ended
+     */
+    update(deltaTime, now, settings, crosswalksClear = true) {
+        const active = this.active;
+        active.timer += deltaTime;
+
+        const request = this.requests.get(active.approach);
+        if (request && (active.interval === 'clear' || active.interval === 'all-red' || active.interval === 'dwell')) {
+            request.vehicleIds.forEach(id => active.vehicleIds.add(id));
+        }
+
+        switch (active.interval) {
+            case 'clear':
+                if (active.timer >= settings.YELLOW_DURATION) this.enterInterval('all-red');
+                break;
+            case 'all-red':
+                if (active.timer >= CONFIG.PREEMPTION.ALL_RED && crosswalksClear) {
+                    this.enterInterval('dwell');
+                    active.greenTime = now;
+                }
+                break;
+            case 'dwell': {
+                const served = !this.requests.has(active.approach) && active.timer >= CONFIG.PREEMPTION.MIN_DWELL;
+                if (served || active.timer >= CONFIG.PREEMPTION.MAX_DWELL) this.enterInterval('exit');
+                break;
+            }
+            case 'exit':
+                if (active.timer >= settings.YELLOW_DURATION) this.enterInterval('exit-red');
+                break;
+            case 'exit-red':
+                if (active.timer >= CONFIG.PREEMPTION.ALL_RED) return null;
+                break;
+        }
+        return this.getIndications();
+    }
+
+    enterInterval(interval) {
+        this.active.interval = interval;
+        this.active.timer = 0;
+    }
+
+    // Indications for the current interval: { direction: { left, through, right, leftProtected } }
+    getIndications() {
+        const { approach, interval, kept, ending, shownProtected } = this.active;
+        const indications = {};
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            indications[direction] = { leftProtected: false };
+            Object.values(CONFIG.MOVEMENTS).forEach(movement => {
+                let state = RED;
+                if (direction === approach && interval === 'dwell') {
+                    state = GREEN;
+                } else if (direction === approach && interval === 'exit') {
+                    state = YELLOW;
+                } else if (direction === approach && kept.includes(movement) && interval !== 'exit-red') {
+                    // Already serving the emergency approach - no need to stop it
+                    state = GREEN;
+                } else if (interval === 'clear' && ending.includes(`${direction}:${movement}`)) {
+                    state = YELLOW;
+                }
+                indications[direction][movement] = state;
+            });
+        });
+
+        // The emergency approach turns left under a protected arrow. Until the
+        // dwell, a left that is ending or kept stays as it was shown, so a
+        // green arrow ends in a yellow arrow.
+        Object.entries(indications).forEach(([direction, states]) => {
+            if (direction === approach && (interval === 'dwell' || interval === 'exit')) {
+                states.leftProtected = true;
+            } else if ((interval === 'clear' || interval === 'all-red') && states[CONFIG.MOVEMENTS.LEFT] !== RED) {
+                states.leftProtected = Boolean(shownProtected[direction]);
+            }
+        });
+        return indications;
+    }
+
+    /**
+     * Ends the preemption once update() has returned null
+     * @param {number} now - Simulation time (ms)
+     * @returns {Object} Event record for Statistics
+     */
+    finish(now) {
+        const { approach, requestTime, startTime, greenTime, vehicleIds } = this.active;
+        vehicleIds.forEach(id => this.served.add(id));
+        this.requests.delete(approach);
+        this.active = null;
+        return {
+            approach,
+            vehicleIds: [...vehicleIds],
+            requestTime,
+            startTime,
+            greenTime,
+            endTime: now,
+            cancelled: false
+        };
+    }
+
+    /**
+     * Drops a running preemption and every request, e.g. when the signals go
+     * to flash
+     * @param {number} now - Simulation time (ms)
+     * @returns {Object|null} Event record of the dropped preemption, if one was running
+     */
+    cancel(now) {
+        const event = this.active ? { ...this.finish(now), cancelled: true } : null;
+        if (event) {
+            console.log(`Preemption on ${event.approach} cancelled`);
+        }
+        this.requests.clear();
+        return event;
+    }
+
+    getDebugInfo() {
+        return {
+            approach: this.active ? this.active.approach : null,
+            interval: this.active ? this.active.interval : null,
+            pending: [...this.requests.keys()]
+        };
+    }
+}
@@ -0,0 +1,54 @@
+// random.js
+// Seedable pseudo-random number generator (mulberry32).
+// Every random decision in the simulation goes through an instance of this
+// class so that a given seed plus settings always reproduces the same run.
+
+/**
+ * Hashes a string label into a 32-bit integer (FNV-1a)
+ * @param {string} label - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashLabel(label) {
+    let hash = 2166136261;
+    for (let i = 0; i < label.length; i++) {
+        hash ^= label.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+export class SeededRandom {
+    constructor(seed = 1) {
+        this.setSeed(seed);
+    }
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * @returns {number} Float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Creates an independent child stream. The child depends only on this
+     * stream's seed and the label, never on how many numbers were drawn.
+     * @param {string} label - Name of the sub-stream (e.g. 'arrivals')
+     * @returns {SeededRandom} New generator
+     */
+    fork(label) {
+        return new SeededRandom(hashLabel(`${this.seed}:${label}`));
+    }
+
+    reset() {
+        this.state = this.seed;
+    }
+}
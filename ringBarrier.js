@@ -0,0 +1,454 @@
+// ringBarrier.js
+// NEMA-style ring-and-barrier phase controller. The eight movement phases of
+// CONFIG.NEMA_PHASES are split into two rings that time concurrently, each
+// stepping through its own phase sequence. A barrier separates the
+// north-south phases from the west-east ones: a ring that has finished its
+// side of the barrier holds its last green until the other ring is ready too,
+// then both cross together. A plan leaves out the phases its layout has no
+// movements for, so at a T-junction a ring may have nothing to time on one
+// side of the barrier; it waits there for the other.
+//
+// Timing and sequencing come from a signal plan (see signalPlans.js); the
+// Fixed and Adaptive modes are two such plans. Fixed-time greens end at their
+// programmed length (force-off). Actuated greens run at least their minimum,
+// are extended by passage time on each detector actuation and end when no
+// vehicle arrives within it (gap-out) or at their maximum (max-out) - but only
+// once another phase has a call; with none they rest in green. Under a
+// max-pressure plan an outside strategy names the target stage and any green
+// not in it is forced off after its minimum.
+//
+// Plans with transit priority let a bus ask for its phase. If that phase is
+// green it may run past gap-out and max-out by up to the plan's maximum
+// extension (green extension); otherwise the phases in the way end as soon as
+// their minimum is up (early green). Each bus needs one grant, and a cycle -
+// from one wrap back to the first barrier to the next - has a limited number.
+//
+// A through phase with crosswalks (the plan's pedestrianPhases) also serves
+// pedestrians. A push-button call places a call on the phase; while it is
+// green the walk starts as soon as WALK plus the pedestrian clearance still
+// fits before its maximum (at any time while it rests in green) and the
+// green does not end until the clearance has run.
+
+import { CONFIG } from './config.js';
+
+export class RingBarrierController {
+    constructor() {
+        this.plan = null;
+        this.calls = {};            // phase -> true while a vehicle is waiting for it
+        this.pedestrianCalls = {};  // phase -> true while a pedestrian is waiting for its walk
+        this.terminations = {};     // phase -> why its last green ended
+        this.targetStage = null;    // phases wanted by a max-pressure strategy, one per ring
+        this.activeBarrier = null;  // index into plan.barriers, null while resting in all red
+        this.lastBarrier = null;    // barrier served before the current one
+        this.priority = null;       // { phase, vehicleId } a bus wants, null for none
+        this.priorityGrants = 0;    // grants made in the current cycle
+        this.grantedVehicles = new Set(); // buses granted priority in the current cycle
+        this.cycle = 0;
+        this.rings = [];
+    }
+
+    /**
+     * Starts the controller from all red with a new plan
+     * @param {Object} plan - Signal plan (see signalPlans.js)
+     */
+    start(plan) {
+        this.plan = plan;
+        this.calls = {};
+        this.pedestrianCalls = {};
+        this.terminations = {};
+        this.targetStage = null;
+        this.activeBarrier = null;
+        this.lastBarrier = null;
+        this.priority = null;
+        this.priorityGrants = 0;
+        this.grantedVehicles = new Set();
+        this.cycle = 0;
+        this.rings = plan.rings.map(sequence => ({
+            sequence,
+            phase: null,
+            interval: 'barrier', // 'green', 'yellow', 'red' or 'barrier' (waiting to cross)
+            timer: 0,
+            gapTimer: 0,         // time since the last actuation for the green phase
+            pedestrian: null,    // 'walk' or 'clearance' while the green serves pedestrians
+            pedestrianTimer: 0,
+            nextPhase: null,
+            readyToCross: false
+        }));
+    }
+
+    // Swaps in new timings without disturbing the running cycle
+    setPlan(plan) {
+        this.plan = plan;
+    }
+
+    setCalls(calls) {
+        this.calls = { ...calls };
+    }
+
+    setPedestrianCalls(calls) {
+        this.pedestrianCalls = { ...calls };
+    }
+
+    setTargetStage(stage) {
+        this.targetStage = stage ? [...stage] : null;
+    }
+
+    /**
+     * Sets the transit priority request; ignored by plans without priority
+     * @param {Object|null} request - { phase, vehicleId }, null when no bus is asking
+     */
+    setPriority(request) {
+        this.priority = request && this.plan.priority ? { ...request } : null;
+    }
+
+    // A detector actuation restarts the passage timer of a phase showing green
+    extend(phase) {
+        this.rings.forEach(ring => {
+            if (ring.phase === phase && ring.interval === 'green') {
+                ring.gapTimer = 0;
+            }
+        });
+    }
+
+    update(deltaTime) {
+        if (this.activeBarrier === null) {
+            const barrier = this.selectNextBarrier();
+            if (barrier !== null) {
+                this.startBarrier(barrier);
+            }
+            return;
+        }
+
+        this.rings.forEach(ring => this.updateRing(ring, deltaTime));
+
+        // Cross the barrier once every ring has finished its side of it
+        const ringsDone = this.rings.every(ring => ring.interval === 'barrier' || ring.readyToCross);
+        if (!ringsDone) return;
+
+        if (this.rings.every(ring => ring.interval === 'barrier')) {
+            this.lastBarrier = this.activeBarrier;
+            this.activeBarrier = null;
+            const barrier = this.selectNextBarrier();
+            if (barrier !== null) {
+                this.startBarrier(barrier);
+            }
+        } else {
+            this.rings.forEach(ring => {
+                if (ring.readyToCross) this.startYellow(ring, null);
+            });
+        }
+    }
+
+    updateRing(ring, deltaTime) {
+        if (ring.interval === 'barrier') {
+            // Under max-pressure a ring can be called back on this side of the barrier
+            const target = this.plan.termination === 'max-pressure' ? this.getTargetPhase(ring) : null;
+            if (target !== null) {
+                this.startGreen(ring, target);
+            }
+            return;
+        }
+
+        ring.timer += deltaTime;
+        ring.gapTimer += deltaTime;
+        const timing = this.plan.phases[ring.phase];
+
+        switch (ring.interval) {
+            case 'green': {
+                if (this.updatePedestrianInterval(ring, timing, deltaTime)) break;
+                // A max-pressure target can move while a ring waits at the barrier
+                if (ring.readyToCross && this.plan.termination !== 'max-pressure') break;
+                const reason = this.getTerminationReason(ring);
+                ring.readyToCross = false;
+                if (!reason) {
+                    this.startWalk(ring, timing);
+                    break;
+                }
+                this.terminations[ring.phase] = reason;
+                const nextPhase = this.findNextPhase(ring);
+                if (nextPhase !== null) {
+                    this.startYellow(ring, nextPhase);
+                } else {
+                    // Last phase on this side of the barrier - hold green for the other ring
+                    ring.readyToCross = true;
+                }
+                break;
+            }
+            case 'yellow':
+                if (ring.timer >= timing.yellow) {
+                    ring.interval = 'red';
+                    ring.timer = 0;
+                }
+                break;
+            case 'red':
+                if (ring.timer >= timing.allRed) {
+                    // A max-pressure target may have moved during the clearance
+                    if (this.plan.termination === 'max-pressure') {
+                        ring.nextPhase = this.getTargetPhase(ring);
+                    }
+                    if (ring.nextPhase !== null) {
+                        this.startGreen(ring, ring.nextPhase);
+                    } else {
+                        ring.phase = null;
+                        ring.interval = 'barrier';
+                        ring.timer = 0;
+                    }
+                }
+                break;
+        }
+    }
+
+    // Times the walk and pedestrian clearance; true while they hold the green
+    updatePedestrianInterval(ring, timing, deltaTime) {
+        if (!ring.pedestrian) return false;
+        ring.pedestrianTimer += deltaTime;
+        if (ring.pedestrian === 'walk' && ring.pedestrianTimer >= timing.walk) {
+            ring.pedestrian = 'clearance';
+            ring.pedestrianTimer = 0;
+        } else if (ring.pedestrian === 'clearance' && ring.pedestrianTimer >= timing.pedestrianClearance) {
+            ring.pedestrian = null;
+            return false;
+        }
+        return true;
+    }
+
+    // Starts the walk for a pushed button if the green can still hold it
+    startWalk(ring, timing) {
+        if (!timing.walk || !this.pedestrianCalls[ring.phase]) return;
+        if (this.plan.termination === 'max-pressure' && !(this.targetStage && this.targetStage.includes(ring.phase))) return;
+        const fits = ring.timer + timing.walk + timing.pedestrianClearance <= timing.maxGreen;
+        const resting = this.plan.termination === 'actuated' && !this.hasConflictingCall();
+        if (!fits && !resting) return;
+
+        ring.pedestrian = 'walk';
+        ring.pedestrianTimer = 0;
+        console.log(`Ring-barrier: walk for phase ${ring.phase}`);
+    }
+
+    /**
+     * Decides whether the ring's green has run its course
+     * @param {Object} ring - Ring showing green
+     * @returns {string|null} 'gap-out', 'max-out', 'force-off' or 'early-green', null to keep green
+     */
+    getTerminationReason(ring) {
+        const timing = this.plan.phases[ring.phase];
+        if (ring.timer < timing.minGreen) return null;
+
+        if (this.plan.termination === 'fixed') {
+            return ring.timer >= timing.maxGreen ? 'force-off' : null;
+        }
+        if (this.plan.termination === 'max-pressure') {
+            return this.targetStage && !this.targetStage.includes(ring.phase) ? 'force-off' : null;
+        }
+
+        // Actuated - rest in green until some other phase wants service
+        if (!this.hasConflictingCall()) return null;
+        const maxedOut = ring.timer >= timing.maxGreen;
+        const gappedOut = timing.recall !== 'max' && ring.gapTimer >= timing.passage;
+        if ((maxedOut || gappedOut) && this.isPriorityExtension(ring, timing)) return null;
+        if (maxedOut) return 'max-out';
+        if (gappedOut) return 'gap-out';
+        if (this.isInPriorityWay(ring) && this.grantPriority()) return 'early-green';
+        return null;
+    }
+
+    // A bus's phase holds its green past the maximum, up to the extension limit
+    isPriorityExtension(ring, timing) {
+        if (!this.priority || this.priority.phase !== ring.phase) return false;
+        if (ring.timer >= timing.maxGreen + this.plan.priority.maxExtension) return false;
+        return this.grantPriority();
+    }
+
+    // Whether the ring's green delays the bus's phase: it is on the other side
+    // of the barrier, or earlier in the same ring
+    isInPriorityWay(ring) {
+        if (!this.priority || ring.phase === this.priority.phase) return false;
+        if (this.rings.some(other => other.phase === this.priority.phase && other.interval === 'green')) return false;
+        const side = this.plan.barriers[this.activeBarrier].phases;
+        return !side.includes(this.priority.phase) || ring.sequence.includes(this.priority.phase);
+    }
+
+    // Grants priority to the requesting bus if it already has it or the cycle has grants left
+    grantPriority() {
+        const { vehicleId, phase } = this.priority;
+        if (this.grantedVehicles.has(vehicleId)) return true;
+        if (this.priorityGrants >= this.plan.priority.maxPerCycle) return false;
+        this.grantedVehicles.add(vehicleId);
+        this.priorityGrants++;
+        console.log(`Ring-barrier: transit priority for phase ${phase} (bus ${vehicleId})`);
+        return true;
+    }
+
+    // Any phase not currently timing green that is called or on recall.
+    // The max timer runs from the start of green rather than from the call.
+    hasConflictingCall() {
+        const timing = this.rings.filter(ring => ring.interval === 'green').map(ring => ring.phase);
+        return Object.keys(this.plan.phases).some(key => {
+            const phase = Number(key);
+            return !timing.includes(phase) && this.isServed(phase);
+        });
+    }
+
+    // First barrier after the last one served that has a phase to serve
+    selectNextBarrier() {
+        const barriers = this.plan.barriers;
+        const first = this.lastBarrier === null ? 0 : this.lastBarrier + 1;
+        for (let i = 0; i < barriers.length; i++) {
+            const barrier = (first + i) % barriers.length;
+            if (barriers[barrier].phases.some(phase => this.isServed(phase))) return barrier;
+        }
+        return null;
+    }
+
+    startBarrier(barrier) {
+        // Wrapping back round the barriers starts a new cycle
+        if (this.lastBarrier === null || barrier <= this.lastBarrier) {
+            this.cycle++;
+            this.priorityGrants = 0;
+            this.grantedVehicles.clear();
+        }
+        this.activeBarrier = barrier;
+        this.rings.forEach(ring => {
+            const phase = this.findNextPhase(ring);
+            if (phase !== null) {
+                this.startGreen(ring, phase);
+            } else {
+                ring.phase = null;
+                ring.interval = 'barrier';
+            }
+        });
+        console.log(`Ring-barrier: crossed to ${this.plan.barriers[barrier].pair}`);
+    }
+
+    // Next phase after the ring's current one on the active side of the
+    // barrier. Max-pressure goes straight to the ring's target phase instead.
+    findNextPhase(ring) {
+        const phases = this.plan.barriers[this.activeBarrier].phases;
+        if (this.plan.termination === 'max-pressure') {
+            const target = this.getTargetPhase(ring);
+            return target !== ring.phase ? target : null;
+        }
+        const start = ring.phase === null ? 0 : ring.sequence.indexOf(ring.phase) + 1;
+        for (let i = start; i < ring.sequence.length; i++) {
+            const phase = ring.sequence[i];
+            if (phases.includes(phase) && this.isServed(phase)) return phase;
+        }
+        return null;
+    }
+
+    // The ring's phase in the max-pressure target stage, if it is on the active side of the barrier
+    getTargetPhase(ring) {
+        if (!this.targetStage) return null;
+        const target = this.targetStage[this.rings.indexOf(ring)];
+        return this.plan.barriers[this.activeBarrier].phases.includes(target) ? target : null;
+    }
+
+    isServed(phase) {
+        if (this.plan.termination === 'max-pressure') {
+            return Boolean(this.targetStage && this.targetStage.includes(phase));
+        }
+        if (this.priority && this.priority.phase === phase) return true;
+        return this.plan.phases[phase].recall !== 'none' || Boolean(this.calls[phase]) || Boolean(this.pedestrianCalls[phase]);
+    }
+
+    startGreen(ring, phase) {
+        ring.phase = phase;
+        ring.interval = 'green';
+        ring.timer = 0;
+        ring.gapTimer = 0;
+        ring.pedestrian = null;
+        ring.pedestrianTimer = 0;
+        ring.nextPhase = null;
+        ring.readyToCross = false;
+    }
+
+    startYellow(ring, nextPhase) {
+        ring.interval = 'yellow';
+        ring.timer = 0;
+        ring.nextPhase = nextPhase;
+        ring.readyToCross = false;
+    }
+
+    /**
+     * Indication of one phase
+     * @param {number} phase - NEMA phase number
+     * @returns {string} A CONFIG.LIGHT_STATES value
+     */
+    getPhaseState(phase) {
+        const ring = this.rings.find(r => r.phase === phase);
+        if (!ring) return CONFIG.LIGHT_STATES.RED;
+        if (ring.interval === 'green') return CONFIG.LIGHT_STATES.GREEN;
+        if (ring.interval === 'yellow') return CONFIG.LIGHT_STATES.YELLOW;
+        return CONFIG.LIGHT_STATES.RED;
+    }
+
+    /**
+     * Indications per approach and movement. A left turn follows its protected
+     * phase while that shows green or yellow, otherwise it is permissive
+     * under the approach's through phase.
+     * @returns {Object} { direction: { left, through, right, leftProtected } }
+     */
+    getMovementStates() {
+        const states = {};
+        Object.entries(CONFIG.NEMA_PHASES).forEach(([phase, { approach, movement }]) => {
+            const state = this.getPhaseState(Number(phase));
+            const approachStates = states[approach] || (states[approach] = {});
+            if (movement === CONFIG.MOVEMENTS.LEFT) {
+                approachStates.protectedState = state;
+            } else {
+                approachStates.through = state;
+                approachStates.right = state;
+            }
+        });
+
+        Object.values(states).forEach(approachStates => {
+            const { protectedState } = approachStates;
+            delete approachStates.protectedState;
+            approachStates.leftProtected = protectedState !== CONFIG.LIGHT_STATES.RED;
+            if (approachStates.leftProtected) {
+                approachStates.left = protectedState;
+            } else {
+                approachStates.left = this.plan && this.plan.permissiveLefts ? approachStates.through : CONFIG.LIGHT_STATES.RED;
+            }
+        });
+        return states;
+    }
+
+    /**
+     * Pedestrian indication of every crosswalk: WALK and flashing DON'T WALK
+     * while its phase's green serves pedestrians, DON'T WALK otherwise
+     * @returns {Object} { leg: CONFIG.PEDESTRIAN_SIGNALS value }
+     */
+    getPedestrianStates() {
+        const states = {};
+        Object.entries(this.plan ? this.plan.pedestrianPhases : {}).forEach(([phase, legs]) => {
+            const ring = this.rings.find(r => r.phase === Number(phase) && r.interval === 'green');
+            let state = CONFIG.PEDESTRIAN_SIGNALS.DONT_WALK;
+            if (ring && ring.pedestrian === 'walk') {
+                state = CONFIG.PEDESTRIAN_SIGNALS.WALK;
+            } else if (ring && ring.pedestrian === 'clearance') {
+                state = CONFIG.PEDESTRIAN_SIGNALS.FLASHING_DONT_WALK;
+            }
+            legs.forEach(leg => {
+                states[leg] = state;
+            });
+        });
+        return states;
+    }
+
+    getDebugInfo() {
+        return {
+            barrier: this.activeBarrier === null ? 'ALL_RED' : this.plan.barriers[this.activeBarrier].pair,
+            rings: this.rings.map(ring => ({
+                phase: ring.phase,
+                interval: ring.interval,
+                timer: (ring.timer / 1000).toFixed(1) + 's',
+                gap: (ring.gapTimer / 1000).toFixed(1) + 's',
+                pedestrian: ring.pedestrian
+            })),
+            terminations: { ...this.terminations },
+            cycle: this.cycle,
+            priority: this.priority ? { ...this.priority, grants: this.priorityGrants } : null
+        };
+    }
+}
@@ -0,0 +1,133 @@
+// roundabout.js
+// Driving a roundabout (see Intersection.getRoundaboutMovement for its
+// paths). There are no signals: a driver gives way at the yield line to the
+// traffic already on the ring and enters once the next vehicle due at its
+// merge point is at least the critical gap away - or, moving up behind a
+// driver from the same lane who has just entered, the critical gap less the
+// follow-up time (see CarManager.canEnterRoundabout) - and provided no
+// stopped vehicle blocks its way onto the ring, so a queue round the ring
+// cannot close on itself. Once committed, a driver follows whatever vehicle
+// is on its path ahead, whichever movement that vehicle is making, so the
+// ring queues behind a driver waiting to leave. Where each of two drivers
+// has the other ahead, the one further on goes first.
+
+import { CONFIG } from './config.js';
+
+const FULL_TURN = Math.PI * 2;
+
+function positiveAngle(angle) {
+    return ((angle % FULL_TURN) + FULL_TURN) % FULL_TURN;
+}
+
+/**
+ * Distance of a vehicle's centre along its path from the box edge; negative
+ * while it is still on the approach
+ * @param {Car} vehicle
+ * @returns {number}
+ */
+export function getPathPosition(vehicle) {
+    if (vehicle.state === 'crossing' || vehicle.state === 'exiting') {
+        return vehicle.crossingDistance;
+    }
+    return -(vehicle.getDistanceToBoxEdge() + vehicle.width / 2);
+}
+
+// Angle round the ring a vehicle's centre is at, extended along the line of
+// the ring before it merges and after it diverges
+function getRingPosition(vehicle, movement) {
+    return movement.entryAngle + (getPathPosition(vehicle) - movement.mergeDistance) / movement.radius;
+}
+
+/**
+ * Whether a vehicle has merged onto the ring (it may since have left it)
+ * @param {Car} vehicle
+ * @returns {boolean}
+ */
+export function hasMerged(vehicle) {
+    return getPathPosition(vehicle) >= vehicle.getRoundaboutMovement().mergeDistance;
+}
+
+/**
+ * Distance a vehicle's front still has to go round the ring to an angle
+ * @param {Car} vehicle
+ * @param {number} angle - Ring angle, e.g. another movement's entryAngle
+ * @returns {number|null} px, null if it leaves the ring first or its front is already past
+ */
+export function getDistanceToRingAngle(vehicle, angle) {
+    const movement = vehicle.getRoundaboutMovement();
+    const target = movement.entryAngle + positiveAngle(angle - movement.entryAngle);
+    if (target > movement.exitAngle) return null;
+
+    const distance = (target - getRingPosition(vehicle, movement)) * movement.radius - vehicle.width / 2;
+    return distance >= 0 ? distance : null;
+}
+
+// Shortest distance from a point to another vehicle's centre line, from its
+// rear to its front
+function distanceToBody(point, vehicle) {
+    const halfLength = vehicle.width / 2;
+    const heading = { x: Math.cos(vehicle.angle), y: Math.sin(vehicle.angle) };
+    const offset = { x: point.x - vehicle.x, y: point.y - vehicle.y };
+    const along = Math.max(-halfLength, Math.min(halfLength, offset.x * heading.x + offset.y * heading.y));
+    return Math.hypot(offset.x - heading.x * along, offset.y - heading.y * along);
+}
+
+// Gap from a vehicle's front along its path to another vehicle's body, null
+// if that body is not on the path within LEADER_LOOKAHEAD
+function getGapOnPath(vehicle, other) {
+    const { points } = vehicle.getRoundaboutMovement();
+    const step = CONFIG.ROUNDABOUT.PATH_STEP;
+    const front = getPathPosition(vehicle) + vehicle.width / 2;
+    const reach = (vehicle.height + other.height) / 2;
+    const last = Math.min(points.length - 1, Math.floor((front + CONFIG.ROUNDABOUT.LEADER_LOOKAHEAD) / step));
+
+    for (let i = Math.max(0, Math.ceil(front / step)); i <= last; i++) {
+        if (distanceToBody(points[i], other) < reach) {
+            return points[i].u - front;
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether a driver at the yield line has room to enter: no stopped vehicle
+ * on its path between it and a car length and a half beyond its merge point
+ * @param {Car} car
+ * @param {Car[]} cars - Every vehicle in the simulation
+ * @returns {boolean}
+ */
+export function isMergeClear(car, cars) {
+    const { mergeDistance } = car.getRoundaboutMovement();
+    const needed = mergeDistance - getPathPosition(car) - car.width / 2 + car.width * 1.5 + CONFIG.DRIVER_MODEL.MIN_GAP;
+    return !cars.some(other => {
+        if (other === car || other.state === 'completed') return false;
+        if (other.speed >= CONFIG.DRIVER_MODEL.STOPPED_SPEED) return false;
+        const gap = getGapOnPath(car, other);
+        return gap !== null && gap < needed;
+    });
+}
+
+/**
+ * Nearest vehicle on a driver's path ahead, from the box edge on
+ * @param {Car} car
+ * @param {Car[]} cars - Every vehicle in the simulation
+ * @returns {Object|null} { car, gap } with the gap bumper to bumper
+ */
+export function findLeaderOnPath(car, cars) {
+    const lookahead = CONFIG.ROUNDABOUT.LEADER_LOOKAHEAD;
+    if (getPathPosition(car) + car.width / 2 + lookahead < 0) return null;
+
+    let leader = null;
+    cars.forEach(other => {
+        if (other === car || other.state === 'completed') return;
+        if (Math.hypot(other.x - car.x, other.y - car.y) > lookahead + car.width / 2 + other.width) return;
+
+        const gap = getGapOnPath(car, other);
+        if (gap === null || (leader && gap >= leader.gap)) return;
+        // Each has the other ahead: the one further behind gives way
+        const back = getGapOnPath(other, car);
+        if (back !== null && (back < gap || (back === gap && car.id < other.id))) return;
+        leader = { car: other, gap };
+    });
+    return leader;
+}
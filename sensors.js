@@ -1,8 +1,9 @@
 import { CONFIG } from "./config.js";
 
 export class SensorSystem {
-    constructor(intersection) {
+    constructor(intersection, clock) {
         this.intersection = intersection;
+        this.clock = clock;
         this.detectorDistance = CONFIG.DEFAULT_SETTINGS.DETECTOR_DISTANCE;
         this.sensorData = {};
         this.carCounts = {};
@@ -20,7 +21,16 @@ export class SensorSystem {
                 waitTime: 0,
                 detectedCars: [],
                 firstCarWaitStart: null,
-                totalCarsDetected: 0
+                totalCarsDetected: 0,
+                leftTurnsWaiting: 0, // Stopped left turns, in the zone or held inside the box
+                vehiclesPresent: 0,  // Every vehicle in the zone, whatever the light
+                throughActuations: 0, // Vehicles entering or leaving the zone this update
+                leftActuations: 0,   // The same, counting left turns only
+                queueByTurn: this.createTurnCounts(), // Vehicles in the zone per turn type
+                exitOccupancy: 0,    // Vehicles leaving the junction along this leg
+                preemptionRequests: [], // Ids of emergency vehicles in the zone
+                nearestBus: null,    // { id, distance } of the next bus to reach the stop line
+                pedestriansWaiting: 0 // Pedestrians who pushed the button for this leg's crosswalk
             };
             this.carCounts[direction] = 0;
             this.waitingCars[direction] = null;
@@ -33,16 +43,32 @@ export class SensorSystem {
         this.initializeSensors();
     }
 
-    update(cars, lightStates, prevLightStates) {
+    update(cars, lightStates, prevLightStates, pedestrians = []) {
         // Reset detection data but keep total counts
         Object.values(CONFIG.DIRECTIONS).forEach(direction => {
             this.sensorData[direction].carsWaiting = 0;
             this.sensorData[direction].waitTime = 0;
             this.sensorData[direction].detectedCars = [];
             this.sensorData[direction].firstCarWaitStart = null;
+            this.sensorData[direction].leftTurnsWaiting = 0;
+            this.sensorData[direction].vehiclesPresent = 0;
+            this.sensorData[direction].throughActuations = 0;
+            this.sensorData[direction].leftActuations = 0;
+            this.sensorData[direction].queueByTurn = this.createTurnCounts();
+            this.sensorData[direction].exitOccupancy = 0;
+            this.sensorData[direction].preemptionRequests = [];
+            this.sensorData[direction].nearestBus = null;
+            this.sensorData[direction].pedestriansWaiting = 0;
             this.waitingCars[direction] = null;
         });
 
+        // Push buttons - every pedestrian waiting at the curb keeps its crosswalk called
+        pedestrians.forEach(pedestrian => {
+            if (pedestrian.isWaiting()) {
+                this.sensorData[pedestrian.leg].pedestriansWaiting++;
+            }
+        });
+
         // Adaptive mode: reset car counts and wait times on light cycle change
         if (lightStates && prevLightStates) {
             Object.values(CONFIG.DIRECTIONS).forEach(direction => {
@@ -62,9 +88,22 @@ export class SensorSystem {
 
         // Process each car
         cars.forEach(car => {
+            if (car.state === 'exiting') {
+                this.updateExitOccupancy(car);
+                return;
+            }
             const direction = car.getDirection();
             const detectionZone = this.getDetectionZone(direction);
 
+            // Left-turn demand is counted in every mode - it calls the protected arrow
+            if (this.isLeftTurnWaiting(car, detectionZone)) {
+                this.sensorData[direction].leftTurnsWaiting++;
+            }
+            this.updatePresence(car, direction, detectionZone);
+            if (car.isBus()) {
+                this.updateNearestBus(car, direction);
+            }
+
             // Only count cars if light is red in adaptive mode
             if (lightStates && lightStates[direction] === CONFIG.LIGHT_STATES.RED) {
                 const inZone = this.isCarInDetectionZone(car, detectionZone);
@@ -85,7 +124,7 @@ export class SensorSystem {
                         this.waitingCars[direction] = car;
                     }
                     if (!this.sensorData[direction].firstCarWaitStart) {
-                        this.sensorData[direction].firstCarWaitStart = Date.now() - car.getWaitTime();
+                        this.sensorData[direction].firstCarWaitStart = this.clock.now() - car.getWaitTime();
                     }
                 }
             }
@@ -101,6 +140,60 @@ export class SensorSystem {
         return this.sensorData;
     }
 
+    // Presence calls a phase; a vehicle entering the zone or crossing the stop
+    // line at its far end is an actuation that extends the green. An
+    // emergency vehicle requests preemption for as long as it is in the zone.
+    updatePresence(car, direction, zone) {
+        const data = this.sensorData[direction];
+        const inZone = this.isCarInDetectionZone(car, zone);
+        if (inZone) {
+            data.vehiclesPresent++;
+            data.queueByTurn[car.turnType]++;
+            if (car.isEmergency()) {
+                data.preemptionRequests.push(car.id);
+            }
+        }
+        if (inZone !== Boolean(car._inDetector)) {
+            car._inDetector = inZone;
+            data.throughActuations++;
+            if (car.turnType === CONFIG.TURN_TYPES.LEFT) {
+                data.leftActuations++;
+            }
+        }
+    }
+
+    // Buses are located wherever they are on the approach, not only in the
+    // detection zone, so transit priority can use its own distance
+    updateNearestBus(car, direction) {
+        if (car.state !== 'approaching' && car.state !== 'waiting') return;
+        const distance = car.getSignedDistanceToStopLine(this.intersection.getStopLinePosition(direction));
+        const nearest = this.sensorData[direction].nearestBus;
+        if (distance > 0 && (!nearest || distance < nearest.distance)) {
+            this.sensorData[direction].nearestBus = { id: car.id, distance };
+        }
+    }
+
+    createTurnCounts() {
+        const counts = {};
+        Object.values(CONFIG.TURN_TYPES).forEach(turnType => {
+            counts[turnType] = 0;
+        });
+        return counts;
+    }
+
+    // Counts a departing vehicle against the leg it is driving along, while it
+    // is still within detector range of the junction
+    updateExitOccupancy(car) {
+        const position = this.intersection.getLegAt(car.x, car.y);
+        if (!position || position.distance > this.detectorDistance) return;
+        this.sensorData[position.leg].exitOccupancy++;
+    }
+
+    isLeftTurnWaiting(car, zone) {
+        if (car.turnType !== CONFIG.TURN_TYPES.LEFT || car.speed >= CONFIG.DRIVER_MODEL.STOPPED_SPEED) return false;
+        return car.state === 'crossing' || this.isCarInDetectionZone(car, zone);
+    }
+
     isCarCloserToStopLine(car1, car2, direction) {
         const stopLine = this.intersection.getStopLinePosition(direction);
         
@@ -118,42 +211,21 @@ export class SensorSystem {
         }
     }
 
+    // The approach lanes, from the stop line back DETECTOR_DISTANCE or to
+    // the end of the leg, whichever is nearer
     getDetectionZone(direction) {
-        const stopLine = this.intersection.getStopLinePosition(direction);
-        const roadWidth = CONFIG.ROAD_WIDTH;
-        
-        switch (direction) {
-            case CONFIG.DIRECTIONS.NORTH:
-                return {
-                    x1: this.intersection.centerX - roadWidth / 2,
-                    y1: stopLine.y1 - this.detectorDistance,
-                    x2: this.intersection.centerX + roadWidth / 2,
-                    y2: stopLine.y1
-                };
-            case CONFIG.DIRECTIONS.EAST:
-                return {
-                    x1: stopLine.x1,
-                    y1: this.intersection.centerY - roadWidth / 2,
-                    x2: stopLine.x1 + this.detectorDistance,
-                    y2: this.intersection.centerY + roadWidth / 2
-                };
-            case CONFIG.DIRECTIONS.SOUTH:
-                return {
-                    x1: this.intersection.centerX - roadWidth / 2,
-                    y1: stopLine.y1,
-                    x2: this.intersection.centerX + roadWidth / 2,
-                    y2: stopLine.y1 + this.detectorDistance
-                };
-            case CONFIG.DIRECTIONS.WEST:
-                return {
-                    x1: stopLine.x1 - this.detectorDistance,
-                    y1: this.intersection.centerY - roadWidth / 2,
-                    x2: stopLine.x1,
-                    y2: this.intersection.centerY + roadWidth / 2
-                };
-            default:
-                return { x1: 0, y1: 0, x2: 0, y2: 0 };
-        }
+        const leg = this.intersection.getLeg(direction);
+        if (!leg) return { x1: 0, y1: 0, x2: 0, y2: 0 };
+
+        const setback = this.intersection.geometry.STOP_LINE_SETBACK;
+        const a = this.intersection.getLegPoint(direction, setback, 0);
+        const b = this.intersection.getLegPoint(direction, Math.min(leg.length, setback + this.detectorDistance), leg.approachWidth);
+        return {
+            x1: Math.min(a.x, b.x),
+            y1: Math.min(a.y, b.y),
+            x2: Math.max(a.x, b.x),
+            y2: Math.max(a.y, b.y)
+        };
     }
 
     isCarInDetectionZone(car, zone) {
@@ -175,7 +247,7 @@ export class SensorSystem {
         ctx.lineWidth = 2;
         ctx.setLineDash([5, 5]);
 
-        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+        this.intersection.getLegDirections().forEach(direction => {
             const zone = this.getDetectionZone(direction);
             
             // Fill detection zone
@@ -0,0 +1,87 @@
+// signalOperations.js
+// Ways the signals can run besides normal control. A power failure turns
+// every head dark, which drivers treat as an all-way stop. Night flash shows
+// flashing yellow to the major road and flashing red to the minor road.
+// Both are scheduled in simulation time through the settings; after either
+// ends the controller restarts from an all-red start-up interval. A
+// roundabout has no signals at all: its heads stay dark and its crosswalks
+// work as zebra crossings.
+
+import { CONFIG } from './config.js';
+
+export const SIGNAL_OPERATIONS = {
+    NORMAL: 'normal',
+    POWER_FAILURE: 'power-failure',
+    NIGHT_FLASH: 'night-flash',
+    STARTUP: 'startup',          // all red while the controller comes back
+    UNSIGNALIZED: 'unsignalized' // a roundabout - no signals to run
+};
+
+// Indications drivers treat as a stop sign
+export function isStopControlled(state) {
+    return state === CONFIG.LIGHT_STATES.FLASHING_RED || state === CONFIG.LIGHT_STATES.OFF;
+}
+
+function isActive(start, duration, now) {
+    return start !== null && start !== undefined && now >= start && now < start + duration;
+}
+
+/**
+ * Operation the settings schedule for a moment in simulation time. A power
+ * failure overrides night flash.
+ * @param {Object} settings - Mode settings with the *_START / *_DURATION keys
+ * @param {number} now - Simulation time (ms)
+ * @returns {string} A SIGNAL_OPERATIONS value other than STARTUP
+ */
+export function getScheduledOperation(settings, now) {
+    if (isActive(settings.POWER_FAILURE_START, settings.POWER_FAILURE_DURATION, now)) {
+        return SIGNAL_OPERATIONS.POWER_FAILURE;
+    }
+    if (isActive(settings.NIGHT_FLASH_START, settings.NIGHT_FLASH_DURATION, now)) {
+        return SIGNAL_OPERATIONS.NIGHT_FLASH;
+    }
+    return SIGNAL_OPERATIONS.NORMAL;
+}
+
+/**
+ * Indications shown under a non-normal operation
+ * @param {string} operation - POWER_FAILURE, NIGHT_FLASH, STARTUP or UNSIGNALIZED
+ * @param {string[]} majorApproaches - Approaches that flash yellow (see Intersection.getMajorApproaches)
+ * @returns {Object} { direction: { left, through, right, leftProtected } }
+ */
+export function getOperationIndications(operation, majorApproaches = CONFIG.FLASH_OPERATION.MAJOR_APPROACHES) {
+    const indications = {};
+    Object.values(CONFIG.DIRECTIONS).forEach(approach => {
+        let state = CONFIG.LIGHT_STATES.RED;
+        if (operation === SIGNAL_OPERATIONS.POWER_FAILURE || operation === SIGNAL_OPERATIONS.UNSIGNALIZED) {
+            state = CONFIG.LIGHT_STATES.OFF;
+        } else if (operation === SIGNAL_OPERATIONS.NIGHT_FLASH) {
+            state = majorApproaches.includes(approach)
+                ? CONFIG.LIGHT_STATES.FLASHING_YELLOW
+                : CONFIG.LIGHT_STATES.FLASHING_RED;
+        }
+        indications[approach] = { leftProtected: false };
+        Object.values(CONFIG.MOVEMENTS).forEach(movement => {
+            indications[approach][movement] = state;
+        });
+    });
+    return indications;
+}
+
+/**
+ * Pedestrian indications under a non-normal operation, or while a conflict
+ * monitor fault flashes the vehicle heads: DON'T WALK through the start-up
+ * all red, otherwise dark
+ * @param {string|null} operation - POWER_FAILURE, NIGHT_FLASH, STARTUP or UNSIGNALIZED; null for a fault
+ * @returns {Object} { leg: CONFIG.PEDESTRIAN_SIGNALS value }
+ */
+export function getOperationPedestrianIndications(operation) {
+    const state = operation === SIGNAL_OPERATIONS.STARTUP
+        ? CONFIG.PEDESTRIAN_SIGNALS.DONT_WALK
+        : CONFIG.PEDESTRIAN_SIGNALS.OFF;
+    const indications = {};
+    Object.values(CONFIG.DIRECTIONS).forEach(leg => {
+        indications[leg] = state;
+    });
+    return indications;
+}
@@ -0,0 +1,165 @@
+// signalPlans.js
+// Signal plans for the RingBarrierController. A plan gives every NEMA phase
+// its timing (min/max green, yellow, all-red, passage time) and recall, the
+// phase sequence of each ring and how greens terminate. Fixed and Adaptive
+// modes are both built here from the mode's settings.
+//
+// Recall places a standing call on a phase: 'min' serves it every cycle for
+// at least its minimum green, 'max' holds it to its maximum, 'none' serves it
+// only when a vehicle calls it.
+//
+// Each phase takes its timing from its PHASE_TIMING entry. Greens, yellow and
+// passage time the entry leaves out come from the mode-wide settings
+// (GREEN_DURATION, YELLOW_DURATION, PASSAGE_TIME, ...), so the sliders still
+// time every phase that has no timing of its own.
+//
+// Through phases with a crosswalk also get the pedestrian timing: the WALK
+// from the settings and the clearance computed from the crossing length.
+//
+// A plan only has the phases the layout has movements for. At a T-junction
+// the missing leg's approach has no phases, nor has a left turn into it, and
+// a left turn with no approach opposite it goes unopposed with its through
+// phase. That leaves a two-phase plan - the through road, then the stem -
+// with a protected left from the through road timed in as a third phase
+// when it is called. A crosswalk whose phase is gone walks with the other
+// through phase on its side of the barrier.
+
+import { CONFIG } from './config.js';
+import { getPedestrianClearanceTimes } from './pedestrians.js';
+import { getOppositeDirection } from './directions.js';
+
+/**
+ * Orders each ring's phases so a protected left leads or lags its opposing
+ * through phase on each side of the barrier
+ * @param {Object} leftSequence - Barrier pair -> 'lead' | 'lag'
+ * @returns {number[][]} Phase sequence per ring
+ */
+export function buildRingSequences(leftSequence) {
+    const { RINGS, BARRIERS } = CONFIG.RING_BARRIER;
+    return RINGS.map(ring => BARRIERS.flatMap(({ pair, phases }) => {
+        const side = ring.filter(phase => phases.includes(phase));
+        const lefts = side.filter(isLeftPhase);
+        const throughs = side.filter(phase => !isLeftPhase(phase));
+        return leftSequence[pair] === 'lag' ? [...throughs, ...lefts] : [...lefts, ...throughs];
+    }));
+}
+
+export function isLeftPhase(phase) {
+    return CONFIG.NEMA_PHASES[phase].movement === CONFIG.MOVEMENTS.LEFT;
+}
+
+/**
+ * NEMA phases with movements to serve in a layout
+ * @param {Intersection} intersection
+ * @returns {number[]}
+ */
+export function getLayoutPhases(intersection) {
+    return Object.keys(CONFIG.NEMA_PHASES).map(Number).filter(phase => {
+        const { approach } = CONFIG.NEMA_PHASES[phase];
+        if (!intersection.getLeg(approach)) return false;
+        if (!isLeftPhase(phase)) return true;
+        return intersection.hasMovement(approach, CONFIG.TURN_TYPES.LEFT) &&
+            Boolean(intersection.getLeg(getOppositeDirection(approach)));
+    });
+}
+
+/**
+ * Crosswalks each phase's walk serves
+ * @param {Intersection} intersection
+ * @param {number[]} phases - From getLayoutPhases
+ * @returns {Object} phase -> [leg, ...]
+ */
+export function getPedestrianPhases(intersection, phases) {
+    const pedestrianPhases = {};
+    Object.entries(CONFIG.PEDESTRIAN_PHASES).forEach(([key, leg]) => {
+        if (!intersection.getCrosswalk(leg)) return;
+        let phase = Number(key);
+        if (!phases.includes(phase)) {
+            const { phases: side } = CONFIG.RING_BARRIER.BARRIERS.find(barrier => barrier.phases.includes(phase));
+            phase = side.find(other => phases.includes(other) && !isLeftPhase(other));
+        }
+        if (phase === undefined) return;
+        (pedestrianPhases[phase] = pedestrianPhases[phase] || []).push(leg);
+    });
+    return pedestrianPhases;
+}
+
+function createPlan({ termination, leftTiming, throughTiming, settings, intersection, recall, priority = null }) {
+    const pedestrianClearances = getPedestrianClearanceTimes(intersection);
+    const layoutPhases = getLayoutPhases(intersection);
+    const pedestrianPhases = getPedestrianPhases(intersection, layoutPhases);
+    const phases = {};
+    layoutPhases.forEach(phase => {
+        const left = isLeftPhase(phase);
+        const crosswalks = pedestrianPhases[phase];
+        phases[phase] = {
+            ...(left ? leftTiming : throughTiming),
+            yellow: settings.YELLOW_DURATION,
+            passage: settings.PASSAGE_TIME,
+            ...settings.PHASE_TIMING[phase],
+            recall: recall(phase),
+            ...(crosswalks ? {
+                walk: settings.PEDESTRIAN_WALK_TIME,
+                pedestrianClearance: Math.max(...crosswalks.map(leg => pedestrianClearances[leg]))
+            } : {})
+        };
+    });
+
+    return {
+        termination,
+        rings: buildRingSequences(settings.LEFT_SEQUENCE).map(sequence => sequence.filter(phase => layoutPhases.includes(phase))),
+        barriers: CONFIG.RING_BARRIER.BARRIERS
+            .map(barrier => ({ ...barrier, phases: barrier.phases.filter(phase => layoutPhases.includes(phase)) }))
+            .filter(barrier => barrier.phases.length > 0),
+        phases,
+        pedestrianPhases, // phase -> legs of the crosswalks its walk serves
+        permissiveLefts: true,
+        priority // transit signal priority limits, null for none
+    };
+}
+
+// Every served phase runs its programmed green; through phases always run and
+// protected lefts only when called
+export function createFixedPlan(settings, intersection) {
+    return createPlan({
+        termination: 'fixed',
+        leftTiming: { minGreen: settings.PROTECTED_LEFT_DURATION, maxGreen: settings.PROTECTED_LEFT_DURATION },
+        throughTiming: { minGreen: settings.GREEN_DURATION, maxGreen: settings.GREEN_DURATION },
+        settings,
+        intersection,
+        recall: phase => (isLeftPhase(phase) ? 'none' : 'max')
+    });
+}
+
+// Fully actuated - greens run between the minimum and maximum, extended by
+// detector actuations, with recall per phase from the settings. The
+// controller rests in all red until the first call. With TSP_ENABLED,
+// buses get transit signal priority.
+export function createAdaptivePlan(settings, intersection) {
+    const leftMinGreen = Math.min(settings.MIN_GREEN_TIME, settings.PROTECTED_LEFT_DURATION);
+    return createPlan({
+        termination: 'actuated',
+        leftTiming: { minGreen: leftMinGreen, maxGreen: settings.PROTECTED_LEFT_DURATION },
+        throughTiming: { minGreen: settings.MIN_GREEN_TIME, maxGreen: settings.MAX_GREEN_TIME },
+        settings,
+        intersection,
+        recall: phase => settings.PHASE_RECALL[phase] || 'none',
+        priority: settings.TSP_ENABLED
+            ? { maxExtension: settings.TSP_MAX_EXTENSION, maxPerCycle: settings.TSP_MAX_PER_CYCLE }
+            : null
+    });
+}
+
+// Max-pressure - a strategy outside the controller picks the stage to serve
+// (see maxPressure.js); greens last at least the minimum and have no maximum
+export function createMaxPressurePlan(settings, intersection) {
+    const leftMinGreen = Math.min(settings.MIN_GREEN_TIME, settings.PROTECTED_LEFT_DURATION);
+    return createPlan({
+        termination: 'max-pressure',
+        leftTiming: { minGreen: leftMinGreen, maxGreen: Infinity },
+        throughTiming: { minGreen: settings.MIN_GREEN_TIME, maxGreen: Infinity },
+        settings,
+        intersection,
+        recall: () => 'none'
+    });
+}
@@ -0,0 +1,320 @@
+// signalSafety.js
+// Safety layer between a signal controller plugin and the signal heads. It
+// holds the indication actually shown for every movement and only follows
+// the controller's request when that is safe:
+//   - a green always ends through a yellow of at least MIN_YELLOW
+//   - a yellow never returns to green (except a protected yellow arrow
+//     dropping to a permissive green once it has run its full length)
+//   - a movement only turns green once every movement it conflicts with has
+//     shown red for at least MIN_RED_CLEARANCE
+// The pedestrian heads of the crosswalks follow the same idea:
+//   - WALK always ends through a flashing DON'T WALK lasting at least the
+//     crosswalk's pedestrian clearance time
+//   - WALK only starts once every vehicle movement crossing the crosswalk
+//     without giving way has shown red for at least MIN_RED_CLEARANCE, and
+//     those movements only go green once the crosswalk has shown DON'T WALK
+//     for as long
+// Requests that break a rule are overridden and counted as violations.
+//
+// Two movements conflict when their paths cross or merge. A permissive left
+// turn yields to oncoming traffic, so it may run with the opposing through
+// and right movements; a protected left may not. Turning vehicles give way
+// to pedestrians, so only a protected left and the through movement that
+// leave by a leg - and every movement entering from it - conflict with its
+// crosswalk.
+
+import { CONFIG } from './config.js';
+import { DIRECTION_ORDER, getOppositeDirection, getTurnDestination } from './directions.js';
+
+// Turn each signal movement makes
+const MOVEMENT_TURNS = {
+    [CONFIG.MOVEMENTS.THROUGH]: CONFIG.TURN_TYPES.STRAIGHT,
+    [CONFIG.MOVEMENTS.RIGHT]: CONFIG.TURN_TYPES.RIGHT,
+    [CONFIG.MOVEMENTS.LEFT]: CONFIG.TURN_TYPES.LEFT
+};
+
+const { RED, YELLOW, GREEN } = CONFIG.LIGHT_STATES;
+const { WALK, FLASHING_DONT_WALK, DONT_WALK } = CONFIG.PEDESTRIAN_SIGNALS;
+
+/**
+ * Leg a movement leaves the intersection by
+ * @param {string} approach - One of CONFIG.DIRECTIONS
+ * @param {string} movement - One of CONFIG.MOVEMENTS
+ * @returns {string} One of CONFIG.DIRECTIONS
+ */
+export function getExitDirection(approach, movement) {
+    return getTurnDestination(approach, MOVEMENT_TURNS[movement]);
+}
+
+/**
+ * Whether two movements may not show green together
+ * @param {Object} a - { approach, movement, protected }
+ * @param {Object} b - { approach, movement, protected }
+ * @returns {boolean}
+ */
+export function movementsConflict(a, b) {
+    if (a.approach === b.approach) return false;
+
+    const leftA = a.movement === CONFIG.MOVEMENTS.LEFT;
+    const leftB = b.movement === CONFIG.MOVEMENTS.LEFT;
+    if (b.approach === getOppositeDirection(a.approach)) {
+        // Opposing approaches only cross when exactly one of them turns left
+        if (leftA === leftB) return false;
+        return leftA ? a.protected : b.protected;
+    }
+
+    // Crossing approaches - right turns stay in their corner unless they merge
+    if (getExitDirection(a.approach, a.movement) === getExitDirection(b.approach, b.movement)) return true;
+    return a.movement !== CONFIG.MOVEMENTS.RIGHT && b.movement !== CONFIG.MOVEMENTS.RIGHT;
+}
+
+/**
+ * Whether a movement may not show green while a crosswalk shows WALK or
+ * flashing DON'T WALK
+ * @param {string} leg - Leg the crosswalk crosses
+ * @param {Object} movement - { approach, movement, protected }
+ * @returns {boolean}
+ */
+export function crosswalkConflicts(leg, movement) {
+    if (movement.approach === leg) return true;
+    if (getExitDirection(movement.approach, movement.movement) !== leg) return false;
+    return movement.movement === CONFIG.MOVEMENTS.THROUGH || (movement.movement === CONFIG.MOVEMENTS.LEFT && movement.protected);
+}
+
+export class SignalSafetyLayer {
+    constructor() {
+        this.pedestrianClearances = {}; // leg -> minimum flashing DON'T WALK (ms)
+        this.reset();
+    }
+
+    /**
+     * Sets the crosswalks - one per leg the layout has - and the pedestrian
+     * clearance time each needs. They start in DON'T WALK.
+     * @param {Object} clearances - leg -> ms (see getPedestrianClearanceTimes)
+     */
+    setPedestrianClearances(clearances) {
+        this.pedestrianClearances = { ...clearances };
+        this.crosswalks = this.createCrosswalks();
+    }
+
+    // Every movement starts in red and every crosswalk in DON'T WALK, clear to change at once
+    reset() {
+        this.movements = [];
+        DIRECTION_ORDER.forEach(approach => {
+            Object.values(CONFIG.MOVEMENTS).forEach(movement => {
+                this.movements.push({
+                    approach,
+                    movement,
+                    state: RED,
+                    protected: false,
+                    timer: Infinity,     // time in the current state
+                    overridden: false,   // currently held against the controller's request
+                    invalid: false       // the controller's last request was unreadable
+                });
+            });
+        });
+        this.crosswalks = this.createCrosswalks();
+        this.violations = {};
+        this.lastViolation = null;
+    }
+
+    createCrosswalks() {
+        return DIRECTION_ORDER.filter(leg => leg in this.pedestrianClearances).map(leg => ({
+            leg,
+            state: DONT_WALK,
+            clearance: this.pedestrianClearances[leg],
+            timer: Infinity,
+            overridden: false
+        }));
+    }
+
+    /**
+     * Applies the controller's requested indications as far as they are safe
+     * @param {Object} desired - { direction: { left, through, right, leftProtected } }
+     * @param {number} deltaTime - Time since the last call (ms)
+     * @param {Object|null} desiredPedestrians - leg -> CONFIG.PEDESTRIAN_SIGNALS value;
+     *     null from a controller without pedestrian service ends any walk and keeps DON'T WALK
+     * @returns {Object} Indications to show, in the same shape as desired
+     */
+    apply(desired, deltaTime, desiredPedestrians = null) {
+        this.movements.forEach(m => { m.timer += deltaTime; });
+        this.crosswalks.forEach(crosswalk => { crosswalk.timer += deltaTime; });
+
+        const requests = this.movements.map(m => this.getRequest(m, desired));
+
+        // Ending service is always allowed, but never faster than the rules permit
+        const starting = [];
+        this.movements.forEach((m, i) => {
+            const request = requests[i];
+            if (request.state === GREEN && (m.state !== GREEN || (request.protected && !m.protected))) {
+                starting.push(i);
+                return;
+            }
+            if (m.state === GREEN && request.state !== GREEN) {
+                this.setState(m, YELLOW, m.protected);
+                this.setOverride(m, request.state === RED, 'skipped-yellow');
+            } else if (m.state === YELLOW && request.state === RED) {
+                const held = m.timer < CONFIG.SIGNAL_SAFETY.MIN_YELLOW;
+                if (!held) this.setState(m, RED, false);
+                this.setOverride(m, held, 'short-yellow');
+            } else if (m.state === GREEN && m.protected && !request.protected) {
+                // A green arrow ends through a yellow arrow like any other green
+                this.setState(m, YELLOW, true);
+                this.setOverride(m, true, 'skipped-yellow');
+            } else {
+                this.setOverride(m, false);
+            }
+        });
+
+        // New greens - including a permissive left becoming protected
+        starting.forEach(i => {
+            const m = this.movements[i];
+            const candidate = { ...m, protected: requests[i].protected };
+            const blocked = this.movements.some(other => other !== m && movementsConflict(candidate, other) &&
+                (other.state !== RED || other.timer < CONFIG.SIGNAL_SAFETY.MIN_RED_CLEARANCE)) ||
+                this.crosswalks.some(crosswalk => crosswalkConflicts(crosswalk.leg, candidate) &&
+                    (crosswalk.state !== DONT_WALK || crosswalk.timer < CONFIG.SIGNAL_SAFETY.MIN_RED_CLEARANCE));
+            const yellowBack = m.state === YELLOW && !(m.protected && !candidate.protected);
+            if (!blocked && !yellowBack && m.state === YELLOW && m.timer < CONFIG.SIGNAL_SAFETY.MIN_YELLOW) {
+                // The yellow arrow runs its full length before the permissive green
+                this.setOverride(m, true, 'short-yellow');
+                return;
+            }
+
+            if (blocked || yellowBack) {
+                // A yellow that may not go green goes on to red instead
+                if (m.state === YELLOW && m.timer >= CONFIG.SIGNAL_SAFETY.MIN_YELLOW) this.setState(m, RED, false);
+                this.setOverride(m, true, yellowBack ? 'yellow-to-green' : 'conflict');
+                return;
+            }
+            if (m.state === GREEN) {
+                m.protected = candidate.protected;
+            } else {
+                this.setState(m, GREEN, candidate.protected);
+            }
+            this.setOverride(m, false);
+        });
+
+        this.applyPedestrians(desiredPedestrians);
+        return this.getIndications();
+    }
+
+    // Crosswalk heads, after the vehicle movements so a walk never starts
+    // alongside a conflicting green that began on the same step
+    applyPedestrians(desiredPedestrians) {
+        this.crosswalks.forEach(crosswalk => {
+            const request = desiredPedestrians ? desiredPedestrians[crosswalk.leg] : DONT_WALK;
+            if (![WALK, FLASHING_DONT_WALK, DONT_WALK].includes(request)) {
+                this.endWalk(crosswalk);
+                this.setOverride(crosswalk, true, 'invalid');
+                return;
+            }
+
+            if (crosswalk.state === WALK && request !== WALK) {
+                this.setPedestrianState(crosswalk, FLASHING_DONT_WALK);
+                // Only a controller that serves pedestrians is expected to time the clearance itself
+                this.setOverride(crosswalk, request === DONT_WALK && desiredPedestrians !== null, 'skipped-clearance');
+            } else if (crosswalk.state === FLASHING_DONT_WALK) {
+                // Once the clearance has run, a new walk still starts from DON'T WALK
+                const held = crosswalk.timer < crosswalk.clearance;
+                if (!held) this.setPedestrianState(crosswalk, DONT_WALK);
+                const early = request === WALK || (request === DONT_WALK && desiredPedestrians !== null);
+                this.setOverride(crosswalk, held && early, request === WALK ? 'walk-during-clearance' : 'short-clearance');
+            } else if (crosswalk.state === DONT_WALK && request === WALK) {
+                const blocked = this.movements.some(m => crosswalkConflicts(crosswalk.leg, m) &&
+                    (m.state !== RED || m.timer < CONFIG.SIGNAL_SAFETY.MIN_RED_CLEARANCE));
+                if (!blocked) this.setPedestrianState(crosswalk, WALK);
+                this.setOverride(crosswalk, blocked, 'conflict');
+            } else {
+                this.setOverride(crosswalk, false);
+            }
+        });
+    }
+
+    // An unreadable request ends a walk as safely as any other
+    endWalk(crosswalk) {
+        if (crosswalk.state === WALK) {
+            this.setPedestrianState(crosswalk, FLASHING_DONT_WALK);
+        } else if (crosswalk.state === FLASHING_DONT_WALK && crosswalk.timer >= crosswalk.clearance) {
+            this.setPedestrianState(crosswalk, DONT_WALK);
+        }
+    }
+
+    setPedestrianState(crosswalk, state) {
+        crosswalk.state = state;
+        crosswalk.timer = 0;
+    }
+
+    // Every crosswalk in DON'T WALK and cleared, as a vehicle green across any of them needs
+    areCrosswalksClear() {
+        return this.crosswalks.every(crosswalk =>
+            crosswalk.state === DONT_WALK && crosswalk.timer >= CONFIG.SIGNAL_SAFETY.MIN_RED_CLEARANCE);
+    }
+
+    // The controller's request for one movement; anything unreadable asks for red
+    getRequest(m, desired) {
+        const approach = desired && desired[m.approach];
+        const state = approach && approach[m.movement];
+        const valid = [RED, YELLOW, GREEN].includes(state);
+        if (!valid && !m.invalid) {
+            this.recordViolation('invalid', m);
+        }
+        m.invalid = !valid;
+        if (!valid) return { state: RED, protected: false };
+        return {
+            state,
+            protected: m.movement === CONFIG.MOVEMENTS.LEFT && Boolean(approach.leftProtected)
+        };
+    }
+
+    setState(m, state, isProtected) {
+        m.state = state;
+        m.protected = state !== RED && isProtected;
+        m.timer = 0;
+    }
+
+    // Counts a violation once, when the override starts
+    setOverride(m, overridden, reason = null) {
+        if (overridden && !m.overridden) {
+            this.recordViolation(reason, m);
+        }
+        m.overridden = overridden;
+    }
+
+    // m is a vehicle movement or a crosswalk
+    recordViolation(reason, m) {
+        const label = m.leg ? `${m.leg} crosswalk` : `${m.approach} ${m.movement}`;
+        this.violations[reason] = (this.violations[reason] || 0) + 1;
+        this.lastViolation = `${reason}: ${label}`;
+        console.warn(`Signal safety: overrode ${label} (${reason})`);
+    }
+
+    // Indications shown: { direction: { left, through, right, leftProtected } }
+    getIndications() {
+        const indications = {};
+        this.movements.forEach(m => {
+            const approach = indications[m.approach] || (indications[m.approach] = { leftProtected: false });
+            approach[m.movement] = m.state;
+            if (m.movement === CONFIG.MOVEMENTS.LEFT) {
+                approach.leftProtected = m.protected;
+            }
+        });
+        return indications;
+    }
+
+    // Pedestrian indications shown: { leg: CONFIG.PEDESTRIAN_SIGNALS value }
+    getPedestrianIndications() {
+        const indications = {};
+        this.crosswalks.forEach(crosswalk => {
+            indications[crosswalk.leg] = crosswalk.state;
+        });
+        return indications;
+    }
+
+    getDebugInfo() {
+        return {
+            violations: { ...this.violations },
+            lastViolation: this.lastViolation
+        };
+    }
+}
@@ -1,5 +1,8 @@
+import { CONFIG } from './config.js';
+
 export class Statistics {
-    constructor() {
+    constructor(clock) {
+        this.clock = clock; // SimulationClock - statistics never read wall-clock time
         this.reset();
     }
 
@@ -12,31 +15,197 @@ export class Statistics {
         this.totalWaitTime = 0;
         this.currentCars = 0;
         this.waitTimes = [];
+        this.leftTurnsPassed = 0;
+        this.totalLeftTurnDelay = 0; // Every left turn counts, including those that never stopped
+        this.currentMaxQueue = 0; // Longest queue on any approach right now
+        this.maxQueueLength = 0;  // Longest queue seen since reset
+        this.currentEntryQueue = 0; // Arrivals held off the legs for want of room right now
+        this.maxEntryQueue = 0;
+        this.emergencyVehiclesPassed = 0;
+        this.totalEmergencyDelay = 0;   // Travel time over free flow, every emergency vehicle
+        this.maxEmergencyDelay = 0;
+        this.preemptionEvents = [];     // One record per preemption, oldest first
+        this.pedestriansCrossed = 0;
+        this.totalPedestrianDelay = 0;  // Every pedestrian counts, including those who walked straight across
+        this.maxPedestrianDelay = 0;
+        this.classTotals = {};          // vehicle class -> { passed, totalWaitTime }
+        Object.values(CONFIG.VEHICLE_CLASSES).forEach(vehicleClass => {
+            this.classTotals[vehicleClass] = { passed: 0, totalWaitTime: 0 };
+        });
+        this.typeTotals = {};           // vehicle type -> { passed, totalWaitTime }
+        Object.keys(CONFIG.VEHICLE_TYPES).forEach(vehicleType => {
+            this.typeTotals[vehicleType] = { passed: 0, totalWaitTime: 0 };
+        });
+        this.pcePassed = 0;             // vehicles passed in passenger-car equivalents
+        this.laneTotals = {};           // approach -> vehicles passed per lane they reached the stop line in
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            this.laneTotals[direction] = []; // grows to the approach's lanes as vehicles use them
+        });
+        this.laneChanges = 0;
+        this.totalTravelTime = 0;       // from coming on to the legs to leaving them, every vehicle
+        this.startTime = this.clock.now();
     }
 
-    update(cars, deltaTime) {
+    /**
+     * @param {Car[]} cars - Vehicles on the legs and in the box
+     * @param {number} deltaTime
+     * @param {number} entryQueue - Arrivals waiting for room to enter (see CarManager.getPendingArrivalCount)
+     */
+    update(cars, deltaTime, entryQueue = 0) {
         this.currentCars = cars.length;
+        this.currentEntryQueue = entryQueue;
+        this.maxEntryQueue = Math.max(this.maxEntryQueue, entryQueue);
+
+        const queues = {};
+        cars.forEach(car => {
+            if (car.isWaiting()) {
+                const direction = car.getDirection();
+                queues[direction] = (queues[direction] || 0) + 1;
+            }
+        });
+        this.currentMaxQueue = Math.max(0, ...Object.values(queues));
+        this.maxQueueLength = Math.max(this.maxQueueLength, this.currentMaxQueue);
     }
 
-    recordCarCompletion(car) {
+    /**
+     * Records a vehicle that has left the intersection - or, for a road
+     * network's journeys, the network
+     * @param {Car} car
+     * @param {Object} totals - { waitTime, laneChanges, travelTime, freeFlowTime }, Car.getIntersectionTotals
+     *   or Car.getJourneyTotals
+     */
+    recordCarCompletion(car, totals = car.getIntersectionTotals()) {
         this.totalCarsPassed++;
-        const waitTime = car.getWaitTime();
-        
+        const { waitTime } = totals;
+        this.totalTravelTime += totals.travelTime;
+
         if (waitTime > 0) {
             this.totalWaitTime += waitTime;
             this.waitTimes.push(waitTime);
         }
+
+        if (car.turnType === CONFIG.TURN_TYPES.LEFT) {
+            this.leftTurnsPassed++;
+            this.totalLeftTurnDelay += waitTime;
+        }
+
+        // Every vehicle counts towards its class, including those that never stopped
+        const classTotals = this.classTotals[car.vehicleClass];
+        classTotals.passed++;
+        classTotals.totalWaitTime += waitTime;
+
+        // ...and towards its type
+        const typeTotals = this.typeTotals[car.vehicleType];
+        typeTotals.passed++;
+        typeTotals.totalWaitTime += waitTime;
+        this.pcePassed += CONFIG.VEHICLE_TYPES[car.vehicleType].PCE;
+
+        const laneTotals = this.laneTotals[car.fromDirection];
+        while (laneTotals.length <= car.lane) laneTotals.push(0);
+        laneTotals[car.lane]++;
+        this.laneChanges += totals.laneChanges;
+
+        // An emergency vehicle is held up by slowing as much as by stopping,
+        // so its delay is the time it took beyond what it would at its own speed
+        if (car.isEmergency()) {
+            const delay = Math.max(0, totals.travelTime - totals.freeFlowTime);
+            this.emergencyVehiclesPassed++;
+            this.totalEmergencyDelay += delay;
+            this.maxEmergencyDelay = Math.max(this.maxEmergencyDelay, delay);
+        }
+    }
+
+    /**
+     * Records a pedestrian who has reached the far curb
+     * @param {Pedestrian} pedestrian
+     */
+    recordPedestrianCrossing(pedestrian) {
+        const delay = pedestrian.getDelay();
+        this.pedestriansCrossed++;
+        this.totalPedestrianDelay += delay;
+        this.maxPedestrianDelay = Math.max(this.maxPedestrianDelay, delay);
+    }
+
+    /**
+     * Records a finished emergency vehicle preemption
+     * @param {Object} event - Record from TrafficLightController.onPreemption
+     */
+    recordPreemption(event) {
+        this.preemptionEvents.push({ ...event });
+    }
+
+    getPreemptionEvents() {
+        return this.preemptionEvents.map(event => ({ ...event }));
+    }
+
+    getElapsedTime() {
+        return this.clock.now() - this.startTime;
     }
 
     getStats() {
-        const avgWaitTime = this.waitTimes.length > 0 
-            ? this.waitTimes.reduce((sum, time) => sum + time, 0) / this.waitTimes.length 
+        const avgWaitTime = this.waitTimes.length > 0
+            ? this.waitTimes.reduce((sum, time) => sum + time, 0) / this.waitTimes.length
             : 0;
+        const elapsedHours = this.getElapsedTime() / 3600000;
+        const preemptions = this.preemptionEvents.length;
+        const totalPreemptionTime = this.preemptionEvents.reduce((sum, event) => sum + event.endTime - event.startTime, 0);
+
+        const byClass = {};
+        Object.entries(this.classTotals).forEach(([vehicleClass, { passed, totalWaitTime }]) => {
+            byClass[vehicleClass] = {
+                passed,
+                averageDelay: passed > 0 ? totalWaitTime / passed / 1000 : 0
+            };
+        });
+
+        // Delay per PCE weights each vehicle's delay by the room it takes up
+        let pceDelay = 0;
+        const byType = {};
+        Object.entries(this.typeTotals).forEach(([vehicleType, { passed, totalWaitTime }]) => {
+            const pce = CONFIG.VEHICLE_TYPES[vehicleType].PCE;
+            pceDelay += totalWaitTime * pce;
+            byType[vehicleType] = {
+                passed,
+                pce: passed * pce,
+                averageDelay: passed > 0 ? totalWaitTime / passed / 1000 : 0
+            };
+        });
+
+        // Each lane's share of its approach's vehicles
+        const byLane = {};
+        Object.entries(this.laneTotals).forEach(([direction, lanes]) => {
+            const passed = lanes.reduce((sum, count) => sum + count, 0);
+            byLane[direction] = lanes.map(count => ({ passed: count, share: passed > 0 ? count / passed : 0 }));
+        });
 
         return {
             totalCarsPassed: this.totalCarsPassed,
             averageWaitTime: avgWaitTime / 1000, // Convert to seconds
-            currentCars: this.currentCars
+            averageTravelTime: this.totalCarsPassed > 0 ? this.totalTravelTime / this.totalCarsPassed / 1000 : 0,
+            leftTurnsPassed: this.leftTurnsPassed,
+            averageLeftTurnDelay: this.leftTurnsPassed > 0 ? this.totalLeftTurnDelay / this.leftTurnsPassed / 1000 : 0,
+            currentCars: this.currentCars,
+            currentMaxQueue: this.currentMaxQueue,
+            maxQueueLength: this.maxQueueLength,
+            currentEntryQueue: this.currentEntryQueue,
+            maxEntryQueue: this.maxEntryQueue,
+            simulationTime: this.getElapsedTime() / 1000, // Simulated seconds
+            throughputPerHour: elapsedHours > 0 ? this.totalCarsPassed / elapsedHours : 0,
+            preemptions,
+            averagePreemptionDuration: preemptions > 0 ? totalPreemptionTime / preemptions / 1000 : 0,
+            emergencyVehiclesPassed: this.emergencyVehiclesPassed,
+            averageEmergencyDelay: this.emergencyVehiclesPassed > 0 ? this.totalEmergencyDelay / this.emergencyVehiclesPassed / 1000 : 0,
+            maxEmergencyDelay: this.maxEmergencyDelay / 1000,
+            pedestriansCrossed: this.pedestriansCrossed,
+            averagePedestrianDelay: this.pedestriansCrossed > 0 ? this.totalPedestrianDelay / this.pedestriansCrossed / 1000 : 0,
+            maxPedestrianDelay: this.maxPedestrianDelay / 1000,
+            byClass, // { vehicleClass: { passed, averageDelay } }
+            byType,  // { vehicleType: { passed, pce, averageDelay } }
+            pcePassed: this.pcePassed,
+            throughputPcePerHour: elapsedHours > 0 ? this.pcePassed / elapsedHours : 0,
+            averageDelayPerPce: this.pcePassed > 0 ? pceDelay / this.pcePassed / 1000 : 0,
+            byLane,  // { approach: [{ passed, share }] by lane, 0 = curb lane }
+            laneChanges: this.laneChanges
         };
     }
 }
\ No newline at end of file
@@ -0,0 +1,48 @@
+// test/batch.test.js
+// Summary statistics and sweep expansion of the batch runner.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarize, expandSweep } from '../batch.js';
+
+test('summarize gives the mean and a Student-t 95% interval', () => {
+    const result = summarize([10, 12, 14]);
+    assert.equal(result.n, 3);
+    assert.equal(result.mean, 12);
+    assert.equal(result.stdDev, 2);
+    // t(2 df) = 4.303, half-width = t * s / sqrt(n)
+    assert.ok(Math.abs(result.ciHalfWidth - 4.303 * 2 / Math.sqrt(3)) < 1e-9);
+});
+
+test('summarize uses the t value for the sample size', () => {
+    const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    const result = summarize(values);
+    // t(9 df) = 2.262
+    assert.ok(Math.abs(result.ciHalfWidth - 2.262 * result.stdDev / Math.sqrt(10)) < 1e-9);
+});
+
+test('summarize falls back to the normal value beyond the table', () => {
+    const values = Array.from({ length: 40 }, (_, i) => i);
+    const result = summarize(values);
+    assert.ok(Math.abs(result.ciHalfWidth - 1.96 * result.stdDev / Math.sqrt(40)) < 1e-9);
+});
+
+test('summarize has no interval for fewer than two values', () => {
+    assert.deepEqual(summarize([]), { n: 0, mean: 0, stdDev: 0, ciHalfWidth: 0 });
+    assert.deepEqual(summarize([7]), { n: 1, mean: 7, stdDev: 0, ciHalfWidth: 0 });
+});
+
+test('expandSweep gives every combination of the swept values', () => {
+    const combinations = expandSweep({ A: [1, 2], B: ['x', 'y', 'z'] });
+    assert.equal(combinations.length, 6);
+    assert.deepEqual(combinations[0], { A: 1, B: 'x' });
+    assert.deepEqual(combinations[5], { A: 2, B: 'z' });
+});
+
+test('expandSweep treats a single value as a one-element list', () => {
+    assert.deepEqual(expandSweep({ A: 3, B: [4, 5] }), [{ A: 3, B: 4 }, { A: 3, B: 5 }]);
+});
+
+test('expandSweep of an empty sweep is one run with the base settings', () => {
+    assert.deepEqual(expandSweep({}), [{}]);
+});
@@ -0,0 +1,113 @@
+// test/conflictMonitor.test.js
+// The conflict matrix of the monitor, what latches flashing red and what is
+// only logged.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../config.js';
+import { ConflictMonitor } from '../conflictMonitor.js';
+
+const { RED, YELLOW, GREEN, FLASHING_RED } = CONFIG.LIGHT_STATES;
+
+// All red, with the given approaches' states laid over it
+function indications(overrides = {}) {
+    const result = {};
+    Object.values(CONFIG.DIRECTIONS).forEach(approach => {
+        result[approach] = { left: RED, through: RED, right: RED, leftProtected: false, ...overrides[approach] };
+    });
+    return result;
+}
+
+function conflicts(overrides) {
+    const monitor = new ConflictMonitor();
+    return !monitor.checkRequest(indications(overrides), 0);
+}
+
+test('crossing through movements conflict, opposing ones do not', t => {
+    t.mock.method(console, 'error', () => {});
+    assert.ok(conflicts({ north: { through: GREEN }, east: { through: GREEN } }));
+    assert.ok(!conflicts({ north: { through: GREEN }, south: { through: GREEN } }));
+});
+
+test('a protected left conflicts with opposing through traffic, a permissive one does not', t => {
+    t.mock.method(console, 'error', () => {});
+    assert.ok(conflicts({ north: { left: GREEN, leftProtected: true }, south: { through: GREEN } }));
+    assert.ok(!conflicts({ north: { left: GREEN, through: GREEN }, south: { through: GREEN } }));
+});
+
+test('right turns conflict only with movements into the same exit', t => {
+    t.mock.method(console, 'error', () => {});
+    assert.ok(conflicts({ north: { right: GREEN }, east: { through: GREEN } }));
+    assert.ok(!conflicts({ north: { right: GREEN }, west: { through: GREEN } }));
+    assert.ok(!conflicts({ north: { right: GREEN }, south: { through: GREEN } }));
+});
+
+test('yellow conflicts like green', t => {
+    t.mock.method(console, 'error', () => {});
+    assert.ok(conflicts({ north: { through: YELLOW }, east: { through: GREEN } }));
+});
+
+test('a conflicting request is logged once and does not latch', t => {
+    t.mock.method(console, 'error', () => {});
+    const monitor = new ConflictMonitor();
+    const bad = indications({ north: { through: GREEN }, east: { through: GREEN } });
+    assert.equal(monitor.checkRequest(bad, 1000), false);
+    assert.equal(monitor.checkRequest(bad, 1050), false);
+    assert.equal(monitor.isFaulted(), false);
+
+    const faults = monitor.getFaults();
+    assert.equal(faults.length, 1);
+    assert.equal(faults[0].reason, 'conflicting indications requested');
+    assert.equal(faults[0].latched, false);
+
+    // Safe indications are still shown
+    assert.equal(monitor.check(indications({ north: { through: GREEN } }), 50, 1050), true);
+});
+
+test('a new conflicting request after a clean one is logged again', t => {
+    t.mock.method(console, 'error', () => {});
+    const monitor = new ConflictMonitor();
+    const bad = indications({ north: { through: GREEN }, east: { through: GREEN } });
+    monitor.checkRequest(bad, 0);
+    monitor.checkRequest(indications(), 50);
+    monitor.checkRequest(bad, 100);
+    assert.equal(monitor.getFaults().length, 2);
+});
+
+test('conflicting indications shown latch flashing red until reset', t => {
+    t.mock.method(console, 'error', () => {});
+    const monitor = new ConflictMonitor();
+    const bad = indications({ north: { through: GREEN }, east: { through: GREEN } });
+    assert.equal(monitor.check(bad, 50, 0), false);
+    assert.equal(monitor.isFaulted(), true);
+    assert.equal(monitor.getFaults()[0].latched, true);
+
+    // Latched - even safe indications are refused
+    assert.equal(monitor.check(indications(), 50, 50), false);
+    assert.equal(monitor.getFlashIndications().north.through, FLASHING_RED);
+
+    monitor.reset();
+    assert.equal(monitor.isFaulted(), false);
+    assert.equal(monitor.check(indications({ north: { through: GREEN } }), 50, 100), true);
+});
+
+test('green ending without yellow latches', t => {
+    t.mock.method(console, 'error', () => {});
+    const monitor = new ConflictMonitor();
+    assert.equal(monitor.check(indications({ north: { through: GREEN } }), 50, 0), true);
+    assert.equal(monitor.check(indications(), 50, 50), false);
+    assert.equal(monitor.getFaults()[0].reason, 'green ended without yellow');
+});
+
+test('a green starts only after the conflicting all-red clearance', t => {
+    t.mock.method(console, 'error', () => {});
+    const monitor = new ConflictMonitor();
+    let now = 0;
+    const step = (states, dt = 100) => monitor.check(indications(states), dt, now += dt);
+
+    assert.ok(step({ north: { through: GREEN } }));
+    assert.ok(step({ north: { through: YELLOW } }, CONFIG.SIGNAL_SAFETY.MIN_YELLOW));
+    assert.ok(step({}, CONFIG.SIGNAL_SAFETY.MIN_YELLOW));
+    assert.equal(step({ east: { through: GREEN } }), false);
+    assert.equal(monitor.getFaults()[0].reason, 'all-red clearance too short');
+});
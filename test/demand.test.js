@@ -0,0 +1,87 @@
+// test/demand.test.js
+// Turn types, the derived OD matrix and validation of demand files.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../config.js';
+import { getTurnType, getOdMatrix, getProfileFactor, parseDemand } from '../demand.js';
+
+const { NORTH, EAST, SOUTH, WEST } = CONFIG.DIRECTIONS;
+
+test('turn types follow from the origin and destination legs', () => {
+    assert.equal(getTurnType(NORTH, SOUTH), CONFIG.TURN_TYPES.STRAIGHT);
+    assert.equal(getTurnType(NORTH, EAST), CONFIG.TURN_TYPES.LEFT);
+    assert.equal(getTurnType(NORTH, WEST), CONFIG.TURN_TYPES.RIGHT);
+    assert.equal(getTurnType(WEST, NORTH), CONFIG.TURN_TYPES.LEFT);
+    assert.equal(getTurnType(EAST, EAST), null);
+});
+
+test('without an OD_MATRIX the spawn rate and turn rate give the matrix', () => {
+    const matrix = getOdMatrix({ ...CONFIG.DEFAULT_SETTINGS, OD_MATRIX: null, CAR_SPAWN_RATE: 4, TURN_RATE: 0.4 });
+    // 4 cars per 10 s = 1440 veh/h over four approaches
+    assert.deepEqual(Object.keys(matrix).sort(), [EAST, NORTH, SOUTH, WEST].sort());
+    assert.ok(Math.abs(matrix[NORTH][SOUTH] - 360 * 0.6) < 1e-9);
+    assert.ok(Math.abs(matrix[NORTH][EAST] - 360 * 0.2) < 1e-9);
+    assert.ok(Math.abs(matrix[NORTH][WEST] - 360 * 0.2) < 1e-9);
+    assert.equal(matrix[NORTH][NORTH], undefined);
+});
+
+test('an explicit OD_MATRIX is kept to the legs the layout has', () => {
+    const odMatrix = { north: { south: 500, east: 100 }, east: { west: 200 } };
+    assert.deepEqual(getOdMatrix({ ...CONFIG.DEFAULT_SETTINGS, OD_MATRIX: odMatrix }), {
+        north: { south: 500, east: 100 }, east: { west: 200 }, south: {}, west: {}
+    });
+    assert.deepEqual(getOdMatrix({ ...CONFIG.DEFAULT_SETTINGS, OD_MATRIX: odMatrix }, [NORTH, SOUTH, WEST]), {
+        north: { south: 500 }, south: {}, west: {}
+    });
+});
+
+test('at a T-junction a missing turn is shared out over the turns there are', () => {
+    const matrix = getOdMatrix({ ...CONFIG.DEFAULT_SETTINGS, OD_MATRIX: null, CAR_SPAWN_RATE: 3, TURN_RATE: 0.4 }, [EAST, SOUTH, WEST]);
+    // 3 cars per 10 s = 1080 veh/h over three approaches; east has straight on and a left turn
+    assert.ok(Math.abs(matrix[EAST][WEST] - 360 * 0.6 / 0.8) < 1e-9);
+    assert.ok(Math.abs(matrix[EAST][SOUTH] - 360 * 0.2 / 0.8) < 1e-9);
+    assert.deepEqual(Object.keys(matrix[SOUTH]).sort(), [EAST, WEST]);
+});
+
+test('profiles interpolate between their points and hold flat outside them', () => {
+    const profile = [[0, 1], [100, 2], [200, 2]];
+    assert.equal(getProfileFactor(profile, 50000), 1.5);
+    assert.equal(getProfileFactor(profile, 500000), 2);
+    assert.equal(getProfileFactor('flat', 123000), 1);
+});
+
+test('a demand file becomes settings', () => {
+    const settings = parseDemand({
+        odMatrix: { north: { south: 400, east: 100 }, west: { east: 300 } },
+        profile: [[0, 0.5], [600, 1.5]],
+        arrivals: 'platooned',
+        platoonSize: 4,
+        platoonHeadway: 1.5
+    });
+    assert.deepEqual(settings, {
+        OD_MATRIX: { north: { south: 400, east: 100 }, west: { east: 300 } },
+        DEMAND_PROFILE: [[0, 0.5], [600, 1.5]],
+        ARRIVAL_PROCESS: 'platooned',
+        PLATOON_SIZE: 4,
+        PLATOON_HEADWAY: 1500
+    });
+});
+
+test('demand files with bad OD matrices are rejected', () => {
+    assert.throws(() => parseDemand({ odMatrix: { up: { south: 100 } } }), /Unknown origin "up"/);
+    assert.throws(() => parseDemand({ odMatrix: { north: { north: 100 } } }), /No movement from north to north/);
+    assert.throws(() => parseDemand({ odMatrix: { north: { south: -5 } } }), /non-negative/);
+    assert.throws(() => parseDemand({ odMatrix: { north: { south: '100' } } }), /non-negative/);
+    assert.throws(() => parseDemand({ odMatrix: 'lots' }), /odMatrix must map/);
+});
+
+test('demand files with bad profiles or arrivals are rejected', () => {
+    assert.throws(() => parseDemand(null), /JSON object/);
+    assert.throws(() => parseDemand({}), /none of/);
+    assert.throws(() => parseDemand({ profile: 'lunchtime' }), /Unknown demand profile/);
+    assert.throws(() => parseDemand({ profile: [[100, 1], [50, 2]] }), /time order/);
+    assert.throws(() => parseDemand({ arrivals: 'bursty' }), /Unknown arrival process/);
+    assert.throws(() => parseDemand({ platoonSize: 2.5 }), /platoonSize/);
+    assert.throws(() => parseDemand({ platoonHeadway: 0 }), /platoonHeadway/);
+});
@@ -0,0 +1,81 @@
+// test/geometry.test.js
+// Layout presets and files, and what Intersection builds from them.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { CONFIG } from '../config.js';
+import { getGeometryPreset, parseGeometry, validateGeometry } from '../geometry.js';
+import { getEntryLanes } from '../laneChanging.js';
+import { Intersection } from '../intersection.js';
+
+const example = JSON.parse(readFileSync(new URL('../geometry.example.json', import.meta.url), 'utf8'));
+
+// The example file with one leg changed
+function withLeg(direction, leg) {
+    return { ...example, legs: { ...example.legs, [direction]: { ...example.legs[direction], ...leg } } };
+}
+
+test('every preset is a valid layout', () => {
+    Object.keys(CONFIG.GEOMETRY_PRESETS).forEach(name => {
+        assert.doesNotThrow(() => validateGeometry(getGeometryPreset(name)), name);
+    });
+    assert.throws(() => getGeometryPreset('spaghetti-junction'), /Unknown layout "spaghetti-junction"/);
+});
+
+test('a layout file is put in the form of the presets', () => {
+    const geometry = parseGeometry(example);
+    assert.equal(geometry.LANE_WIDTH, 15);
+    assert.equal(geometry.STOP_LINE_SETBACK, 20);
+    assert.deepEqual(geometry.LEGS.north.LANES[2], { TURNS: ['left'], BAY: 120 });
+    assert.deepEqual(geometry.LEGS.west.LANES[0], { TURNS: ['right'], BAY: 90, WIDTH: 12 });
+    assert.equal(geometry.LEGS.east.LANE_WIDTH, 13);
+    assert.equal('LANE_WIDTH' in geometry.LEGS.north, false);
+    assert.equal(geometry.LEGS.east.EXIT_LANES, 1);
+});
+
+test('what a layout file leaves out comes from the default layout', () => {
+    const defaults = getGeometryPreset(CONFIG.DEFAULT_GEOMETRY);
+    const geometry = parseGeometry({ legs: withLeg('east', { cornerRadius: undefined }).legs });
+    assert.equal(geometry.LANE_WIDTH, defaults.LANE_WIDTH);
+    assert.equal(geometry.STOP_LINE_SETBACK, defaults.STOP_LINE_SETBACK);
+    assert.equal(geometry.LEGS.east.CORNER_RADIUS, defaults.LEGS.east.CORNER_RADIUS);
+});
+
+test('layout files that cannot be built are rejected', () => {
+    assert.throws(() => parseGeometry([]), /JSON object with legs/);
+    assert.throws(() => parseGeometry({ ...example, legs: { ...example.legs, up: example.legs.north } }), /Unknown leg "up"/);
+    const threeLegs = { ...example.legs };
+    delete threeLegs.west;
+    assert.throws(() => parseGeometry({ ...example, legs: threeLegs }), /Lane 0 of the north leg allows right, but there is no west leg/);
+    assert.throws(() => parseGeometry({ legs: { north: example.legs.north, south: example.legs.south } }), /at least three legs/);
+    assert.throws(() => parseGeometry(withLeg('east', { lanes: [] })), /at least one approach lane/);
+    assert.throws(() => parseGeometry(withLeg('east', { lanes: [{ turns: ['u-turn'] }] })), /Lane 0 of the east leg must allow/);
+    assert.throws(() => parseGeometry(withLeg('east', { lanes: [{ turns: ['left'], bay: 10 }, { turns: ['straight'] }] })), /at least \d+px long/);
+    assert.throws(() => parseGeometry(withLeg('east', { lanes: [{ turns: ['left'], bay: 200 }] })), /not a turn bay/);
+    assert.throws(() => parseGeometry(withLeg('north', {
+        lanes: [{ turns: ['right', 'straight'] }, { turns: ['left'], bay: 200 }, { turns: ['straight'] }]
+    })), /not between through lanes/);
+    assert.throws(() => parseGeometry(withLeg('east', { exitLanes: 1.5 })), /whole number of exit lanes/);
+    assert.throws(() => parseGeometry(withLeg('east', { cornerRadius: -1 })), /Corner radius/);
+});
+
+test('vehicles enter a bay-only turn from the nearest full-length lane', () => {
+    const north = new Intersection(0, 0, parseGeometry(example)).getLeg(CONFIG.DIRECTIONS.NORTH);
+    assert.deepEqual(getEntryLanes(north, CONFIG.TURN_TYPES.LEFT), [1]);
+    assert.deepEqual(getEntryLanes(north, CONFIG.TURN_TYPES.STRAIGHT), [0, 1]);
+    assert.deepEqual(getEntryLanes(north, CONFIG.TURN_TYPES.RIGHT), [0]);
+});
+
+test('a left turn yields only to opposing lanes that allow through or right', () => {
+    const intersection = new Intersection(0, 0, parseGeometry(example));
+    assert.deepEqual(intersection.getOpposingMovements(CONFIG.DIRECTIONS.NORTH), [
+        { fromDirection: CONFIG.DIRECTIONS.SOUTH, lane: 0, turnType: CONFIG.TURN_TYPES.STRAIGHT },
+        { fromDirection: CONFIG.DIRECTIONS.SOUTH, lane: 0, turnType: CONFIG.TURN_TYPES.RIGHT },
+        { fromDirection: CONFIG.DIRECTIONS.SOUTH, lane: 1, turnType: CONFIG.TURN_TYPES.STRAIGHT }
+    ]);
+    assert.deepEqual(intersection.getOpposingMovements(CONFIG.DIRECTIONS.EAST), [
+        { fromDirection: CONFIG.DIRECTIONS.WEST, lane: 0, turnType: CONFIG.TURN_TYPES.RIGHT },
+        { fromDirection: CONFIG.DIRECTIONS.WEST, lane: 1, turnType: CONFIG.TURN_TYPES.STRAIGHT }
+    ]);
+});
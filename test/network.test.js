@@ -0,0 +1,42 @@
+// test/network.test.js
+// Signal control across the linked intersections of a road network.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { CONFIG } from '../config.js';
+import { GameEngine } from '../gameEngine.js';
+import { runHeadless } from '../headless.js';
+import { parseNetwork } from '../network.js';
+
+const network = parseNetwork(JSON.parse(readFileSync(new URL('../network.example.json', import.meta.url), 'utf8')));
+
+test('every node runs the controller of the selected mode', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const engine = new GameEngine();
+    engine.initialize();
+    engine.setNetwork(network);
+
+    [CONFIG.MODES.FIXED, CONFIG.MODES.ADAPTIVE, CONFIG.MODES.MAX_PRESSURE].forEach(mode => {
+        engine.updateMode(mode);
+        const nodes = engine.getModeComponents(mode).network.getNodes();
+        assert.deepEqual(nodes.map(node => node.trafficLights.mode), nodes.map(() => mode));
+    });
+});
+
+test('fixed and adaptive control of the example network give different results', () => {
+    const [fixed, adaptive] = [CONFIG.MODES.FIXED, CONFIG.MODES.ADAPTIVE]
+        .map(mode => runHeadless({ mode, network, duration: 300 }).statistics);
+
+    // The same vehicles came on at the boundary, none long held off it...
+    assert.equal(fixed.totalCarsPassed + fixed.currentCars, adaptive.totalCarsPassed + adaptive.currentCars);
+    [fixed, adaptive].forEach(stats => assert.ok(stats.maxEntryQueue <= 5, `${stats.maxEntryQueue} held at the boundary`));
+
+    // ...so what differs is down to the signals
+    assert.notEqual(fixed.totalCarsPassed, adaptive.totalCarsPassed);
+    assert.ok(adaptive.averageWaitTime < fixed.averageWaitTime);
+    assert.ok(adaptive.averageTravelTime < fixed.averageTravelTime);
+    ['main-street', 'side-street'].forEach(id => {
+        assert.notEqual(fixed.nodes[id].averageWaitTime, adaptive.nodes[id].averageWaitTime);
+    });
+});
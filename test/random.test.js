@@ -0,0 +1,45 @@
+// test/random.test.js
+// Reproducibility of the seeded generator and its forked streams.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SeededRandom } from '../random.js';
+
+function draw(random, count = 5) {
+    return Array.from({ length: count }, () => random.next());
+}
+
+test('the same seed gives the same sequence', () => {
+    assert.deepEqual(draw(new SeededRandom(42)), draw(new SeededRandom(42)));
+    assert.notDeepEqual(draw(new SeededRandom(42)), draw(new SeededRandom(43)));
+});
+
+test('values lie in [0, 1)', () => {
+    draw(new SeededRandom(7), 1000).forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+test('a fork depends only on the seed and the label', () => {
+    const fresh = new SeededRandom(42);
+    const used = new SeededRandom(42);
+    draw(used, 100);
+    assert.deepEqual(draw(fresh.fork('arrivals')), draw(used.fork('arrivals')));
+});
+
+test('forks with different labels are independent streams', () => {
+    const random = new SeededRandom(42);
+    assert.notDeepEqual(draw(random.fork('arrivals')), draw(random.fork('turns')));
+    assert.notDeepEqual(draw(random.fork('arrivals')), draw(new SeededRandom(42)));
+});
+
+test('drawing from a fork leaves the parent untouched', () => {
+    const random = new SeededRandom(42);
+    draw(random.fork('arrivals'), 50);
+    assert.deepEqual(draw(random), draw(new SeededRandom(42)));
+});
+
+test('reset replays the sequence from the seed', () => {
+    const random = new SeededRandom(9);
+    const first = draw(random);
+    random.reset();
+    assert.deepEqual(draw(random), first);
+});
@@ -0,0 +1,83 @@
+// test/signalPlans.test.js
+// Ring and barrier sequencing of the signal plans and the per-phase timing
+// they read from the settings.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../config.js';
+import { buildRingSequences, createFixedPlan, createAdaptivePlan, getLayoutPhases } from '../signalPlans.js';
+import { RingBarrierController } from '../ringBarrier.js';
+import { Intersection } from '../intersection.js';
+import { getGeometryPreset } from '../geometry.js';
+
+const ALL_PHASES = Object.keys(CONFIG.NEMA_PHASES).map(Number);
+const intersection = new Intersection(CONFIG.CANVAS_WIDTH / 2, CONFIG.CANVAS_HEIGHT / 2);
+
+test('a leading left runs before its through phase, a lagging one after it', () => {
+    assert.deepEqual(buildRingSequences({ NS: 'lead', WE: 'lag' }), [[1, 2, 4, 3], [5, 6, 8, 7]]);
+    assert.deepEqual(buildRingSequences({ NS: 'lag', WE: 'lead' }), [[2, 1, 3, 4], [6, 5, 7, 8]]);
+});
+
+test('plans take their ring sequences from LEFT_SEQUENCE', () => {
+    const settings = { ...CONFIG.DEFAULT_SETTINGS, LEFT_SEQUENCE: { NS: 'lag', WE: 'lag' } };
+    assert.deepEqual(createFixedPlan(settings, intersection).rings, [[2, 1, 4, 3], [6, 5, 8, 7]]);
+});
+
+test('each phase reads its own timing, falling back to the mode-wide settings', () => {
+    const settings = {
+        ...CONFIG.DEFAULT_SETTINGS,
+        GREEN_DURATION: 30000,
+        YELLOW_DURATION: 4000,
+        PHASE_TIMING: {
+            ...CONFIG.DEFAULT_SETTINGS.PHASE_TIMING,
+            4: { minGreen: 20000, maxGreen: 20000, yellow: 3500, allRed: 1500, passage: 2500 }
+        }
+    };
+    const plan = createFixedPlan(settings, intersection);
+    const { minGreen, maxGreen, yellow, allRed, passage } = plan.phases[4];
+    assert.deepEqual({ minGreen, maxGreen, yellow, allRed, passage },
+        { minGreen: 20000, maxGreen: 20000, yellow: 3500, allRed: 1500, passage: 2500 });
+    assert.equal(plan.phases[2].maxGreen, 30000);
+    assert.equal(plan.phases[2].yellow, 4000);
+    assert.equal(plan.phases[2].allRed, CONFIG.DEFAULT_SETTINGS.PHASE_TIMING[2].allRed);
+});
+
+test('the adaptive plan keeps its own greens under the same table', () => {
+    const plan = createAdaptivePlan({ ...CONFIG.DEFAULT_SETTINGS, MIN_GREEN_TIME: 7000, MAX_GREEN_TIME: 45000 }, intersection);
+    assert.equal(plan.phases[2].minGreen, 7000);
+    assert.equal(plan.phases[2].maxGreen, 45000);
+});
+
+test('both rings follow their sequence and cross each barrier together', () => {
+    const plan = createFixedPlan({ ...CONFIG.DEFAULT_SETTINGS, GREEN_DURATION: 10000, PROTECTED_LEFT_DURATION: 5000 }, intersection);
+    const controller = new RingBarrierController();
+    controller.start(plan);
+    controller.setCalls(Object.fromEntries(ALL_PHASES.map(phase => [phase, true])));
+
+    const served = [[], []];
+    for (let t = 0; t < 120000; t += 100) {
+        controller.update(100);
+        const showing = ALL_PHASES.filter(phase => controller.getPhaseState(phase) !== CONFIG.LIGHT_STATES.RED);
+        const sides = new Set(showing.map(phase =>
+            CONFIG.RING_BARRIER.BARRIERS.findIndex(barrier => barrier.phases.includes(phase))));
+        assert.ok(sides.size <= 1, `phases ${showing} show on both sides of the barrier`);
+
+        controller.rings.forEach((ring, index) => {
+            const log = served[index];
+            if (ring.interval === 'green' && log[log.length - 1] !== ring.phase) log.push(ring.phase);
+        });
+    }
+
+    assert.deepEqual(served[0].slice(0, 8), [1, 2, 4, 3, 1, 2, 4, 3]);
+    assert.deepEqual(served[1].slice(0, 8), [5, 6, 8, 7, 5, 6, 8, 7]);
+});
+
+test('at a T-junction the phases of the missing leg and the left turn facing it drop out', () => {
+    const tJunction = new Intersection(CONFIG.CANVAS_WIDTH / 2, CONFIG.CANVAS_HEIGHT / 2, getGeometryPreset('t-junction'));
+    assert.deepEqual(getLayoutPhases(tJunction), [2, 4, 7, 8]);
+
+    const plan = createFixedPlan(CONFIG.DEFAULT_SETTINGS, tJunction);
+    assert.deepEqual(Object.keys(plan.phases).map(Number), [2, 4, 7, 8]);
+    assert.deepEqual(plan.rings, [[2, 4], [8, 7]]);
+    assert.deepEqual(plan.barriers.map(barrier => barrier.phases), [[2], [4, 7, 8]]);
+});
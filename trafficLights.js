@@ -1,364 +1,281 @@
-
 import { CONFIG } from "./config.js";
-
-
+import { getController } from './controllerRegistry.js';
+import { SignalSafetyLayer } from './signalSafety.js';
+import { ConflictMonitor } from './conflictMonitor.js';
+import { SIGNAL_OPERATIONS, getScheduledOperation, getOperationIndications, getOperationPedestrianIndications } from './signalOperations.js';
+import { PreemptionController, PREEMPTION_RECOVERY } from './preemption.js';
+import { getPedestrianClearanceTimes } from './pedestrians.js';
+
+const FLASH_PERIOD = 1000; // ms for one on-off cycle of a flashing indication
+
+
+// Signal heads for the four approaches. The indications come from the mode's
+// controller plugin (see controllerRegistry.js) and pass through the
+// SignalSafetyLayer before they are shown. A ConflictMonitor watches what is
+// shown and puts the intersection into flashing red if it ever sees an
+// unsafe change; it also logs any request for conflicting movements. Power
+// failures and night flash (see signalOperations.js) take the heads away
+// from the controller while they last, and an emergency vehicle preemption
+// (see preemption.js) while it runs. The pedestrian heads of the crosswalks
+// go through the same safety layer; they are dark whenever the vehicle heads
+// flash or are dark. At a roundabout the controller never runs and nothing
+// is drawn.
 export class TrafficLightController {
-    initialize(mode, settings) {
+    initialize(mode, settings, intersection = this.intersection) {
+        const definition = getController(mode);
+        if (!definition) {
+            throw new Error(`No signal controller registered for mode "${mode}"`);
+        }
         this.mode = mode;
+        this.label = definition.label;
         this.settings = { ...settings };
-        if (mode === CONFIG.MODES.FIXED) {
-            this.initializeFixedMode();
-        } else if (mode === CONFIG.MODES.ADAPTIVE) {
-            this.initializeAdaptiveMode();
-        }
+        this.intersection = intersection;
+        this.safety.setPedestrianClearances(getPedestrianClearanceTimes(intersection));
+        console.log(`Initializing ${this.label}`);
+        this.plugin = definition.create();
+        this.startPlugin();
     }
-    constructor() {
+    constructor(clock) {
+        this.clock = clock;
         this.lights = {};
-        this.mode = CONFIG.MODES.FIXED;
+        this.pedestrianLights = {}; // leg -> pedestrian indication shown at its crosswalk
+        this.mode = null;
+        this.label = null;
         this.settings = { ...CONFIG.DEFAULT_SETTINGS };
-       
-        // Fixed mode state - explicit phases for described cycle
-        // 0: NS green, 1: NS yellow, 2: NS red (wait), 3: WE green, 4: WE yellow, 5: WE red (wait)
-        this.fixedState = {
-            currentPhase: 0,
-            phaseTimer: 0,
-            isActive: false
-        };
-       
-        // Adaptive mode state - completely independent
-        this.adaptiveState = {
-            currentPair: null, // 'WE' or 'NS' or null
-            currentPhase: 'red', // 'green', 'yellow', 'red'
-            phaseTimer: 0,
-            isActive: false,
-            priorityScores: { WE: 0, NS: 0 },
-            lastSwitchTime: 0,
-            firstCarTriggered: false
-        };
-       
-        this.initializeLights();
-
-    }
-
-    initializeLights() {
-        // Initialize all lights to red
-        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
-            this.lights[direction] = {
-                state: CONFIG.LIGHT_STATES.RED,
-                timer: 0
-            };
-        });
-    }
-
-
-    // Remove this duplicate block entirely, as it is a repeated method body and not valid inside the class.
-
-
-    initializeFixedMode() {
-        console.log('Initializing Fixed Mode');
-        this.fixedState = {
-            currentPhase: 0, // Start with North-South green
-            phaseTimer: 0,
-            isActive: true
-        };
-        this.setFixedLightState();
+        this.intersection = null;
+        this.plugin = null;  // all red until initialize() picks a controller
+        this.safety = new SignalSafetyLayer();
+        this.monitor = new ConflictMonitor();
+        this.preemption = new PreemptionController();
+        this.operation = SIGNAL_OPERATIONS.NORMAL;
+        this.startupTimer = 0;
+        this.refreshLights(this.safety.getIndications());
+        this.pedestrianLights = this.safety.getPedestrianIndications();
+
+        // Callbacks
+        this.onPreemption = null; // called with the event record when a preemption ends
     }
 
 
-    initializeAdaptiveMode() {
-        console.log('Initializing Adaptive Mode');
-        this.adaptiveState = {
-            currentPair: null, // Wait for first car
-            currentPhase: 'red',
-            phaseTimer: 0,
-            isActive: true,
-            priorityScores: { WE: 0, NS: 0 },
-            lastSwitchTime: 0,
-            firstCarTriggered: false
-        };
-        // Start with all lights red in adaptive mode
-        this.setAllLightsRed();
+    startPlugin() {
+        this.monitor.reset();
+        this.restartPlugin();
     }
 
 
-    update(deltaTime, mode, settings) {
-        this.mode = mode;
-        this.settings = { ...settings };
-
-
-        if (mode === CONFIG.MODES.FIXED) {
-            if (!this.fixedState.isActive) {
-                this.initializeFixedMode();
-            }
-            this.updateFixedMode(deltaTime);
-        } else if (mode === CONFIG.MODES.ADAPTIVE) {
-            if (!this.adaptiveState.isActive) {
-                this.initializeAdaptiveMode();
-            }
-            this.updateAdaptiveMode(deltaTime);
-        }
+    // Starts the controller from all red, keeping the conflict monitor's fault log
+    restartPlugin() {
+        this.plugin.init({ intersection: this.intersection, settings: { ...this.settings }, clock: this.clock });
+        this.safety.reset();
+        this.monitor.resetChannels();
+        this.preemption.reset();
+        this.operation = SIGNAL_OPERATIONS.NORMAL;
+        this.refreshLights(this.safety.getIndications());
+        this.pedestrianLights = this.safety.getPedestrianIndications();
     }
 
 
-    // FIXED MODE LOGIC - Simple timer-based cycling
-    updateFixedMode(deltaTime) {
-        this.fixedState.phaseTimer += deltaTime;
-
-
-        switch (this.fixedState.currentPhase) {
-            case 0: // NS green
-                if (this.fixedState.phaseTimer >= this.settings.GREEN_DURATION) {
-                    this.advanceFixedPhase();
-                }
-                break;
-            case 1: // NS yellow
-                if (this.fixedState.phaseTimer >= this.settings.YELLOW_DURATION) {
-                    this.advanceFixedPhase();
-                }
-                break;
-            case 2: // NS red (wait)
-                if (this.fixedState.phaseTimer >= 3000) { // 3 seconds wait
-                    this.advanceFixedPhase();
-                }
-                break;
-            case 3: // WE green
-                if (this.fixedState.phaseTimer >= this.settings.GREEN_DURATION) {
-                    this.advanceFixedPhase();
-                }
-                break;
-            case 4: // WE yellow
-                if (this.fixedState.phaseTimer >= this.settings.YELLOW_DURATION) {
-                    this.advanceFixedPhase();
-                }
-                break;
-            case 5: // WE red (wait)
-                if (this.fixedState.phaseTimer >= 3000) { // 3 seconds wait
-                    this.advanceFixedPhase();
-                }
-                break;
+    /**
+     * Steps the controller and shows whatever of its output is safe
+     * @param {number} deltaTime - Time step (ms)
+     * @param {Object|null} sensorData - Latest SensorSystem.update result
+     */
+    update(deltaTime, sensorData = null) {
+        if (!this.plugin) return;
+        const now = this.clock.now();
+        const scheduled = this.intersection.isRoundabout()
+            ? SIGNAL_OPERATIONS.UNSIGNALIZED
+            : getScheduledOperation(this.settings, now);
+        this.updateOperation(scheduled, deltaTime);
+        if (this.operation !== SIGNAL_OPERATIONS.NORMAL) {
+            this.refreshLights(getOperationIndications(this.operation, this.intersection.getMajorApproaches()));
+            this.pedestrianLights = getOperationPedestrianIndications(this.operation);
+            return;
         }
-    }
-
 
-    advanceFixedPhase() {
-    this.fixedState.currentPhase = (this.fixedState.currentPhase + 1) % 6;
-    this.fixedState.phaseTimer = 0;
-    this.setFixedLightState();
-    console.log(`Fixed Mode: Advanced to phase ${this.fixedState.currentPhase}`);
+        const desired = this.getDesiredIndications(sensorData, now, deltaTime);
+        this.monitor.checkRequest(desired, now);
+        const indications = this.safety.apply(desired, deltaTime, this.getDesiredPedestrianIndications());
+        this.showIndications(indications, deltaTime, now);
     }
 
 
-    setFixedLightState() {
-        // Reset all lights to red first
-        this.setAllLightsRed();
-
-
-        switch (this.fixedState.currentPhase) {
-            case 0: // NS green
-                this.lights[CONFIG.DIRECTIONS.NORTH].state = CONFIG.LIGHT_STATES.GREEN;
-                this.lights[CONFIG.DIRECTIONS.SOUTH].state = CONFIG.LIGHT_STATES.GREEN;
-                break;
-            case 1: // NS yellow
-                this.lights[CONFIG.DIRECTIONS.NORTH].state = CONFIG.LIGHT_STATES.YELLOW;
-                this.lights[CONFIG.DIRECTIONS.SOUTH].state = CONFIG.LIGHT_STATES.YELLOW;
-                break;
-            case 2: // NS red (wait)
-                // All lights remain red
-                break;
-            case 3: // WE green
-                this.lights[CONFIG.DIRECTIONS.WEST].state = CONFIG.LIGHT_STATES.GREEN;
-                this.lights[CONFIG.DIRECTIONS.EAST].state = CONFIG.LIGHT_STATES.GREEN;
-                break;
-            case 4: // WE yellow
-                this.lights[CONFIG.DIRECTIONS.WEST].state = CONFIG.LIGHT_STATES.YELLOW;
-                this.lights[CONFIG.DIRECTIONS.EAST].state = CONFIG.LIGHT_STATES.YELLOW;
-                break;
-            case 5: // WE red (wait)
-                // All lights remain red
-                break;
+    // The plugin's request, unless an emergency vehicle preemption has taken
+    // over. The plugin is not stepped while a preemption runs.
+    getDesiredIndications(sensorData, now, deltaTime) {
+        if (this.isFaulted()) {
+            return this.plugin.step(sensorData, now, deltaTime);
         }
-    }
-
-
-    // ADAPTIVE MODE LOGIC - Priority-based switching
-    updateAdaptiveMode(deltaTime) {
-        this.adaptiveState.phaseTimer += deltaTime;
-
 
-        // If no pair is active, wait for first car to trigger
-        if (this.adaptiveState.currentPair === null) {
-            const highestPriorityPair = this.getHighestPriorityPair();
-            if (highestPriorityPair && this.adaptiveState.priorityScores[highestPriorityPair] > 0) {
-                console.log(`Adaptive Mode: First car detected, switching to ${highestPriorityPair}`);
-                this.switchToAdaptivePair(highestPriorityPair);
-            }
-            return;
+        this.preemption.updateRequests(sensorData, now);
+        if (this.preemption.isActive()) {
+            const desired = this.preemption.update(deltaTime, now, this.settings, this.safety.areCrosswalksClear());
+            if (desired) return desired;
+            this.finishPreemption(now);
         }
-
-
-        switch (this.adaptiveState.currentPhase) {
-            case 'green':
-                // Check if we should switch based on priority
-                const shouldSwitch = this.shouldSwitchInAdaptive();
-                if (shouldSwitch) {
-                    console.log('Adaptive Mode: Switching due to higher priority');
-                    this.startAdaptiveYellow();
-                }
-                break;
-            case 'yellow':
-                if (this.adaptiveState.phaseTimer >= this.settings.YELLOW_DURATION) {
-                    this.startAdaptiveRed();
-                }
-                break;
-            case 'red':
-                if (this.adaptiveState.phaseTimer >= 2000) { // 2 second transition
-                    const nextPair = this.getHighestPriorityPair();
-                    if (nextPair && nextPair !== this.adaptiveState.currentPair) {
-                        this.switchToAdaptivePair(nextPair);
-                    } else if (nextPair === this.adaptiveState.currentPair) {
-                        this.startAdaptiveGreen();
-                    }
-                }
-                break;
+        if (this.preemption.hasRequest()) {
+            this.preemption.start(this.safety.getIndications(), now);
+            return this.preemption.update(0, now, this.settings, this.safety.areCrosswalksClear());
         }
+        return this.plugin.step(sensorData, now, deltaTime);
     }
 
 
-    switchToAdaptivePair(pair) {
-        this.adaptiveState.currentPair = pair;
-        this.startAdaptiveGreen();
-    }
-
-
-    startAdaptiveGreen() {
-        this.adaptiveState.currentPhase = 'green';
-        this.adaptiveState.phaseTimer = 0;
-        this.setAdaptiveLightState();
-        console.log(`Adaptive Mode: ${this.adaptiveState.currentPair} lights turned GREEN`);
+    // The plugin's crosswalk requests. There are none during a preemption,
+    // so a walk in progress ends through its clearance.
+    getDesiredPedestrianIndications() {
+        if (this.preemption.isActive() || !this.plugin.getPedestrianStates) return null;
+        return this.plugin.getPedestrianStates();
     }
 
 
-    startAdaptiveYellow() {
-        this.adaptiveState.currentPhase = 'yellow';
-        this.adaptiveState.phaseTimer = 0;
-        this.setAdaptiveLightState();
-        console.log(`Adaptive Mode: ${this.adaptiveState.currentPair} lights turned YELLOW`);
-    }
-
-
-    startAdaptiveRed() {
-        this.adaptiveState.currentPhase = 'red';
-        this.adaptiveState.phaseTimer = 0;
-        this.adaptiveState.lastSwitchTime = Date.now();
-        this.setAllLightsRed();
-        console.log(`Adaptive Mode: ${this.adaptiveState.currentPair} lights turned RED`);
+    // Hands the heads back to the plugin as the recovery strategy says
+    finishPreemption(now) {
+        const recovery = this.settings.PREEMPTION_RECOVERY;
+        const event = { ...this.preemption.finish(now), recovery };
+        if (recovery === PREEMPTION_RECOVERY.RESTART) {
+            this.plugin.init({ intersection: this.intersection, settings: { ...this.settings }, clock: this.clock });
+        }
+        console.log(`${this.label}: preemption on ${event.approach} ended, ${recovery} normal operation`);
+        if (this.onPreemption) {
+            this.onPreemption(event);
+        }
     }
 
 
-    setAdaptiveLightState() {
-        this.setAllLightsRed();
-
+    // Follows the scheduled operation. Power fails at once; night flash waits
+    // until the minor road shows red and nothing shows yellow; leaving either
+    // runs the start-up all red before the controller takes over again.
+    updateOperation(scheduled, deltaTime) {
+        if (scheduled === this.operation) return;
 
-        if (this.adaptiveState.currentPair === 'WE') {
-            const state = this.adaptiveState.currentPhase === 'green' ? CONFIG.LIGHT_STATES.GREEN :
-                         this.adaptiveState.currentPhase === 'yellow' ? CONFIG.LIGHT_STATES.YELLOW :
-                         CONFIG.LIGHT_STATES.RED;
-            this.lights[CONFIG.DIRECTIONS.WEST].state = state;
-            this.lights[CONFIG.DIRECTIONS.EAST].state = state;
-        } else if (this.adaptiveState.currentPair === 'NS') {
-            const state = this.adaptiveState.currentPhase === 'green' ? CONFIG.LIGHT_STATES.GREEN :
-                         this.adaptiveState.currentPhase === 'yellow' ? CONFIG.LIGHT_STATES.YELLOW :
-                         CONFIG.LIGHT_STATES.RED;
-            this.lights[CONFIG.DIRECTIONS.NORTH].state = state;
-            this.lights[CONFIG.DIRECTIONS.SOUTH].state = state;
+        if (scheduled === SIGNAL_OPERATIONS.POWER_FAILURE || scheduled === SIGNAL_OPERATIONS.UNSIGNALIZED) {
+            this.setOperation(scheduled);
+        } else if (this.operation === SIGNAL_OPERATIONS.NORMAL) {
+            if (scheduled === SIGNAL_OPERATIONS.NIGHT_FLASH && this.canEnterFlash()) {
+                this.setOperation(scheduled);
+            }
+        } else if (this.operation === SIGNAL_OPERATIONS.STARTUP) {
+            this.startupTimer += deltaTime;
+            if (this.startupTimer >= CONFIG.FLASH_OPERATION.STARTUP_ALL_RED) {
+                console.log(`${this.label}: resuming normal operation`);
+                this.restartPlugin();
+            }
+        } else {
+            this.setOperation(SIGNAL_OPERATIONS.STARTUP);
+            this.startupTimer = 0;
         }
     }
 
 
-    shouldSwitchInAdaptive() {
-        const currentPair = this.adaptiveState.currentPair;
-        const otherPair = currentPair === 'WE' ? 'NS' : 'WE';
-       
-        const currentScore = this.adaptiveState.priorityScores[currentPair] || 0;
-        const otherScore = this.adaptiveState.priorityScores[otherPair] || 0;
-       
-        // Switch if other pair has significantly higher priority
-        return otherScore > currentScore * 1.5 && otherScore > 10;
+    setOperation(operation) {
+        console.log(`${this.label}: ${this.operation} -> ${operation}`);
+        this.operation = operation;
+        // Flashing or dark heads cannot serve an emergency vehicle
+        const event = this.preemption.cancel(this.clock.now());
+        if (event && this.onPreemption) {
+            this.onPreemption({ ...event, recovery: null });
+        }
     }
 
 
-    getHighestPriorityPair() {
-        const weScore = this.adaptiveState.priorityScores.WE || 0;
-        const nsScore = this.adaptiveState.priorityScores.NS || 0;
-       
-        if (weScore > nsScore && weScore > 0) return 'WE';
-        if (nsScore > weScore && nsScore > 0) return 'NS';
-        return null;
+    canEnterFlash() {
+        const walking = Object.values(this.pedestrianLights).some(state => state !== CONFIG.PEDESTRIAN_SIGNALS.DONT_WALK);
+        if (walking) return false;
+        return Object.entries(this.lights).every(([direction, light]) => {
+            const states = Object.values(light.movements);
+            if (states.includes(CONFIG.LIGHT_STATES.YELLOW)) return false;
+            return this.intersection.getMajorApproaches().includes(direction) ||
+                states.every(state => state === CONFIG.LIGHT_STATES.RED);
+        });
     }
 
 
-    updateAdaptiveLogic(sensorData, deltaTime) {
-        if (this.mode !== CONFIG.MODES.ADAPTIVE || !this.adaptiveState.isActive) return;
-
-
-        // Check if we need to reset car counts on phase change
-        const currentPhase = this.adaptiveState.currentPhase;
-        if (this.lastPhase && this.lastPhase !== currentPhase) {
-            // Phase changed, reset will be handled by the sensor system
-            console.log(`Adaptive Mode: Phase changed from ${this.lastPhase} to ${currentPhase}, car counts will reset`);
+    // Shows the indications if the conflict monitor passes them, flashing red
+    // once it has latched a fault
+    showIndications(indications, deltaTime, now) {
+        if (this.monitor.check(indications, deltaTime, now)) {
+            this.refreshLights(indications);
+            this.pedestrianLights = this.safety.getPedestrianIndications();
+        } else {
+            this.refreshLights(this.monitor.getFlashIndications());
+            this.pedestrianLights = getOperationPedestrianIndications(null);
         }
-        this.lastPhase = currentPhase;
+    }
 
 
-        // Calculate priority scores for each pair
-        const weScore = this.calculatePairScore('WE', sensorData);
-        const nsScore = this.calculatePairScore('NS', sensorData);
-       
-        this.adaptiveState.priorityScores = { WE: weScore, NS: nsScore };
+    // Copies indications onto the signal heads. state is the round (through)
+    // indication; movements holds one indication per movement.
+    refreshLights(indications) {
+        Object.entries(indications).forEach(([direction, states]) => {
+            const { leftProtected, ...movements } = states;
+            this.lights[direction] = {
+                state: movements[CONFIG.MOVEMENTS.THROUGH],
+                movements,
+                leftProtected // left shows an arrow rather than following the round green
+            };
+        });
     }
 
 
-    calculatePairScore(pair, sensorData) {
-        let totalScore = 0;
-       
-        if (pair === 'WE') {
-            const westData = sensorData[CONFIG.DIRECTIONS.WEST] || { carsWaiting: 0, waitTime: 0, totalCarsDetected: 0 };
-            const eastData = sensorData[CONFIG.DIRECTIONS.EAST] || { carsWaiting: 0, waitTime: 0, totalCarsDetected: 0 };
-           
-            // Score = (cars waiting * wait time in seconds) + total cars detected
-            totalScore = (westData.carsWaiting * (westData.waitTime / 1000)) +
-                        (eastData.carsWaiting * (eastData.waitTime / 1000)) +
-                        westData.totalCarsDetected + eastData.totalCarsDetected;
-        } else if (pair === 'NS') {
-            const northData = sensorData[CONFIG.DIRECTIONS.NORTH] || { carsWaiting: 0, waitTime: 0, totalCarsDetected: 0 };
-            const southData = sensorData[CONFIG.DIRECTIONS.SOUTH] || { carsWaiting: 0, waitTime: 0, totalCarsDetected: 0 };
-           
-            totalScore = (northData.carsWaiting * (northData.waitTime / 1000)) +
-                        (southData.carsWaiting * (southData.waitTime / 1000)) +
-                        northData.totalCarsDetected + southData.totalCarsDetected;
-        }
-       
-        return totalScore;
+    render(ctx, intersection) {
+        if (this.operation === SIGNAL_OPERATIONS.UNSIGNALIZED) return;
+        const directions = ['north', 'south', 'east', 'west'];
+        directions.forEach(direction => {
+            const light = this.lights[CONFIG.DIRECTIONS[direction.toUpperCase()]];
+            this.renderTrafficLight(ctx, direction, light, intersection);
+        });
+        this.renderPedestrianSignals(ctx, intersection);
     }
 
 
-    setAllLightsRed() {
-        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
-            this.lights[direction].state = CONFIG.LIGHT_STATES.RED;
+    // A pedestrian head behind the curb at each end of every crosswalk: a
+    // white walking figure for WALK, an orange hand for DON'T WALK
+    renderPedestrianSignals(ctx, intersection) {
+        const size = CONFIG.LIGHT_SIZE;
+        Object.entries(this.pedestrianLights).forEach(([leg, state]) => {
+            const crosswalk = intersection.getCrosswalk(leg);
+            if (!crosswalk) return;
+            const lamp = this.getLitPedestrianLamp(state);
+            crosswalk.ends.forEach((end, index) => {
+                const outward = (index === 0 ? -1 : 1) * (size + 2);
+                const x = end.x + (crosswalk.vertical ? 0 : outward);
+                const y = end.y + (crosswalk.vertical ? outward : 0);
+
+                ctx.fillStyle = '#333';
+                ctx.fillRect(x - size / 2 - 1, y - size / 2 - 1, size + 2, size + 2);
+                if (lamp === 'walk') {
+                    ctx.fillStyle = '#FFFFFF';
+                    ctx.beginPath();
+                    ctx.arc(x, y - size / 4, 1, 0, Math.PI * 2);
+                    ctx.fill();
+                    ctx.fillRect(x - 0.5, y - size / 4 + 1, 1, size / 2);
+                } else if (lamp === 'hand') {
+                    ctx.fillStyle = '#FF8C00';
+                    ctx.fillRect(x - size / 3, y - size / 3, size * 2 / 3, size * 2 / 3);
+                }
+            });
         });
     }
 
 
-    render(ctx, intersection) {
-        const directions = ['north', 'south', 'east', 'west'];
-        directions.forEach(direction => {
-            const state = this.lights[CONFIG.DIRECTIONS[direction.toUpperCase()]].state;
-            this.renderTrafficLight(ctx, direction, state, intersection);
-        });
+    // Symbol lit for a pedestrian indication; flashing DON'T WALK blinks in step with the vehicle heads
+    getLitPedestrianLamp(state) {
+        const flashOn = this.clock.now() % FLASH_PERIOD < FLASH_PERIOD / 2;
+        switch (state) {
+            case CONFIG.PEDESTRIAN_SIGNALS.WALK:
+                return 'walk';
+            case CONFIG.PEDESTRIAN_SIGNALS.FLASHING_DONT_WALK:
+                return flashOn ? 'hand' : null;
+            case CONFIG.PEDESTRIAN_SIGNALS.DONT_WALK:
+                return 'hand';
+            default:
+                return null;
+        }
     }
 
 
-    renderTrafficLight(ctx, direction, state, intersection) {
+    renderTrafficLight(ctx, direction, light, intersection) {
         const position = intersection.getLightPosition(direction);
         if (!position) return;
 
@@ -367,9 +284,9 @@ export class TrafficLightController {
         const spacing = lightSize + 1;  // Very tight spacing
 
 
-        // Draw light housing - scaled to light size
+        // Draw light housing - scaled to light size, with a fourth section for the left arrow
         ctx.fillStyle = '#333';
-        ctx.fillRect(position.x - lightSize - 1, position.y - spacing * 1.5 - 1, (lightSize + 1) * 2, spacing * 3 + 2);
+        ctx.fillRect(position.x - lightSize - 1, position.y - spacing * 1.5 - 1, (lightSize + 1) * 2, spacing * 4 + 2);
 
 
         // Draw lights
@@ -386,13 +303,43 @@ export class TrafficLightController {
 
 
             // Active light
-            if (state === color) {
+            if (this.getLitLamp(light.state) === color) {
                 ctx.fillStyle = color;
                 ctx.beginPath();
                 ctx.arc(position.x, lightY, lightSize - 2, 0, Math.PI * 2);
                 ctx.fill();
             }
         });
+
+
+        // Left arrow - lit only while the left turn is protected
+        const arrowY = position.y + spacing * 2;
+        const leftState = light.movements[CONFIG.MOVEMENTS.LEFT];
+        const arrowLit = light.leftProtected && (leftState === CONFIG.LIGHT_STATES.GREEN || leftState === CONFIG.LIGHT_STATES.YELLOW);
+        ctx.fillStyle = arrowLit ? leftState : '#222';
+        ctx.beginPath();
+        ctx.moveTo(position.x - lightSize + 1, arrowY);
+        ctx.lineTo(position.x + lightSize - 1, arrowY - lightSize + 1);
+        ctx.lineTo(position.x + lightSize - 1, arrowY + lightSize - 1);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+
+    // Lamp colour lit for an indication; a flashing lamp is lit for the first
+    // half of each period and a dark head lights nothing
+    getLitLamp(state) {
+        const flashOn = this.clock.now() % FLASH_PERIOD < FLASH_PERIOD / 2;
+        switch (state) {
+            case CONFIG.LIGHT_STATES.FLASHING_RED:
+                return flashOn ? 'red' : null;
+            case CONFIG.LIGHT_STATES.FLASHING_YELLOW:
+                return flashOn ? 'yellow' : null;
+            case CONFIG.LIGHT_STATES.OFF:
+                return null;
+            default:
+                return state;
+        }
     }
 
 
@@ -406,51 +353,74 @@ export class TrafficLightController {
     }
 
 
+    // Pedestrian indication per crosswalk: { leg: CONFIG.PEDESTRIAN_SIGNALS value }
+    getPedestrianStates() {
+        return { ...this.pedestrianLights };
+    }
+
+
+    // Indication per movement: { direction: { left, through, right, leftProtected } }
+    getMovementStates() {
+        const states = {};
+        Object.entries(this.lights).forEach(([direction, light]) => {
+            states[direction] = { ...light.movements, leftProtected: light.leftProtected };
+        });
+        return states;
+    }
+
+
     setMode(mode) {
-        this.mode = mode;
-        if (mode === CONFIG.MODES.FIXED && !this.fixedState.isActive) {
-            this.initializeFixedMode();
-        } else if (mode === CONFIG.MODES.ADAPTIVE && !this.adaptiveState.isActive) {
-            this.initializeAdaptiveMode();
+        if (mode !== this.mode) {
+            this.initialize(mode, this.settings);
         }
     }
 
 
     updateSettings(settings) {
         this.settings = { ...settings };
+        if (this.plugin) {
+            this.plugin.updateSettings({ ...this.settings });
+        }
     }
 
 
     reset() {
-        if (this.mode === CONFIG.MODES.FIXED) {
-            this.fixedState.isActive = false;
-            this.initializeFixedMode();
-        } else if (this.mode === CONFIG.MODES.ADAPTIVE) {
-            this.adaptiveState.isActive = false;
-            this.initializeAdaptiveMode();
-        }
+        if (!this.plugin) return;
+        this.startPlugin();
         console.log(`${this.mode} mode reset`);
     }
 
 
+    getOperation() {
+        return this.operation;
+    }
+
+
+    isPreempted() {
+        return this.preemption.isActive();
+    }
+
+
+    isFaulted() {
+        return this.monitor.isFaulted();
+    }
+
+
+    // Conflict monitor faults since the last reset
+    getFaults() {
+        return this.monitor.getFaults();
+    }
+
+
     // Debug methods
     getDebugInfo() {
-        if (this.mode === CONFIG.MODES.FIXED) {
-            return {
-                mode: 'Fixed',
-                phase: this.fixedState.currentPhase,
-                timer: (this.fixedState.phaseTimer / 1000).toFixed(1) + 's',
-                active: this.fixedState.isActive
-            };
-        } else {
-            return {
-                mode: 'Adaptive',
-                pair: this.adaptiveState.currentPair,
-                phase: this.adaptiveState.currentPhase,
-                timer: (this.adaptiveState.phaseTimer / 1000).toFixed(1) + 's',
-                scores: this.adaptiveState.priorityScores,
-                active: this.adaptiveState.isActive
-            };
-        }
+        return {
+            mode: this.label,
+            operation: this.operation,
+            preemption: this.preemption.getDebugInfo(),
+            ...(this.plugin && this.plugin.getDebugInfo ? this.plugin.getDebugInfo() : {}),
+            safety: this.safety.getDebugInfo(),
+            monitor: this.monitor.getDebugInfo()
+        };
     }
 }
@@ -1,10 +1,23 @@
 import { CONFIG } from './config.js';
+import { getControllers } from './controllerRegistry.js';
+import { SIGNAL_OPERATIONS } from './signalOperations.js';
+import { getOdMatrix, parseDemand } from './demand.js';
+import { getGeometryPreset, parseGeometry } from './geometry.js';
+import { getNetworkPreset, parseNetwork } from './network.js';
+
+// Settings that describe demand rather than signal timing apply to every mode
+const SHARED_SETTINGS = ['CAR_SPAWN_RATE', 'CAR_SPEED', 'TURN_RATE', 'OD_MATRIX', 'DEMAND_PROFILE', 'ARRIVAL_PROCESS', 'PLATOON_SIZE', 'LEFT_TURN_CRITICAL_GAP', 'LEFT_TURN_FOLLOW_UP_TIME', 'ROUNDABOUT_CRITICAL_GAP', 'ROUNDABOUT_FOLLOW_UP_TIME', 'EMERGENCY_VEHICLE_RATE', 'BUS_HEADWAYS', 'VEHICLE_MIX', 'PEDESTRIAN_RATE', 'PEDESTRIAN_WALK_TIME', 'LANE_CHANGING', 'LANE_CHANGE_POLITENESS'];
+
+// Comparison mode shows both of these panels
+const COMPARISON_MODES = [CONFIG.MODES.FIXED, CONFIG.MODES.ADAPTIVE];
 
 export class UIController {
     constructor(gameEngine) {
         this.gameEngine = gameEngine;
         this.elements = {};
         this.isPlaying = true;
+        // Traffic mix per approach; the sliders show one approach at a time
+        this.vehicleMix = JSON.parse(JSON.stringify(CONFIG.DEFAULT_SETTINGS.VEHICLE_MIX));
         
         this.initializeElements();
     }
@@ -15,41 +28,144 @@ export class UIController {
             modeSelect: document.getElementById('mode-select'),
             playPauseBtn: document.getElementById('playPauseBtn'),
             resetBtn: document.getElementById('resetBtn'),
+            seedInput: document.getElementById('seedInput'),
             
             // Fixed timer controls
-            fixedControls: document.getElementById('fixed-controls'),
             greenDuration: document.getElementById('greenDuration'),
             greenValue: document.getElementById('greenDurationValue'),
             yellowDuration: document.getElementById('yellowDuration'),
             yellowValue: document.getElementById('yellowDurationValue'),
             redDuration: document.getElementById('redDuration'),
             redValue: document.getElementById('redDurationValue'),
+            leftArrowDuration: document.getElementById('leftArrowDuration'),
+            leftArrowValue: document.getElementById('leftArrowDurationValue'),
             
             // Adaptive controls
-            adaptiveControls: document.getElementById('adaptive-controls'),
             detectorDistance: document.getElementById('detectorDistance'),
             minGreenTime: document.getElementById('minGreenTime'),
             detectorValue: document.getElementById('detectorValue'),
             minGreenValue: document.getElementById('minGreenValue'),
             adaptiveYellowDuration: document.getElementById('adaptiveYellowDuration'),
             adaptiveYellowValue: document.getElementById('adaptiveYellowValue'),
+            adaptiveLeftArrowDuration: document.getElementById('adaptiveLeftArrowDuration'),
+            adaptiveLeftArrowValue: document.getElementById('adaptiveLeftArrowValue'),
+            maxGreenTime: document.getElementById('maxGreenTime'),
+            maxGreenValue: document.getElementById('maxGreenValue'),
+            passageTime: document.getElementById('passageTime'),
+            passageValue: document.getElementById('passageValue'),
+            recallSelects: document.querySelectorAll('.recall-select'),
+            tspEnabled: document.getElementById('tspEnabled'),
+            tspDistance: document.getElementById('tspDistance'),
+            tspDistanceValue: document.getElementById('tspDistanceValue'),
+            tspMaxExtension: document.getElementById('tspMaxExtension'),
+            tspMaxExtensionValue: document.getElementById('tspMaxExtensionValue'),
+            tspMaxPerCycle: document.getElementById('tspMaxPerCycle'),
+            tspMaxPerCycleValue: document.getElementById('tspMaxPerCycleValue'),
+
+            // Max-pressure controls
+            decisionInterval: document.getElementById('decisionInterval'),
+            decisionIntervalValue: document.getElementById('decisionIntervalValue'),
+            pressureMinGreen: document.getElementById('pressureMinGreen'),
+            pressureMinGreenValue: document.getElementById('pressureMinGreenValue'),
             
             // Car controls
             carSpawnRate: document.getElementById('carSpawnRate'),
             carSpeed: document.getElementById('carSpeed'),
+            turnRate: document.getElementById('turnRate'),
+            turnValue: document.getElementById('turnValue'),
+            leftTurnCriticalGap: document.getElementById('leftTurnCriticalGap'),
+            leftTurnFollowUp: document.getElementById('leftTurnFollowUp'),
+            laneChanging: document.getElementById('laneChanging'),
+            laneChangePoliteness: document.getElementById('laneChangePoliteness'),
             // ...existing code...
             spawnValue: document.getElementById('spawnValue'),
             speedValue: document.getElementById('speedValue'),
+            criticalGapValue: document.getElementById('criticalGapValue'),
+            followUpValue: document.getElementById('followUpValue'),
+            politenessValue: document.getElementById('politenessValue'),
             // ...existing code...
             
+            // Signal scenarios
+            powerFailureDuration: document.getElementById('powerFailureDuration'),
+            powerFailureValue: document.getElementById('powerFailureValue'),
+            powerFailureBtn: document.getElementById('powerFailureBtn'),
+            nightFlashDelay: document.getElementById('nightFlashDelay'),
+            nightFlashDelayValue: document.getElementById('nightFlashDelayValue'),
+            nightFlashDuration: document.getElementById('nightFlashDuration'),
+            nightFlashDurationValue: document.getElementById('nightFlashDurationValue'),
+            nightFlashBtn: document.getElementById('nightFlashBtn'),
+            restoreSignalsBtn: document.getElementById('restoreSignalsBtn'),
+            signalOperationStat: document.getElementById('signalOperationStat'),
+
+            // Layout
+            geometryPreset: document.getElementById('geometryPreset'),
+            geometryFile: document.getElementById('geometryFile'),
+            networkPreset: document.getElementById('networkPreset'),
+            networkFile: document.getElementById('networkFile'),
+            roundaboutCriticalGap: document.getElementById('roundaboutCriticalGap'),
+            roundaboutGapValue: document.getElementById('roundaboutGapValue'),
+            roundaboutFollowUp: document.getElementById('roundaboutFollowUp'),
+            roundaboutFollowUpValue: document.getElementById('roundaboutFollowUpValue'),
+
+            // Demand
+            odInputs: document.querySelectorAll('.od-input'),
+            balancedDemandBtn: document.getElementById('balancedDemandBtn'),
+            demandSourceStat: document.getElementById('demandSourceStat'),
+            demandProfile: document.getElementById('demandProfile'),
+            arrivalProcess: document.getElementById('arrivalProcess'),
+            platoonSize: document.getElementById('platoonSize'),
+            platoonSizeValue: document.getElementById('platoonSizeValue'),
+            demandFile: document.getElementById('demandFile'),
+
+            // Traffic mix
+            mixApproach: document.getElementById('mixApproach'),
+            mixSliders: document.querySelectorAll('.mix-slider'),
+
+            // Bus service
+            headwaySliders: document.querySelectorAll('.headway-slider'),
+
+            // Pedestrians
+            pedestrianRate: document.getElementById('pedestrianRate'),
+            pedestrianRateValue: document.getElementById('pedestrianRateValue'),
+            pedestrianWalkTime: document.getElementById('pedestrianWalkTime'),
+            pedestrianWalkTimeValue: document.getElementById('pedestrianWalkTimeValue'),
+
+            // Emergency vehicles
+            emergencyRate: document.getElementById('emergencyRate'),
+            emergencyRateValue: document.getElementById('emergencyRateValue'),
+            preemptionRecovery: document.getElementById('preemptionRecovery'),
+            dispatchEmergencyBtn: document.getElementById('dispatchEmergencyBtn'),
+            preemptionStat: document.getElementById('preemptionStat'),
+
             // Statistics
             carsPassedStat: document.getElementById('carsPassedStat'),
             avgWaitStat: document.getElementById('avgWaitStat'),
+            leftTurnDelayStat: document.getElementById('leftTurnDelayStat'),
+            carDelayStat: document.getElementById('carDelayStat'),
+            busDelayStat: document.getElementById('busDelayStat'),
+            preemptionsStat: document.getElementById('preemptionsStat'),
+            emergencyDelayStat: document.getElementById('emergencyDelayStat'),
+            pceThroughputStat: document.getElementById('pceThroughputStat'),
+            truckDelayStat: document.getElementById('truckDelayStat'),
+            pedestrianDelayStat: document.getElementById('pedestrianDelayStat'),
+            laneSplitStat: document.getElementById('laneSplitStat'),
+            laneChangesStat: document.getElementById('laneChangesStat'),
             currentCarsStat: document.getElementById('currentCarsStat'),
+            simTimeStat: document.getElementById('simTimeStat'),
             northCountStat: document.getElementById('northCountStat'),
             southCountStat: document.getElementById('southCountStat'),
             eastCountStat: document.getElementById('eastCountStat'),
             westCountStat: document.getElementById('westCountStat'),
+
+            // Comparison delta panel
+            comparisonPanel: document.getElementById('comparison-panel'),
+            comparisonCells: {
+                throughputPerHour: this.getComparisonCells('Throughput'),
+                averageWaitTime: this.getComparisonCells('Wait'),
+                averageLeftTurnDelay: this.getComparisonCells('LeftDelay'),
+                maxQueueLength: this.getComparisonCells('Queue'),
+                maxEntryQueue: this.getComparisonCells('EntryQueue')
+            },
             
             // Light status
             northLight: document.getElementById('north-light'),
@@ -59,12 +175,37 @@ export class UIController {
         };
     }
 
+    getComparisonCells(metric) {
+        return {
+            fixed: document.getElementById(`cmp${metric}Fixed`),
+            adaptive: document.getElementById(`cmp${metric}Adaptive`),
+            delta: document.getElementById(`cmp${metric}Delta`)
+        };
+    }
+
     initialize() {
+        this.populateModeSelect();
         this.setupEventListeners();
+        this.applySliderSettings();
         this.updateModeDisplay();
         this.startStatsUpdate();
     }
 
+    // One option per registered signal controller, then the comparison view
+    populateModeSelect() {
+        const select = this.elements.modeSelect;
+        select.innerHTML = '';
+        const addOption = (value, label) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        };
+        getControllers().forEach(({ id, label }) => addOption(id, label));
+        addOption(CONFIG.MODES.COMPARISON, 'Side-by-Side Comparison');
+        select.value = this.gameEngine.getCurrentMode();
+    }
+
     setupEventListeners() {
         // Mode selector
         this.elements.modeSelect.addEventListener('change', (e) => {
@@ -83,22 +224,291 @@ export class UIController {
             this.gameEngine.reset();
         });
 
+        // Seed - changing it restarts both modes with the new random streams
+        this.elements.seedInput.value = this.gameEngine.getSeed();
+        this.elements.seedInput.addEventListener('change', (e) => {
+            const seed = parseInt(e.target.value, 10);
+            if (Number.isFinite(seed) && seed >= 0) {
+                this.gameEngine.setSeed(seed);
+            } else {
+                e.target.value = this.gameEngine.getSeed();
+            }
+        });
+
         // Fixed timer controls
         this.setupSlider('greenDuration', 'greenValue', 'GREEN_DURATION', (value) => value * 1000);
         this.setupSlider('yellowDuration', 'yellowValue', 'YELLOW_DURATION', (value) => value * 1000);
         this.setupSlider('redDuration', 'redValue', 'RED_DURATION', (value) => value * 1000);
+        this.setupSlider('leftArrowDuration', 'leftArrowValue', 'PROTECTED_LEFT_DURATION', (value) => value * 1000);
 
         // Adaptive controls
         this.setupSlider('detectorDistance', 'detectorValue', 'DETECTOR_DISTANCE');
         this.setupSlider('minGreenTime', 'minGreenValue', 'MIN_GREEN_TIME', (value) => value * 1000);
         this.setupSlider('adaptiveYellowDuration', 'adaptiveYellowValue', 'YELLOW_DURATION', (value) => value * 1000);
+        this.setupSlider('adaptiveLeftArrowDuration', 'adaptiveLeftArrowValue', 'PROTECTED_LEFT_DURATION', (value) => value * 1000);
+        this.setupSlider('maxGreenTime', 'maxGreenValue', 'MAX_GREEN_TIME', (value) => value * 1000);
+        this.setupSlider('passageTime', 'passageValue', 'PASSAGE_TIME', (value) => value * 1000);
+        this.elements.recallSelects.forEach(select => {
+            select.addEventListener('change', () => {
+                this.gameEngine.updateSetting('PHASE_RECALL', this.getPhaseRecall(), CONFIG.MODES.ADAPTIVE);
+            });
+        });
+        this.elements.tspEnabled.addEventListener('change', (e) => {
+            this.gameEngine.updateSetting('TSP_ENABLED', e.target.checked, CONFIG.MODES.ADAPTIVE);
+        });
+        this.setupSlider('tspDistance', 'tspDistanceValue', 'TSP_DISTANCE');
+        this.setupSlider('tspMaxExtension', 'tspMaxExtensionValue', 'TSP_MAX_EXTENSION', (value) => value * 1000);
+        this.setupSlider('tspMaxPerCycle', 'tspMaxPerCycleValue', 'TSP_MAX_PER_CYCLE');
+
+        // Max-pressure controls
+        this.setupSlider('decisionInterval', 'decisionIntervalValue', 'MAX_PRESSURE_INTERVAL', (value) => value * 1000);
+        this.setupSlider('pressureMinGreen', 'pressureMinGreenValue', 'MIN_GREEN_TIME', (value) => value * 1000);
+
+        this.setupScenarioControls();
+        this.setupMixControls();
+        this.setupBusControls();
+        this.setupPedestrianControls();
+        this.setupEmergencyControls();
 
         // Car controls
         this.setupSlider('carSpawnRate', 'spawnValue', 'CAR_SPAWN_RATE');
         this.setupSlider('carSpeed', 'speedValue', 'CAR_SPEED');
+        this.setupSlider('leftTurnCriticalGap', 'criticalGapValue', 'LEFT_TURN_CRITICAL_GAP', (value) => value * 1000);
+        this.setupSlider('leftTurnFollowUp', 'followUpValue', 'LEFT_TURN_FOLLOW_UP_TIME', (value) => value * 1000);
+        this.setupSlider('roundaboutCriticalGap', 'roundaboutGapValue', 'ROUNDABOUT_CRITICAL_GAP', (value) => value * 1000);
+        this.setupSlider('roundaboutFollowUp', 'roundaboutFollowUpValue', 'ROUNDABOUT_FOLLOW_UP_TIME', (value) => value * 1000);
+        this.setupSlider('turnRate', 'turnValue', 'TURN_RATE', (value) => value / 100);
+        this.setupSlider('laneChangePoliteness', 'politenessValue', 'LANE_CHANGE_POLITENESS');
+        this.elements.laneChanging.addEventListener('change', (e) => this.updateSharedSetting('LANE_CHANGING', e.target.checked));
+        this.setupLayoutControls();
+        this.setupDemandControls();
     // ...existing code...
     }
 
+    // Scenario sliders only label their buttons; the buttons schedule the
+    // scenario in every mode at once
+    setupScenarioControls() {
+        const labels = {
+            powerFailureDuration: 'powerFailureValue',
+            nightFlashDelay: 'nightFlashDelayValue',
+            nightFlashDuration: 'nightFlashDurationValue'
+        };
+        Object.entries(labels).forEach(([sliderId, valueId]) => {
+            const slider = this.elements[sliderId];
+            const valueDisplay = this.elements[valueId];
+            slider.addEventListener('input', () => {
+                valueDisplay.textContent = slider.value;
+            });
+        });
+
+        this.elements.powerFailureBtn.addEventListener('click', () => {
+            const duration = Number(this.elements.powerFailureDuration.value) * 1000;
+            this.gameEngine.scheduleSignalOperation(SIGNAL_OPERATIONS.POWER_FAILURE, duration);
+        });
+        this.elements.nightFlashBtn.addEventListener('click', () => {
+            const delay = Number(this.elements.nightFlashDelay.value) * 1000;
+            const duration = Number(this.elements.nightFlashDuration.value) * 60000;
+            this.gameEngine.scheduleSignalOperation(SIGNAL_OPERATIONS.NIGHT_FLASH, duration, delay);
+        });
+        this.elements.restoreSignalsBtn.addEventListener('click', () => {
+            this.gameEngine.clearSignalOperations();
+        });
+    }
+
+    // The layout is shared by every mode; changing it restarts the run
+    setupLayoutControls() {
+        this.elements.geometryPreset.value = CONFIG.DEFAULT_GEOMETRY;
+        this.elements.geometryPreset.addEventListener('change', (e) => {
+            this.applyGeometry(getGeometryPreset(e.target.value), e.target.value);
+        });
+        this.elements.geometryFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadGeometryFile(file);
+        });
+        this.elements.networkPreset.value = 'none';
+        this.elements.networkPreset.addEventListener('change', (e) => {
+            this.applyNetwork(e.target.value === 'none' ? null : getNetworkPreset(e.target.value), e.target.value);
+        });
+        this.elements.networkFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadNetworkFile(file);
+        });
+    }
+
+    async loadGeometryFile(file) {
+        try {
+            this.applyGeometry(parseGeometry(JSON.parse(await file.text())), 'custom');
+            console.log(`Layout loaded from ${file.name}`);
+        } catch (error) {
+            console.error(`Could not load layout from ${file.name}:`, error.message);
+        }
+    }
+
+    applyGeometry(geometry, presetValue) {
+        this.gameEngine.setGeometry(geometry);
+        this.elements.geometryPreset.value = presetValue;
+        // A layout replaces any network
+        this.elements.networkPreset.value = 'none';
+        this.showOdMatrix();
+    }
+
+    async loadNetworkFile(file) {
+        try {
+            this.applyNetwork(parseNetwork(JSON.parse(await file.text())), 'custom');
+            console.log(`Network loaded from ${file.name}`);
+        } catch (error) {
+            console.error(`Could not load network from ${file.name}:`, error.message);
+        }
+    }
+
+    // A network takes the place of the one intersection until a layout is picked
+    applyNetwork(network, presetValue) {
+        this.gameEngine.setNetwork(network);
+        this.elements.networkPreset.value = presetValue;
+    }
+
+    // Demand applies to every mode. Editing the OD table makes it the demand;
+    // Even Demand goes back to spreading the spawn rate with the turn rate.
+    setupDemandControls() {
+        this.showOdMatrix();
+        this.elements.odInputs.forEach(input => {
+            input.addEventListener('change', () => this.updateSharedSetting('OD_MATRIX', this.getOdTableMatrix()));
+        });
+        this.elements.balancedDemandBtn.addEventListener('click', () => this.updateSharedSetting('OD_MATRIX', null));
+        ['carSpawnRate', 'turnRate'].forEach(id => {
+            this.elements[id].addEventListener('input', () => this.showOdMatrix());
+        });
+
+        this.elements.demandProfile.addEventListener('change', (e) => this.updateSharedSetting('DEMAND_PROFILE', e.target.value));
+        this.elements.arrivalProcess.addEventListener('change', (e) => this.updateSharedSetting('ARRIVAL_PROCESS', e.target.value));
+        this.setupSlider('platoonSize', 'platoonSizeValue', 'PLATOON_SIZE');
+
+        this.elements.demandFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadDemandFile(file);
+        });
+    }
+
+    async loadDemandFile(file) {
+        try {
+            const settings = parseDemand(JSON.parse(await file.text()));
+            Object.entries(settings).forEach(([key, value]) => this.updateSharedSetting(key, value));
+            this.updateSliderValues();
+            console.log(`Demand loaded from ${file.name}`);
+        } catch (error) {
+            console.error(`Could not load demand from ${file.name}:`, error.message);
+        }
+    }
+
+    updateSharedSetting(key, value) {
+        getControllers().forEach(({ id }) => this.gameEngine.updateSetting(key, value, id));
+        if (key === 'OD_MATRIX') this.showOdMatrix();
+    }
+
+    // The OD matrix in force, from the table
+    getOdTableMatrix() {
+        const matrix = {};
+        this.elements.odInputs.forEach(input => {
+            if (input.disabled) return;
+            const { origin, destination } = input.dataset;
+            matrix[origin] = matrix[origin] || {};
+            matrix[origin][destination] = Math.max(0, Number(input.value) || 0);
+        });
+        return matrix;
+    }
+
+    // Movements to or from a leg the layout leaves out are greyed out
+    showOdMatrix() {
+        const settings = this.gameEngine.getSettings();
+        const legs = this.gameEngine.intersection.getLegDirections();
+        const matrix = getOdMatrix(settings, legs);
+        this.elements.odInputs.forEach(input => {
+            const { origin, destination } = input.dataset;
+            input.disabled = !legs.includes(origin) || !legs.includes(destination);
+            input.value = Math.round((matrix[origin] && matrix[origin][destination]) || 0);
+        });
+        this.elements.demandSourceStat.textContent = settings.OD_MATRIX ? 'from the table' : 'from spawn and turn rates';
+    }
+
+    // The traffic mix is demand, so every mode sees the same vehicles. A
+    // slider sets its type's share on the chosen approach, or on all of them.
+    setupMixControls() {
+        this.showVehicleMix();
+        this.elements.mixApproach.addEventListener('change', () => this.showVehicleMix());
+        this.elements.mixSliders.forEach(slider => {
+            slider.addEventListener('input', () => {
+                const approach = this.elements.mixApproach.value;
+                const approaches = approach === 'all' ? Object.values(CONFIG.DIRECTIONS) : [approach];
+                approaches.forEach(direction => {
+                    this.vehicleMix[direction][slider.dataset.type] = Number(slider.value) / 100;
+                });
+                this.updateMixLabel(slider);
+                getControllers().forEach(({ id }) => this.gameEngine.updateSetting('VEHICLE_MIX', this.getVehicleMix(), id));
+            });
+        });
+    }
+
+    // Puts the chosen approach's mix on the sliders ('all' shows north's)
+    showVehicleMix() {
+        const approach = this.elements.mixApproach.value;
+        const mix = this.vehicleMix[approach === 'all' ? CONFIG.DIRECTIONS.NORTH : approach];
+        this.elements.mixSliders.forEach(slider => {
+            slider.value = Math.round((mix[slider.dataset.type] || 0) * 100);
+            this.updateMixLabel(slider);
+        });
+    }
+
+    updateMixLabel(slider) {
+        document.getElementById(`${slider.id}Value`).textContent = slider.value;
+    }
+
+    getVehicleMix() {
+        return JSON.parse(JSON.stringify(this.vehicleMix));
+    }
+
+    // Bus headways are demand, so every mode runs the same timetable
+    setupBusControls() {
+        this.elements.headwaySliders.forEach(slider => {
+            this.updateHeadwayLabel(slider);
+            slider.addEventListener('input', () => {
+                this.updateHeadwayLabel(slider);
+                const headways = this.getBusHeadways();
+                getControllers().forEach(({ id }) => this.gameEngine.updateSetting('BUS_HEADWAYS', headways, id));
+            });
+        });
+    }
+
+    updateHeadwayLabel(slider) {
+        const value = Number(slider.value);
+        document.getElementById(`${slider.id}Value`).textContent = value > 0 ? `${value}s` : 'off';
+    }
+
+    // Headway per approach (ms) from the bus sliders
+    getBusHeadways() {
+        const headways = {};
+        this.elements.headwaySliders.forEach(slider => {
+            headways[slider.dataset.direction] = Number(slider.value) * 1000;
+        });
+        return headways;
+    }
+
+    // Pedestrian demand and the walk interval apply to every mode
+    setupPedestrianControls() {
+        this.setupSlider('pedestrianRate', 'pedestrianRateValue', 'PEDESTRIAN_RATE');
+        this.setupSlider('pedestrianWalkTime', 'pedestrianWalkTimeValue', 'PEDESTRIAN_WALK_TIME', (value) => value * 1000);
+    }
+
+    // Emergency traffic and the preemption recovery apply to every mode
+    setupEmergencyControls() {
+        this.setupSlider('emergencyRate', 'emergencyRateValue', 'EMERGENCY_VEHICLE_RATE');
+        this.elements.preemptionRecovery.addEventListener('change', (e) => {
+            getControllers().forEach(({ id }) => this.gameEngine.updateSetting('PREEMPTION_RECOVERY', e.target.value, id));
+        });
+        this.elements.dispatchEmergencyBtn.addEventListener('click', () => {
+            this.gameEngine.dispatchEmergencyVehicle();
+        });
+    }
+
     setupSlider(sliderId, valueId, settingKey, transform = null) {
         const slider = this.elements[sliderId];
         const valueDisplay = this.elements[valueId];
@@ -111,15 +521,13 @@ export class UIController {
             
             const settingValue = transform ? transform(value) : value;
             
-            // For yellow duration, update the correct mode
-            if (settingKey === 'YELLOW_DURATION') {
-                if (sliderId === 'adaptiveYellowDuration') {
-                    this.gameEngine.updateSetting(settingKey, settingValue, CONFIG.MODES.ADAPTIVE);
-                } else {
-                    this.gameEngine.updateSetting(settingKey, settingValue, CONFIG.MODES.FIXED);
-                }
+            if (SHARED_SETTINGS.includes(settingKey)) {
+                // Car settings are shared - every mode sees the same demand
+                getControllers().forEach(({ id }) => this.gameEngine.updateSetting(settingKey, settingValue, id));
             } else {
-                this.gameEngine.updateSetting(settingKey, settingValue);
+                // Timing sliders update the mode whose panel they sit in, which
+                // keeps them correct while both panels show in comparison mode
+                this.gameEngine.updateSetting(settingKey, settingValue, this.getPanelMode(slider));
             }
         });
 
@@ -127,45 +535,181 @@ export class UIController {
         valueDisplay.textContent = slider.value;
     }
 
+    // Mode of the controller whose settings panel holds the element
+    getPanelMode(element) {
+        const owner = getControllers().find(({ panel }) => {
+            const container = panel && document.getElementById(panel);
+            return container && container.contains(element);
+        });
+        return owner ? owner.id : CONFIG.MODES.FIXED;
+    }
+
+    // Recall mode per NEMA phase from the adaptive panel's selects
+    getPhaseRecall() {
+        const recall = {};
+        this.elements.recallSelects.forEach(select => {
+            recall[select.dataset.phase] = select.value;
+        });
+        return recall;
+    }
+
+    // Pushes the sliders' initial values into the engine once at startup
+    applySliderSettings() {
+        const seconds = (id) => Number(this.elements[id].value) * 1000;
+        const fixedSettings = {
+            GREEN_DURATION: seconds('greenDuration'),
+            YELLOW_DURATION: seconds('yellowDuration'),
+            RED_DURATION: seconds('redDuration'),
+            PROTECTED_LEFT_DURATION: seconds('leftArrowDuration')
+        };
+        const adaptiveSettings = {
+            DETECTOR_DISTANCE: Number(this.elements.detectorDistance.value),
+            MIN_GREEN_TIME: seconds('minGreenTime'),
+            YELLOW_DURATION: seconds('adaptiveYellowDuration'),
+            PROTECTED_LEFT_DURATION: seconds('adaptiveLeftArrowDuration'),
+            MAX_GREEN_TIME: seconds('maxGreenTime'),
+            PASSAGE_TIME: seconds('passageTime'),
+            PHASE_RECALL: this.getPhaseRecall(),
+            TSP_ENABLED: this.elements.tspEnabled.checked,
+            TSP_DISTANCE: Number(this.elements.tspDistance.value),
+            TSP_MAX_EXTENSION: seconds('tspMaxExtension'),
+            TSP_MAX_PER_CYCLE: Number(this.elements.tspMaxPerCycle.value)
+        };
+        const maxPressureSettings = {
+            MAX_PRESSURE_INTERVAL: seconds('decisionInterval'),
+            MIN_GREEN_TIME: seconds('pressureMinGreen')
+        };
+        const sharedSettings = {
+            CAR_SPAWN_RATE: Number(this.elements.carSpawnRate.value),
+            CAR_SPEED: Number(this.elements.carSpeed.value),
+            LEFT_TURN_CRITICAL_GAP: seconds('leftTurnCriticalGap'),
+            LEFT_TURN_FOLLOW_UP_TIME: seconds('leftTurnFollowUp'),
+            ROUNDABOUT_CRITICAL_GAP: seconds('roundaboutCriticalGap'),
+            ROUNDABOUT_FOLLOW_UP_TIME: seconds('roundaboutFollowUp'),
+            LANE_CHANGING: this.elements.laneChanging.checked,
+            LANE_CHANGE_POLITENESS: Number(this.elements.laneChangePoliteness.value),
+            BUS_HEADWAYS: this.getBusHeadways(),
+            TURN_RATE: Number(this.elements.turnRate.value) / 100,
+            DEMAND_PROFILE: this.elements.demandProfile.value,
+            ARRIVAL_PROCESS: this.elements.arrivalProcess.value,
+            PLATOON_SIZE: Number(this.elements.platoonSize.value),
+            VEHICLE_MIX: this.getVehicleMix(),
+            PEDESTRIAN_RATE: Number(this.elements.pedestrianRate.value),
+            PEDESTRIAN_WALK_TIME: seconds('pedestrianWalkTime'),
+            EMERGENCY_VEHICLE_RATE: Number(this.elements.emergencyRate.value),
+            PREEMPTION_RECOVERY: this.elements.preemptionRecovery.value
+        };
+
+        const panelSettings = {
+            [CONFIG.MODES.FIXED]: fixedSettings,
+            [CONFIG.MODES.ADAPTIVE]: adaptiveSettings,
+            [CONFIG.MODES.MAX_PRESSURE]: maxPressureSettings
+        };
+
+        getControllers().forEach(({ id }) => {
+            Object.entries({ ...panelSettings[id], ...sharedSettings }).forEach(([key, value]) => {
+                this.gameEngine.updateSetting(key, value, id);
+            });
+        });
+    }
+
     updateSliderValues() {
-        const mode = this.gameEngine.getCurrentMode();
         const settings = this.gameEngine.getSettings();
+        const fixedSettings = this.gameEngine.getFixedModeSettings();
+        const adaptiveSettings = this.gameEngine.getAdaptiveModeSettings();
         
-        // Update slider values based on current mode settings
-        if (mode === CONFIG.MODES.FIXED) {
-            this.elements.greenDuration.value = settings.GREEN_DURATION / 1000;
-            this.elements.greenValue.textContent = settings.GREEN_DURATION / 1000;
-            this.elements.yellowDuration.value = settings.YELLOW_DURATION / 1000;
-            this.elements.yellowValue.textContent = settings.YELLOW_DURATION / 1000;
-            this.elements.redDuration.value = settings.RED_DURATION / 1000;
-            this.elements.redValue.textContent = settings.RED_DURATION / 1000;
-        } else {
-            this.elements.detectorDistance.value = settings.DETECTOR_DISTANCE;
-            this.elements.detectorValue.textContent = settings.DETECTOR_DISTANCE;
-            this.elements.minGreenTime.value = settings.MIN_GREEN_TIME / 1000;
-            this.elements.minGreenValue.textContent = settings.MIN_GREEN_TIME / 1000;
-            if (this.elements.adaptiveYellowDuration) {
-                this.elements.adaptiveYellowDuration.value = settings.YELLOW_DURATION / 1000;
-                this.elements.adaptiveYellowValue.textContent = settings.YELLOW_DURATION / 1000;
-            }
+        // Each panel always reflects its own mode's settings
+        this.elements.greenDuration.value = fixedSettings.GREEN_DURATION / 1000;
+        this.elements.greenValue.textContent = fixedSettings.GREEN_DURATION / 1000;
+        this.elements.yellowDuration.value = fixedSettings.YELLOW_DURATION / 1000;
+        this.elements.yellowValue.textContent = fixedSettings.YELLOW_DURATION / 1000;
+        this.elements.redDuration.value = fixedSettings.RED_DURATION / 1000;
+        this.elements.redValue.textContent = fixedSettings.RED_DURATION / 1000;
+        this.elements.leftArrowDuration.value = fixedSettings.PROTECTED_LEFT_DURATION / 1000;
+        this.elements.leftArrowValue.textContent = fixedSettings.PROTECTED_LEFT_DURATION / 1000;
+
+        this.elements.detectorDistance.value = adaptiveSettings.DETECTOR_DISTANCE;
+        this.elements.detectorValue.textContent = adaptiveSettings.DETECTOR_DISTANCE;
+        this.elements.minGreenTime.value = adaptiveSettings.MIN_GREEN_TIME / 1000;
+        this.elements.minGreenValue.textContent = adaptiveSettings.MIN_GREEN_TIME / 1000;
+        if (this.elements.adaptiveYellowDuration) {
+            this.elements.adaptiveYellowDuration.value = adaptiveSettings.YELLOW_DURATION / 1000;
+            this.elements.adaptiveYellowValue.textContent = adaptiveSettings.YELLOW_DURATION / 1000;
         }
+        this.elements.adaptiveLeftArrowDuration.value = adaptiveSettings.PROTECTED_LEFT_DURATION / 1000;
+        this.elements.adaptiveLeftArrowValue.textContent = adaptiveSettings.PROTECTED_LEFT_DURATION / 1000;
+        this.elements.maxGreenTime.value = adaptiveSettings.MAX_GREEN_TIME / 1000;
+        this.elements.maxGreenValue.textContent = adaptiveSettings.MAX_GREEN_TIME / 1000;
+        this.elements.passageTime.value = adaptiveSettings.PASSAGE_TIME / 1000;
+        this.elements.passageValue.textContent = adaptiveSettings.PASSAGE_TIME / 1000;
+        this.elements.recallSelects.forEach(select => {
+            select.value = adaptiveSettings.PHASE_RECALL[select.dataset.phase];
+        });
+        this.elements.tspEnabled.checked = adaptiveSettings.TSP_ENABLED;
+        this.elements.tspDistance.value = adaptiveSettings.TSP_DISTANCE;
+        this.elements.tspDistanceValue.textContent = adaptiveSettings.TSP_DISTANCE;
+        this.elements.tspMaxExtension.value = adaptiveSettings.TSP_MAX_EXTENSION / 1000;
+        this.elements.tspMaxExtensionValue.textContent = adaptiveSettings.TSP_MAX_EXTENSION / 1000;
+        this.elements.tspMaxPerCycle.value = adaptiveSettings.TSP_MAX_PER_CYCLE;
+        this.elements.tspMaxPerCycleValue.textContent = adaptiveSettings.TSP_MAX_PER_CYCLE;
+
+        const maxPressureSettings = this.gameEngine.getModeSettings(CONFIG.MODES.MAX_PRESSURE);
+        this.elements.decisionInterval.value = maxPressureSettings.MAX_PRESSURE_INTERVAL / 1000;
+        this.elements.decisionIntervalValue.textContent = maxPressureSettings.MAX_PRESSURE_INTERVAL / 1000;
+        this.elements.pressureMinGreen.value = maxPressureSettings.MIN_GREEN_TIME / 1000;
+        this.elements.pressureMinGreenValue.textContent = maxPressureSettings.MIN_GREEN_TIME / 1000;
         
         // Car settings are shared
         this.elements.carSpawnRate.value = settings.CAR_SPAWN_RATE;
         this.elements.spawnValue.textContent = settings.CAR_SPAWN_RATE;
         this.elements.carSpeed.value = settings.CAR_SPEED;
         this.elements.speedValue.textContent = settings.CAR_SPEED;
+        this.elements.leftTurnCriticalGap.value = settings.LEFT_TURN_CRITICAL_GAP / 1000;
+        this.elements.criticalGapValue.textContent = settings.LEFT_TURN_CRITICAL_GAP / 1000;
+        this.elements.leftTurnFollowUp.value = settings.LEFT_TURN_FOLLOW_UP_TIME / 1000;
+        this.elements.followUpValue.textContent = settings.LEFT_TURN_FOLLOW_UP_TIME / 1000;
+        this.elements.roundaboutCriticalGap.value = settings.ROUNDABOUT_CRITICAL_GAP / 1000;
+        this.elements.roundaboutGapValue.textContent = settings.ROUNDABOUT_CRITICAL_GAP / 1000;
+        this.elements.roundaboutFollowUp.value = settings.ROUNDABOUT_FOLLOW_UP_TIME / 1000;
+        this.elements.roundaboutFollowUpValue.textContent = settings.ROUNDABOUT_FOLLOW_UP_TIME / 1000;
+        this.elements.laneChanging.checked = settings.LANE_CHANGING;
+        this.elements.laneChangePoliteness.value = settings.LANE_CHANGE_POLITENESS;
+        this.elements.politenessValue.textContent = settings.LANE_CHANGE_POLITENESS;
+        this.elements.headwaySliders.forEach(slider => {
+            slider.value = settings.BUS_HEADWAYS[slider.dataset.direction] / 1000;
+            this.updateHeadwayLabel(slider);
+        });
+        this.elements.turnRate.value = settings.TURN_RATE * 100;
+        this.elements.turnValue.textContent = settings.TURN_RATE * 100;
+        this.elements.demandProfile.value = typeof settings.DEMAND_PROFILE === 'string' ? settings.DEMAND_PROFILE : 'custom';
+        this.elements.arrivalProcess.value = settings.ARRIVAL_PROCESS;
+        this.elements.platoonSize.value = settings.PLATOON_SIZE;
+        this.elements.platoonSizeValue.textContent = settings.PLATOON_SIZE;
+        this.showOdMatrix();
+        this.vehicleMix = JSON.parse(JSON.stringify(settings.VEHICLE_MIX));
+        this.showVehicleMix();
+        this.elements.pedestrianRate.value = settings.PEDESTRIAN_RATE;
+        this.elements.pedestrianRateValue.textContent = settings.PEDESTRIAN_RATE;
+        this.elements.pedestrianWalkTime.value = settings.PEDESTRIAN_WALK_TIME / 1000;
+        this.elements.pedestrianWalkTimeValue.textContent = settings.PEDESTRIAN_WALK_TIME / 1000;
+        this.elements.emergencyRate.value = settings.EMERGENCY_VEHICLE_RATE;
+        this.elements.emergencyRateValue.textContent = settings.EMERGENCY_VEHICLE_RATE;
+        this.elements.preemptionRecovery.value = settings.PREEMPTION_RECOVERY;
     }
     updateModeDisplay() {
         const mode = this.gameEngine.getCurrentMode();
+        const show = (element, visible) => {
+            element.style.display = visible ? 'block' : 'none';
+        };
         
-        if (mode === CONFIG.MODES.FIXED) {
-            this.elements.fixedControls.style.display = 'block';
-            this.elements.adaptiveControls.style.display = 'none';
-        } else {
-            this.elements.fixedControls.style.display = 'none';
-            this.elements.adaptiveControls.style.display = 'block';
-        }
+        const comparison = mode === CONFIG.MODES.COMPARISON;
+        getControllers().forEach(({ id, panel }) => {
+            const container = panel && document.getElementById(panel);
+            if (container) {
+                show(container, mode === id || (comparison && COMPARISON_MODES.includes(id)));
+            }
+        });
+        show(this.elements.comparisonPanel, comparison);
     }
 
     startStatsUpdate() {
@@ -181,7 +725,18 @@ export class UIController {
         
         this.elements.carsPassedStat.textContent = stats.totalCarsPassed;
         this.elements.avgWaitStat.textContent = stats.averageWaitTime.toFixed(1) + 's';
+        this.elements.leftTurnDelayStat.textContent = stats.averageLeftTurnDelay.toFixed(1) + 's';
+        this.elements.carDelayStat.textContent = stats.byClass[CONFIG.VEHICLE_CLASSES.CAR].averageDelay.toFixed(1) + 's';
+        this.elements.busDelayStat.textContent = stats.byClass[CONFIG.VEHICLE_CLASSES.BUS].averageDelay.toFixed(1) + 's';
+        this.elements.preemptionsStat.textContent = stats.preemptions;
+        this.elements.emergencyDelayStat.textContent = stats.averageEmergencyDelay.toFixed(1) + 's';
+        this.elements.pceThroughputStat.textContent = stats.throughputPcePerHour.toFixed(0) + ' pce/h';
+        this.elements.truckDelayStat.textContent = stats.byType.truck.averageDelay.toFixed(1) + 's';
+        this.elements.pedestrianDelayStat.textContent = stats.averagePedestrianDelay.toFixed(1) + 's';
+        this.elements.laneSplitStat.textContent = this.formatLaneSplit(stats.byLane);
+        this.elements.laneChangesStat.textContent = stats.laneChanges;
         this.elements.currentCarsStat.textContent = stats.currentCars;
+        this.elements.simTimeStat.textContent = stats.simulationTime.toFixed(1) + 's';
         
         // Update car count statistics (only show in adaptive mode)
         if (this.gameEngine.getCurrentMode() === 'adaptive') {
@@ -196,6 +751,44 @@ export class UIController {
             this.elements.eastCountStat.textContent = '-';
             this.elements.westCountStat.textContent = '-';
         }
+
+        if (this.gameEngine.getCurrentMode() === CONFIG.MODES.COMPARISON) {
+            this.updateComparison();
+        }
+    }
+
+    // Share of all approaches' vehicles in each lane, curb lane first
+    formatLaneSplit(byLane) {
+        const laneCount = Math.max(1, ...Object.values(byLane).map(lanes => lanes.length));
+        const passed = Array.from({ length: laneCount }, (unused, lane) =>
+            Object.values(byLane).reduce((sum, lanes) => sum + (lanes[lane] ? lanes[lane].passed : 0), 0));
+        const total = passed.reduce((sum, count) => sum + count, 0);
+        return passed.map(count => (total > 0 ? count / total * 100 : 0).toFixed(0)).join('/') + '%';
+    }
+
+    updateComparison() {
+        const comparison = this.gameEngine.getComparison();
+        // higherIsBetter decides whether a positive delta favours adaptive
+        const metrics = {
+            throughputPerHour: { digits: 0, higherIsBetter: true },
+            averageWaitTime: { digits: 1, higherIsBetter: false },
+            averageLeftTurnDelay: { digits: 1, higherIsBetter: false },
+            maxQueueLength: { digits: 0, higherIsBetter: false },
+            maxEntryQueue: { digits: 0, higherIsBetter: false }
+        };
+
+        Object.entries(metrics).forEach(([key, { digits, higherIsBetter }]) => {
+            const cells = this.elements.comparisonCells[key];
+            const delta = comparison.delta[key];
+            cells.fixed.textContent = comparison.fixed[key].toFixed(digits);
+            cells.adaptive.textContent = comparison.adaptive[key].toFixed(digits);
+            cells.delta.textContent = (delta > 0 ? '+' : '') + delta.toFixed(digits);
+
+            cells.delta.classList.remove('better', 'worse');
+            if (delta !== 0) {
+                cells.delta.classList.add((delta > 0) === higherIsBetter ? 'better' : 'worse');
+            }
+        });
     }
 
     updateLightStatus() {
@@ -212,12 +805,15 @@ export class UIController {
             const element = lightElements[direction];
             if (element) {
                 // Remove all state classes
-                element.classList.remove('red', 'yellow', 'green');
+                element.classList.remove(...Object.values(CONFIG.LIGHT_STATES));
                 
                 // Add current state class
                 element.classList.add(state);
             }
         });
+
+        this.elements.signalOperationStat.textContent = this.gameEngine.getSignalOperation();
+        this.elements.preemptionStat.textContent = this.gameEngine.isPreempted() ? 'active' : 'idle';
     }
 
     setMode(mode) {
@@ -35,18 +35,31 @@ export const utils = {
         return Math.min(Math.max(value, min), max);
     },
 
-    // Random number generation
-    randomBetween(min, max) {
-        return Math.random() * (max - min) + min;
+    // Random number generation - rng is a SeededRandom so runs stay reproducible
+    randomBetween(min, max, rng) {
+        return rng.next() * (max - min) + min;
     },
 
-    randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+    randomInt(min, max, rng) {
+        return Math.floor(rng.next() * (max - min + 1)) + min;
     },
 
     // Array utilities
-    randomFromArray(array) {
-        return array[Math.floor(Math.random() * array.length)];
+    randomFromArray(array, rng) {
+        return array[Math.floor(rng.next() * array.length)];
+    },
+
+    // Key of an object of weights, drawn in proportion to its weight; null if none is positive
+    randomWeightedKey(weights, rng) {
+        const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        if (entries.length === 0) return null;
+        let pick = rng.next() * total;
+        for (const [key, weight] of entries) {
+            pick -= weight;
+            if (pick < 0) return key;
+        }
+        return entries[entries.length - 1][0];
     },
 
     // Timing utilities